@@ -0,0 +1,94 @@
+'use strict';
+
+var Promise = require('bluebird');
+
+/**
+ * Auto Scaling group lookups shared by the Listener and Feeder
+ *
+ * Each function takes an AWS.AutoScaling client whose calls have been
+ * promisified with an `Async` suffix, e.g. `describeAutoScalingInstancesAsync`
+ **/
+
+// Attachment states of a load balancer/target group being detached from a group
+var DETACHING_STATES = ['Removing', 'Removed'];
+
+module.exports.getGroupNameAsync = exports.getGroupNameAsync = getGroupNameAsync;
+module.exports.getGroupInstanceIdsAsync = exports.getGroupInstanceIdsAsync = getGroupInstanceIdsAsync;
+module.exports.getAttachmentsAsync = exports.getAttachmentsAsync = getAttachmentsAsync;
+
+/**
+ * Get the name of the Auto Scaling group an instance belongs to
+ * @param   {AWS.AutoScaling} autoScaling Auto Scaling client
+ * @param   {string} instanceId AWS identifier for EC2 Instance
+ * @returns {Promise} Resolves with the group name, or null if not autoscaled
+ */
+function getGroupNameAsync(autoScaling, instanceId) {
+  return autoScaling.describeAutoScalingInstancesAsync({
+      InstanceIds: [instanceId]
+    })
+    .then(function (response) {
+      var autoScaleInstances = response && response.AutoScalingInstances;
+      if (!autoScaleInstances || autoScaleInstances.length < 1) {
+        return null;
+      }
+      return autoScaleInstances[0].AutoScalingGroupName;
+    });
+}
+
+/**
+ * Get the identifiers of the in-service instances of an Auto Scaling group
+ * @param   {AWS.AutoScaling} autoScaling Auto Scaling client
+ * @param   {string} groupName Auto Scaling group name
+ * @returns {Promise} Resolves with an array of instance identifiers
+ */
+function getGroupInstanceIdsAsync(autoScaling, groupName) {
+  return autoScaling.describeAutoScalingGroupsAsync({
+      AutoScalingGroupNames: [groupName]
+    })
+    .then(function (response) {
+      var instanceIds = [];
+      (response.AutoScalingGroups || []).forEach(function (group) {
+        (group.Instances || []).forEach(function (instance) {
+          if (instance.LifecycleState === 'InService') {
+            instanceIds.push(instance.InstanceId);
+          }
+        });
+      });
+      return instanceIds;
+    });
+}
+
+/**
+ * Get the classic load balancers and target groups attached to an Auto
+ * Scaling group, ignoring any being detached
+ * @param   {AWS.AutoScaling} autoScaling Auto Scaling client
+ * @param   {string} groupName Auto Scaling group name
+ * @returns {Promise} Resolves with `loadBalancerNames` and `targetGroupArns`
+ */
+function getAttachmentsAsync(autoScaling, groupName) {
+  return Promise.join(
+    autoScaling.describeLoadBalancersAsync({
+      AutoScalingGroupName: groupName
+    }),
+    autoScaling.describeLoadBalancerTargetGroupsAsync({
+      AutoScalingGroupName: groupName
+    }),
+    function (loadBalancers, targetGroups) {
+      return {
+        loadBalancerNames: (loadBalancers.LoadBalancers || [])
+          .filter(isAttached)
+          .map(function (loadBalancer) {
+            return loadBalancer.LoadBalancerName;
+          }),
+        targetGroupArns: (targetGroups.LoadBalancerTargetGroups || [])
+          .filter(isAttached)
+          .map(function (targetGroup) {
+            return targetGroup.LoadBalancerTargetGroupARN;
+          })
+      };
+    });
+}
+
+function isAttached(attachment) {
+  return DETACHING_STATES.indexOf(attachment.State) === -1;
+}
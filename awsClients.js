@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * Per-listener AWS client configuration
+ *
+ * A connection exposes the AWS service client constructors used by the
+ * Listener and Feeder (e.g. `new connection.SQS()`), each building its client
+ * with the connection's own region and credentials, rather than from the
+ * global `AWS.config`; one process can so watch queues in several
+ * accounts/regions.
+ **/
+
+// AWS service clients available on a connection
+var SERVICES = ['SQS', 'EC2', 'ELB', 'ELBv2', 'AutoScaling', 'SNS', 'CloudWatch', 'CloudWatchEvents'];
+
+module.exports.createConnection = exports.createConnection = createConnection;
+module.exports.getCredentials = exports.getCredentials = getCredentials;
+module.exports.getQueueRegion = exports.getQueueRegion = getQueueRegion;
+module.exports.getQueueAccount = exports.getQueueAccount = getQueueAccount;
+module.exports.describeClassicLoadBalancersAsync = exports.describeClassicLoadBalancersAsync =
+  describeClassicLoadBalancersAsync;
+
+/**
+ * Create an AWS connection
+ *
+ * Options:
+ *
+ *   - `region` {string} AWS region, default the region of `queue`, if any
+ *   - `queue` {string} SQS queue URL
+ *   - `credentials` {Object} static credentials: `accessKeyId`, `secretAccessKey`
+ *     and optionally `sessionToken`; default the AWS default credential
+ *     provider chain (environment, shared ini file, instance/container role)
+ *   - `roleArn` {string} IAM role to assume with STS, using the credentials above
+ *   - `externalId` {string} external identifier required to assume the role
+ *   - `roleSessionName` {string} assumed role session name, default seiso-aws-listener
+ *
+ * @param   {Object} AWS AWS SDK module
+ * @param   {Object} options Connection options
+ * @returns {Object} AWS service client constructors
+ */
+function createConnection(AWS, options) {
+  options = options || {};
+
+  var clientConfig = {};
+  var region = options.region || getQueueRegion(options.queue);
+  if (region) {
+    clientConfig.region = region;
+  }
+  var credentials = getCredentials(AWS, Object.assign({}, options, { region: region }));
+  if (credentials) {
+    clientConfig.credentials = credentials;
+  }
+
+  var connection = {
+    region: region,
+    config: clientConfig
+  };
+  SERVICES.forEach(function (service) {
+    connection[service] = function () {
+      return new AWS[service](clientConfig);
+    };
+  });
+  return connection;
+}
+
+/**
+ * Get the credentials of a connection
+ * @param   {Object} AWS AWS SDK module
+ * @param   {Object} options Connection options, see `createConnection`
+ * @returns {AWS.Credentials} Credentials, or undefined for the default provider chain
+ */
+function getCredentials(AWS, options) {
+  var credentials;
+  if (options.credentials && options.credentials.accessKeyId) {
+    credentials = new AWS.Credentials({
+      accessKeyId: options.credentials.accessKeyId,
+      secretAccessKey: options.credentials.secretAccessKey,
+      sessionToken: options.credentials.sessionToken
+    });
+  }
+
+  if (options.roleArn) {
+    var params = {
+      RoleArn: options.roleArn,
+      RoleSessionName: options.roleSessionName || 'seiso-aws-listener'
+    };
+    if (options.externalId) {
+      params.ExternalId = options.externalId;
+    }
+    credentials = new AWS.ChainableTemporaryCredentials({
+      params: params,
+      masterCredentials: credentials,
+      stsConfig: options.region ? { region: options.region } : undefined
+    });
+  }
+
+  return credentials;
+}
+
+/**
+ * Get the region of an SQS queue from its URL
+ * @param   {string} queue SQS queue URL, e.g. https://sqs.us-west-2.amazonaws.com/[account]/[name]
+ * @returns {string} AWS region, or undefined if not found
+ */
+function getQueueRegion(queue) {
+  var match = /^https?:\/\/sqs\.([a-z0-9-]+)\.amazonaws\.com/.exec(queue || '');
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Get the AWS account of an SQS queue from its URL
+ * @param   {string} queue SQS queue URL, e.g. https://sqs.us-west-2.amazonaws.com/[account]/[name]
+ * @returns {string} AWS account identifier, or undefined if not found
+ */
+function getQueueAccount(queue) {
+  var match = /^https?:\/\/[^/]+\/(\d{12})\//.exec(queue || '');
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Describe every classic load balancer, following `NextMarker` through the
+ * pages of results (up to 400 load balancers each)
+ * @param   {Object} elb ELB client, with a promisified `describeLoadBalancersAsync`
+ * @resolves {Array<Object>} Load balancer descriptions
+ */
+function describeClassicLoadBalancersAsync(elb) {
+  function describePage(marker, descriptions) {
+    return elb.describeLoadBalancersAsync(marker ? { Marker: marker } : {})
+      .then(function (response) {
+        descriptions = descriptions.concat(response.LoadBalancerDescriptions || []);
+        return response.NextMarker ? describePage(response.NextMarker, descriptions) : descriptions;
+      });
+  }
+  return describePage(null, []);
+}
@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Command-line interface for operating the service
+ *
+ * Usage: seiso-listener <command> --config <file> [options]
+ *
+ * Exit codes: 0 on success, 1 on failure (for replay, if any event failed
+ * or was discarded), 2 on invalid usage or configuration, 3 if rotation
+ * statuses are not in sync (status, and reconcile --dry-run).
+ **/
+
+var path = require('path');
+var Promise = require('bluebird');
+
+var ImportService = require('../index.js');
+var Config = require('../config.js');
+
+var EXIT_OK = 0,
+  EXIT_FAILURE = 1,
+  EXIT_INVALID = 2,
+  EXIT_DRIFT = 3;
+
+var USAGE = [
+  'Usage: seiso-listener <command> --config <file> [options]',
+  '',
+  'Commands:',
+  '  start                  run the listener and feeder until interrupted',
+  '  bootstrap              provision the SNS topic, event rules, SQS queue and permissions',
+  '  reconcile              run one reconciliation pass of every route',
+  '  status <instance-id>   compare the rotation status of an instance on AWS and in Seiso',
+  '  validate-config        check the configuration without connecting to AWS or Seiso',
+  '  replay <path>...       replay captured events (raw SQS messages, SNS notifications,',
+  '                         EventBridge events or dead-letter records) from files or',
+  '                         directories in event time order, while the service is stopped',
+  '',
+  'Options:',
+  '  --config <file>  service configuration module or JSON file',
+  '  --dry-run        reconcile, replay: report the changes instead of making them',
+  '  --route <name>   reconcile: only reconcile this route',
+  '  --queue <url>    replay: queue whose listener and routes replay the events',
+  '  --no-sort        replay: replay events in file order',
+  '  --json           print results as JSON',
+  '  --help           print this help',
+  '',
+  'Exit codes: 0 success, 1 failure, 2 invalid usage or configuration,',
+  '3 rotation statuses not in sync (status, reconcile --dry-run).',
+  'replay exits 1 if any event failed or was discarded.'
+].join('\n');
+
+var COMMANDS = {
+  'start': start,
+  'bootstrap': bootstrap,
+  'reconcile': reconcile,
+  'status': status,
+  'validate-config': validateConfig,
+  'replay': replay
+};
+
+function UsageError(message) {
+  this.name = 'UsageError';
+  this.message = message;
+}
+UsageError.prototype = Object.create(Error.prototype);
+
+function parseArgs(argv) {
+  var args = { positional: [], sort: true };
+  for (var i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--config':
+      case '--route':
+      case '--queue':
+        if (i + 1 >= argv.length) {
+          throw new UsageError('Missing value of ' + argv[i]);
+        }
+        args[argv[i].slice(2)] = argv[++i];
+        break;
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      case '--no-sort':
+        args.sort = false;
+        break;
+      case '--json':
+        args.json = true;
+        break;
+      case '--help':
+        args.help = true;
+        break;
+      default:
+        if (argv[i].indexOf('--') === 0) {
+          throw new UsageError('Unknown option ' + argv[i]);
+        }
+        args.positional.push(argv[i]);
+    }
+  }
+  args.command = args.positional.shift();
+  if (args.help) {
+    return args;
+  }
+  if (!COMMANDS.hasOwnProperty(args.command)) {
+    throw new UsageError(args.command ? 'Unknown command ' + args.command : 'A command is required');
+  }
+  if (!args.config) {
+    throw new UsageError('A configuration is required');
+  }
+  return args;
+}
+
+/**
+ * Load a configuration module or JSON file, with its environment variable
+ * overrides and defaults; logs go to stderr unless the configuration says
+ * otherwise, leaving stdout to results
+ * @throws {ConfigError} if the configuration is not valid
+ */
+function loadConfig(file, logToStderr, options) {
+  var config;
+  try {
+    config = require(path.resolve(file));
+  } catch (err) {
+    throw new UsageError('Cannot load configuration ' + file + ': ' + err.message);
+  }
+  return Config.load(logToStderr ? Object.assign({ logger: { stream: process.stderr } }, config) : config, options);
+}
+
+function print(args, result, format) {
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    format(result);
+  }
+}
+
+function start(args) {
+  var service = new ImportService(loadConfig(args.config, false));
+  return new Promise(function (resolve) {
+    service.start(function (err) {
+      if (err) {
+        console.error('Failed to start: ' + (err.message || JSON.stringify(err)));
+        return resolve(EXIT_FAILURE);
+      }
+      var stopping = false;
+      ['SIGINT', 'SIGTERM'].forEach(function (signal) {
+        process.on(signal, function () {
+          if (stopping) {
+            return;
+          }
+          stopping = true;
+          service.stop(function (err) {
+            resolve(err ? EXIT_FAILURE : EXIT_OK);
+          });
+        });
+      });
+    });
+  });
+}
+
+function bootstrap(args) {
+  var config = loadConfig(args.config, true, { bootstrap: true });
+  var service = new ImportService(config);
+  return service.bootstrap(config)
+    .then(function (result) {
+      print(args, result, function () {
+        console.log('Topic: %s', result.topicArn);
+        console.log('Queue: %s (%s)', result.queueUrl, result.queueArn);
+      });
+      return EXIT_OK;
+    }, function (err) {
+      console.error(err.message);
+      return err.validationErrors ? EXIT_INVALID : EXIT_FAILURE;
+    });
+}
+
+function reconcile(args) {
+  var service = new ImportService(loadConfig(args.config, true));
+  return service.reconcile({ route: args.route, dryRun: args.dryRun })
+    .then(function (summaries) {
+      print(args, summaries, function () {
+        summaries.forEach(function (summary) {
+          console.log('[%s] %d load balancer(s), %d node(s): %d drifted, %d %s, %d error(s)',
+            summary.route, summary.loadBalancers, summary.nodes, summary.drift, summary.changes.length,
+            summary.dryRun ? 'planned change(s)' : 'corrected', summary.errors.length);
+          summary.changes.forEach(function (change) {
+            console.log('  %s (%s): %s -> %s', change.node, change.instanceId,
+              change.currentStatus || 'none', change.desiredStatus);
+          });
+        });
+      });
+      if (summaries.some(summary => summary.errors.length > 0)) {
+        return EXIT_FAILURE;
+      }
+      return args.dryRun && summaries.some(summary => summary.drift > 0) ? EXIT_DRIFT : EXIT_OK;
+    });
+}
+
+function status(args) {
+  var instanceId = args.positional[0];
+  if (!instanceId) {
+    return Promise.reject(new UsageError('An instance identifier is required'));
+  }
+  var service = new ImportService(loadConfig(args.config, true));
+  return service.getInstanceStatus(instanceId)
+    .then(function (statuses) {
+      print(args, statuses, function () {
+        if (statuses.length === 0) {
+          console.log('Instance %s not found', instanceId);
+        }
+        statuses.forEach(function (status) {
+          console.log('[%s] %s (%s): AWS %s, Seiso %s%s', status.route, instanceId, status.state,
+            status.awsStatus || 'not load balanced', status.node ? status.seisoStatus || 'none' : 'no node',
+            status.inSync ? '' : ' - NOT IN SYNC');
+          Object.keys(status.loadBalancers).forEach(function (name) {
+            console.log('  %s: %s', name, status.loadBalancers[name] ? 'in service' : 'out of service');
+          });
+        });
+      });
+      if (statuses.length === 0) {
+        return EXIT_FAILURE;
+      }
+      return statuses.every(status => status.inSync) ? EXIT_OK : EXIT_DRIFT;
+    });
+}
+
+function validateConfig(args) {
+  var errors = [];
+  try {
+    loadConfig(args.config, true);
+  } catch (err) {
+    if (!(err instanceof Config.ConfigError)) {
+      throw err;
+    }
+    errors = err.errors;
+  }
+  print(args, { valid: errors.length === 0, errors: errors }, function () {
+    console.log(errors.length === 0 ? 'Configuration is valid' : 'Configuration is not valid:');
+    errors.forEach(error => console.log('  ' + error));
+  });
+  return Promise.resolve(errors.length === 0 ? EXIT_OK : EXIT_INVALID);
+}
+
+function replay(args) {
+  if (args.positional.length === 0) {
+    return Promise.reject(new UsageError('At least one file or directory of events is required'));
+  }
+  var service = new ImportService(loadConfig(args.config, true));
+  return service.replay(args.positional, { dryRun: args.dryRun, sort: args.sort, queue: args.queue })
+    .then(function (summary) {
+      print(args, summary, function () {
+        console.log('Replayed %d message(s)%s: %d processed, %d failed, %d discarded',
+          summary.messages, summary.dryRun ? ' (dry run)' : '',
+          summary.processed, summary.failed, summary.discarded);
+        console.log('%s %d change(s); %d rotation(s) unchanged',
+          summary.dryRun ? 'Planned' : 'Made', summary.changes.length, summary.unchanged);
+        summary.changes.forEach(function (change) {
+          console.log('  [%s] %s (%s): %s -> %s%s%s', change.route, change.node, change.instanceId,
+            change.currentStatus || 'none', change.desiredStatus,
+            change.registered ? ', registered' : '',
+            change.decommission ? ', decommission: ' + change.decommission : '');
+        });
+        summary.errors.forEach(function (error) {
+          console.log('  %s %s: %s', error.messageId, error.outcome, error.reason);
+        });
+      });
+      return summary.failed > 0 || summary.discarded > 0 ? EXIT_FAILURE : EXIT_OK;
+    });
+}
+
+function main(argv) {
+  var args;
+  return Promise.resolve()
+    .then(function () {
+      args = parseArgs(argv);
+      if (args.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+      }
+      return COMMANDS[args.command](args);
+    })
+    .catch(function (err) {
+      if (err instanceof UsageError) {
+        console.error(err.message);
+        console.error(USAGE);
+        return EXIT_INVALID;
+      }
+      if (err instanceof Config.ConfigError) {
+        console.error(err.message);
+        return EXIT_INVALID;
+      }
+      console.error((args ? args.command + ' failed: ' : '') + (err && err.message || JSON.stringify(err)));
+      return EXIT_FAILURE;
+    })
+    .then(function (code) {
+      // Open connections (e.g. kept alive) must not hold the process
+      process.exit(code);
+    });
+}
+
+main(process.argv.slice(2));
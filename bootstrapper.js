@@ -2,6 +2,11 @@
 
 var AWS = require('aws-sdk');
 var Promise = require('bluebird');
+var logger = require('./logger');
+var Config = require('./config');
+var AwsClients = require('./awsClients');
+
+var log = logger.getLogger('bootstrapper');
 
 var exports = module.exports = {
     execute: BootstrapHealthstateAws
@@ -18,104 +23,103 @@ var exports = module.exports = {
  * 7. Subscribe the topics
  */
 
-var validationErrors = [];
-var sns, sqs, cwe, elb, ec2;
+var sns, sqs, cw, cwe;
 var config;
 
 /**
  * Bootstrap Rotation Status Listener on startup
- * @param {Object} bootConfig Configuration parameters
- *                            region
+ * @param {Object} bootConfig Configuration parameters, with the environment
+ *                            variable overrides of config
+ *                            region; default the region of the queue URL
  *                            bootstrapperCredentials: {accessKeyId,
- *                            secretAccessKey}
+ *                            secretAccessKey}; default the AWS default
+ *                            credential provider chain
+ *                            listenerCredentials: {arn}, granted access to
+ *                            the queue when bootstrapperCredentials are set
  *                            topicArn
  *                            topicName
  *                            queueUrl
  *                            queuePrefix
  *                            queueName
+ *                            aws: optional stand-in for the AWS SDK module
  * @param {Function} callback   Notify on bootstrap complete
+ * @return {Promise} Resolves once bootstrapped, with the `topicArn`, and the
+ *                   `queueUrl` and `queueArn` of the listener queue
  */
 function BootstrapHealthstateAws(bootConfig, callback) {
-    validationErrors = [];
-    config = Object.freeze(bootConfig); // Make conf immutable, to protect against sideeffects
-
-    console.log("bootstrap config", config) // DON'T BOOTSTRAP YET
-    return;
+    config = Object.freeze(Config.resolve(bootConfig)); // Make conf immutable, to protect against sideeffects
 
-    if (!validateConfig(config)) {
+    log.debug('Bootstrap config', { config: config });
+    var validationErrors = Config.validate(config, { bootstrap: true });
+    if (validationErrors.length > 0) {
         var err = new Error("Config not valid:\n" + validationErrors.join("\n"));
-        if (callback && callback instanceof Function) {
-            process.nextTick(function () {
-                callback(err);
-            });
-            return;
-        } else {
-            throw err;
-        }
+        err.validationErrors = validationErrors;
+        return Promise.reject(err).asCallback(callback);
     }
 
-    configAWS(config);
-    defineAsyncConnectors(); // Assigns sns,sqs,cwe,elb,ec2
+    defineAsyncConnectors(configAWS(config)); // Assigns sns,sqs,cw,cwe
 
     var topicResolution = createTopic();
 
     var queueResolution = topicResolution
-        .then(createStatusAlarm)
-        .then(createCWRule)
+        .tap(createStatusAlarm)
+        .tap(createCWRule)
         .then(createQueue);
 
     var permissionGranted = Promise.join(topicResolution, queueResolution, grantOnTopic);
     var queueSubscribed = Promise.join(topicResolution, queueResolution, subscribe);
 
-    Promise.all([permissionGranted, queueSubscribed])
+    return Promise.all([permissionGranted, queueSubscribed])
         .then(function () {
-            if (callback && callback instanceof Function) {
-                process.nextTick(function () {
-                    callback();
-                });
-            }
+            return Promise.join(topicResolution, queueResolution, function (topicArn, queueIdentifiers) {
+                log.info('Bootstrapped', { topicArn: topicArn, queue: queueIdentifiers.url });
+                return {
+                    topicArn: topicArn,
+                    queueUrl: queueIdentifiers.url,
+                    queueArn: queueIdentifiers.arn
+                };
+            });
         })
         .catch(function (err) {
-            err = new Error("Bootstrap failure:\n" + validationErrors.join("\n"));
-            if (callback && callback instanceof Function) {
-                process.nextTick(function () {
-                    callback(err);
-                });
-                return;
-            } else {
-                throw err;
-            }
-        });
+            log.error('Bootstrap failure', { err: err });
+            return Promise.reject(new Error("Bootstrap failure:\n" + (err && err.message || err)));
+        })
+        .asCallback(callback);
 }
 
+/*
+ * Get the AWS client options of the bootstrapper
+ */
 function configAWS(config) {
-    AWS.config.update({
-        region: config.region
-    });
+    var queue = config.queueUrl || config.listener && config.listener.queue;
+    var options = {
+        region: config.region || AwsClients.getQueueRegion(queue)
+    };
 
-    var creds = config.bootstrapperCredentials || config.listenerCredentials;
-    AWS.config.update({
-        accessKeyId: creds.accessKeyId,
-        secretAccessKey: creds.secretAccessKey
-    });
+    var creds = config.bootstrapperCredentials;
+    if (creds) {
+        options.accessKeyId = creds.accessKeyId;
+        options.secretAccessKey = creds.secretAccessKey;
+    }
+    return options;
 }
 
 /*
  * Map Async connectors
  * Function has side effects
  */
-function defineAsyncConnectors() {
-    sns = new AWS.SNS();
-    sqs = new AWS.SQS();
-    cwe = new AWS.CWE();
-    elb = new AWS.ELB();
-    ec2 = new AWS.EC2();
+function defineAsyncConnectors(options) {
+    var aws = config.aws || AWS;
+    sns = new aws.SNS(options);
+    sqs = new aws.SQS(options);
+    cw = new aws.CloudWatch(options);
+    cwe = new aws.CloudWatchEvents(options);
 
     var wrap = Promise.promisify;
 
     sns.createTopicAsync = wrap(sns.createTopic);
     sns.subscribeAsync = wrap(sns.subscribe);
-    sns.addPermissionAsync = wrap(sns.add);
+    sns.addPermissionAsync = wrap(sns.addPermission);
     sns.getTopicAttributesAsync = wrap(sns.getTopicAttributes);
     sns.setTopicAttributesAsync = wrap(sns.setTopicAttributes);
 
@@ -124,7 +128,9 @@ function defineAsyncConnectors() {
     sqs.setQueueAttributesAsync = wrap(sqs.setQueueAttributes);
     sqs.addPermissionAsync = wrap(sqs.addPermission);
 
-    cwe.putRuleAsync = wrap(cwe.putRuleAsync);
+    cw.putMetricAlarmAsync = wrap(cw.putMetricAlarm);
+
+    cwe.putRuleAsync = wrap(cwe.putRule);
     cwe.putTargetsAsync = wrap(cwe.putTargets);
 }
 
@@ -134,16 +140,16 @@ function defineAsyncConnectors() {
 function createTopic() {
 
     if (config.topicArn) {
-        console.log("Topic already exists");
+        log.info('Topic already exists', { topicArn: config.topicArn });
         return Promise.resolve(config.topicArn);
     } else {
-        console.log("Creating topic");
+        log.info('Creating topic');
 
         return sns.createTopicAsync({
                 Name: config.topicName || "ec2-instance-health-status-failure"
             })
             .then(function (data) {
-                console.log("Topic created: ", data);
+                log.info('Topic created', { topicArn: data.TopicArn });
                 return (data.TopicArn);
             });
     }
@@ -162,11 +168,11 @@ function createTopic() {
 function createStatusAlarm(topicArn) {
     var alarmParams = {
         AlarmName: "seiso-ec2-instance-health-status-change",
-        CompariconOperator: "GreaterThanThreshold",
-        EvaluationPeriods: 0,
+        ComparisonOperator: "GreaterThanThreshold",
+        EvaluationPeriods: 1,
         MetricName: 'StatusCheckFailed',
         Namespace: 'AWS/EC2',
-        Period: 0,
+        Period: 60,
         Statistic: 'Sum',
         Threshold: 0.0,
         ActionsEnabled: true,
@@ -178,7 +184,8 @@ function createStatusAlarm(topicArn) {
         }],
         Unit: 'Count'
     };
-    return cw.putMetricAlarm(alarmParams)
+    log.info('Creating status check alarm');
+    return cw.putMetricAlarmAsync(alarmParams);
 }
 
 /*
@@ -194,11 +201,11 @@ function createStatusAlarm(topicArn) {
 function createHealthAlarm(topicArn) {
     var alarmParams = {
         AlarmName: "seiso-ec2-elb-health-status-alarm",
-        CompariconOperator: "GreaterThanThreshold",
-        EvaluationPeriods: 0,
+        ComparisonOperator: "GreaterThanThreshold",
+        EvaluationPeriods: 1,
         MetricName: 'StatusCheckFailed',
         Namespace: 'AWS/EC2',
-        Period: 0,
+        Period: 60,
         Statistic: 'Sum',
         Threshold: 0.0,
         ActionsEnabled: true,
@@ -212,14 +219,16 @@ function createHealthAlarm(topicArn) {
     };
     // Have to do all the loadbalancers. this another instance that it's wise 
     // to chunk my requests?
-    return cw.putMetricAlarm(alarmParams)
+    return cw.putMetricAlarmAsync(alarmParams);
 }
 
 /*
- * Create a CloudWatch Rule to apply the Alarm
+ * CloudWatch Event rules relaying rotation state changes to the topic
  */
-function createCWRule(topicArn) {
-    var eventPattern = {
+var EVENT_RULES = [{
+    name: "seiso-ec2-instance-health-status-failure",
+    description: "Watches for rotation state changes for AWS instances, for relay to Seeiso",
+    pattern: {
         "detail-type": [
         "AWS API Call via CloudTrail"
       ],
@@ -229,30 +238,90 @@ function createCWRule(topicArn) {
         ],
             "eventName": [
           "RegisterInstancesWithLoadBalancer",
-          "DeregisterInstancesWithLoadBalancer"
+          "DeregisterInstancesFromLoadBalancer",
+          "RegisterTargets",
+          "DeregisterTargets"
         ]
         }
-    };
-    var ruleName = "seiso-ec2-instance-health-status-failure";
-    return cwe.putRuleAsync({
-            Name: ruleName,
-            Description: "Watches for rotation state changes for AWS instances, for relay to Seeiso",
-            EventPattern: JSON.stringify(eventPattern)
-        })
-        .then(() => cwe.putTargetsAsync({ // Assign Topic as rule target
-            Rule: ruleName,
-            Targets: [
-                {
-                    Arn: topicArn,
-                    Id: 'default'
-            }
+    }
+}, {
+    name: "seiso-autoscaling-rotation-state-change",
+    description: "Watches for Auto Scaling group load balancing changes, for relay to Seiso",
+    pattern: {
+        "detail-type": [
+        "AWS API Call via CloudTrail"
+      ],
+        "detail": {
+            "eventSource": [
+          "autoscaling.amazonaws.com"
+        ],
+            "eventName": [
+          "AttachInstances",
+          "DetachInstances",
+          "EnterStandby",
+          "ExitStandby",
+          "AttachLoadBalancers",
+          "DetachLoadBalancers",
+          "AttachLoadBalancerTargetGroups",
+          "DetachLoadBalancerTargetGroups"
         ]
-        }))
-        .then(data => { // Configure Policy settings
-            if (data.FailedEntries && data.FailedEntries.length > 0) {
-                return Promise.reject(data.FailedEntries[0]);
-            }
-            console.log("Configuring SNS topic policy");
+        }
+    }
+}, {
+    name: "seiso-autoscaling-instance-lifecycle",
+    description: "Watches for Auto Scaling instance launch/termination, for relay to Seiso",
+    pattern: {
+        "source": [
+        "aws.autoscaling"
+      ],
+        "detail-type": [
+        "EC2 Instance Launch Successful",
+        "EC2 Instance Terminate Successful",
+        "EC2 Instance-terminate Lifecycle Action"
+      ]
+    }
+}, {
+    name: "seiso-ec2-instance-state-change",
+    description: "Watches for EC2 instance state changes and health failures, for relay to Seiso",
+    pattern: {
+        "source": [
+        "aws.ec2",
+        "aws.health"
+      ],
+        "detail-type": [
+        "EC2 Instance State-change Notification",
+        "EC2 Instance Health Failure Notification"
+      ]
+    }
+}];
+
+/*
+ * Create the CloudWatch Rules to apply the Alarm
+ */
+function createCWRule(topicArn) {
+    return Promise.mapSeries(EVENT_RULES, function (rule) {
+            return cwe.putRuleAsync({
+                    Name: rule.name,
+                    Description: rule.description,
+                    EventPattern: JSON.stringify(rule.pattern)
+                })
+                .then(() => cwe.putTargetsAsync({ // Assign Topic as rule target
+                    Rule: rule.name,
+                    Targets: [
+                        {
+                            Arn: topicArn,
+                            Id: 'default'
+                    }
+                ]
+                }))
+                .then(data => {
+                    if (data.FailedEntries && data.FailedEntries.length > 0) {
+                        return Promise.reject(data.FailedEntries[0]);
+                    }
+                });
+        })
+        .then(() => { // Configure Policy settings
+            log.info('Configuring SNS topic policy');
 
             return sns.getTopicAttributesAsync({
                 TopicArn: topicArn
@@ -269,13 +338,14 @@ function createCWRule(topicArn) {
                 'Sid': 'TrustCWEToPublishEventsToMyTopic'
             };
 
-            var policy = JSON.parse(data.Attributes.Policy);
+            var policy = JSON.parse(data.Attributes.Policy || '{}');
             if (!policy.Statement ||
                 !Array.isArray(policy.Statement) ||
                 !policy.Statement.some(function (statement) {
                     return statement.Sid === 'TrustCWEToPublishEventsToMyTopic';
                 })) {
-                console.log('Creating policy statement for event publishing');
+                log.info('Creating policy statement for event publishing');
+                policy.Version = policy.Version || '2012-10-17';
                 policy.Statement = policy.Statement || [];
                 policy.Statement.push(eventPublishingStatement);
                 return sns.setTopicAttributesAsync({
@@ -297,17 +367,17 @@ function createQueue() {
     // Set up SQS queue creation, if it wasn't passed in
     var createQueueIfRequired;
     if (config.queueUrl) {
-        console.log('Queue already exists');
+        log.info('Queue already exists', { queue: config.queueUrl });
         createQueueIfRequired = Promise.resolve(config.queueUrl);
     } else {
         var queueName = getQueueName(config);
-        console.log('Queue ' + queueName + ' will be created');
+        log.info('Queue will be created', { queueName: queueName });
 
         createQueueIfRequired = sqs.createQueueAsync({
                 QueueName: queueName
             })
             .then(function (data) {
-                console.log('Queue created: ', data);
+                log.info('Queue created', { queue: data.QueueUrl });
                 return data.QueueUrl;
             });
     }
@@ -315,13 +385,13 @@ function createQueue() {
     // Set up SQS Queue ARN retrieval
     return createQueueIfRequired
         .then(function (queueUrl) {
-            console.log('Retrieving queue ARN');
+            log.info('Retrieving queue ARN');
             return sqs.getQueueAttributesAsync({
                     QueueUrl: queueUrl,
                     AttributeNames: ['QueueArn']
                 })
                 .then(function (data) {
-                    console.log('Retrieved queue ARN ' + data.Attributes.QueueArn + ' for queue URL ' + queueUrl);
+                    log.info('Retrieved queue ARN', { queueArn: data.Attributes.QueueArn, queue: queueUrl });
                     return {
                         url: queueUrl,
                         arn: data.Attributes.QueueArn
@@ -335,7 +405,7 @@ function createQueue() {
  */
 function grantOnTopic(topicArn, queueIdentifiers) {
     // Set up SQS permissions, if needed
-    console.log('Creating topic permissions to write to queue');
+    log.info('Creating topic permissions to write to queue');
     var policy = {
         'Version': '2012-10-17',
         'Id': queueIdentifiers.arn + '/SQSDefaultPolicy',
@@ -357,9 +427,9 @@ function grantOnTopic(topicArn, queueIdentifiers) {
 
     // Set up listener permissions to consume processing queue
     if (!config.bootstrapperCredentials) {
-        console.log('Not setting up listener permissions; listener owns queue');
+        log.info('Not setting up listener permissions; listener owns queue');
     } else {
-        console.log('Listener permissions will be configured');
+        log.info('Listener permissions will be configured');
         policy.Statement.push({
             'Sid': 'Sid' + (new Date().getTime() + 1),
             'Effect': 'Allow',
@@ -392,7 +462,7 @@ function grantOnQueue() {}
  */
 function subscribe(topicArn, queueIdentifiers) {
     // Set up queue subscription to topic
-    console.log('Adding topic subscription');
+    log.info('Adding topic subscription');
     return sns.subscribeAsync({
         TopicArn: topicArn,
         Protocol: 'sqs',
@@ -400,24 +470,6 @@ function subscribe(topicArn, queueIdentifiers) {
     });
 }
 
-function validateConfig(config) {
-    var failure = validationErrors.push;
-    if (!config) {
-        failure('Config missing but required');
-        return false;
-    }
-
-    if (!config.creds) {
-        failure("Listener/Feeder Credentials not provided");
-    }
-
-    if (!config.arn) {
-        failure("Credentials incomplete");
-    }
-
-    return (validationErrors.length === 0);
-}
-
 /*
  * Generate a Queue name if necessary and appropriate
  */
@@ -461,4 +513,3 @@ function getQueueName(config) {
 
     return queueName;
 }
-console.log("is this running bootstrapper?")
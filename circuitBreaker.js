@@ -0,0 +1,130 @@
+'use strict';
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var Promise = require('bluebird');
+
+var CLOSED = 'closed',
+  OPEN = 'open',
+  HALF_OPEN = 'half-open';
+
+var CircuitBreaker = exports = module.exports = createCircuitBreaker;
+util.inherits(CircuitBreaker, EventEmitter);
+
+CircuitBreaker.CircuitOpenError = CircuitOpenError;
+
+/**
+ * Create a circuit breaker, failing calls fast while a dependency is
+ * unavailable
+ *
+ * The circuit opens after `failureThreshold` consecutive failures; calls
+ * are then rejected with a `CircuitOpenError`, without being made, until
+ * `resetTimeout` has passed. The circuit is then half-open: calls are made
+ * again, and the first outcome closes or re-opens it. Every change of state
+ * is emitted as an event: `open`, `half-open` or `close`.
+ *
+ * Options:
+ *
+ *   - `name` {string} name of the dependency, for errors and logs
+ *   - `failureThreshold` {number} consecutive failures opening the circuit, default 5
+ *   - `resetTimeout` {number} milliseconds before an open circuit is half-open,
+ *     default 30000
+ *
+ * @param   {Object} options Circuit breaker options
+ * @returns {Object} Circuit breaker
+ */
+function createCircuitBreaker(options) {
+  if (!(this instanceof CircuitBreaker)) { return new CircuitBreaker(options); }
+  EventEmitter.call(this);
+  var self = this;
+  options = options || {};
+
+  self.name = options.name || 'dependency';
+  self.failureThreshold = options.failureThreshold || 5;
+  self.resetTimeout = options.resetTimeout === undefined ? 30000 : options.resetTimeout;
+  self.state = CLOSED;
+  self.failures = 0;
+  self.openedAt = null;
+  self.resetTimer = null;
+
+  return self;
+}
+
+/**
+ * Make a call through the circuit
+ * @param   {Function} call Function making the call, returning a promise
+ * @param   {Function} isFailure Whether an error of the call counts as a
+ *   failure of the dependency, default any error
+ * @returns {Promise} Outcome of the call, or rejects with a CircuitOpenError
+ */
+CircuitBreaker.prototype.execute = function execute(call, isFailure) {
+  var self = this;
+
+  if (self.state === OPEN) {
+    return Promise.reject(new CircuitOpenError(self.name, self.openedAt));
+  }
+  return Promise.try(call)
+    .then(function (result) {
+      self.recordSuccess();
+      return result;
+    }, function (err) {
+      if (!isFailure || isFailure(err)) {
+        self.recordFailure();
+      } else {
+        self.recordSuccess();
+      }
+      return Promise.reject(err);
+    });
+};
+
+CircuitBreaker.prototype.recordSuccess = function recordSuccess() {
+  this.failures = 0;
+  if (this.state !== CLOSED) {
+    this.setState(CLOSED);
+  }
+};
+
+CircuitBreaker.prototype.recordFailure = function recordFailure() {
+  this.failures++;
+  if (this.state === HALF_OPEN || (this.state === CLOSED && this.failures >= this.failureThreshold)) {
+    this.open();
+  }
+};
+
+CircuitBreaker.prototype.open = function open() {
+  var self = this;
+
+  self.openedAt = new Date();
+  clearTimeout(self.resetTimer);
+  self.resetTimer = setTimeout(function () {
+    self.resetTimer = null;
+    self.setState(HALF_OPEN);
+  }, self.resetTimeout);
+  // An open circuit does not keep the process running
+  if (self.resetTimer.unref) {
+    self.resetTimer.unref();
+  }
+  self.setState(OPEN);
+};
+
+CircuitBreaker.prototype.setState = function setState(state) {
+  if (state === CLOSED) {
+    clearTimeout(this.resetTimer);
+    this.resetTimer = null;
+    this.openedAt = null;
+  }
+  this.state = state;
+  this.emit(state === CLOSED ? 'close' : state, this);
+};
+
+/**
+ * Error of a call rejected by an open circuit
+ * @param {string} name Name of the dependency
+ * @param {Date} openedAt Time the circuit opened
+ */
+function CircuitOpenError(name, openedAt) {
+  Error.captureStackTrace(this, CircuitOpenError);
+  this.name = 'CircuitOpenError';
+  this.code = 'ECIRCUITOPEN';
+  this.message = name + ' is unavailable; circuit open since ' + openedAt.toISOString();
+}
+util.inherits(CircuitOpenError, Error);
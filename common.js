@@ -1,4 +1,7 @@
 'use strict';
+var logger = require('./logger');
+
+var log = logger.getLogger('common');
 
 module.exports.getProtocolFromPort = exports.getProtocolFromPort = getProtocolFromPort;
 module.exports.sleepUntil = exports.sleepUntil = sleepUntil;
@@ -52,7 +55,7 @@ function sleepUntil(test, callback, interval, maxWaitTime) {
       callback(null);
     }
     else if (maxWaitTime >= 0 && waitUntil <= new Date()) {
-      console.log('Waited too long; continuing...');
+      log.warn('Waited too long; continuing...');
       callback({
         message: 'Timed out waiting for operation to complete'
       });
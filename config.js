@@ -0,0 +1,537 @@
+'use strict';
+var path = require('path');
+var util = require('util');
+
+var AwsClients = require('./awsClients');
+var Decommissioner = require('./decommissioner');
+var seisoCredentials = require('./seisoCredentials');
+
+/**
+ * Service configuration: schema, defaults, environment variable overrides
+ * and validation
+ *
+ * Each setting of the schema has a `type` (or Array of types), and
+ * optionally:
+ *   `default` value of the setting when not given
+ *   `min`/`max` bounds of a number
+ *   `values` allowed values
+ *   `env` environment variable(s) overriding the setting; the first one set wins
+ *   `fields` settings of a section, or `items` schema of the items of a list
+ *   `check` function throwing if the value is not valid, called with the
+ *      value and its index in a list
+ *
+ * Defaults only apply within sections which are given, so that route
+ * sections keep falling back to the top-level ones (see routes). Settings
+ * outside the schema are kept as given.
+ **/
+
+var LISTENER = {
+  type: 'object',
+  fields: {
+    queue: { type: 'string', check: checkUrl },
+    region: { type: 'string' },
+    credentials: {
+      type: 'object',
+      fields: {
+        accessKeyId: { type: 'string' },
+        secretAccessKey: { type: 'string' },
+        sessionToken: { type: 'string' }
+      }
+    },
+    roleArn: { type: 'string' },
+    externalId: { type: 'string' },
+    roleSessionName: { type: 'string', default: 'seiso-aws-listener' },
+    batchSize: { type: 'number', min: 1, max: 10, default: 10 },
+    concurrency: { type: 'number', min: 1, default: 10 },
+    pollTimeout: { type: 'number', min: 1, max: 20, default: 20 },
+    processingTimeout: { type: 'number', min: 1, max: 43200 },
+    maxReceiveCount: { type: 'number', min: 1, default: 5 },
+    retryDelay: { type: 'number', min: 1, default: 30 },
+    maxRetryDelay: { type: 'number', min: 1, max: 43200, default: 900 },
+    deadLetter: {
+      type: 'object',
+      fields: {
+        queue: { type: 'string', check: checkUrl },
+        file: { type: 'string' }
+      }
+    }
+  }
+};
+
+var SEISO_CLIENT = {
+  type: 'object',
+  check: checkSeisoCredentials,
+  fields: {
+    url: { type: 'string', check: checkUrl },
+    username: { type: 'string' },
+    password: { type: 'string' },
+    token: { type: 'string' },
+    credentials: { type: ['object', 'function'] },
+    maxItems: { type: 'number', min: 1 },
+    timeout: { type: 'number', min: 1, default: 30000 },
+    retry: {
+      type: 'object',
+      fields: {
+        retries: { type: 'number', min: 0, default: 3 },
+        minDelay: { type: 'number', min: 0, default: 200 },
+        maxDelay: { type: 'number', min: 0, default: 10000 }
+      }
+    },
+    circuitBreaker: {
+      type: 'object',
+      fields: {
+        failureThreshold: { type: 'number', min: 1, default: 5 },
+        resetTimeout: { type: 'number', min: 0, default: 30000 }
+      }
+    }
+  }
+};
+
+var FEEDER = {
+  type: 'object',
+  fields: {
+    pollInterval: { type: 'number', min: 1, default: 300 },
+    loadBalancerType: { type: 'string', default: 'aws' },
+    concurrency: { type: 'number', min: 1, default: 5 },
+    dryRun: { type: 'boolean', default: false }
+  }
+};
+
+// Mappers are only checked for their shape here: they are built, running any
+// custom mapper code, when the service starts (see orchestrator)
+var MAPPING = {
+  type: 'object',
+  fields: {
+    tagName: { type: 'string' },
+    attribute: { type: 'string' },
+    propertyName: { type: 'string' },
+    transform: { type: ['string', 'array', 'function'] },
+    values: { type: 'object' }
+  }
+};
+
+var MAPPER = {
+  type: ['object', 'array'],
+  items: MAPPING,
+  fields: {
+    serviceTagKey: { type: 'string' },
+    environmentTagKey: { type: 'string' },
+    portsTagKey: { type: 'string' },
+    defaultPorts: { type: 'array', items: { type: 'number' } },
+    mappings: { type: 'array', items: MAPPING }
+  }
+};
+
+var CUSTOM_MAPPER = {
+  type: ['object', 'function'],
+  check: checkCustomMapper,
+  fields: {
+    mapper: { type: ['object', 'function'] },
+    path: { type: 'string' },
+    name: { type: 'string' },
+    timeout: { type: 'number', min: 1 }
+  }
+};
+
+var DECOMMISSION_POLICY = { type: 'string', values: Decommissioner.POLICIES };
+
+var ROUTE = {
+  type: 'object',
+  fields: {
+    name: { type: 'string' },
+    listener: LISTENER,
+    seisoClient: SEISO_CLIENT,
+    feeder: FEEDER,
+    // Without defaults: route settings not given fall back to the top-level ones
+    registerInstances: { type: 'boolean' },
+    decommission: {
+      type: 'object',
+      fields: {
+        policy: DECOMMISSION_POLICY,
+        gracePeriod: { type: 'number', min: 0 }
+      }
+    },
+    filter: {
+      type: 'object',
+      fields: {
+        account: { type: ['string', 'array'] },
+        region: { type: ['string', 'array'] },
+        tags: { type: 'object' }
+      }
+    }
+  }
+};
+
+var SCHEMA = {
+  type: 'object',
+  fields: {
+    listener: withEnv(LISTENER, { queue: 'AWS_SQS_QUEUE_URL' }),
+    seisoClient: withEnv(SEISO_CLIENT, {
+      url: 'SEISO_URL',
+      username: 'SEISO_USERNAME',
+      password: 'SEISO_PASSWORD',
+      token: 'SEISO_TOKEN',
+      timeout: 'SEISO_TIMEOUT'
+    }),
+    feeder: withEnv(FEEDER, {
+      pollInterval: 'SEISO_POLL_INTERVAL',
+      dryRun: 'SEISO_DRY_RUN'
+    }),
+    routes: { type: 'array', items: ROUTE },
+    registerInstances: { type: 'boolean', default: false },
+    decommission: {
+      type: 'object',
+      fields: {
+        policy: Object.assign({ default: 'rotate-out' }, DECOMMISSION_POLICY),
+        gracePeriod: { type: 'number', min: 0, default: 0 },
+        stateFile: { type: 'string' },
+        checkInterval: { type: 'number', min: 1, default: 60 }
+      }
+    },
+    statusServer: {
+      type: 'object',
+      fields: {
+        port: { type: 'number', min: 0, max: 65535, default: 8080, env: 'SEISO_STATUS_PORT' },
+        host: { type: 'string' },
+        maxPollAge: { type: 'number', min: 1, default: 120 }
+      }
+    },
+    metrics: {
+      type: 'object',
+      fields: {
+        port: { type: 'number', min: 0, max: 65535, default: 9090, env: 'SEISO_METRICS_PORT' },
+        host: { type: 'string' },
+        path: { type: 'string', default: '/metrics' }
+      }
+    },
+    logger: {
+      type: 'object',
+      fields: {
+        level: { type: 'string', values: ['debug', 'info', 'warn', 'error'], env: 'SEISO_LOG_LEVEL' }
+      }
+    },
+    mapper: MAPPER,
+    customMappers: { type: 'array', items: CUSTOM_MAPPER },
+    aws: { type: ['object', 'function'] },
+
+    // Bootstrap settings, see bootstrapper
+    region: { type: 'string', env: ['AWS_REGION', 'AWS_DEFAULT_REGION'] },
+    bootstrapperCredentials: {
+      type: 'object',
+      fields: {
+        accessKeyId: { type: 'string' },
+        secretAccessKey: { type: 'string' }
+      }
+    },
+    listenerCredentials: {
+      type: 'object',
+      fields: {
+        accessKeyId: { type: 'string' },
+        secretAccessKey: { type: 'string' },
+        region: { type: 'string' },
+        arn: { type: 'string' }
+      }
+    },
+    topicArn: { type: 'string', env: 'AWS_SNS_TOPIC_ARN' },
+    topicName: { type: 'string' },
+    queueUrl: { type: 'string', env: 'AWS_SQS_QUEUE_URL', check: checkUrl },
+    queueName: { type: 'string' },
+    queuePrefix: { type: 'string' }
+  }
+};
+
+module.exports.SCHEMA = exports.SCHEMA = SCHEMA;
+module.exports.load = exports.load = load;
+module.exports.resolve = exports.resolve = resolve;
+module.exports.validate = exports.validate = validate;
+module.exports.ConfigError = exports.ConfigError = ConfigError;
+
+/**
+ * Load a configuration: resolve its environment overrides and defaults,
+ * and validate it
+ *
+ * Options:
+ *   `env` {Object} environment variables, default process.env
+ *   `bootstrap` {Boolean} validate the bootstrap settings instead of the
+ *      service ones
+ *
+ * @param   {string|Object} source Configuration module or JSON file, or the
+ *   configuration itself
+ * @param   {Object} options Load options, see above
+ * @returns {Object} Resolved configuration
+ * @throws  {ConfigError} with every validation error
+ */
+function load(source, options) {
+  var config = source;
+  if (typeof source === 'string') {
+    var file = path.resolve(source);
+    try {
+      // Read the file again if loaded before, e.g. after changing it
+      delete require.cache[require.resolve(file)];
+      config = require(file);
+    } catch (err) {
+      throw new ConfigError(['Cannot load configuration ' + source + ': ' + err.message]);
+    }
+  }
+
+  var resolved = resolve(config, options);
+  var errors = validate(resolved, options);
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+  return resolved;
+}
+
+/**
+ * Copy a configuration, with its environment variable overrides and
+ * defaults; the configuration given is left unchanged
+ * @param   {Object} config Configuration
+ * @param   {Object} options `env` variables, default process.env
+ * @returns {Object} Resolved configuration, not validated
+ */
+function resolve(config, options) {
+  var env = options && options.env || process.env;
+  var resolved = copy(SCHEMA, config || {});
+  if (isPlainObject(resolved)) {
+    // With routes, route sections (e.g. seisoClient) are only overridden
+    // where given: one made of overrides alone would stand in for the routes' own
+    var routes = Array.isArray(resolved.routes) && resolved.routes.length > 0;
+    applyEnv(SCHEMA, resolved, env, routes ? Object.keys(ROUTE.fields) : []);
+    applyDefaults(SCHEMA, resolved);
+  }
+  return resolved;
+}
+
+/**
+ * Validate a configuration against the schema, and check the settings
+ * required by each route (or by bootstrapping)
+ * @param   {Object} config Configuration
+ * @param   {Object} options `bootstrap` to check the bootstrap settings
+ * @returns {Array<string>} Validation errors, naming the setting; empty if valid
+ */
+function validate(config, options) {
+  if (!isPlainObject(config)) {
+    return ['The configuration must be an object'];
+  }
+
+  var errors = [];
+  checkValue(SCHEMA, config, '', undefined, errors);
+  if (options && options.bootstrap) {
+    checkBootstrap(config, errors);
+  } else {
+    checkRoutes(config, errors);
+  }
+  return errors;
+}
+
+/**
+ * Invalid configuration
+ * @param {Array<string>} errors Validation errors
+ */
+function ConfigError(errors) {
+  Error.captureStackTrace(this, ConfigError);
+  this.name = 'ConfigError';
+  this.errors = errors;
+  this.message = 'Invalid configuration:\n  ' + errors.join('\n  ');
+}
+util.inherits(ConfigError, Error);
+
+function checkRoutes(config, errors) {
+  var routes = Array.isArray(config.routes) && config.routes.length > 0 ? config.routes : [null];
+  routes.forEach(function (route, index) {
+    requireSetting(config, route, index, 'listener', 'queue', errors);
+    requireSetting(config, route, index, 'seisoClient', 'url', errors);
+  });
+}
+
+function requireSetting(config, route, index, section, field, errors) {
+  var settings = route && route[section] || config[section];
+  if (settings && settings[field]) {
+    return;
+  }
+  if (!route) {
+    errors.push(section + '.' + field + ' is required');
+  } else if (route[section]) {
+    errors.push('routes[' + index + '].' + section + '.' + field + ' is required');
+  } else {
+    errors.push('routes[' + index + '].' + section + '.' + field + ' or ' + section + '.' + field + ' is required');
+  }
+}
+
+function checkBootstrap(config, errors) {
+  var queue = config.queueUrl || config.listener && config.listener.queue;
+  if (!config.region && !AwsClients.getQueueRegion(queue)) {
+    errors.push('region is required, unless the queue URL names it');
+  }
+
+  var credentials = config.bootstrapperCredentials;
+  if (credentials && (!credentials.accessKeyId || !credentials.secretAccessKey)) {
+    errors.push('bootstrapperCredentials require an accessKeyId and a secretAccessKey');
+  }
+  if (credentials && !(config.listenerCredentials && config.listenerCredentials.arn)) {
+    errors.push('listenerCredentials.arn is required with bootstrapperCredentials, to grant the listener access to the queue');
+  }
+}
+
+function checkValue(schema, value, name, index, errors) {
+  if (value === undefined || value === null) {
+    return;
+  }
+  var types = [].concat(schema.type);
+  if (!types.some(type => hasType(value, type))) {
+    errors.push(name + ' must be ' + types.map(type => /^[aeiou]/.test(type) ? 'an ' + type : 'a ' + type).join(' or '));
+    return;
+  }
+  if (schema.values && schema.values.indexOf(value) === -1) {
+    errors.push(name + ' must be one of ' + schema.values.join(', '));
+  }
+  if (schema.min !== undefined && value < schema.min) {
+    errors.push(name + ' must be at least ' + schema.min);
+  }
+  if (schema.max !== undefined && value > schema.max) {
+    errors.push(name + ' must be at most ' + schema.max);
+  }
+  if (schema.fields && isPlainObject(value)) {
+    Object.keys(schema.fields).forEach(function (field) {
+      checkValue(schema.fields[field], value[field], name ? name + '.' + field : field, undefined, errors);
+    });
+  }
+  if (schema.items && Array.isArray(value)) {
+    value.forEach(function (item, index) {
+      checkValue(schema.items, item, name + '[' + index + ']', index, errors);
+    });
+  }
+  if (schema.check) {
+    try {
+      schema.check(value, index);
+    } catch (err) {
+      errors.push(name + ': ' + err.message);
+    }
+  }
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function checkUrl(url) {
+  if (!/^https?:\/\/\S+$/.test(url)) {
+    throw new Error('not an http(s) URL');
+  }
+}
+
+function checkCustomMapper(options) {
+  if (typeof options === 'function' || typeof options.map === 'function') {
+    return;
+  }
+  if (!options.mapper && !options.path) {
+    throw new Error('a mapper, a path or a map method is required');
+  }
+}
+
+function checkSeisoCredentials(options) {
+  if (!seisoCredentials.createProvider(options)) {
+    throw new Error('a token, a username and password, or credentials are required');
+  }
+}
+
+/*
+ * Copy the sections and lists of the schema, so that resolving leaves the
+ * configuration given unchanged; other values, e.g. logger objects, are shared
+ */
+function copy(schema, value) {
+  if (schema.fields && isPlainObject(value)) {
+    var copied = Object.assign({}, value);
+    Object.keys(schema.fields).forEach(function (field) {
+      if (copied[field] !== undefined) {
+        copied[field] = copy(schema.fields[field], copied[field]);
+      }
+    });
+    return copied;
+  }
+  if (schema.items && Array.isArray(value)) {
+    return value.map(item => copy(schema.items, item));
+  }
+  return value;
+}
+
+function applyEnv(schema, settings, env, givenOnly) {
+  Object.keys(schema.fields).forEach(function (field) {
+    var fieldSchema = schema.fields[field];
+    var variable = [].concat(fieldSchema.env || []).find(name => env[name] !== undefined && env[name] !== '');
+    if (variable) {
+      settings[field] = parseEnv(fieldSchema, env[variable]);
+    } else if (fieldSchema.fields && hasEnv(fieldSchema, env)) {
+      if (settings[field] === undefined && givenOnly.indexOf(field) === -1) {
+        settings[field] = {};
+      }
+      // Sections which are not plain objects, e.g. logger objects, are kept
+      if (isPlainObject(settings[field])) {
+        applyEnv(fieldSchema, settings[field], env, []);
+      }
+    }
+  });
+}
+
+function hasEnv(schema, env) {
+  return Object.keys(schema.fields).some(function (field) {
+    var fieldSchema = schema.fields[field];
+    return [].concat(fieldSchema.env || []).some(name => env[name] !== undefined && env[name] !== '') ||
+      !!fieldSchema.fields && hasEnv(fieldSchema, env);
+  });
+}
+
+/*
+ * Parse an environment variable as the type of its setting; values which
+ * cannot be parsed are kept, and fail validation
+ */
+function parseEnv(schema, value) {
+  if (schema.type === 'number' && value.trim() !== '' && isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && /^(true|false)$/i.test(value)) {
+    return value.toLowerCase() === 'true';
+  }
+  return value;
+}
+
+function applyDefaults(schema, settings) {
+  Object.keys(schema.fields).forEach(function (field) {
+    var fieldSchema = schema.fields[field];
+    if (settings[field] === undefined && fieldSchema.default !== undefined) {
+      settings[field] = fieldSchema.default;
+    } else if (fieldSchema.fields && isPlainObject(settings[field])) {
+      applyDefaults(fieldSchema, settings[field]);
+    } else if (fieldSchema.items && fieldSchema.items.fields && Array.isArray(settings[field])) {
+      settings[field].filter(isPlainObject).forEach(item => applyDefaults(fieldSchema.items, item));
+    }
+  });
+}
+
+/*
+ * Add environment variables to the settings of a section
+ */
+function withEnv(section, variables) {
+  var fields = {};
+  Object.keys(section.fields).forEach(function (field) {
+    fields[field] = variables[field] ? Object.assign({ env: variables[field] }, section.fields[field]) : section.fields[field];
+  });
+  return Object.assign({}, section, { fields: fields });
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  var prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
@@ -0,0 +1,130 @@
+'use strict';
+var util = require('util');
+var Promise = require('bluebird');
+
+/**
+ * Custom mappers
+ *
+ * A custom mapper translates the Seiso node of an instance to suit your
+ * infrastructure, e.g. looking up its owner in a CMDB. Its `map` method
+ * takes the node and returns the mapped node; optional `start` and `stop`
+ * methods set up and free its resources. Each method may take a node-style
+ * callback, return a promise, or return its result synchronously; methods
+ * declaring a parameter for the callback must call it.
+ **/
+
+// Milliseconds a custom mapper method may take, by default
+var DEFAULT_TIMEOUT = 10000;
+
+module.exports.createCustomMapper = exports.createCustomMapper = createCustomMapper;
+module.exports.mapAsync = exports.mapAsync = mapAsync;
+module.exports.CustomMapperError = exports.CustomMapperError = CustomMapperError;
+
+/**
+ * Create a custom mapper from its configuration, one of:
+ *
+ *   - a mapper object, with a `map` method
+ *   - a factory function or constructor, called with no config
+ *   - `{ mapper: mapper, name: name, config: config, timeout: timeout }` where
+ *     `mapper` is a mapper object, or a factory function or constructor called
+ *     with `config`
+ *   - `{ path: path, name: name, config: config, timeout: timeout }` where
+ *     `path` is required for a factory function or constructor
+ *
+ * `timeout` is the milliseconds each method may take, default 10000; `name`
+ * defaults to the mapper's own `name`.
+ *
+ * @param   {Object|Function} options Custom mapper configuration
+ * @param   {number} index Position of the mapper, naming it if unnamed
+ * @returns {Object} Custom mapper, with `name`, `startAsync`, `stopAsync` and
+ *   `mapAsync`
+ */
+function createCustomMapper(options, index) {
+  if (typeof options === 'function' || typeof options.map === 'function') {
+    options = { mapper: options };
+  }
+  var mapper = options.mapper || require(options.path);
+  if (typeof mapper === 'function') {
+    // Constructors and factory functions both return the mapper when called
+    // with new; arrow and async functions cannot be
+    mapper = mapper.prototype ? new mapper(options.config) : mapper(options.config);
+  }
+  if (!mapper || typeof mapper.map !== 'function') {
+    throw new Error('Custom mapper ' + (options.name || options.path || index) + ' has no map method');
+  }
+
+  var name = options.name || mapper.name || 'customMapper' + index;
+  var timeout = options.timeout || DEFAULT_TIMEOUT;
+
+  function call(method, args) {
+    if (typeof mapper[method] !== 'function') {
+      return Promise.resolve();
+    }
+    var takesCallback = mapper[method].length > args.length;
+    return new Promise(function (resolve, reject) {
+        var result = mapper[method].apply(mapper, args.concat(function (err, value) {
+          return err ? reject(err) : resolve(value);
+        }));
+        if (result && typeof result.then === 'function') {
+          result.then(resolve, reject);
+        } else if (!takesCallback) {
+          resolve(result);
+        }
+      })
+      .timeout(timeout, method + ' timed out after ' + timeout + 'ms')
+      .catch(function (err) {
+        return Promise.reject(new CustomMapperError(name, method, err));
+      });
+  }
+
+  return {
+    name: name,
+    startAsync: function () {
+      return call('start', []);
+    },
+    stopAsync: function () {
+      return call('stop', []);
+    },
+    mapAsync: function (node) {
+      return call('map', [node])
+        .then(function (mapped) {
+          if (!mapped) {
+            return Promise.reject(new CustomMapperError(name, 'map', new Error('no node returned')));
+          }
+          return mapped;
+        });
+    }
+  };
+}
+
+/**
+ * Map a node through custom mappers in turn, the output of each being the
+ * input of the next
+ * @param   {Array} mappers Custom mappers, see createCustomMapper
+ * @param   {Object} node Seiso node
+ * @param   {Object} log Logger
+ * @returns {Promise} Resolves with the mapped node, or rejects with a
+ *   CustomMapperError
+ */
+function mapAsync(mappers, node, log) {
+  return Promise.reduce(mappers, function (node, mapper) {
+    log.debug('Calling custom mapper', { mapper: mapper.name });
+    return mapper.mapAsync(node);
+  }, node);
+}
+
+/**
+ * Error of a custom mapper method
+ * @param {string} name Name of the custom mapper
+ * @param {string} method Method failing, e.g. map
+ * @param {Error} cause Error of the method
+ */
+function CustomMapperError(name, method, cause) {
+  Error.captureStackTrace(this, CustomMapperError);
+  this.name = 'CustomMapperError';
+  this.mapper = name;
+  this.method = method;
+  this.cause = cause;
+  this.message = 'Custom mapper ' + name + ' failed to ' + method + ': ' + (cause && cause.message || cause);
+}
+util.inherits(CustomMapperError, Error);
@@ -0,0 +1,72 @@
+'use strict';
+var fs = require('fs');
+var Promise = require('bluebird');
+
+var DeadLetter = exports = module.exports = createDeadLetter;
+
+/**
+ * Create a dead-letter destination for messages which could not be processed
+ *
+ * Options:
+ *
+ *   - `queue` {string} SQS queue URL to send dead letters to
+ *   - `file` {string} local file to append dead letters to, one JSON record per line
+ *
+ * @param   {object} sqs AWS SQS client, used for a dead-letter queue
+ * @param   {object} options Dead-letter destination; a queue takes precedence over a file
+ * @returns {object} Dead-letter destination
+ */
+function createDeadLetter(sqs, options) {
+  var self = this;
+  if (!options || (!options.queue && !options.file)) {
+    throw new Error("Dead-letter destination requires a queue or a file.");
+  }
+
+  self.queue = options.queue;
+  self.file = options.file;
+
+  if (self.queue) {
+    self.sqs = sqs;
+    self.sqs.sendMessageAsync = Promise.promisify(self.sqs.sendMessage);
+  }
+
+  return self;
+}
+
+/**
+ * Send a message to the dead-letter destination, with its failure reason
+ * @param   {object} message SQS message, as received
+ * @param   {string} reason Reason processing failed
+ * @returns {Promise} Resolves once the dead letter has been written
+ */
+DeadLetter.prototype.sendAsync = function sendAsync(message, reason) {
+  var self = this;
+  var receiveCount = (message.Attributes && message.Attributes.ApproximateReceiveCount) || '1';
+
+  if (self.queue) {
+    return self.sqs.sendMessageAsync({
+      QueueUrl: self.queue,
+      MessageBody: message.Body,
+      MessageAttributes: {
+        FailureReason: {
+          DataType: 'String',
+          StringValue: reason
+        },
+        ReceiveCount: {
+          DataType: 'Number',
+          StringValue: String(receiveCount)
+        }
+      }
+    });
+  }
+
+  return Promise.fromCallback(function (callback) {
+    fs.appendFile(self.file, JSON.stringify({
+      messageId: message.MessageId,
+      receiveCount: parseInt(receiveCount, 10),
+      failedAt: new Date(),
+      reason: reason,
+      body: message.Body
+    }) + '\n', callback);
+  });
+};
@@ -0,0 +1,219 @@
+'use strict';
+var fs = require('fs');
+var Promise = require('bluebird');
+var logger = require('./logger');
+
+var log = logger.getLogger('decommissioner');
+
+var readFileAsync = Promise.promisify(fs.readFile);
+var writeFileAsync = Promise.promisify(fs.writeFile);
+var renameAsync = Promise.promisify(fs.rename);
+
+// Decommission policies, for the Seiso node of a terminated instance
+var POLICIES = ['rotate-out', 'delete-node', 'delete-node-and-machine'];
+
+var Decommissioner = exports = module.exports = createDecommissioner;
+
+Decommissioner.POLICIES = POLICIES;
+
+/**
+ * Create a decommissioner, removing the Seiso nodes of terminated instances
+ * once their grace period has passed
+ *
+ * Pending decommissions are kept in a state file, if configured, so that
+ * they survive restarts; without one, they are lost on stop.
+ *
+ * Options:
+ *
+ *   - `stateFile` {string} JSON file pending decommissions are kept in
+ *   - `checkInterval` {number} seconds between checks for due decommissions,
+ *     default 60
+ *
+ * @param   {Object} options Decommissioner options
+ * @param   {Function} decommission Function decommissioning a due entry,
+ *   returning a promise; a rejected entry is tried again on the next check
+ * @returns {Object} Decommissioner
+ */
+function createDecommissioner(options, decommission) {
+  var self = this;
+  options = options || {};
+
+  self.stateFile = options.stateFile;
+  self.checkInterval = options.checkInterval || 60;
+  self.decommission = decommission;
+  // Pending decommissions, by route and instance identifier
+  self.pending = {};
+  self.timer = null;
+  self.checking = null;
+  self.saving = Promise.resolve();
+
+  return self;
+}
+
+/**
+ * Validate a decommission policy
+ * @param   {string} policy Policy, e.g. delete-node
+ * @returns {string} The policy, default rotate-out
+ */
+Decommissioner.getPolicy = function getPolicy(policy) {
+  policy = policy || 'rotate-out';
+  if (POLICIES.indexOf(policy) === -1) {
+    throw new Error('Unknown decommission policy ' + policy + '; expected one of ' + POLICIES.join(', '));
+  }
+  return policy;
+};
+
+/**
+ * Load pending decommissions from the state file, and start checking for
+ * due ones
+ * @returns {Promise} Resolves once started
+ */
+Decommissioner.prototype.startAsync = function startAsync() {
+  var self = this;
+
+  return self.loadAsync()
+    .then(function () {
+      self.timer = setInterval(function () {
+        self.checkAsync();
+      }, self.checkInterval * 1000);
+      return self.checkAsync();
+    });
+};
+
+/**
+ * Stop checking for due decommissions; pending ones are kept in the state file
+ * @returns {Promise} Resolves once any running check has completed
+ */
+Decommissioner.prototype.stopAsync = function stopAsync() {
+  var self = this;
+
+  clearInterval(self.timer);
+  self.timer = null;
+  return Promise.resolve(self.checking);
+};
+
+/**
+ * Schedule the decommission of a node
+ * @param   {Object} entry `route` name, `instanceId`, `node` (href),
+ *   `removeMachine`, and `gracePeriod` in seconds
+ * @returns {Promise} Resolves once the decommission is saved
+ */
+Decommissioner.prototype.scheduleAsync = function scheduleAsync(entry) {
+  var self = this;
+
+  var key = getKey(entry);
+  if (self.pending[key]) {
+    return Promise.resolve();
+  }
+  self.pending[key] = {
+    route: entry.route,
+    instanceId: entry.instanceId,
+    node: entry.node,
+    removeMachine: !!entry.removeMachine,
+    due: new Date(Date.now() + (entry.gracePeriod || 0) * 1000).toISOString()
+  };
+  log.info('Decommission scheduled', self.pending[key]);
+  return self.saveAsync()
+    .then(function () {
+      if (!entry.gracePeriod && self.timer) {
+        return self.checkAsync();
+      }
+    });
+};
+
+/**
+ * Decommission every entry due; one check runs at a time
+ * @returns {Promise} Resolves once the check has completed
+ */
+Decommissioner.prototype.checkAsync = function checkAsync() {
+  var self = this;
+
+  if (self.checking) {
+    return self.checking;
+  }
+  var now = new Date().toISOString();
+  var due = Object.keys(self.pending).filter(function (key) {
+    return self.pending[key].due <= now;
+  });
+  if (due.length === 0) {
+    return Promise.resolve();
+  }
+
+  self.checking = Promise.mapSeries(due, function (key) {
+      var entry = self.pending[key];
+      return Promise.try(function () {
+          return self.decommission(entry);
+        })
+        .then(function () {
+          log.info('Node decommissioned', entry);
+          delete self.pending[key];
+        }, function (err) {
+          log.warn('Node decommission failed; will retry', Object.assign({ err: err }, entry));
+        });
+    })
+    .then(function () {
+      return self.saveAsync();
+    })
+    .catch(function (err) {
+      log.error('Failed to save decommission state', err);
+    })
+    .finally(function () {
+      self.checking = null;
+    });
+  return self.checking;
+};
+
+/**
+ * @returns {Array} Pending decommissions
+ */
+Decommissioner.prototype.getPending = function getPending() {
+  var self = this;
+
+  return Object.keys(self.pending).map(function (key) {
+    return self.pending[key];
+  });
+};
+
+Decommissioner.prototype.loadAsync = function loadAsync() {
+  var self = this;
+
+  if (!self.stateFile) {
+    return Promise.resolve();
+  }
+  return readFileAsync(self.stateFile, 'utf8')
+    .then(function (content) {
+      JSON.parse(content).pending.forEach(function (entry) {
+        self.pending[getKey(entry)] = entry;
+      });
+      log.info('Loaded pending decommissions', { stateFile: self.stateFile, pending: Object.keys(self.pending).length });
+    })
+    .catch(function (err) {
+      if (err.code !== 'ENOENT') {
+        return Promise.reject(err);
+      }
+    });
+};
+
+Decommissioner.prototype.saveAsync = function saveAsync() {
+  var self = this;
+
+  if (!self.stateFile) {
+    return Promise.resolve();
+  }
+  // Saves are made one at a time, each to a temporary file first, so a
+  // crash never leaves a partial file
+  var temporaryFile = self.stateFile + '.tmp';
+  self.saving = self.saving
+    .catch(function () {})
+    .then(function () {
+      return writeFileAsync(temporaryFile, JSON.stringify({ pending: self.getPending() }, null, 2));
+    })
+    .then(function () {
+      return renameAsync(temporaryFile, self.stateFile);
+    });
+  return self.saving;
+};
+
+function getKey(entry) {
+  return entry.route + '/' + entry.instanceId;
+}
@@ -2,7 +2,24 @@
 var util = require('util');
 var EventEmitter = require('events').EventEmitter;
 var Promise = require('bluebird');
-var seisoClient;
+var Mapper = require('./mapper');
+var autoScaling = require('./autoScaling');
+var AwsClients = require('./awsClients');
+var metrics = require('./metrics');
+var logger = require('./logger');
+
+var log = logger.getLogger('feeder');
+
+var ROTATION_STATUS_ENABLED = 'enabled',
+    ROTATION_STATUS_DISABLED = 'disabled';
+
+var reconciliations = metrics.counter('seiso_feeder_reconciliations_total',
+      'Reconciliation passes over all load balancers, by outcome', ['outcome']),
+    reconciliationDrift = metrics.histogram('seiso_feeder_reconciliation_drift',
+      'Nodes found with a drifted rotation status, per reconciliation pass', ['dry_run'],
+      [0, 1, 2, 5, 10, 25, 50, 100, 250, 500]),
+    reconciliationDuration = metrics.histogram('seiso_feeder_reconciliation_duration_seconds',
+      'Reconciliation pass duration', [], [1, 5, 10, 30, 60, 120, 300, 600]);
 
 var AWS;
 var Feeder = exports = module.exports = createFeeder;
@@ -10,35 +27,46 @@ util.inherits(Feeder, EventEmitter);
 
 /**
  * Create a new Feeder or type
+ * @param   {object} awsConnection AWS SDK (or compatible) module
+ * @param   {object} seisoConnection Seiso client
  * @param   {object} options AWS Connection parameters for feeder
+ * @param   {object} mapper Instance to node mapper; a default mapper is used if not provided
  * @returns {object} AWS Event Feeder Object
  */
-function createFeeder(awsConnection, seisoConnection, options) {
+function createFeeder(awsConnection, seisoConnection, options, mapper) {
   var self = this;
   if (!options) { options = {}; }
   if (!awsConnection) { throw new Error("Invalid or unspecified AWS connection handler provided."); }
   if (!seisoConnection) { throw new Error("Invalid or unspecified Seiso connection handler provided."); }
   AWS = awsConnection;
-  seisoClient = seisoConnection;
+  self.seisoClient = seisoConnection;
+  self.mapper = mapper || new Mapper();
 
   self.pollInterval = options.pollInterval || 300; // Default 5 minutes to reevaluate uptime status.
-  self.processingTimeout = options.processingTimeout || undefined; // default for the queue
-  self.pollTimeout = options.pollTimeout || 20;
+  self.loadBalancerType = (options.loadBalancerType || 'aws').toLowerCase();
+  self.concurrency = options.concurrency || 5; // Load balancers reconciled in parallel
+  self.dryRun = !!options.dryRun; // Plan changes only; never PATCH Seiso
 
   self.state = 'Stopped';
+  self.lastReconciliation = null;
 
   self.ec2 = new AWS.EC2();
   self.ec2.describeInstancesAsync = Promise.promisify(self.ec2.describeInstances);
   self.ec2.describeInstanceStatusAsync = Promise.promisify(self.ec2.describeInstanceStatus);
   self.ec2.describeTagsAsync = Promise.promisify(self.ec2.describeTags);
-  
+
   self.elb = new AWS.ELB();
   self.elb.describeLoadBalancersAsync = Promise.promisify(self.elb.describeLoadBalancers);
+  self.elb.describeInstanceHealthAsync = Promise.promisify(self.elb.describeInstanceHealth);
+
+  self.elbv2 = new AWS.ELBv2();
+  self.elbv2.describeTargetHealthAsync = Promise.promisify(self.elbv2.describeTargetHealth);
 
   self.autoScaling = new AWS.AutoScaling();
   self.autoScaling.describeAutoScalingInstancesAsync = Promise.promisify(self.autoScaling.describeAutoScalingInstances);
 
   self.autoScaling.describeLoadBalancersAsync = Promise.promisify(self.autoScaling.describeLoadBalancers);
+  self.autoScaling.describeLoadBalancerTargetGroupsAsync = Promise.promisify(self.autoScaling.describeLoadBalancerTargetGroups);
 
   return self;
 }
@@ -53,64 +81,543 @@ Feeder.prototype.start = start;
 function start(callback) {
   var self = this;
 
-  console.log('feeder::Starting feeder for AWS instances');
+  log.info('Starting feeder', { pollInterval: self.pollInterval });
   self.state = 'Started';
   self.feeding = true;
-	
-  self.feeding = setTimeout(self.tryGet, self.interval);
-	callback(null);
 
+  process.nextTick(function () {
+    self.tryGet();
+  });
+
+  if (typeof callback === 'function') {
+    process.nextTick(function () {
+      callback(null);
+    });
+  }
 }
 
 /**
- * Query AWS for Node Health Status
+ * Run a reconciliation pass, then schedule the next one
  */
 Feeder.prototype.tryGet = function () {
   var self = this;
 
-  console.log('feeder:: Starting Health Checks...');
-	// Seiso get all SQS LB.
-  
-	seisoClient.connectAsync()
-  .then(seisoClient.getLoadBalancersAsync.bind(seisoClient))
-		.then(processLoadBalancers);
+  self.feeder = null;
+  self.reconciling = true;
+  self.reconcileAsync()
+    .then(function () {
+      reconciliations.inc({ outcome: 'success' });
+    }, function (err) {
+      reconciliations.inc({ outcome: 'error' });
+      log.error('Reconciliation failed', { err: err });
+    })
+    .then(function () {
+      self.reconciling = false;
+      if (self.feeding) {
+        self.feeder = setTimeout(function () {
+          self.tryGet();
+        }, self.pollInterval * 1000);
+      } else {
+        self.state = 'Stopped';
+        self.emit('stopped', undefined);
+      }
+    });
+};
 
+/**
+ * Compare Seiso rotation status of every node behind an AWS load balancer
+ * with the load balancer's actual membership, and correct any drift
+ *
+ * In dry-run mode no node is updated; the changes that would have been
+ * made are reported in the summary and emitted as a `plan` event instead.
+ *
+ * Options:
+ *
+ *   - `dryRun` {Boolean} override the feeder's `dryRun` setting for this pass
+ *
+ * @param   {Object} options
+ * @resolves {Object} Reconciliation summary: `dryRun`, `loadBalancers`, `nodes`,
+ *   `drift` (count of drifted nodes), `changes` (made, or planned in dry-run)
+ *   and `errors`
+ */
+Feeder.prototype.reconcileAsync = function reconcileAsync(options) {
+  var self = this;
+  var summary = createSummary(self, options);
+
+  log.info('Starting reconciliation', { dryRun: summary.dryRun });
+  return Promise.join(
+      self.getRotationStatusesAsync(),
+      self.seisoClient.getLoadBalancersAsync(),
+      function (statuses, loadBalancers) {
+        loadBalancers = (loadBalancers || []).filter(function (loadBalancer) {
+          return loadBalancer.type && loadBalancer.type.toLowerCase() === self.loadBalancerType;
+        });
+        summary.loadBalancers = loadBalancers.length;
+
+        return Promise.map(loadBalancers, function (loadBalancer) {
+          return self.reconcileLoadBalancerAsync(loadBalancer)
+            .then(function (result) {
+              summary.nodes += result.nodes;
+              return result.drift;
+            })
+            .catch(function (err) {
+              log.warn('Failed to reconcile load balancer', { loadBalancer: loadBalancer.name, err: err });
+              summary.errors.push({
+                loadBalancer: loadBalancer.name,
+                error: err
+              });
+              return [];
+            });
+        }, { concurrency: self.concurrency })
+        .then(function (drifts) {
+          return self.applyDriftAsync([].concat.apply([], drifts), statuses, summary);
+        });
+      })
+    .then(function () {
+      self.lastReconciliation = summary.finished = new Date();
+      reconciliationDrift.observe({ dry_run: summary.dryRun }, summary.drift);
+      reconciliationDuration.observe({}, (summary.finished - summary.started) / 1000);
+      return self.completeSummary(summary);
+    });
 };
 
 /**
- * Process Data Response
- * @param JSON Seiso API response LB records
+ * Reconcile the Seiso rotation status of specific instances with the
+ * health of the load balancers they are registered with. Instances not
+ * found on any classic load balancer, nor on a target group of their Auto
+ * Scaling group, are left unchanged.
+ *
+ * Options:
+ *
+ *   - `dryRun` {Boolean} override the feeder's `dryRun` setting
+ *
+ * @param   {Array<string>} instanceIds AWS EC2 instance identifiers
+ * @param   {Object} options
+ * @resolves {Object} Reconciliation summary, as for `reconcileAsync`
  */
-function processLoadBalancers(lbs) {
-  lbs.filter(function(lb) { return lb.type === 'aws'; })
-  return lbs;
-}
+Feeder.prototype.reconcileInstancesAsync = function reconcileInstancesAsync(instanceIds, options) {
+  var self = this;
+  var summary = createSummary(self, options);
+
+  return Promise.join(
+      self.getRotationStatusesAsync(),
+      self.ec2.describeInstancesAsync({
+        InstanceIds: instanceIds
+      }),
+      function (statuses, instanceDetails) {
+        var instances = [];
+        instanceDetails.Reservations.forEach(function (reservation) {
+          instances = instances.concat(reservation.Instances);
+        });
+
+        return Promise.map(instances, function (instance) {
+          return self.reconcileInstanceAsync(instance)
+            .then(function (result) {
+              summary.loadBalancers += result.loadBalancers;
+              summary.nodes += result.nodes;
+              return result.drift;
+            })
+            .catch(function (err) {
+              log.warn('Failed to reconcile instance', { instanceId: instance.InstanceId, err: err });
+              summary.errors.push({
+                instanceId: instance.InstanceId,
+                error: err
+              });
+            });
+        }, { concurrency: self.concurrency })
+        .then(function (drift) {
+          return self.applyDriftAsync(drift.filter(function (item) { return item; }), statuses, summary);
+        });
+      })
+    .then(function () {
+      return self.completeSummary(summary);
+    });
+};
 
-function getAwsNodes(lbs) {
-  var siNodesGetters = [];
-  for (var lb in lbs) {
-    var serviceInstance = lbs[lb].serviceInstance;
-    siNodesGetters.push(seisoClient.findNodesByServiceInstanceAsync({ serviceInstance: serviceInstance }))
+/**
+ * Find whether one instance's Seiso rotation status disagrees with the
+ * health of its load balancers
+ * @param   {Object} instance EC2 instance description
+ * @resolves {Object} `loadBalancers` and `nodes` counts evaluated, and
+ *   `drift`, if any, as for `reconcileLoadBalancerAsync`
+ */
+Feeder.prototype.reconcileInstanceAsync = function reconcileInstanceAsync(instance) {
+  var self = this;
+  var instanceId = instance.InstanceId;
+
+  var validationErrors = self.mapper.validateMessage(instance);
+  if (validationErrors && validationErrors.length > 0) {
+    return Promise.reject(validationErrors);
   }
-  return Promise.all(siNodesGetters);
-}
+  var mappedNode = self.mapper.instanceToNode(instance);
 
-function processNodes(response) {
-  var nodes = [];
-  if (!response._embedded) {
-    for (var siSubset in response){
-      nodes = nodes.concat(response[siSubset]._embedded.items);
-    }
+  return self.describeInstanceHealthAsync(instanceId)
+    .then(function (health) {
+      var loadBalancerNames = Object.keys(health);
+      if (loadBalancerNames.length === 0) {
+        log.info('Instance is not load balanced; leaving unchanged', { instanceId: instanceId });
+        return { loadBalancers: 0, nodes: 0 };
+      }
+      var desiredStatus = loadBalancerNames.some(function (loadBalancerName) {
+        return health[loadBalancerName];
+      }) ? ROTATION_STATUS_ENABLED : ROTATION_STATUS_DISABLED;
+
+      return self.seisoClient.findNodesAsync({
+          name: mappedNode.name,
+          filters: self.mapper.nodeFilters(mappedNode)
+        })
+        .then(function (nodes) {
+          if (nodes.length !== 1) {
+            throw new Error('No single matching Node Record found for instance ' + instanceId);
+          }
+          var node = nodes[0];
+          return getCurrentStatusKey(self.seisoClient, node)
+            .then(function (currentStatus) {
+              return {
+                loadBalancers: loadBalancerNames.length,
+                nodes: 1,
+                drift: currentStatus === desiredStatus ? null : {
+                  node: node,
+                  change: {
+                    node: node.name,
+                    instanceId: instanceId,
+                    loadBalancer: loadBalancerNames.join(','),
+                    currentStatus: currentStatus,
+                    desiredStatus: desiredStatus
+                  }
+                }
+              };
+            });
+        });
+    });
+};
+
+/**
+ * Describe the rotation status of an instance on AWS, and of its node in
+ * Seiso, e.g. to check one instance by hand. Instances not running are
+ * expected to be out of rotation; running instances are expected to be in
+ * rotation if in service on any of their load balancers, and have no
+ * expected status if not load balanced.
+ * @param   {Object} instance EC2 instance description
+ * @resolves {Object} `instanceId`, EC2 `state`, `loadBalancers` (load balancer
+ *   name/target group ARN => true if in service), `awsStatus` (expected
+ *   rotation status key, or null), `node` name and `seisoStatus` (null if
+ *   no node), and `inSync` (true if the node exists and has the expected status)
+ */
+Feeder.prototype.describeInstanceStatusAsync = function describeInstanceStatusAsync(instance) {
+  var self = this;
+  var instanceId = instance.InstanceId;
+
+  var validationErrors = self.mapper.validateMessage(instance);
+  if (validationErrors && validationErrors.length > 0) {
+    return Promise.reject(validationErrors);
   }
-  else {
-    nodes = response._embedded.items;
+  var mappedNode = self.mapper.instanceToNode(instance);
+  var state = instance.State ? instance.State.Name : null;
+
+  return Promise.join(
+      self.describeInstanceHealthAsync(instanceId),
+      self.seisoClient.findNodesAsync({
+        name: mappedNode.name,
+        filters: self.mapper.nodeFilters(mappedNode)
+      }),
+      function (health, nodes) {
+        if (nodes.length > 1) {
+          throw new Error('Multiple matching Node Records found for instance ' + instanceId);
+        }
+        var loadBalancerNames = Object.keys(health);
+        var awsStatus = null;
+        if (state !== 'running') {
+          awsStatus = ROTATION_STATUS_DISABLED;
+        } else if (loadBalancerNames.length > 0) {
+          awsStatus = loadBalancerNames.some(function (loadBalancerName) {
+            return health[loadBalancerName];
+          }) ? ROTATION_STATUS_ENABLED : ROTATION_STATUS_DISABLED;
+        }
+
+        var node = nodes[0];
+        return (node ? getCurrentStatusKey(self.seisoClient, node) : Promise.resolve(null))
+          .then(function (seisoStatus) {
+            return {
+              instanceId: instanceId,
+              state: state,
+              loadBalancers: health,
+              awsStatus: awsStatus,
+              node: node ? node.name : null,
+              seisoStatus: seisoStatus,
+              inSync: !!node && (awsStatus === null || awsStatus === seisoStatus)
+            };
+          });
+      });
+};
+
+/**
+ * Describe the health of an instance on every classic load balancer it is
+ * registered with, and on the target groups of its Auto Scaling group
+ * @param   {string} instanceId AWS identifier for EC2 Instance
+ * @resolves {Object} load balancer name/target group ARN => true if in service
+ */
+Feeder.prototype.describeInstanceHealthAsync = function describeInstanceHealthAsync(instanceId) {
+  var self = this;
+  var health = {};
+
+  var classicHealth = AwsClients.describeClassicLoadBalancersAsync(self.elb)
+    .then(function (loadBalancers) {
+      loadBalancers = loadBalancers.filter(function (loadBalancer) {
+        return (loadBalancer.Instances || []).some(function (instance) {
+          return instance.InstanceId === instanceId;
+        });
+      });
+      return Promise.map(loadBalancers, function (loadBalancer) {
+        return self.elb.describeInstanceHealthAsync({
+            LoadBalancerName: loadBalancer.LoadBalancerName,
+            Instances: [{ InstanceId: instanceId }]
+          })
+          .then(function (response) {
+            health[loadBalancer.LoadBalancerName] = (response.InstanceStates || []).some(function (state) {
+              return state.InstanceId === instanceId && state.State === 'InService';
+            });
+          });
+      });
+    });
+
+  var targetGroupHealth = autoScaling.getGroupNameAsync(self.autoScaling, instanceId)
+    .then(function (groupName) {
+      return groupName ? autoScaling.getAttachmentsAsync(self.autoScaling, groupName) : { targetGroupArns: [] };
+    })
+    .then(function (attachments) {
+      return Promise.map(attachments.targetGroupArns, function (targetGroupArn) {
+        return self.elbv2.describeTargetHealthAsync({
+            TargetGroupArn: targetGroupArn,
+            Targets: [{ Id: instanceId }]
+          })
+          .then(function (response) {
+            health[targetGroupArn] = (response.TargetHealthDescriptions || []).some(function (description) {
+              return description.TargetHealth && description.TargetHealth.State === 'healthy';
+            });
+          });
+      });
+    });
+
+  return Promise.all([classicHealth, targetGroupHealth])
+    .then(function () {
+      return health;
+    });
+};
+
+/**
+ * Get Seiso rotation statuses by key
+ * @resolves {Object} rotation status key => rotation status record
+ */
+Feeder.prototype.getRotationStatusesAsync = function getRotationStatusesAsync() {
+  var self = this;
+
+  return self.seisoClient.getRotationStatuses()
+    .then(function (rotationStatuses) {
+      var statuses = {};
+      (rotationStatuses || []).forEach(function (rotationStatus) {
+        statuses[rotationStatus.key] = rotationStatus;
+      });
+      if (!statuses[ROTATION_STATUS_ENABLED] || !statuses[ROTATION_STATUS_DISABLED]) {
+        throw new Error('Seiso rotation statuses ' + ROTATION_STATUS_ENABLED + '/' +
+          ROTATION_STATUS_DISABLED + ' not found');
+      }
+      return statuses;
+    });
+};
+
+/**
+ * Correct drifted nodes, or only record the changes in dry-run mode
+ * @param   {Array<Object>} drift Drifted nodes, as `{ node, change }`
+ * @param   {Object} statuses Rotation statuses by key
+ * @param   {Object} summary Reconciliation summary to record changes/errors in
+ * @returns {Promise} Resolves once all nodes have been handled
+ */
+Feeder.prototype.applyDriftAsync = function applyDriftAsync(drift, statuses, summary) {
+  var self = this;
+  summary.drift += drift.length;
+
+  if (summary.dryRun) {
+    summary.changes = summary.changes.concat(drift.map(function (item) { return item.change; }));
+    return Promise.resolve();
+  }
+  return Promise.map(drift, function (item) {
+    return self.seisoClient.patchNodeAggregateRotationStatus(
+        item.node, getRestRecordLink(statuses[item.change.desiredStatus]))
+      .then(function () {
+        summary.changes.push(item.change);
+      })
+      .catch(function (err) {
+        log.warn('Failed to update rotation status', {
+          node: item.change.node,
+          instanceId: item.change.instanceId,
+          err: err
+        });
+        summary.errors.push({
+          node: item.change.node,
+          error: err
+        });
+      });
+  }, { concurrency: self.concurrency });
+};
+
+/**
+ * Finish a reconciliation summary, and emit it (as a `plan` too, in dry-run)
+ * @param   {Object} summary Reconciliation summary
+ * @returns {Object} The summary
+ */
+Feeder.prototype.completeSummary = function completeSummary(summary) {
+  var self = this;
+
+  summary.finished = summary.finished || new Date();
+  log.info('Reconciled', {
+    dryRun: summary.dryRun,
+    loadBalancers: summary.loadBalancers,
+    nodes: summary.nodes,
+    drift: summary.drift,
+    changes: summary.changes.length,
+    errors: summary.errors.length
+  });
+  if (summary.dryRun) {
+    self.emit('plan', summary);
   }
-  return nodes;
+  self.emit('reconciled', summary);
+  return summary;
+};
+
+function createSummary(feeder, options) {
+  return {
+    dryRun: (options && typeof options.dryRun !== 'undefined') ? !!options.dryRun : feeder.dryRun,
+    started: new Date(),
+    loadBalancers: 0,
+    nodes: 0,
+    drift: 0,
+    changes: [],
+    errors: []
+  };
 }
+
+/**
+ * Find nodes of one load balancer whose Seiso rotation status disagrees with AWS
+ * @param   {SeisoDataResource} loadBalancer Seiso load balancer record
+ * @resolves {Object} `nodes` count evaluated and `drift` list of
+ *   { node: record, change: { node, instanceId, loadBalancer, currentStatus, desiredStatus } }
+ */
+Feeder.prototype.reconcileLoadBalancerAsync = function reconcileLoadBalancerAsync(loadBalancer) {
+  var self = this;
+  var name = loadBalancer.name;
+
+  return Promise.join(
+      self.seisoClient.getLoadBalancerNodesAsync(loadBalancer),
+      self.describeMembershipAsync(name),
+      function (nodes, membership) {
+        return Promise.map(nodes, function (node) {
+          var instance = membership[node.name];
+          var desiredStatus = (instance && instance.health === 'InService') ?
+            ROTATION_STATUS_ENABLED : ROTATION_STATUS_DISABLED;
+
+          return getCurrentStatusKey(self.seisoClient, node)
+            .then(function (currentStatus) {
+              if (currentStatus === desiredStatus) {
+                return null;
+              }
+              return {
+                node: node,
+                change: {
+                  node: node.name,
+                  instanceId: instance ? instance.instanceId : null,
+                  loadBalancer: name,
+                  currentStatus: currentStatus,
+                  desiredStatus: desiredStatus
+                }
+              };
+            });
+        }, { concurrency: self.concurrency })
+        .then(function (results) {
+          return {
+            nodes: nodes.length,
+            drift: results.filter(function (result) { return result; })
+          };
+        });
+      });
+};
+
+/**
+ * Describe the instances registered with a classic load balancer, keyed by
+ * the Seiso node name the mapper gives them
+ * @param   {string} loadBalancerName AWS load balancer name
+ * @resolves {Object} node name => { instanceId, health }
+ */
+Feeder.prototype.describeMembershipAsync = function describeMembershipAsync(loadBalancerName) {
+  var self = this;
+  var health = {};
+
+  return Promise.join(
+      self.elb.describeLoadBalancersAsync({
+        LoadBalancerNames: [loadBalancerName]
+      }),
+      self.elb.describeInstanceHealthAsync({
+        LoadBalancerName: loadBalancerName
+      }),
+      function (description, instanceHealth) {
+        (instanceHealth.InstanceStates || []).forEach(function (instanceState) {
+          health[instanceState.InstanceId] = instanceState.State;
+        });
+
+        var instanceIds = [];
+        (description.LoadBalancerDescriptions || []).forEach(function (loadBalancer) {
+          (loadBalancer.Instances || []).forEach(function (instance) {
+            instanceIds.push(instance.InstanceId);
+          });
+        });
+
+        if (instanceIds.length === 0) {
+          return { Reservations: [] };
+        }
+        return self.ec2.describeInstancesAsync({
+          InstanceIds: instanceIds
+        });
+      })
+    .then(function (instanceDetails) {
+      var membership = {};
+      instanceDetails.Reservations.forEach(function (reservation) {
+        reservation.Instances.forEach(function (instance) {
+          var validationErrors = self.mapper.validateMessage(instance);
+          if (validationErrors && validationErrors.length > 0) {
+            log.warn('Skipping instance', { instanceId: instance.InstanceId, validationErrors: validationErrors });
+            return;
+          }
+          membership[self.mapper.instanceToNode(instance).name] = {
+            instanceId: instance.InstanceId,
+            health: health[instance.InstanceId]
+          };
+        });
+      });
+      return membership;
+    });
+};
+
 /**
- * Generate a Health Request
+ * Resolve the rotation status key of a node, from the node record if
+ * embedded, otherwise from Seiso
  */
-//Feeder.prototype.
+function getCurrentStatusKey(seisoClient, node) {
+  var status = node.aggregateRotationStatus;
+  if (status && typeof status === 'object' && status.key) {
+    return Promise.resolve(status.key);
+  }
+  if (typeof status === 'string' && status.indexOf('/') === -1) {
+    return Promise.resolve(status);
+  }
+  return seisoClient.getNodeAggregateRotationStatusAsync(node)
+    .then(function (rotationStatus) {
+      return rotationStatus ? rotationStatus.key : null;
+    });
+}
+
+function getRestRecordLink(record) {
+  return record._links.self.href;
+}
 
 /**
  * Shuts down a Feeder Channel
@@ -121,92 +628,56 @@ function stop() {
   var self = this;
 
   self.state = 'Stopping';
+  self.feeding = false;
   if (self.feeder) {
-    clearInterval(self.feeder);
+    clearTimeout(self.feeder);
+    self.feeder = null;
+  }
+  if (!self.reconciling) {
+    process.nextTick(function () {
+      self.state = 'Stopped';
+      self.emit('stopped', undefined);
+    });
   }
 }
 
 /**
- * Refresh health state for nodes
- */
-Feeder.prototype.requestHealth = function requestHealth() {
-    Promise.all([
-        seisoClient.getLoadBalancersAsync().then(mapper.processToLbs),
-        seisoClient.getNodesAsync().then(mapper.processToNodes)
-    ])
-    .then(mapNodesLbs)
-    .then(function(nodes) {
-        var healthRequest = {
-            
-            
-        };
-        var chunks = chunk(nodes, config.nodeBin || 5)
-        for (var chunk in chunks) {
-            chunks[chunk] = self.ec2.describeInstanceStatusAsync({
-                instances: chunks[chunk]
-            })
-            .then(seisoClient.patchAggregateRotationStatus);
-        }
-        return Promise.all(chunks);
-    })
-};
-
-function chunk(array, chunkSize) {
-    if (chunkSize < 1) return array;
-    var silos = [];
-    for (var i=0, j=array.length; i<j; i+=chunk) {
-        silo.push(array.slice(i, i+chunk));
-    }
-    return silos;
-}
-
-/**
- * For a given Autobalanced Instance, retrieve Load Balancers
- * @throws {Error} Load Balancer Not found or not Autoscaled
+ * For a given Autobalanced Instance, retrieve Load Balancers; sets the
+ * instance `loadBalancer` name and the load balancer instance `ports`
  * @param   Object instance  Combined EC2 instance object.
  * @param   String instanceId AWS identifier for EC2 Instance
- * @returns Promise  Promise, network AWS.AutoBalancer requests status.
+ * @returns Promise  Resolves with the instance, unchanged if not autoscaled
  */
 Feeder.prototype.resolveLoadBalancer = function resolveLoadBalancer(instance, instanceId) {
   var self = this;
 
-  return self.autoScaling.describeAutoScalingInstancesAsync({
-    InstanceIds: [instanceId]
-  })
-  .then(function (autoScaleInstances) {
-    if (!autoScaleInstances || autoScaleInstances.length < 1) {
+  return autoScaling.getGroupNameAsync(self.autoScaling, instanceId || instance.InstanceId)
+  .then(function (autoScaleGroup) {
+    if (!autoScaleGroup) {
       throw new Error("Not AutoScaled");
     }
-    var autoScaleGroup = autoScaleInstances[0].AutoScalingGroupName;
-    self.autoScaling.describeLoadBalancersAsync({
-        AutoScalingGroupName: autoScaleGroup
-      })
-      .then(function (loadBalancers) {
-        if (!loadBalancers || loadBalancers.length < 1) {
-          throw new Error("No LoadBalancer found");
-        }
-        loadBalancers.map(function (loadBalancer) {
-          if (loadBalancer.State !== "Removing") {
-            instance.loadBalancer = (loadBalancer.LoadBalancerName);
-
-            if (loadBalancer.ListenerDescriptions) {
-              instance.ports = [];
-              loadBalancer.ListenerDescriptions.map(function(port) {
-                instance.ports.push( port.InstancePort );
-              });
-            }
-          }
+    return autoScaling.getAttachmentsAsync(self.autoScaling, autoScaleGroup);
+  })
+  .then(function (attachments) {
+    if (attachments.loadBalancerNames.length < 1) {
+      throw new Error("No LoadBalancer found");
+    }
+    instance.loadBalancer = attachments.loadBalancerNames[0];
+    return self.elb.describeLoadBalancersAsync({
+      LoadBalancerNames: [instance.loadBalancer]
+    });
+  })
+  .then(function (response) {
+    (response.LoadBalancerDescriptions || []).forEach(function (loadBalancer) {
+      if (loadBalancer.ListenerDescriptions) {
+        instance.ports = loadBalancer.ListenerDescriptions.map(function (description) {
+          return description.Listener.InstancePort;
         });
-        return instance;
-      });
+      }
+    });
+    return instance;
   })
   .catch(function () {
     return instance;
   });
 };
-
-
-/**
- * No Operation
- */
-function noop() {}
@@ -1,6 +1,9 @@
 'use strict';
 
 var Orchestrator = require('./orchestrator');
+var Config = require('./config');
+var Replay = require('./replay');
+var logger = require('./logger');
 
 var ImportService = module.exports = exports = createImportService;
 
@@ -11,39 +14,172 @@ var ImportService = module.exports = exports = createImportService;
  *   `listener` {Object} AWS listener configuration:
  *     `queue` {string} AWS SQS queue on which to listen for ELB state events,
  *        e.g. https://sqs.[region].amazonaws.com/[account]/[queue-name]
- *     `credentials` {Object} AWS account credentials
+ *     `credentials` {Object} optional AWS account credentials; default the AWS
+ *        default credential provider chain (environment, shared credentials
+ *        file, instance/container role)
  *       `accessKeyId` {string} AWS account access key identifier
  *       `secretAccessKey` {string} AWS account secret access key
- *     `region` {string} AWS region containing the SQS queue, e.g. us-west-2
+ *       `sessionToken` {string} optional session token
+ *     `roleArn` {string} optional IAM role to assume with STS, e.g. in another account
+ *     `externalId` {string} optional external identifier required by the role
+ *     `roleSessionName` {string} assumed role session name, default seiso-aws-listener
+ *     `region` {string} AWS region containing the SQS queue, e.g. us-west-2;
+ *        default the region of the queue URL
+ *     `batchSize` {number} messages requested per SQS receive, 1-10, default 10
+ *     `concurrency` {number} messages processed at a time, default 10
+ *     `maxReceiveCount` {number} attempts at processing a message before it is
+ *        dead-lettered, default 5
+ *     `retryDelay` {number} seconds before a failed message is retried, doubled
+ *        on each attempt, default 30
+ *     `maxRetryDelay` {number} maximum seconds before a retry, default 900
+ *     `deadLetter` {Object} optional destination for messages which failed
+ *        `maxReceiveCount` times, or cannot be parsed or are invalid events,
+ *        e.g. without instances, at once; without it, failed
+ *        messages are left to the queue's redrive policy
+ *       `queue` {string} SQS queue URL; the failure reason is sent as the
+ *          FailureReason message attribute
+ *       `file` {string} local file, appended with one JSON record per message
  *   `seisoClient` {Object} Seiso client configuration:
  *     `url` {string} root Seiso API URL, e.g. https://seiso-api.example.com/api
  *     `username` {string} Seiso username
  *     `password` {string} Seiso password, base-64 encoded
- *   `mapper` {Array} optional set of 1:1 AWS tag to Seiso settings
- *     `tagName` AWS tag name
- *     `propertyName` Seiso setting name in a dot-separated format, e.g. service.key
- *   `customMappers` {Array} optional set of custom mappers
+ *     `token` {string} Seiso bearer token, instead of a username and password
+ *     `credentials` {Object|Function} credential provider, instead of the above;
+ *        asked before every request, so credentials can be rotated:
+ *       - `{ source: 'env' }` environment variables; their names can be set as
+ *         `username`, `password` and `token`, default SEISO_USERNAME,
+ *         SEISO_PASSWORD and SEISO_TOKEN
+ *       - `{ source: 'file', path: path }` JSON file with `username` and
+ *         `password`, or `token`; read again when changed
+ *       - a function returning (a promise of) `username` and `password`, or `token`
+ *     `maxItems` {number} optional limit of the items of a collection read from
+ *        Seiso, e.g. nodes; reads of larger collections fail instead of loading
+ *        every page
+ *     `timeout` {number} milliseconds to wait for a Seiso response, default 30000
+ *     `retry` {Object} optional retry of requests failing with a 5xx or 429
+ *        response or a network error, with jittered exponential backoff;
+ *        POST requests are only retried if they failed to connect:
+ *       `retries` {number} retries of a request, default 3
+ *       `minDelay` {number} milliseconds before a first retry, default 200
+ *       `maxDelay` {number} maximum milliseconds before a retry, default 10000;
+ *          requests asked to retry later (Retry-After) are not retried
+ *     `circuitBreaker` {Object} optional circuit breaker, failing requests fast
+ *        and pausing the listener while Seiso is unavailable:
+ *       `failureThreshold` {number} consecutive failed requests opening the
+ *          circuit, default 5
+ *       `resetTimeout` {number} milliseconds before requests are tried again,
+ *          default 30000
+ *   `feeder` {Object} optional reconciliation configuration:
+ *     `pollInterval` {number} seconds between reconciliation passes, default 300
+ *     `loadBalancerType` {string} Seiso load balancer type to reconcile, default aws
+ *     `concurrency` {number} load balancers/nodes reconciled in parallel, default 5
+ *     `dryRun` {boolean} report planned rotation status changes (`plan` event)
+ *        instead of updating Seiso, default false
+ *   `routes` {Array} optional routes, to relay events to several Seiso instances;
+ *      without routes, all events are relayed to `seisoClient`. Route values:
  *     `name` {string} friendly name, e.g. for logging
- *     `path` {string} module path, for a require call; must be available locally
+ *     `listener` {Object} listener configuration as above, default `listener`;
+ *        routes with the same queue share one listener
+ *     `seisoClient` {Object} Seiso client configuration as above, default `seisoClient`
+ *     `feeder` {Object} reconciliation configuration as above, default `feeder`
+ *     `registerInstances` {boolean} as below, default `registerInstances`
+ *     `decommission` {Object} `policy` and `gracePeriod` as below, default
+ *        `decommission`
+ *     `filter` {Object} optional filter on the instances of the route's events:
+ *       `account` {string|Array} AWS account identifier(s)
+ *       `region` {string|Array} AWS region(s)
+ *       `tags` {Object} tag name => required value(s), e.g. { Environment: 'prod' }
+ *      Events for instances matching several routes are relayed to each
+ *   `registerInstances` {boolean} register instances rotating in which have no
+ *      Seiso node yet: their service (from the Service tag), service instance,
+ *      machine, node and IP address are created; default false
+ *   `decommission` {Object} optional handling of the nodes of terminated instances:
+ *     `policy` {string} rotate-out (default) only rotates the node out;
+ *        delete-node also deletes the node, and delete-node-and-machine its
+ *        machine too
+ *     `gracePeriod` {number} seconds to wait after termination before deleting,
+ *        default 0
+ *     `stateFile` {string} JSON file keeping pending deletions, so they survive
+ *        restarts; without it, pending deletions are lost on stop
+ *     `checkInterval` {number} seconds between checks for due deletions, default 60
+ *   `statusServer` {Object} optional HTTP health/status endpoints configuration:
+ *     `port` {number} port to listen on, default 8080
+ *     `host` {string} address to listen on, default all addresses
+ *     `maxPollAge` {number} seconds without a successful queue poll after which
+ *        the service is not healthy, default 120
+ *   `metrics` {Object} optional Prometheus metrics endpoint configuration:
+ *     `port` {number} port to listen on, default 9090
+ *     `host` {string} address to listen on, default all addresses
+ *     `path` {string} metrics path, default /metrics
+ *   `aws` {Object} optional stand-in for the AWS SDK module, e.g. the fake AWS of
+ *      testing/fakeAws for tests without network access; default aws-sdk
+ *   `logger` {Object} optional log output configuration, or a logger object
+ *      with `debug`, `info`, `warn` and `error` methods (e.g. bunyan or pino),
+ *      called with the entry fields and message:
+ *     `level` {string} minimum level logged: debug, info (default), warn or error
+ *     `stream` {Stream} stream JSON log lines are written to, default stdout
+ *     `logger` {Object} logger object entries are written to instead
+ *   `mapper` {Object|Array} optional mapping of instances to Seiso nodes, or
+ *      an Array of `mappings`:
+ *     `serviceTagKey` {string} tag of the Seiso service, default Service
+ *     `environmentTagKey` {string} tag of the Seiso environment, default Environment
+ *     `portsTagKey` {string} tag of the service instance ports, comma-separated,
+ *        default Ports
+ *     `defaultPorts` {Array<number>} ports without the ports tag, default [80]
+ *     `mappings` {Array} tags and instance attributes mapped to node fields:
+ *       `tagName` {string} AWS tag name, or
+ *       `attribute` {string} instance attribute, dot-separated, e.g. VpcId,
+ *          SubnetId, Placement.AvailabilityZone, InstanceType or PrivateIpAddress
+ *       `propertyName` {string} node field, dot-separated, e.g. environmentType,
+ *          tags.Team, machine.serialNumber or serviceInstance.description
+ *       `default` value without the tag or attribute
+ *       `transform` {string|Array} lowercase, uppercase, trim, number, boolean
+ *          or list (comma-separated)
+ *       `values` {Object} value => mapped value, e.g. { prod: 'production' }
+ *   `customMappers` {Array} optional set of custom mappers, each a custom
+ *      mapper object, a factory function or constructor of one, or:
+ *     `name` {string} friendly name, e.g. for logging; default the mapper's `name`
+ *     `mapper` {Object|Function} custom mapper object, or a factory function or
+ *        constructor called with `config`
+ *     `path` {string} module path exporting a factory function or constructor,
+ *        instead of `mapper`; must be available locally
  *     `config` {Object} free-form config as required for your custom mapper
+ *     `timeout` {number} milliseconds each custom mapper call may take, default 10000
  *
- * Custom mappers must implement the following members:
- *   `name` {string} identifies the custom mapper, e.g. in logs  
- *   `start` {function} take any action necessary to initialize with node-style
- *      callback for success/failure
- *   `stop` {function} take any action necessary to spin down/free resources with
- *      node-style callback for success/failure
+ * Custom mappers implement the following members, each taking a node-style
+ * callback, returning a promise, or returning its result synchronously:
+ *   `name` {string} identifies the custom mapper, e.g. in logs
+ *   `start` {function} optional; take any action necessary to initialize
+ *   `stop` {function} optional; take any action necessary to spin down/free resources
  *   `map` {function} accept the current Seiso node as input, return a node with
  *      any additional mapped details
  *
- * Custom mappers are executed synchronously, so that the output from the first
- * custom mapper will be the input to the second
+ * Custom mappers are executed in turn, so that the output from the first
+ * custom mapper will be the input to the second. A custom mapper failing or
+ * timing out fails the event, with an error naming the mapper.
+ *
+ * Environment variables override the following settings:
+ *   SEISO_URL, SEISO_USERNAME, SEISO_PASSWORD, SEISO_TOKEN, SEISO_TIMEOUT
+ *      `seisoClient` `url`, `username`, `password`, `token` and `timeout`
+ *   SEISO_POLL_INTERVAL, SEISO_DRY_RUN `feeder` `pollInterval` and `dryRun`
+ *   SEISO_LOG_LEVEL `logger` `level`
+ *   SEISO_STATUS_PORT, SEISO_METRICS_PORT `statusServer` and `metrics` `port`
+ *   AWS_SQS_QUEUE_URL `listener` `queue`, and the bootstrap `queueUrl`
+ *   AWS_SNS_TOPIC_ARN, AWS_REGION (or AWS_DEFAULT_REGION) the bootstrap
+ *      `topicArn` and `region`
+ * With `routes`, the top-level `listener`, `seisoClient` and `feeder` are
+ * only overridden if given. Settings not given take the defaults above. The configuration is
+ * validated against its schema on start, failing with every error; see config.
  **/
 function createImportService(config) {
   if (!(this instanceof createImportService)) { return new createImportService(config); }
-  console.log("making a new service", config);
   var self = this;
 
+  config = Config.resolve(config);
+  if (config.logger) {
+    logger.configure(config.logger);
+  }
+
   var orchestrator = new Orchestrator(config);
 
   /**
@@ -72,6 +208,8 @@ function createImportService(config) {
    *   `Started` if running
    *   `Starting` if starting up
    *   `Stopping` if spinning down/ceasing operation
+   *   `Replaying`, `Reconciling` or `Checking` while replaying events,
+   *      reconciling once, or getting an instance's status
    *   `Unknown` in an error condition/state is not known
    *
    * @return {string} orchestration state, see above
@@ -81,14 +219,131 @@ function createImportService(config) {
     return orchestrator.getState();
   };
 
+  /**
+   * Get the status of orchestration, as served on `/status` by the status
+   * server: state, listener message counts (received, processed, failed,
+   * in-flight) and last poll, and last reconciliation of each route
+   *
+   * @return {Object} orchestration status
+   * @api public
+   **/
+  self.getStatus = function getStatus() {
+    return orchestrator.getStatus();
+  };
+
+  /**
+   * Replay captured events through the listener and its event handlers, e.g.
+   * to re-drive history after rotation statuses went wrong; only while stopped.
+   * Events can be raw SQS messages, SNS notifications, EventBridge events,
+   * CloudWatch alarms or dead-letter file records, in JSON files holding an
+   * event, an Array of events, or one event per line.
+   *
+   * Options:
+   *   `dryRun` {boolean} report the Seiso changes instead of making them
+   *   `sort` {boolean} replay events in event time order, default true
+   *   `queue` {string} queue whose listener and routes replay the events,
+   *      default the first listener's
+   *
+   * @param {string|Array} input File or directory of captured events, or an
+   *    Array of paths and/or events
+   * @param {Object} options Replay options, see above
+   * @param {Function} callback Callback function (with err and summary params)
+   * @return {Promise} Resolves with the summary: counts of `messages`,
+   *    `processed`, `failed`, `discarded` and `unchanged` rotations, and the
+   *    `changes` (made, or planned in dry-run) and `errors`
+   * @api public
+   **/
+  self.replay = function (input, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    options = options || {};
+    return Replay.readMessagesAsync(input, options)
+      .then(function (messages) {
+        return orchestrator.replayAsync(messages, options);
+      })
+      .asCallback(callback);
+  };
+
+  /**
+   * Run one reconciliation pass of every route, e.g. from a scheduled job
+   * instead of running the service; only while stopped
+   *
+   * Options:
+   *   `route` {string} name of the only route to reconcile
+   *   `dryRun` {boolean} report the changes instead of making them; default
+   *      the `feeder.dryRun` setting
+   *
+   * @param {Object} options Reconciliation options, see above
+   * @param {Function} callback Callback function (with err and summaries params)
+   * @return {Promise} Resolves with the reconciliation summary of each route:
+   *    its `route` name, counts of `loadBalancers`, `nodes` and `drift`, and
+   *    the `changes` (made, or planned in dry-run) and `errors`
+   * @api public
+   **/
+  self.reconcile = function (options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    return orchestrator.reconcileAsync(options).asCallback(callback);
+  };
+
+  /**
+   * Compare the rotation status of an instance on AWS, from its state and
+   * load balancer health, with the status of its Seiso node; only while stopped
+   *
+   * @param {string} instanceId AWS EC2 instance identifier
+   * @param {Function} callback Callback function (with err and statuses params)
+   * @return {Promise} Resolves with the status on each route the instance is
+   *    found for: `route`, `instanceId`, EC2 `state`, `loadBalancers` (name =>
+   *    true if in service), expected `awsStatus`, `node`, `seisoStatus` and
+   *    `inSync`; empty if the instance is not found
+   * @api public
+   **/
+  self.getInstanceStatus = function (instanceId, callback) {
+    return orchestrator.getInstanceStatusAsync(instanceId).asCallback(callback);
+  };
+
+  /**
+   * Subscribe to orchestration events:
+   *   `started`/`stopped` on orchestration state change
+   *   `plan` with the report of a dry-run reconciliation pass
+   *
+   * @param {string} event Event name
+   * @param {Function} handler Event handler
+   * @return {Object} this service, for chaining
+   * @api public
+   **/
+  self.on = function (event, handler) {
+    orchestrator.on(event, handler);
+    return self;
+  };
+
   /**
    * Bootstrap the SNS topic, SQS queue, and permissions
    * Refer to bootstrap module's execute function
    * for configuration details
    *
    * @param {Object} config Configuration
+   * @param {Function} callback Callback function (with err and result params)
+   * @return {Promise} Resolves with the `topicArn`, `queueUrl` and `queueArn`
    * @api public
    **/
   self.bootstrap = require('./bootstrapper').execute;
 
 }
+
+/**
+ * Check a service configuration, with its environment variable overrides,
+ * as far as possible without connecting to AWS or Seiso: its settings,
+ * routes, decommission policies, mapper and custom mappers
+ *
+ * @param {Object} config Configuration
+ * @return {Array<string>} Validation errors, naming the setting; empty if valid
+ * @api public
+ **/
+ImportService.validateConfig = function (config) {
+  return Orchestrator.validateConfig(Config.resolve(config));
+};
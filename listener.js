@@ -2,11 +2,90 @@
 var Promise = require('bluebird');
 var util = require('util');
 var EventEmitter = require('events').EventEmitter;
+var autoScaling = require('./autoScaling');
+var AwsClients = require('./awsClients');
+var DeadLetter = require('./deadLetter');
+var metrics = require('./metrics');
+var logger = require('./logger');
+
+var log = logger.getLogger('listener');
 
 var EC2_INSTANCE_STATE_CHANGE_EVENT_TYPE = 'EC2 Instance State-change Notification';
 var EC2_INSTANCE_HEALTH_FAIL_EVENT_TYPE = 'EC2 Instance Health Failure Notification';
 var EC2_INSTANCE_LB_REGISTRATION_EVENT_TYPE = 'AWS API Call via CloudTrail'; // Get appropriate event
 
+var ROTATE_IN_EVENT = 'instance-rotate-in',
+    ROTATE_OUT_EVENT = 'instance-rotate-out',
+    INSTANCE_UNAVAILABLE_EVENT = 'instance-unavailable',
+    INSTANCE_REEVALUATE_EVENT = 'instance-reevaluate';
+
+// EC2 instance states in which an instance cannot serve traffic
+var EC2_UNAVAILABLE_STATES = ['stopping', 'stopped', 'shutting-down', 'terminated'];
+// EC2 instance states in which an instance may (again) serve traffic
+var EC2_AVAILABLE_STATES = ['pending', 'running'];
+
+// CloudWatch alarm metric for EC2 status checks, see bootstrapper
+var STATUS_CHECK_FAILED_METRIC = 'StatusCheckFailed';
+
+// Classic ELB instance registration API calls
+var CLASSIC_REGISTRATION_EVENTS = {
+    RegisterInstancesWithLoadBalancer: ROTATE_IN_EVENT,
+    DeregisterInstancesFromLoadBalancer: ROTATE_OUT_EVENT
+};
+
+// Application/Network Load Balancer (ELBv2) target registration API calls
+var TARGET_REGISTRATION_EVENTS = {
+    RegisterTargets: ROTATE_IN_EVENT,
+    DeregisterTargets: ROTATE_OUT_EVENT
+};
+
+// Auto Scaling API calls changing the load balancing of group instances
+var AUTO_SCALING_API_EVENTS = {
+    AttachInstances: ROTATE_IN_EVENT,
+    DetachInstances: ROTATE_OUT_EVENT,
+    ExitStandby: ROTATE_IN_EVENT,
+    EnterStandby: ROTATE_OUT_EVENT,
+    AttachLoadBalancers: ROTATE_IN_EVENT,
+    DetachLoadBalancers: ROTATE_OUT_EVENT,
+    AttachLoadBalancerTargetGroups: ROTATE_IN_EVENT,
+    DetachLoadBalancerTargetGroups: ROTATE_OUT_EVENT
+};
+
+// Auto Scaling API calls which apply to every instance of the group
+var AUTO_SCALING_GROUP_EVENTS = [
+    'AttachLoadBalancers',
+    'DetachLoadBalancers',
+    'AttachLoadBalancerTargetGroups',
+    'DetachLoadBalancerTargetGroups'
+];
+
+// Auto Scaling instance lifecycle event types; launch lifecycle actions are
+// ignored, as the instance is not in service until the launch succeeds
+var AUTO_SCALING_LIFECYCLE_EVENT_TYPES = {
+    'EC2 Instance Launch Successful': ROTATE_IN_EVENT,
+    'EC2 Instance Terminate Successful': ROTATE_OUT_EVENT,
+    'EC2 Instance-terminate Lifecycle Action': ROTATE_OUT_EVENT
+};
+
+// SQS limit on messages per receive and entries per delete batch
+var MAX_BATCH_SIZE = 10;
+// Milliseconds to wait for more deletions before sending a partial batch
+var DELETE_BATCH_WAIT = 50;
+// SQS limit on message visibility timeout, in seconds (12 hours)
+var MAX_VISIBILITY_TIMEOUT = 43200;
+
+var sqsReceives = metrics.counter('seiso_listener_sqs_receives_total',
+        'SQS receive requests, by queue and outcome', ['queue', 'outcome']),
+    sqsMessagesReceived = metrics.counter('seiso_listener_sqs_messages_received_total',
+        'SQS messages received, by queue', ['queue']),
+    sqsDeletes = metrics.counter('seiso_listener_sqs_deletes_total',
+        'SQS messages deleted, by queue and outcome', ['queue', 'outcome']),
+    messagesProcessed = metrics.counter('seiso_listener_messages_total',
+        'Messages processed, by event detail-type and event name', ['detail_type', 'event_name']),
+    messagesFailed = metrics.counter('seiso_listener_messages_failed_total',
+        'Messages which failed to process, by queue and outcome (retried, dead_lettered, discarded)',
+        ['queue', 'outcome']);
+
 var exports, Listener, AWS;
 Listener = exports = module.exports = createListener;
 util.inherits(Listener, EventEmitter);
@@ -21,13 +100,47 @@ function createListener(awsConnection, options) {
     AWS = awsConnection;
     self.processingTimeout = options.processingTimeout || undefined; // default for the queue
     self.pollTimeout = options.pollTimeout || 20;
+    self.batchSize = Math.min(Math.max(parseInt(options.batchSize, 10) || MAX_BATCH_SIZE, 1), MAX_BATCH_SIZE);
+    self.concurrency = Math.max(parseInt(options.concurrency, 10) || MAX_BATCH_SIZE, 1);
+
+    // Failed messages are retried with exponential backoff (seconds) until
+    // received maxReceiveCount times, then sent to the dead-letter destination
+    self.maxReceiveCount = options.maxReceiveCount || 5;
+    self.retryDelay = options.retryDelay || 30;
+    self.maxRetryDelay = Math.min(options.maxRetryDelay || 900, MAX_VISIBILITY_TIMEOUT);
+
+    // Messages received and not yet deleted/failed, by deletion token
+    self.inFlight = {};
+    self.inFlightCount = 0;
+    // Deletions waiting to be sent in the next batch
+    self.pendingDeletes = [];
+    self.deleteTimer = null;
+    // Completions of replayed messages, by deletion token; see replayMessageAsync
+    self.replays = {};
+
+    // Message counts since creation, and time of the last successful poll
+    self.stats = {
+        received: 0,
+        processed: 0,
+        failed: 0,
+        deadLettered: 0,
+        discarded: 0
+    };
+    self.lastPoll = null;
 
     self.state = 'Stopped';
     self.queue = options.queue || "";
+    // Reasons reading is paused for, e.g. an unavailable dependency
+    self.pauses = {};
 
     /* Listen for availability alarm events from SQS */
     self.sqs = new AWS.SQS();
     self.sqs.receiveMessageAsync = Promise.promisify(self.sqs.receiveMessage);
+    self.sqs.deleteMessageBatchAsync = Promise.promisify(self.sqs.deleteMessageBatch);
+    self.sqs.changeMessageVisibilityAsync = Promise.promisify(self.sqs.changeMessageVisibility);
+    self.sqs.getQueueAttributesAsync = Promise.promisify(self.sqs.getQueueAttributes);
+
+    self.deadLetter = options.deadLetter ? new DeadLetter(self.sqs, options.deadLetter) : null;
 
     self.ec2 = new AWS.EC2();
     self.ec2.describeInstancesAsync = Promise.promisify(self.ec2.describeInstances);
@@ -36,10 +149,16 @@ function createListener(awsConnection, options) {
     self.elb = new AWS.ELB();
     self.elb.describeLoadBalancersAsync = Promise.promisify(self.elb.describeLoadBalancers);
 
+    self.elbv2 = new AWS.ELBv2();
+    self.elbv2.describeTargetGroupsAsync = Promise.promisify(self.elbv2.describeTargetGroups);
+    self.elbv2.describeLoadBalancersAsync = Promise.promisify(self.elbv2.describeLoadBalancers);
+
     self.autoScaling = new AWS.AutoScaling();
     self.autoScaling.describeAutoScalingInstancesAsync = Promise.promisify(self.autoScaling.describeAutoScalingInstances);
+    self.autoScaling.describeAutoScalingGroupsAsync = Promise.promisify(self.autoScaling.describeAutoScalingGroups);
 
     self.autoScaling.describeLoadBalancersAsync = Promise.promisify(self.autoScaling.describeLoadBalancers);
+    self.autoScaling.describeLoadBalancerTargetGroupsAsync = Promise.promisify(self.autoScaling.describeLoadBalancerTargetGroups);
 
     return self;
 }
@@ -54,7 +173,7 @@ Listener.prototype.start = start;
 function start(callback) {
     var self = this;
 
-    console.log('listener::Starting listener for ' + self.queue);
+    log.info('Starting listener', { queue: self.queue });
     self.state = 'Started';
     self.listen = true;
 
@@ -70,68 +189,438 @@ function start(callback) {
 }
 
 /**
- * Submit a read request to AWS
+ * Pause reading from the queue, e.g. while a dependency is unavailable;
+ * messages in flight are still processed. Reading resumes once every reason
+ * to pause is cleared with `resume`.
+ * @param {string} reason Reason to pause, e.g. the unavailable dependency
+ */
+Listener.prototype.pause = function (reason) {
+    var self = this;
+
+    if (!self.isPaused()) {
+        log.warn('Pausing listener', { queue: self.queue, reason: reason });
+    }
+    self.pauses[reason] = true;
+};
+
+/**
+ * Clear a reason to pause reading from the queue; see `pause`
+ * @param {string} reason Reason given to `pause`
+ */
+Listener.prototype.resume = function (reason) {
+    var self = this;
+
+    if (!self.pauses[reason]) {
+        return;
+    }
+    delete self.pauses[reason];
+    if (!self.isPaused()) {
+        log.info('Resuming listener', { queue: self.queue });
+        if (!self.reading) {
+            process.nextTick(function () {
+                if (!self.reading) {
+                    self.tryRead();
+                }
+            });
+        }
+    }
+};
+
+/**
+ * @returns {boolean} true if reading from the queue is paused
+ */
+Listener.prototype.isPaused = function () {
+    return Object.keys(this.pauses).length > 0;
+};
+
+/**
+ * Submit a read request to AWS, for as many messages as the batch size and
+ * the number of messages in flight allow; reading pauses while the
+ * concurrency limit is reached, and resumes as messages are released
  */
 Listener.prototype.tryRead = function () {
     var self = this;
 
-    console.log(self.queue);
-    console.log('listener::Reading from queue...');
+    var capacity = self.concurrency - self.inFlightCount;
+    if (!self.listen || capacity < 1 || self.isPaused()) {
+        self.reading = false;
+        return self.checkStopped();
+    }
+    self.reading = true;
+
+    log.debug('Reading from queue', { queue: self.queue });
     self.sqs.receiveMessageAsync({
             QueueUrl: self.queue,
-            MaxNumberOfMessages: 1,
+            MaxNumberOfMessages: Math.min(self.batchSize, capacity),
+            AttributeNames: ['ApproximateReceiveCount'],
             VisibilityTimeout: self.processingTimeout,
             WaitTimeSeconds: self.pollTimeout
         })
         .then(function (data) {
-            console.log('listener::Finished polling');
-            if (data && data.Messages && data.Messages[0]) {
-                var message = data.Messages[0];
-                return self.processMessage(message);
-            }
+            log.debug('Finished polling', { queue: self.queue, messages: data && data.Messages ? data.Messages.length : 0 });
+            self.lastPoll = new Date();
+            var messages = (data && data.Messages) || [];
+            self.stats.received += messages.length;
+            sqsReceives.inc({ queue: self.queue, outcome: 'success' });
+            sqsMessagesReceived.inc({ queue: self.queue }, messages.length);
+            messages.forEach(function (message) {
+                var deletionToken = message.ReceiptHandle;
+                self.inFlight[deletionToken] = message;
+                self.inFlightCount++;
+
+                // Processing is not awaited; the message is released on deletion/failure
+                Promise.try(function () {
+                        return self.processMessage(message);
+                    })
+                    .catch(function (err) {
+                        self.failMessage(deletionToken, err);
+                    });
+            });
         })
         .catch(function (err) {
-            console.log(err)
-                // TODO: Should we reset the SQS client here?
+            sqsReceives.inc({ queue: self.queue, outcome: 'error' });
+            // TODO: Should we reset the SQS client here?
             if (err.toString().indexOf('CredentialsError') !== -1 || err.toString().indexOf('UnauthorizedException') !== -1) {
-                console.log('listener::Fatal error: ' + err);
+                log.error('Fatal error receiving messages; stopping', { queue: self.queue, err: err });
                 self.stop();
             } else {
-                console.log('listener::Error receiving message: ' + err);
+                log.warn('Error receiving message', { queue: self.queue, err: err });
             }
         })
         .then(function () {
-            if (self.listen) {
-                process.nextTick(function () {
-                    self.tryRead();
+            process.nextTick(function () {
+                self.tryRead();
+            });
+        });
+};
+
+/**
+ * Acknowledge/Delete SQS Message, once processed
+ * @param {string} deletionToken Message Reference Token
+ * @returns {Promise} Resolves once the deletion batch has been sent
+ */
+Listener.prototype.deleteMessage = function (deletionToken) {
+    var self = this;
+
+    self.stats.processed++;
+    return self.removeMessage(deletionToken);
+};
+
+/**
+ * Remove an SQS Message from the queue; deletions are sent in batches
+ * @param {string} deletionToken Message Reference Token
+ * @returns {Promise} Resolves once the deletion batch has been sent
+ */
+Listener.prototype.removeMessage = function (deletionToken) {
+    var self = this;
+
+    if (self.completeReplay(deletionToken, 'processed')) {
+        return Promise.resolve();
+    }
+    self.messageLog(deletionToken).debug('Deleting message from queue');
+    var deletion = new Promise(function (resolve) {
+        self.pendingDeletes.push({
+            receiptHandle: deletionToken,
+            resolve: resolve
+        });
+    });
+
+    if (self.pendingDeletes.length >= MAX_BATCH_SIZE) {
+        self.flushDeletes();
+    } else if (!self.deleteTimer) {
+        self.deleteTimer = setTimeout(function () {
+            self.flushDeletes();
+        }, DELETE_BATCH_WAIT);
+    }
+
+    self.releaseMessage(deletionToken);
+    return deletion;
+};
+
+/**
+ * Handle a failure to process an SQS message: the message is made visible
+ * again after an exponentially increasing delay, or sent to the dead-letter
+ * destination once it has been received `maxReceiveCount` times. Without a
+ * dead-letter destination, the message stays on the queue, subject to the
+ * queue's own redrive policy. While the listener is paused, failures are
+ * blamed on the unavailable dependency, and messages are never dead-lettered.
+ * @param {string} deletionToken Message Reference Token
+ * @param {*} err Reason for failure
+ * @returns {Promise} Resolves once the message has been handled
+ */
+Listener.prototype.failMessage = function (deletionToken, err) {
+    var self = this;
+
+    if (self.completeReplay(deletionToken, 'failed', err)) {
+        return Promise.resolve();
+    }
+    var message = self.inFlight[deletionToken];
+    var receiveCount = getReceiveCount(message);
+    var reason = failureReason(err);
+    self.messageLog(deletionToken).warn('Failed to process message', {
+        attempt: receiveCount,
+        reason: reason
+    });
+    self.stats.failed++;
+
+    if (message && self.deadLetter && receiveCount >= self.maxReceiveCount && !self.isPaused()) {
+        return self.deadLetterMessage(deletionToken, err);
+    }
+
+    messagesFailed.inc({ queue: self.queue, outcome: 'retried' });
+    return self.retryMessage(deletionToken,
+        Math.min(self.retryDelay * Math.pow(2, receiveCount - 1), self.maxRetryDelay));
+};
+
+/**
+ * Release an SQS message for it to be received again after a delay
+ * @param {string} deletionToken Message Reference Token
+ * @param {number} delay Seconds until the message is visible again
+ * @returns {Promise} Resolves once the message has been released
+ */
+Listener.prototype.retryMessage = function (deletionToken, delay) {
+    var self = this;
+
+    return self.sqs.changeMessageVisibilityAsync({
+            QueueUrl: self.queue,
+            ReceiptHandle: deletionToken,
+            VisibilityTimeout: Math.round(delay)
+        })
+        .catch(function (err) {
+            self.messageLog(deletionToken).warn('Error when delaying message retry', { err: err });
+        })
+        .then(function () {
+            self.releaseMessage(deletionToken);
+        });
+};
+
+/**
+ * Remove an SQS message which cannot be processed from the queue, sending
+ * it with the failure reason to the dead-letter destination if configured;
+ * if the dead letter cannot be sent, the message is retried instead
+ * @param {string} deletionToken Message Reference Token
+ * @param {*} err Reason for failure
+ * @returns {Promise} Resolves once the message has been handled
+ */
+Listener.prototype.deadLetterMessage = function (deletionToken, err) {
+    var self = this;
+
+    if (self.completeReplay(deletionToken, 'discarded', err)) {
+        return Promise.resolve();
+    }
+    var message = self.inFlight[deletionToken];
+    var reason = failureReason(err);
+    if (!self.deadLetter || !message) {
+        self.messageLog(deletionToken).warn('Discarding message', { reason: reason });
+        self.stats.discarded++;
+        messagesFailed.inc({ queue: self.queue, outcome: 'discarded' });
+        return self.removeMessage(deletionToken);
+    }
+
+    self.messageLog(deletionToken).warn('Sending message to dead-letter destination', { reason: reason });
+    return self.deadLetter.sendAsync(message, reason)
+        .then(function () {
+            self.stats.deadLettered++;
+            messagesFailed.inc({ queue: self.queue, outcome: 'dead_lettered' });
+            return self.removeMessage(deletionToken);
+        }, function (deadLetterErr) {
+            self.messageLog(deletionToken).error('Error when sending dead letter', { err: deadLetterErr });
+            return self.retryMessage(deletionToken, self.maxRetryDelay);
+        });
+};
+
+/**
+ * Send all pending deletions, in batches of up to 10 entries
+ * @returns {Promise} Resolves once all batches have been sent
+ */
+Listener.prototype.flushDeletes = function () {
+    var self = this;
+
+    clearTimeout(self.deleteTimer);
+    self.deleteTimer = null;
+
+    var batches = [];
+    while (self.pendingDeletes.length > 0) {
+        batches.push(self.pendingDeletes.splice(0, MAX_BATCH_SIZE));
+    }
+
+    return Promise.map(batches, function (batch) {
+        return self.sqs.deleteMessageBatchAsync({
+                QueueUrl: self.queue,
+                Entries: batch.map(function (deletion, index) {
+                    return {
+                        Id: String(index),
+                        ReceiptHandle: deletion.receiptHandle
+                    };
+                })
+            })
+            .then(function (response) {
+                var failed = (response && response.Failed) || [];
+                failed.forEach(function (failure) {
+                    log.warn('Error when deleting message', {
+                        queue: self.queue,
+                        code: failure.Code,
+                        reason: failure.Message
+                    });
                 });
-            } else {
-                self.state = 'Stopped';
-                self.emit('stopped', undefined);
+                sqsDeletes.inc({ queue: self.queue, outcome: 'success' }, batch.length - failed.length);
+                sqsDeletes.inc({ queue: self.queue, outcome: 'failed' }, failed.length);
+            })
+            .catch(function (err) {
+                log.warn('Error when deleting messages', { queue: self.queue, err: err });
+                sqsDeletes.inc({ queue: self.queue, outcome: 'error' }, batch.length);
+            })
+            .then(function () {
+                batch.forEach(function (deletion) {
+                    deletion.resolve();
+                });
+            });
+    });
+};
+
+/**
+ * Release an in-flight message, resuming reading if it was paused on the
+ * concurrency limit
+ * @param {string} deletionToken Message Reference Token
+ */
+Listener.prototype.releaseMessage = function (deletionToken) {
+    var self = this;
+
+    if (!self.inFlight[deletionToken]) {
+        return;
+    }
+    delete self.inFlight[deletionToken];
+    self.inFlightCount--;
+
+    if (!self.reading) {
+        process.nextTick(function () {
+            if (!self.reading) {
+                self.tryRead();
             }
         });
+    }
 };
 
 /**
- * Acknowledge/Delete SQS Message
+ * Process a captured message as if received from the queue, e.g. to re-drive
+ * history; the message is never deleted from, nor made visible again on, the
+ * queue, and is never sent to the dead-letter destination
+ * @param {Object} message SQS message, with `MessageId`, a `ReceiptHandle`
+ *   unique to the replay, and `Body`
+ * @returns {Promise} Resolves once the message is handled, with its `outcome`
+ *   (processed, failed or discarded), and the failure `reason` if any
+ */
+Listener.prototype.replayMessageAsync = function (message) {
+    var self = this;
+
+    var deletionToken = message.ReceiptHandle;
+    if (self.inFlight[deletionToken]) {
+        return Promise.reject(new Error('Message ' + deletionToken + ' is already in flight'));
+    }
+    return new Promise(function (resolve) {
+        self.inFlight[deletionToken] = message;
+        self.inFlightCount++;
+        self.replays[deletionToken] = resolve;
+
+        Promise.try(function () {
+                return self.processMessage(message);
+            })
+            .catch(function (err) {
+                self.failMessage(deletionToken, err);
+            });
+    });
+};
+
+/**
+ * Complete the replay of a message, if the message is replayed
  * @param {string} deletionToken Message Reference Token
+ * @param {string} outcome processed, failed or discarded
+ * @param {*} err Reason for failure, if any
+ * @returns {boolean} true if the message was replayed; false otherwise
  */
-Listener.prototype.deleteMessage = function (deletionToken) {
+Listener.prototype.completeReplay = function (deletionToken, outcome, err) {
     var self = this;
 
-    console.log('listener::Deleting message from queue');
-    self.sqs.deleteMessage({
+    var complete = self.replays[deletionToken];
+    if (!complete) {
+        return false;
+    }
+    delete self.replays[deletionToken];
+    if (err) {
+        self.messageLog(deletionToken).warn('Failed to replay message', { reason: failureReason(err) });
+    }
+    self.releaseMessage(deletionToken);
+    complete({
+        outcome: outcome,
+        reason: err ? failureReason(err) : undefined
+    });
+    return true;
+};
+
+/**
+ * Complete a stop once reading has ended and in-flight messages are released
+ */
+Listener.prototype.checkStopped = function () {
+    var self = this;
+
+    if (self.state !== 'Stopping' || self.reading || self.inFlightCount > 0) {
+        return;
+    }
+    self.flushDeletes()
+        .then(function () {
+            self.state = 'Stopped';
+            self.emit('stopped', undefined);
+        });
+};
+
+/**
+ * Get a logger for an SQS message, with the queue and message identifier
+ * @param {string} deletionToken Message Reference Token
+ * @returns {Logger} Message logger
+ */
+Listener.prototype.messageLog = function (deletionToken) {
+    var self = this;
+
+    var message = self.inFlight[deletionToken];
+    return log.child({
+        queue: self.queue,
+        messageId: message ? message.MessageId : undefined
+    });
+};
+
+/**
+ * Get the Listener status, e.g. for health checks
+ * @returns {Object} `queue`, `state`, `lastPoll`, `inFlight` and message counts
+ *   `received`, `processed`, `failed`, `deadLettered` and `discarded`
+ */
+Listener.prototype.getStatus = function () {
+    var self = this;
+
+    return Object.assign({
+        queue: self.queue,
+        state: self.state,
+        paused: self.isPaused(),
+        lastPoll: self.lastPoll,
+        inFlight: self.inFlightCount
+    }, self.stats);
+};
+
+/**
+ * Check that the queue can be reached with the Listener's AWS credentials
+ * @returns {Promise} Resolves if the queue attributes can be read
+ */
+Listener.prototype.checkAsync = function () {
+    var self = this;
+
+    return self.sqs.getQueueAttributesAsync({
         QueueUrl: self.queue,
-        ReceiptHandle: deletionToken
-    }, function (err, response) {
-        if (err) {
-            console.log('listener::Error when deleting message: ' + err);
-        }
+        AttributeNames: ['QueueArn']
     });
 };
 
 /**
- * Shuts down a Listener Channel
+ * Shuts down a Listener Channel; messages in flight are given the chance
+ * to complete first
  */
 Listener.prototype.stop = stop;
 
@@ -140,6 +629,11 @@ function stop() {
 
     self.state = 'Stopping';
     self.listen = false;
+    if (!self.reading) {
+        process.nextTick(function () {
+            self.checkStopped();
+        });
+    }
 }
 
 Listener.prototype.processMessage = function (message) {
@@ -148,7 +642,8 @@ Listener.prototype.processMessage = function (message) {
     // Note: the identifier used for deletion is the receipt handle, not the message id
     var deletionToken = message.ReceiptHandle;
 
-    console.log('processing: processing message');
+    var messageLog = self.messageLog(deletionToken);
+    messageLog.debug('Processing message');
     self.emit('message', message);
     try {
         message = JSON.parse(message.Body);
@@ -156,121 +651,552 @@ Listener.prototype.processMessage = function (message) {
             message = JSON.parse(message.Message);
         }
     } catch (err) {
-        console.log('listener::Failed to parse:' + '\nError: ' + err + '\nMessage: ' + message);
+        messageLog.warn('Failed to parse message', { err: err });
+        return self.deadLetterMessage(deletionToken, 'Failed to parse message: ' + err);
     }
 
-    console.log(message['detail-type']);
-    if (message['detail-type'] === EC2_INSTANCE_LB_REGISTRATION_EVENT_TYPE) {
+    var eventName = message.detail ? message.detail.eventName : undefined;
+    messageLog.info('Received event', {
+        detailType: message['detail-type'],
+        eventName: eventName
+    });
+    messagesProcessed.inc({
+        detail_type: message['detail-type'] || (message.AlarmName ? 'CloudWatch Alarm' : 'unknown'),
+        event_name: eventName || ''
+    });
+    if (message['detail-type'] === EC2_INSTANCE_LB_REGISTRATION_EVENT_TYPE &&
+        CLASSIC_REGISTRATION_EVENTS.hasOwnProperty(eventName)) {
 
-        if (!messageValidate(message)) {
-            throw new Error('LB Registration event does not contain valid data');
-        }
-        var instanceIds = message.detail.requestParameters.instances.map(
-            instance => instance.instanceId
-        );
-        var loadBalancerName = message.detail.requestParameters.loadBalancerName;
-        var eventName = message.detail.eventName;
+        return self.processClassicRegistration(message, deletionToken);
+    } else if (message['detail-type'] === EC2_INSTANCE_LB_REGISTRATION_EVENT_TYPE &&
+        TARGET_REGISTRATION_EVENTS.hasOwnProperty(eventName)) {
 
-        console.log('listener::Found ' + instanceIds.join(', ') + ' received instruction ' +
-            eventName + ' with loadbalancer ' + loadBalancerName);
+        return self.processTargetRegistration(message, deletionToken);
+    } else if (message['detail-type'] === EC2_INSTANCE_LB_REGISTRATION_EVENT_TYPE &&
+        AUTO_SCALING_API_EVENTS.hasOwnProperty(eventName)) {
 
-        console.log("Attempting to resolve load balancer, instance registered");
-        return self.resolveLoadBalancer(instanceIds[0])
-            .then(function () {
-                console.log("LoadBalancer Resolved");
-                return self.ec2.describeInstancesAsync({
-                    InstanceIds: instanceIds
-                });
-            })
-            // TODO: Stop retrieving details if/when removal only needs instance ID
-            // Retrieve instance details
-            .then(function (instanceDetails) {
-                var instances = [];
-                instanceDetails.Reservations.forEach(reservation => {
-                    reservation.Instances.forEach(instance => {
-                        if (instance.InstanceId) {
-                            instances.push(instance);
-                        } else {
-                            throw new Error("Did no retreive expected valid instance details.", instanceDetails);
-                        }
-                    });
-                });
-                return instances;
-            })
-            .then(function (instances) {
-                console.log("Processing instances", JSON.stringify(instances, null, 1));
-                instances.forEach(instance => {
-                    instance.region = message.region;
-                });
-                if (eventName === 'DeregisterInstancesFromLoadBalancer') {
-                    console.log('Instance is Rotation State Down:');
-                    self.emit('instance-rotate-out', {
-                        deletionToken: deletionToken,
-                        instances
-                    });
-                } else if (eventName === 'RegisterInstancesWithLoadBalancer') {
-                    console.log('Instance is Rotation State Up:');
-                    self.emit('instance-rotate-in', {
-                        deletionToken: deletionToken,
-                        instances
-                    });
-                } else {
-                    console.log("Skipping non-registration change");
-                }
-            }).catch(function (err) {
-                console.log('listener::' + err);
+        return self.processAutoScalingApiCall(message, deletionToken);
+    } else if (AUTO_SCALING_LIFECYCLE_EVENT_TYPES.hasOwnProperty(message['detail-type'])) {
+
+        return self.processAutoScalingLifecycle(message, deletionToken);
+    } else if (message['detail-type'] === EC2_INSTANCE_STATE_CHANGE_EVENT_TYPE) {
+
+        return self.processInstanceStateChange(message, deletionToken);
+    } else if (message['detail-type'] === EC2_INSTANCE_HEALTH_FAIL_EVENT_TYPE) {
+
+        return self.processInstanceHealthFailure(message, deletionToken);
+    } else if (message.AlarmName && message.Trigger && message.Trigger.MetricName === STATUS_CHECK_FAILED_METRIC) {
+
+        return self.processStatusCheckAlarm(message, deletionToken);
+    } else {
+        messageLog.info('Skipping unsupported event', { eventName: eventName });
+        return self.deleteMessage(deletionToken);
+    }
+};
+
+/**
+ * Handle a classic ELB instance de/registration event
+ * @param   {Object} message Parsed CloudTrail event
+ * @param   {string} deletionToken Message Reference Token
+ * @returns {Promise} Resolves once rotation events have been emitted
+ */
+Listener.prototype.processClassicRegistration = function (message, deletionToken) {
+    var self = this;
+
+    // Invalid events are dead-lettered at once: retrying them cannot help
+    if (!messageValidate(message)) {
+        return self.deadLetterMessage(deletionToken, 'LB Registration event does not contain valid data');
+    }
+    var instanceIds = message.detail.requestParameters.instances
+        .filter(instance => instance && instance.instanceId)
+        .map(instance => instance.instanceId);
+    var loadBalancerName = message.detail.requestParameters.loadBalancerName;
+    var eventName = message.detail.eventName;
+
+    self.messageLog(deletionToken).info('Load balancer registration', {
+        eventName: eventName,
+        instanceIds: instanceIds,
+        loadBalancer: loadBalancerName
+    });
+
+    return Promise.try(function () {
+            return self.emitRotation(CLASSIC_REGISTRATION_EVENTS[eventName], message, deletionToken,
+                instanceIds, [loadBalancerName]);
+        })
+        .catch(function (err) {
+            return self.failMessage(deletionToken, err);
+        });
+};
+
+/**
+ * Handle an Application/Network Load Balancer (ELBv2) target
+ * de/registration event; only instance targets are supported
+ * @param   {Object} message Parsed CloudTrail event
+ * @param   {string} deletionToken Message Reference Token
+ * @returns {Promise} Resolves once rotation events have been emitted
+ */
+Listener.prototype.processTargetRegistration = function (message, deletionToken) {
+    var self = this;
+
+    if (!targetMessageValidate(message)) {
+        return self.deadLetterMessage(deletionToken, 'Target Group Registration event does not contain valid data');
+    }
+    var targetGroupArn = message.detail.requestParameters.targetGroupArn;
+    var eventName = message.detail.eventName;
+    var instanceIds = message.detail.requestParameters.targets
+        .map(target => target.id)
+        .filter(id => typeof id === 'string' && id.indexOf('i-') === 0);
+
+    if (instanceIds.length === 0) {
+        self.messageLog(deletionToken).info('No instance targets; skipping', {
+            eventName: eventName,
+            targetGroup: targetGroupArn
+        });
+        return self.deleteMessage(deletionToken);
+    }
+
+    var messageLog = self.messageLog(deletionToken);
+    messageLog.info('Target group registration', {
+        eventName: eventName,
+        instanceIds: instanceIds,
+        targetGroup: targetGroupArn
+    });
+
+    return self.resolveTargetGroupLoadBalancers(targetGroupArn)
+        .then(function (loadBalancerNames) {
+            messageLog.debug('Resolved target group load balancers', {
+                targetGroup: targetGroupArn,
+                loadBalancers: loadBalancerNames
             });
+            return self.emitRotation(TARGET_REGISTRATION_EVENTS[eventName], message, deletionToken,
+                instanceIds, loadBalancerNames);
+        })
+        .catch(function (err) {
+            return self.failMessage(deletionToken, err);
+        });
+};
+
+/**
+ * Handle an Auto Scaling API call (via CloudTrail) which attaches/detaches
+ * instances or load balancers, or moves instances in/out of standby
+ * @param   {Object} message Parsed CloudTrail event
+ * @param   {string} deletionToken Message Reference Token
+ * @returns {Promise} Resolves once rotation events have been emitted
+ */
+Listener.prototype.processAutoScalingApiCall = function (message, deletionToken) {
+    var self = this;
+
+    var rp = message.detail.requestParameters;
+    var eventName = message.detail.eventName;
+    if (!rp || !rp.autoScalingGroupName) {
+        return self.deadLetterMessage(deletionToken, 'Auto Scaling event does not contain valid data');
+    }
+    var groupName = rp.autoScalingGroupName;
+    var wholeGroup = AUTO_SCALING_GROUP_EVENTS.indexOf(eventName) !== -1;
+
+    var messageLog = self.messageLog(deletionToken).child({ autoScalingGroup: groupName });
+    messageLog.info('Auto Scaling group change', { eventName: eventName });
+
+    var instanceIdsResolution = wholeGroup ?
+        autoScaling.getGroupInstanceIdsAsync(self.autoScaling, groupName) :
+        Promise.resolve(rp.instanceIds || []);
+
+    return Promise.join(
+            instanceIdsResolution,
+            self.resolveGroupLoadBalancers(groupName),
+            function (instanceIds, loadBalancerNames) {
+                var detached = [].concat(rp.loadBalancerNames || [], rp.targetGroupARNs || []);
+                if (instanceIds.length === 0) {
+                    messageLog.info('No instances affected; skipping', { eventName: eventName });
+                    return self.deleteMessage(deletionToken);
+                }
+                if (wholeGroup && AUTO_SCALING_API_EVENTS[eventName] === ROTATE_OUT_EVENT) {
+                    // Group instances stay in rotation while any other load balancer remains
+                    if (loadBalancerNames.length > 0) {
+                        messageLog.info('Group still load balanced; skipping', { loadBalancers: loadBalancerNames });
+                        return self.deleteMessage(deletionToken);
+                    }
+                    return self.emitRotation(ROTATE_OUT_EVENT, message, deletionToken, instanceIds, detached);
+                }
+                if (loadBalancerNames.length === 0) {
+                    messageLog.info('Group not load balanced; skipping');
+                    return self.deleteMessage(deletionToken);
+                }
+                return self.emitRotation(AUTO_SCALING_API_EVENTS[eventName], message, deletionToken,
+                    instanceIds, loadBalancerNames);
+            })
+        .catch(function (err) {
+            return self.failMessage(deletionToken, err);
+        });
+};
+
+/**
+ * Handle an Auto Scaling instance launch/terminate event
+ * @param   {Object} message Parsed EventBridge event
+ * @param   {string} deletionToken Message Reference Token
+ * @returns {Promise} Resolves once rotation events have been emitted
+ */
+Listener.prototype.processAutoScalingLifecycle = function (message, deletionToken) {
+    var self = this;
+
+    var detail = message.detail;
+    if (!detail || !detail.AutoScalingGroupName || !detail.EC2InstanceId) {
+        return self.deadLetterMessage(deletionToken, 'Auto Scaling lifecycle event does not contain valid data');
+    }
+    var rotation = AUTO_SCALING_LIFECYCLE_EVENT_TYPES[message['detail-type']];
+
+    var messageLog = self.messageLog(deletionToken).child({
+        autoScalingGroup: detail.AutoScalingGroupName,
+        instanceId: detail.EC2InstanceId
+    });
+    messageLog.info('Auto Scaling instance lifecycle', { detailType: message['detail-type'] });
+
+    return self.resolveGroupLoadBalancers(detail.AutoScalingGroupName)
+        .then(function (loadBalancerNames) {
+            if (loadBalancerNames.length === 0) {
+                messageLog.info('Group not load balanced; skipping');
+                return self.deleteMessage(deletionToken);
+            }
+            return self.emitRotation(rotation, message, deletionToken, [detail.EC2InstanceId], loadBalancerNames);
+        })
+        .catch(function (err) {
+            return self.failMessage(deletionToken, err);
+        });
+};
+
+/**
+ * Handle an EC2 instance state-change event: instances which stop or
+ * terminate are unavailable; instances which start are re-evaluated
+ * @param   {Object} message Parsed EventBridge event
+ * @param   {string} deletionToken Message Reference Token
+ * @returns {Promise} Resolves once instance events have been emitted
+ */
+Listener.prototype.processInstanceStateChange = function (message, deletionToken) {
+    var self = this;
+
+    var detail = message.detail;
+    if (!detail || !detail['instance-id'] || !detail.state) {
+        return self.deadLetterMessage(deletionToken, 'Instance state-change event does not contain valid data');
+    }
+    var instanceId = detail['instance-id'];
+
+    var messageLog = self.messageLog(deletionToken).child({ instanceId: instanceId });
+    messageLog.info('Instance state change', { state: detail.state });
+    if (EC2_UNAVAILABLE_STATES.indexOf(detail.state) !== -1) {
+        return self.emitUnavailable(detail.state, message, deletionToken, [instanceId]);
+    } else if (EC2_AVAILABLE_STATES.indexOf(detail.state) !== -1) {
+        return self.emitReevaluate(message, deletionToken, [instanceId]);
+    } else {
+        messageLog.info('Skipping instance state', { state: detail.state });
+        return self.deleteMessage(deletionToken);
+    }
+};
+
+/**
+ * Handle an EC2 instance health failure event; the failing instances, by
+ * `instance-id` detail or instance ARN resource, are unavailable
+ * @param   {Object} message Parsed EventBridge event
+ * @param   {string} deletionToken Message Reference Token
+ * @returns {Promise} Resolves once instance events have been emitted
+ */
+Listener.prototype.processInstanceHealthFailure = function (message, deletionToken) {
+    var self = this;
+
+    var instanceIds = (message.resources || [])
+        .map(resource => resource.split('/').pop())
+        .filter(id => id.indexOf('i-') === 0);
+    if (message.detail && message.detail['instance-id'] && instanceIds.indexOf(message.detail['instance-id']) === -1) {
+        instanceIds.push(message.detail['instance-id']);
+    }
+    if (instanceIds.length === 0) {
+        return self.deadLetterMessage(deletionToken, 'Instance health failure event does not contain valid data');
+    }
+
+    self.messageLog(deletionToken).info('Instance health failure', { instanceIds: instanceIds });
+    return self.emitUnavailable('health-failure', message, deletionToken, instanceIds);
+};
+
+/**
+ * Handle an EC2 status check CloudWatch alarm notification: an instance in
+ * alarm is unavailable, an instance back to OK is re-evaluated
+ * @param   {Object} alarm Parsed CloudWatch alarm SNS notification
+ * @param   {string} deletionToken Message Reference Token
+ * @returns {Promise} Resolves once instance events have been emitted
+ */
+Listener.prototype.processStatusCheckAlarm = function (alarm, deletionToken) {
+    var self = this;
+
+    var instanceIds = (alarm.Trigger.Dimensions || [])
+        .filter(dimension => dimension.name === 'InstanceId' && dimension.value)
+        .map(dimension => dimension.value);
+    if (instanceIds.length === 0) {
+        self.messageLog(deletionToken).info('Status check alarm has no instance; skipping', { alarm: alarm.AlarmName });
+        return self.deleteMessage(deletionToken);
+    }
+
+    self.messageLog(deletionToken).info('Status check alarm', {
+        alarm: alarm.AlarmName,
+        alarmState: alarm.NewStateValue,
+        instanceIds: instanceIds
+    });
+    if (alarm.NewStateValue === 'ALARM') {
+        return self.emitUnavailable('status-check-failed', alarm, deletionToken, instanceIds);
+    } else if (alarm.NewStateValue === 'OK') {
+        return self.emitReevaluate(alarm, deletionToken, instanceIds);
     } else {
-        console.log('listener::Unsupported state ' + eventName);
         return self.deleteMessage(deletionToken);
     }
 };
 
+/**
+ * Retrieve instance details and emit an `instance-unavailable` event; an
+ * instance whose details are no longer available (e.g. long terminated)
+ * is reported by its identifier and state only
+ * @param   {string} reason Instance state, or failure reason
+ * @param   {Object} message Parsed event
+ * @param   {string} deletionToken Message Reference Token
+ * @param   {Array<string>} instanceIds AWS EC2 instance identifiers
+ * @returns {Promise} Resolves once the event has been emitted
+ */
+Listener.prototype.emitUnavailable = function (reason, message, deletionToken, instanceIds) {
+    var self = this;
+
+    return self.getInstancesAsync(instanceIds)
+        .catch(function (err) {
+            self.messageLog(deletionToken).warn('Instance details not available', {
+                instanceIds: instanceIds,
+                err: err
+            });
+            return instanceIds.map(instanceId => ({
+                InstanceId: instanceId,
+                State: { Name: reason }
+            }));
+        })
+        .then(function (instances) {
+            setEventOrigin(instances, message);
+            self.emit(INSTANCE_UNAVAILABLE_EVENT, {
+                deletionToken: deletionToken,
+                reason: reason,
+                instances
+            });
+        })
+        .catch(function (err) {
+            return self.failMessage(deletionToken, err);
+        });
+};
+
+/**
+ * Retrieve instance details and emit an `instance-reevaluate` event, for
+ * the instance rotation status to be reconciled with its load balancers
+ * @param   {Object} message Parsed event
+ * @param   {string} deletionToken Message Reference Token
+ * @param   {Array<string>} instanceIds AWS EC2 instance identifiers
+ * @returns {Promise} Resolves once the event has been emitted
+ */
+Listener.prototype.emitReevaluate = function (message, deletionToken, instanceIds) {
+    var self = this;
+
+    return self.getInstancesAsync(instanceIds)
+        .catch(function (err) {
+            self.messageLog(deletionToken).warn('Instance details not available', {
+                instanceIds: instanceIds,
+                err: err
+            });
+            return instanceIds.map(instanceId => ({
+                InstanceId: instanceId
+            }));
+        })
+        .then(function (instances) {
+            setEventOrigin(instances, message);
+            self.emit(INSTANCE_REEVALUATE_EVENT, {
+                deletionToken: deletionToken,
+                region: instances.length > 0 ? instances[0].region : message.region,
+                instanceIds: instanceIds,
+                instances
+            });
+        })
+        .catch(function (err) {
+            return self.failMessage(deletionToken, err);
+        });
+};
+
+/**
+ * Retrieve instance details
+ * @param   {Array<string>} instanceIds AWS EC2 instance identifiers
+ * @returns {Promise} Resolves with an array of EC2 instance descriptions
+ */
+Listener.prototype.getInstancesAsync = function (instanceIds) {
+    var self = this;
+
+    return self.ec2.describeInstancesAsync({
+            InstanceIds: instanceIds
+        })
+        .then(function (instanceDetails) {
+            var instances = [];
+            instanceDetails.Reservations.forEach(reservation => {
+                reservation.Instances.forEach(instance => {
+                    if (instance.InstanceId) {
+                        instances.push(instance);
+                    } else {
+                        throw new Error("Did no retreive expected valid instance details.", instanceDetails);
+                    }
+                });
+            });
+            return instances;
+        });
+};
+
+/**
+ * Retrieve instance details and emit a rotation event for them
+ * @param   {string} rotation Event to emit, `instance-rotate-in` or `instance-rotate-out`
+ * @param   {Object} message Parsed event
+ * @param   {string} deletionToken Message Reference Token
+ * @param   {Array<string>} instanceIds AWS EC2 instance identifiers
+ * @param   {Array<string>} loadBalancerNames Names of the load balancers concerned
+ * @returns {Promise} Resolves once the event has been emitted
+ */
+Listener.prototype.emitRotation = function (rotation, message, deletionToken, instanceIds, loadBalancerNames) {
+    var self = this;
+
+    // TODO: Stop retrieving details if/when removal only needs instance ID
+    // Retrieve instance details
+    return self.getInstancesAsync(instanceIds)
+        .then(function (instances) {
+            setEventOrigin(instances, message);
+            self.messageLog(deletionToken).info('Instance rotation ' + (rotation === ROTATE_OUT_EVENT ? 'down' : 'up'), {
+                instanceIds: instanceIds,
+                loadBalancers: loadBalancerNames
+            });
+            self.emit(rotation, {
+                deletionToken: deletionToken,
+                loadBalancers: loadBalancerNames,
+                instances
+            });
+        });
+};
+
+/**
+ * Record the AWS account and region an event originated from on its
+ * instances, e.g. for routing to the right Seiso instance
+ * @param   {Array<Object>} instances EC2 instance descriptions
+ * @param   {Object} message Parsed event, or CloudWatch alarm notification
+ */
+function setEventOrigin(instances, message) {
+    var account = message.account || message.AWSAccountId;
+    var region = message.region;
+    if (!region && message.AlarmArn) {
+        region = message.AlarmArn.split(':')[3]; // arn:aws:cloudwatch:[region]:[account]:alarm:[name]
+    }
+    instances.forEach(instance => {
+        instance.account = account;
+        instance.region = region;
+    });
+}
+
 /**
  * Check for valid API LB de/register event
- * @param   {Event.detail}   detail AWS Event Message detail
- * @returns {[[Type]]} [[Description]]
+ * @param   {Object} message AWS Event Message
+ * @returns {Boolean} true if the event names a load balancer and instances
  */
 function messageValidate(message) {
     var detail = message.detail;
-    var rp = detail.requestParameters;
-    return (rp.instances &&
-        rp.instances.filter(instance => instance.instanceId) &&
+    var rp = detail && detail.requestParameters;
+    return !!(rp &&
+        Array.isArray(rp.instances) &&
+        rp.instances.some(instance => instance && instance.instanceId) &&
         rp.loadBalancerName &&
         detail.eventName);
 }
 
 /**
- * For a given Autobalanced Instance, retrieve Load Balancers
- * @throws {Error} Load Balancer Not found or not Autoscaled
- * @param   Object instance  Combined EC2 instance object.
- * @param   String instanceId AWS identifier for EC2 Instance
- * @returns Promise  Promise, network AWS.AutoBalancer requests status.
+ * Check for valid API target group de/register event
+ * @param   {Object} message AWS Event Message
+ * @returns {Boolean} true if the event names a target group and targets
  */
-Listener.prototype.resolveLoadBalancer = function resolveLoadBalancer(instanceId) {
+function targetMessageValidate(message) {
+    var detail = message.detail;
+    var rp = detail.requestParameters;
+    return !!(rp &&
+        rp.targetGroupArn &&
+        Array.isArray(rp.targets) &&
+        detail.eventName);
+}
+
+/**
+ * Resolve the names of the load balancers an ELBv2 target group is attached to
+ * @param   {string} targetGroupArn Target group ARN
+ * @returns {Promise} Resolves with an array of load balancer names
+ */
+Listener.prototype.resolveTargetGroupLoadBalancers = function resolveTargetGroupLoadBalancers(targetGroupArn) {
     var self = this;
-    console.log('Attempt to get AB group for', instanceId);
-    return self.autoScaling.describeAutoScalingInstancesAsync({
-            InstanceIds: [instanceId]
+    return self.elbv2.describeTargetGroupsAsync({
+            TargetGroupArns: [targetGroupArn]
         })
-        .then(function (autoScaleInstances) {
-            if (autoScaleInstances && autoScaleInstances.length > 0) {
-                throw new Error("Cannot monitor Autoscaled instances");
+        .then(function (response) {
+            var loadBalancerArns = [];
+            (response.TargetGroups || []).forEach(function (targetGroup) {
+                loadBalancerArns = loadBalancerArns.concat(targetGroup.LoadBalancerArns || []);
+            });
+            if (loadBalancerArns.length < 1) {
+                throw new Error("No LoadBalancer found for target group " + targetGroupArn);
             }
-            return instanceId;
-        })
-        .then(function () {
-            console.log("attempting to get loadbalancers");
-            return self.elb.describeLoadBalancersAsync()
+            return self.elbv2.describeLoadBalancersAsync({
+                LoadBalancerArns: loadBalancerArns
+            });
         })
         .then(function (response) {
-            console.log("lb response", response);
-            var loadBalancers = response.LoadBalancerDescriptions;
-            return loadBalancers.filter(function (loadBalancer) {
-                return loadBalancer.Instances.filter(function (instance) {
-                    return instance.InstanceId === instanceId;
+            return (response.LoadBalancers || []).map(function (loadBalancer) {
+                return loadBalancer.LoadBalancerName;
+            });
+        });
+};
+
+/**
+ * Resolve the names of all load balancers (classic, and those of attached
+ * target groups) serving an Auto Scaling group
+ * @param   {string} groupName Auto Scaling group name
+ * @returns {Promise} Resolves with an array of load balancer names
+ */
+Listener.prototype.resolveGroupLoadBalancers = function resolveGroupLoadBalancers(groupName) {
+    var self = this;
+    return autoScaling.getAttachmentsAsync(self.autoScaling, groupName)
+        .then(function (attachments) {
+            return Promise.all(attachments.targetGroupArns.map(function (targetGroupArn) {
+                    return self.resolveTargetGroupLoadBalancers(targetGroupArn);
+                }))
+                .then(function (targetGroupLoadBalancerNames) {
+                    return [].concat.apply(attachments.loadBalancerNames, targetGroupLoadBalancerNames);
+                });
+        });
+};
+
+/**
+ * For a given instance, retrieve Load Balancers; autoscaled instances
+ * resolve through their Auto Scaling group
+ * @param   String instanceId AWS identifier for EC2 Instance
+ * @returns Promise  Resolves with an array of load balancer names, or
+ *   null if none was found
+ */
+Listener.prototype.resolveLoadBalancer = function resolveLoadBalancer(instanceId) {
+    var self = this;
+    log.debug('Resolving load balancers', { instanceId: instanceId });
+    return autoScaling.getGroupNameAsync(self.autoScaling, instanceId)
+        .then(function (groupName) {
+            if (groupName) {
+                log.debug('Instance is autoscaled', { instanceId: instanceId, autoScalingGroup: groupName });
+                return self.resolveGroupLoadBalancers(groupName);
+            }
+
+            return AwsClients.describeClassicLoadBalancersAsync(self.elb)
+                .then(function (loadBalancers) {
+                    return loadBalancers.filter(function (loadBalancer) {
+                        return loadBalancer.Instances.some(function (instance) {
+                            return instance.InstanceId === instanceId;
+                        });
+                    }).map(function (loadBalancer) {
+                        return loadBalancer.LoadBalancerName;
+                    });
                 });
-            })
         })
         .then(function (loadBalancers) {
             if (!loadBalancers || loadBalancers.length < 1) {
@@ -279,13 +1205,37 @@ Listener.prototype.resolveLoadBalancer = function resolveLoadBalancer(instanceId
             return loadBalancers;
         })
         .catch(function (err) {
-            console.log("err resolving lb", err);
+            log.warn('Error resolving load balancers', { instanceId: instanceId, err: err });
             return null;
         });
 };
 
 
 /**
- * No Operation
+ * Get the number of times an SQS message has been received, this time included
+ * @param   {Object} message SQS message, received with its ApproximateReceiveCount
+ * @returns {number} Receive count; 1 if unknown
+ */
+function getReceiveCount(message) {
+    var count = message && message.Attributes && parseInt(message.Attributes.ApproximateReceiveCount, 10);
+    return count > 0 ? count : 1;
+}
+
+/**
+ * Describe a processing failure, e.g. an Error, validation errors or a
+ * custom mapper failure
+ * @param   {*} err Reason for failure
+ * @returns {string} Failure reason
  */
-function noop() {}
+function failureReason(err) {
+    if (err instanceof Error) {
+        return err.message;
+    } else if (typeof err === 'string') {
+        return err;
+    }
+    try {
+        return JSON.stringify(err);
+    } catch (e) {
+        return String(err);
+    }
+}
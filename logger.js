@@ -0,0 +1,182 @@
+'use strict';
+
+/**
+ * Structured logging
+ *
+ * Modules log through a component logger, e.g.
+ *
+ *   var log = logger.getLogger('listener');
+ *   log.info('Reading from queue', { queue: queue });
+ *
+ * By default, entries are written to stdout as JSON lines, with `time`,
+ * `level`, `component`, `msg` and any fields, e.g. correlation identifiers
+ * such as `messageId` or `instanceId`. Field values named like credentials
+ * (passwords, secrets, tokens, authorization headers, access keys) are
+ * redacted, at any depth.
+ *
+ * The output can be replaced with `configure`, e.g. from the service
+ * configuration's `logger` value, by an object with `debug`/`info`/`warn`/
+ * `error` methods (such as a bunyan or pino logger), each called with the
+ * redacted fields and message.
+ **/
+
+var LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+var REDACTED = '[REDACTED]';
+// Field names whose values are never logged
+var SECRET_FIELD = /password|passwd|secret|token|authorization|credential|accesskey|apikey|cookie/i;
+
+var output = {
+  level: LEVELS.info,
+  sink: null,
+  stream: process.stdout
+};
+
+module.exports.getLogger = exports.getLogger = getLogger;
+module.exports.configure = exports.configure = configure;
+module.exports.redact = exports.redact = redact;
+module.exports.Logger = exports.Logger = Logger;
+
+/**
+ * Get the logger of a component
+ * @param   {string} component Component name, e.g. listener
+ * @param   {Object} fields Fields to include in every entry
+ * @returns {Logger} Component logger
+ */
+function getLogger(component, fields) {
+  return new Logger(Object.assign({ component: component }, fields));
+}
+
+/**
+ * Configure log output
+ *
+ * Options:
+ *
+ *   - `level` {string} minimum level logged: debug, info (default), warn or error
+ *   - `stream` {Stream} stream JSON lines are written to, default stdout
+ *   - `logger` {Object} logger to write entries to instead, with `debug`,
+ *     `info`, `warn` and `error` methods taking (fields, message)
+ *
+ * A logger object may also be given as the options, in which case entries
+ * of every level are passed on to it.
+ *
+ * @param {Object} options Output options, or a logger
+ */
+function configure(options) {
+  options = options || {};
+  if (isLogger(options)) {
+    options = { logger: options, level: 'debug' };
+  }
+  if (options.level && !LEVELS[options.level]) {
+    throw new Error('Unknown log level ' + options.level);
+  }
+  output.level = LEVELS[options.level || 'info'];
+  output.sink = isLogger(options.logger) ? options.logger : null;
+  output.stream = options.stream || process.stdout;
+}
+
+/**
+ * A logger, with fields included in every entry
+ * @param {Object} fields Fields, e.g. `component`
+ */
+function Logger(fields) {
+  this.fields = fields || {};
+}
+
+/**
+ * Create a logger with additional fields, e.g. correlation identifiers
+ * @param   {Object} fields Additional fields
+ * @returns {Logger} Child logger
+ */
+Logger.prototype.child = function child(fields) {
+  return new Logger(Object.assign({}, this.fields, fields));
+};
+
+Object.keys(LEVELS).forEach(function (level) {
+  /**
+   * Log a message at this level
+   * @param {string} msg Message
+   * @param {Object} fields Optional fields; an Error is logged as `err`
+   */
+  Logger.prototype[level] = function (msg, fields) {
+    if (LEVELS[level] < output.level) {
+      return;
+    }
+    if (fields instanceof Error || (fields !== null && typeof fields !== 'object')) {
+      fields = { err: fields };
+    }
+    write(level, msg, redact(Object.assign({}, this.fields, fields)));
+  };
+});
+
+function write(level, msg, fields) {
+  if (output.sink) {
+    output.sink[level](fields, msg);
+    return;
+  }
+  output.stream.write(JSON.stringify(Object.assign({
+    time: new Date().toISOString(),
+    level: level
+  }, fields, {
+    msg: msg
+  })) + '\n');
+}
+
+/**
+ * Copy a value with credentials redacted, and errors made serializable
+ * @param   {*} value Value to log
+ * @returns {*} Redacted copy
+ */
+function redact(value) {
+  return redactValue(value, []);
+}
+
+function redactValue(value, seen) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.indexOf(value) !== -1) {
+    return '[Circular]';
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+  seen = seen.concat([value]);
+
+  if (value instanceof Error) {
+    var err = {
+      name: value.name,
+      message: value.message,
+      stack: value.stack
+    };
+    ['code', 'statusCode', 'cause', 'error'].forEach(function (key) {
+      if (value[key] !== undefined) {
+        err[key] = redactValue(value[key], seen);
+      }
+    });
+    return err;
+  }
+  if (Array.isArray(value)) {
+    return value.map(function (item) {
+      return redactValue(item, seen);
+    });
+  }
+
+  var copy = {};
+  Object.keys(value).forEach(function (key) {
+    copy[key] = SECRET_FIELD.test(key) && value[key] !== undefined && value[key] !== null ?
+      REDACTED : redactValue(value[key], seen);
+  });
+  return copy;
+}
+
+function isLogger(value) {
+  return !!value && Object.keys(LEVELS).every(function (level) {
+    return typeof value[level] === 'function';
+  });
+}
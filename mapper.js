@@ -1,17 +1,87 @@
 'use strict';
+var logger = require('./logger');
+
+var log = logger.getLogger('mapper');
 
 var exports = module.exports = createMapper;
 
+// Transforms of mapped values, by name
+var TRANSFORMS = {
+    lowercase: value => String(value).toLowerCase(),
+    uppercase: value => String(value).toUpperCase(),
+    trim: value => String(value).trim(),
+    number: value => Number(value),
+    boolean: value => ['true', 'yes', '1'].indexOf(String(value).toLowerCase()) !== -1,
+    list: value => String(value).split(',').map(item => item.trim()).filter(item => item.length > 0)
+};
 
+/**
+ * Create a mapper of EC2 instances to Seiso nodes
+ *
+ * Options, or an Array of `mappings`:
+ *
+ *   - `serviceTagKey` {string} tag of the Seiso service, default Service
+ *   - `environmentTagKey` {string} tag of the Seiso environment, default Environment
+ *   - `portsTagKey` {string} tag of the service instance ports, comma-separated,
+ *     default Ports
+ *   - `defaultPorts` {Array<number>} ports of instances without the ports tag,
+ *     default [80]
+ *   - `mappings` {Array} mappings of tags and instance attributes to node
+ *     fields, applied in order, after the above:
+ *     - `tagName` {string} EC2 tag to map, or
+ *     - `attribute` {string} instance attribute to map, dot-separated, e.g.
+ *       VpcId, SubnetId, Placement.AvailabilityZone or InstanceType
+ *     - `propertyName` {string} node field, dot-separated, e.g. dataCenter,
+ *       tags.Team, machine.serialNumber or serviceInstance.description
+ *     - `default` value of instances without the tag or attribute
+ *     - `transform` {string|Array|Function} transform(s) of the value: lowercase,
+ *       uppercase, trim, number, boolean or list (comma-separated), or a
+ *       function of the value and instance
+ *     - `values` {Object} value => mapped value, after any transform; other
+ *       values are kept
+ *
+ * @param   {Object|Array} options Mapper options
+ * @returns {Object} Mapper
+ */
 function createMapper(options) {
     if (!(this instanceof createMapper)) {
         return new createMapper(options);
     }
     var self = this;
-    if (options) {
-        self.serviceTagKey = options.seviceTagKey;
-        self.environmentTagKey = options.environmentTagKey;
+    options = Array.isArray(options) ? { mappings: options } : options || {};
+    if (options.seviceTagKey) {
+        log.warn('Mapper option seviceTagKey is deprecated; use serviceTagKey');
+    }
+    self.serviceTagKey = options.serviceTagKey || options.seviceTagKey || 'Service';
+    self.environmentTagKey = options.environmentTagKey || 'Environment';
+    // Service instance ports: comma-separated in the ports tag, if any
+    self.portsTagKey = options.portsTagKey || 'Ports';
+    self.defaultPorts = options.defaultPorts || [80];
+    self.mappings = (options.mappings || []).map(normalizeMapping);
+}
+
+/**
+ * Validate a mapping, resolving its transforms to functions
+ */
+function normalizeMapping(mapping, index) {
+    var description = 'Mapping ' + index + (mapping.propertyName ? ' (' + mapping.propertyName + ')' : '');
+    if (!mapping.propertyName) {
+        throw new Error(description + ' has no propertyName');
     }
+    if (!mapping.tagName === !mapping.attribute) {
+        throw new Error(description + ' must have either a tagName or an attribute');
+    }
+    var transforms = [].concat(mapping.transform || []).map(function (transform) {
+        if (typeof transform === 'function') {
+            return transform;
+        }
+        if (!TRANSFORMS[transform]) {
+            throw new Error(description + ' has unknown transform ' + transform + '; expected one of ' +
+                Object.keys(TRANSFORMS).join(', '));
+        }
+        return TRANSFORMS[transform];
+    });
+    return Object.assign({}, mapping, { transforms: transforms });
 }
 
 /**
@@ -22,7 +92,7 @@ createMapper.prototype.validateMessage = function validateMessage(details) {
     // Validate instance details
     var service, environment;
     var validationErrors = [];
-    console.log("validating", details);
+    log.debug('Validating instance', { instanceId: details && details.InstanceId });
     
     var instanceId = details.InstanceId;
     
@@ -37,7 +107,10 @@ createMapper.prototype.validateMessage = function validateMessage(details) {
 
     var name, fqdn, domain;
     if (!details.PrivateDnsName) {
-        validationErrors.push('Instance not named');
+        // Terminated instances lose their DNS name, but their node is still known by instance ID
+        if (!isGone(details)) {
+            validationErrors.push('Instance not named');
+        }
     } else {
         fqdn = details.PrivateDnsName;
         var parsedName = fqdn.split('.');
@@ -49,6 +122,14 @@ createMapper.prototype.validateMessage = function validateMessage(details) {
     return validationErrors;
 }
 
+/**
+ * Check if the instance is (being) terminated
+ */
+function isGone(details) {
+    var state = details.State && details.State.Name;
+    return state === 'shutting-down' || state === 'terminated';
+}
+
 createMapper.prototype.getInstance = function getInstance() {
 
 }
@@ -57,24 +138,107 @@ createMapper.prototype.instanceToNode = function instanceToNode(instance) {
     var node = {};
     
     var instanceId = instance.InstanceId;
-    var machineName = instance.PrivateDnsName;
-    var parsedName = machineName.split('.');
+    var machineName = instance.PrivateDnsName || undefined;
+    var parsedName = machineName ? machineName.split('.') : [];
     var hostname = parsedName.shift();
-    var domain = parsedName.join('.');
+    var domain = parsedName.join('.') || undefined;
+
+    var environment = getTag(instance, this.environmentTagKey);
+    var ports = getTag(instance, this.portsTagKey);
 
     // Map to seiso input
     node = {
         name: instanceId,
         machineName: machineName,
         hostname: hostname,
+        domain: domain,
+        ipAddress: instance.PrivateIpAddress || undefined,
+        os: instance.Platform || 'linux',
+        platform: 'aws',
+        service: getTag(instance, this.serviceTagKey),
+        environment: environment,
+        environmentType: environment,
+        dataCenter: instance.region,
+        ports: ports ? ports.split(',').map(port => parseInt(port, 10)).filter(port => port > 0) : this.defaultPorts,
+        loadBalanced: true,
         aggregateRotationStatus: instance.status === 'down',
         tags: {
             'AWS Instance ID': instanceId
         }
     };
+
+    this.mappings.forEach(function (mapping) {
+        var value = mapping.tagName ? getTag(instance, mapping.tagName) : getPath(instance, mapping.attribute);
+        if (value === undefined || value === null || value === '') {
+            value = mapping.default;
+        } else {
+            value = mapping.transforms.reduce((value, transform) => transform(value, instance), value);
+            if (mapping.values && Object.prototype.hasOwnProperty.call(mapping.values, value)) {
+                value = mapping.values[value];
+            }
+        }
+        if (value !== undefined) {
+            setPath(node, mapping.propertyName, value);
+        }
+    });
     return node;
 }
 
+/**
+ * Get the value of an instance tag
+ */
+function getTag(instance, key) {
+    var tag = (instance.Tags || []).find(function (tag) {
+        return tag.Key === key;
+    });
+    return tag ? tag.Value : undefined;
+}
+
+/**
+ * Get the value at a dot-separated path of an object
+ */
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => value === undefined || value === null ? undefined : value[key], object);
+}
+
+/**
+ * Set the value at a dot-separated path of an object, creating objects on the way
+ */
+function setPath(object, path, value) {
+    var keys = path.split('.');
+    var last = keys.pop();
+    keys.reduce(function (parent, key) {
+        if (typeof parent[key] !== 'object' || parent[key] === null) {
+            parent[key] = {};
+        }
+        return parent[key];
+    }, object)[last] = value;
+}
+
+/**
+ * Get the filters finding the Seiso node of a mapped instance, in order of
+ * preference: by instance ID tag, then machine name, then IP address; nodes
+ * found by machine name or IP address must not be tagged with another
+ * instance ID. See SeisoClient.findNodesAsync
+ * @param {Object} node Node, as mapped by instanceToNode
+ * @returns {Array} Node filters
+ */
+createMapper.prototype.nodeFilters = function nodeFilters(node) {
+    var instanceId = node.tags && node.tags['AWS Instance ID'];
+    var filters = [{
+        type: 'Tag',
+        name: 'AWS Instance ID',
+        value: instanceId
+    }];
+    if (node.machineName) {
+        filters.push({ type: 'MachineName', value: node.machineName, instanceId: instanceId });
+    }
+    if (node.ipAddress) {
+        filters.push({ type: 'IpAddress', value: node.ipAddress, instanceId: instanceId });
+    }
+    return filters;
+}
+
 createMapper.prototype.alarmToLb = function alarmToLb() {}
 
 function seisoResponseExtract(resource, response) {
@@ -0,0 +1,291 @@
+'use strict';
+var http = require('http');
+var Promise = require('bluebird');
+var logger = require('./logger');
+
+var log = logger.getLogger('metrics');
+
+/**
+ * Prometheus metrics
+ *
+ * A small registry of counters, gauges and histograms, rendered in the
+ * Prometheus text exposition format. Modules register their metrics on the
+ * default registry when loaded, e.g.
+ *
+ *   var receives = metrics.counter('seiso_listener_sqs_receives_total',
+ *     'SQS receive requests', ['queue', 'outcome']);
+ *   receives.inc({ queue: queue, outcome: 'success' });
+ **/
+
+// Default histogram buckets, in seconds
+var DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+var registry = new Registry();
+
+module.exports.Registry = exports.Registry = Registry;
+module.exports.registry = exports.registry = registry;
+module.exports.counter = exports.counter = counter;
+module.exports.gauge = exports.gauge = gauge;
+module.exports.histogram = exports.histogram = histogram;
+module.exports.MetricsServer = exports.MetricsServer = MetricsServer;
+
+/**
+ * Get or create a counter/gauge/histogram on the default registry; see Registry
+ */
+function counter(name, help, labelNames) {
+  return registry.counter(name, help, labelNames);
+}
+
+function gauge(name, help, labelNames) {
+  return registry.gauge(name, help, labelNames);
+}
+
+function histogram(name, help, labelNames, buckets) {
+  return registry.histogram(name, help, labelNames, buckets);
+}
+
+/**
+ * Create a metrics registry
+ */
+function Registry() {
+  if (!(this instanceof Registry)) { return new Registry(); }
+  this.metrics = {};
+}
+
+/**
+ * Get or create a counter
+ * @param   {string} name Metric name, e.g. seiso_listener_messages_total
+ * @param   {string} help Metric description
+ * @param   {Array<string>} labelNames Names of the metric labels
+ * @returns {Metric} Counter, with `inc(labels, value)`
+ */
+Registry.prototype.counter = function counter(name, help, labelNames) {
+  return this.register(name, 'counter', help, labelNames);
+};
+
+/**
+ * Get or create a gauge
+ * @param   {string} name Metric name
+ * @param   {string} help Metric description
+ * @param   {Array<string>} labelNames Names of the metric labels
+ * @returns {Metric} Gauge, with `set(labels, value)` and `inc(labels, value)`
+ */
+Registry.prototype.gauge = function gauge(name, help, labelNames) {
+  return this.register(name, 'gauge', help, labelNames);
+};
+
+/**
+ * Get or create a histogram
+ * @param   {string} name Metric name, e.g. seiso_client_request_duration_seconds
+ * @param   {string} help Metric description
+ * @param   {Array<string>} labelNames Names of the metric labels
+ * @param   {Array<number>} buckets Bucket upper bounds, default suited to seconds
+ * @returns {Metric} Histogram, with `observe(labels, value)` and `startTimer(labels)`
+ */
+Registry.prototype.histogram = function histogram(name, help, labelNames, buckets) {
+  return this.register(name, 'histogram', help, labelNames, buckets || DEFAULT_BUCKETS);
+};
+
+Registry.prototype.register = function register(name, type, help, labelNames, buckets) {
+  var metric = this.metrics[name];
+  if (metric) {
+    if (metric.type !== type) {
+      throw new Error('Metric ' + name + ' is already registered as a ' + metric.type);
+    }
+    return metric;
+  }
+  metric = this.metrics[name] = new Metric(name, type, help, labelNames, buckets);
+  return metric;
+};
+
+/**
+ * Clear the values of all metrics
+ */
+Registry.prototype.reset = function reset() {
+  var self = this;
+  Object.keys(self.metrics).forEach(function (name) {
+    self.metrics[name].values = {};
+  });
+};
+
+/**
+ * Render all metrics in the Prometheus text exposition format
+ * @returns {string} Metrics text
+ */
+Registry.prototype.render = function render() {
+  var self = this;
+  return Object.keys(self.metrics).map(function (name) {
+    return self.metrics[name].render();
+  }).join('');
+};
+
+/**
+ * A metric and its values, by label values
+ */
+function Metric(name, type, help, labelNames, buckets) {
+  this.name = name;
+  this.type = type;
+  this.help = help;
+  this.labelNames = labelNames || [];
+  this.buckets = buckets;
+  this.values = {};
+}
+
+Metric.prototype.inc = function inc(labels, value) {
+  var entry = this.getEntry(labels);
+  entry.value += value === undefined ? 1 : value;
+};
+
+Metric.prototype.set = function set(labels, value) {
+  this.getEntry(labels).value = value;
+};
+
+Metric.prototype.observe = function observe(labels, value) {
+  var entry = this.getEntry(labels);
+  entry.sum += value;
+  entry.count++;
+  this.buckets.forEach(function (bound, index) {
+    if (value <= bound) {
+      entry.bucketCounts[index]++;
+    }
+  });
+};
+
+/**
+ * Start timing an operation
+ * @param   {Object} labels Label values known up front
+ * @returns {Function} Call with any further label values to observe the duration
+ */
+Metric.prototype.startTimer = function startTimer(labels) {
+  var self = this;
+  var start = process.hrtime();
+  return function (moreLabels) {
+    var elapsed = process.hrtime(start);
+    self.observe(Object.assign({}, labels, moreLabels), elapsed[0] + elapsed[1] / 1e9);
+  };
+};
+
+Metric.prototype.getEntry = function getEntry(labels) {
+  labels = labels || {};
+  var labelValues = this.labelNames.map(function (labelName) {
+    return labels[labelName] === undefined || labels[labelName] === null ? '' : String(labels[labelName]);
+  });
+  var key = JSON.stringify(labelValues);
+  if (!this.values[key]) {
+    this.values[key] = this.type === 'histogram' ?
+      { labelValues: labelValues, sum: 0, count: 0, bucketCounts: this.buckets.map(function () { return 0; }) } :
+      { labelValues: labelValues, value: 0 };
+  }
+  return this.values[key];
+};
+
+Metric.prototype.render = function render() {
+  var self = this;
+  var lines = [
+    '# HELP ' + self.name + ' ' + self.help,
+    '# TYPE ' + self.name + ' ' + self.type
+  ];
+
+  Object.keys(self.values).forEach(function (key) {
+    var entry = self.values[key];
+    if (self.type !== 'histogram') {
+      lines.push(self.name + formatLabels(self.labelNames, entry.labelValues) + ' ' + entry.value);
+      return;
+    }
+    self.buckets.forEach(function (bound, index) {
+      lines.push(self.name + '_bucket' +
+        formatLabels(self.labelNames.concat('le'), entry.labelValues.concat(String(bound))) +
+        ' ' + entry.bucketCounts[index]);
+    });
+    lines.push(self.name + '_bucket' +
+      formatLabels(self.labelNames.concat('le'), entry.labelValues.concat('+Inf')) + ' ' + entry.count);
+    lines.push(self.name + '_sum' + formatLabels(self.labelNames, entry.labelValues) + ' ' + entry.sum);
+    lines.push(self.name + '_count' + formatLabels(self.labelNames, entry.labelValues) + ' ' + entry.count);
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+function formatLabels(labelNames, labelValues) {
+  if (labelNames.length === 0) {
+    return '';
+  }
+  return '{' + labelNames.map(function (labelName, index) {
+    var value = labelValues[index].replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return labelName + '="' + value + '"';
+  }).join(',') + '}';
+}
+
+/**
+ * Create an HTTP server exposing metrics for Prometheus to scrape
+ *
+ * Options:
+ *
+ *   - `port` {number} port to listen on, default 9090
+ *   - `host` {string} address to listen on, default all addresses
+ *   - `path` {string} metrics path, default /metrics
+ *
+ * @param   {Object} options Server options
+ * @param   {Registry} metricsRegistry Registry to expose, default the default registry
+ * @returns {Object} Metrics server
+ */
+function MetricsServer(options, metricsRegistry) {
+  if (!(this instanceof MetricsServer)) { return new MetricsServer(options, metricsRegistry); }
+  var self = this;
+  options = options || {};
+
+  self.registry = metricsRegistry || registry;
+  self.port = options.port === undefined ? 9090 : options.port;
+  self.host = options.host;
+  self.path = options.path || '/metrics';
+  self.server = null;
+
+  return self;
+}
+
+/**
+ * Start listening for scrapes
+ * @param {Function} callback Callback function (with err param)
+ */
+MetricsServer.prototype.start = function start(callback) {
+  var self = this;
+  callback = typeof callback === 'function' ? callback : noop;
+
+  self.server = http.createServer(function (request, response) {
+    if (request.method !== 'GET' || request.url.split('?')[0] !== self.path) {
+      response.writeHead(404, { 'Content-Type': 'text/plain' });
+      return response.end('Not found\n');
+    }
+    response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+    response.end(self.registry.render());
+  });
+  self.server.once('error', callback);
+  self.server.listen(self.port, self.host, function () {
+    self.server.removeListener('error', callback);
+    log.info('Listening', { port: self.server.address().port, path: self.path });
+    callback(null);
+  });
+};
+
+/**
+ * Stop listening for scrapes
+ * @param {Function} callback Callback function (with err param)
+ */
+MetricsServer.prototype.stop = function stop(callback) {
+  var self = this;
+  callback = typeof callback === 'function' ? callback : noop;
+
+  if (!self.server) {
+    return process.nextTick(callback, null);
+  }
+  var server = self.server;
+  self.server = null;
+  server.close(function () {
+    callback(null);
+  });
+};
+
+MetricsServer.prototype.startAsync = Promise.promisify(MetricsServer.prototype.start);
+MetricsServer.prototype.stopAsync = Promise.promisify(MetricsServer.prototype.stop);
+
+function noop() {}
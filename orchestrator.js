@@ -10,21 +10,52 @@ var Listener = require('./listener');
 var Feeder = require('./feeder');
 var SeisoClient = require('./seisoClient'); // Best to extract the seisoClient from the module
 var Mapper = require('./mapper');
+var Routes = require('./routes');
+var AwsClients = require('./awsClients');
+var StatusServer = require('./statusServer');
+var Decommissioner = require('./decommissioner');
+var CustomMappers = require('./customMappers');
+var Config = require('./config');
+var metrics = require('./metrics');
+var logger = require('./logger');
+
+var log = logger.getLogger('orchestrator');
+
+var rotationUpdates = metrics.counter('seiso_rotation_updates_total',
+    'Node rotation status updates from listener events, by route, rotation status and outcome',
+    ['route', 'status', 'outcome']);
 
 var Orchestrator = module.exports = exports = createOrchestrator;
 util.inherits(Orchestrator, EventEmitter);
 
+/**
+ * Check a service configuration as far as possible without connecting to
+ * AWS or Seiso, against the configuration schema: its settings, routes,
+ * decommission policies, mapper and custom mappers; see config
+ * @param {Object} config Service configuration
+ * @return {Array<string>} Validation errors; empty if valid
+ * @api public
+ **/
+Orchestrator.validateConfig = function validateConfig(config) {
+    return Config.validate(config);
+};
+
 function createOrchestrator(config) {
     if (!(this instanceof createOrchestrator)) {
         return new createOrchestrator(config);
     }
-    console.log('Bootstrapping orchestrator...');
+    log.info('Bootstrapping orchestrator');
     var self = this;
 
     var state = 'Stopped';
 
     // All private dependencies; lifespan is start to stop
-    var listener, feeder, seisoClient, mapper, customMappers;
+    // Each route pairs a Seiso client and feeder with a listener; routes
+    // with the same queue share a listener
+    var routes, listeners, mapper, customMappers;
+    var statusServer, metricsServer, decommissioner, started;
+    // Summary of the replay in progress, if any; see replayAsync
+    var replay = null;
 
     // Note: functions start, stop, getState instantiated here
     // to preserve access to the private variables in this closure
@@ -69,81 +100,92 @@ function createOrchestrator(config) {
             return false;
         }
 
-        console.log('Starting up...');
+        log.info('Starting up');
         state = 'Starting';
 
         // Bootstrap listener, seiso client, and mapper
         // First, instantiate each component
+        try {
+            createComponents();
+        } catch (err) {
+            log.error('Invalid configuration', err);
+            state = 'Stopped';
+            process.nextTick(function () {
+                self.emit('stopped', {
+                    Error: err
+                });
+            });
+            return false;
+        }
 
-        var credentials = config.listenerCredentials || config.bootstrapperCredentials;
-
-        console.log("Connect/configure AWS options", config);
-        AWS.config.update({
-            region: config.listenerCredentials.region
+        // Next, bind to any component events
+        listeners.forEach(function (entry) {
+            Object.keys(entry.handlers).forEach(function (event) {
+                entry.listener.on(event, entry.handlers[event]);
+            });
         });
-        AWS.config.update({
-            accessKeyId: credentials.accessKeyId,
-            secretAccessKey: credentials.secretAccessKey
+        routes.forEach(function (route) {
+            route.feeder.on('reconciled', reconciledHandler);
+            route.feeder.on('plan', planHandler);
+            Object.keys(route.circuitHandlers).forEach(function (event) {
+                route.seisoClient.circuitBreaker.on(event, route.circuitHandlers[event]);
+            });
         });
 
-        seisoClient = new SeisoClient(config.seisoClient);
-
-        listener = new Listener(AWS, config.listener);
-        feeder = new Feeder(AWS, seisoClient, config.feeder);
-        mapper = new Mapper(config.mapper);
-        
-        /**
-         * Get Cached Data/
-         */
-        self.rotationStatuses = [];
-        seisoClient.getRotationStatuses()
-        .then(function (rs) { self.rotationStatuses = rs; });
-
-        /**
-         * Bootstrap any custom mappers. Custom mappers perform translation on node to
-         * suit your specific infrastructure and application needs; Custom mapper modules must:
-         *   - export a constructor
-         * Custom mapper instances must:
-         *   - include a name property
-         *   - have a node callback-style start function
-         *   - have a node callback-style stop function
-         *   - have a node callback-style map function that returns the translated node
-         */
-        customMappers = [];
-        if (config.customMappers && Array.isArray(config.customMappers)) {
-            for (var i = 0; i < config.customMappers.length; i++) {
-                // TODO: Stop requiring custom mappers here; they should be passed in, already instantiated
-                var CustomMapper = require(config.customMappers[i].path);
-                customMappers.push(new CustomMapper(config.customMappers[i].config));
+        // Finally, initialize all components as needed; listeners only receive
+        // events once the rotation statuses of their routes are loaded
+        var seisoClientStartings = routes.map(connectSeisoClientAsync);
+        var listenerStartings = [Promise.all(seisoClientStartings).then(function () {
+            if (state !== 'Starting') { // Stopped meanwhile
+                return;
             }
+            return Promise.all(listeners.map(entry => entry.listener.startAsync()));
+        })];
+        var feederStartings = routes.map(route => route.feeder.startAsync());
+        var customMapperStartings = customMappers.map(customMapper => customMapper.startAsync());
+
+        // Nodes of terminated instances are decommissioned after their grace period
+        decommissioner = new Decommissioner(config.decommission, decommissionNode);
+        var decommissionerStartings = [decommissioner.startAsync()];
+
+        // Optional HTTP health/status and metrics endpoints
+        var statusServerStartings = [];
+        if (config.statusServer) {
+            statusServer = new StatusServer(self, config.statusServer);
+            statusServerStartings.push(statusServer.startAsync());
         }
-
-        // Next, bind to any component events
-        // TODO ELB listener events
-        listener.on('message', messageReceivedHandler);
-        listener.on('instance-rotate-in', instanceRotateInHandler);
-        listener.on('instance-rotate-out', instanceRotateOutHandler);
-
-        // Finally, initialize all components as needed
-        var listenerStarting = listener.startAsync();
-        var feederStarting = feeder.startAsync();
-        var seisoClientStarting = seisoClient.connectAsync();
-        var customMapperStartings = [];
-        for (var i = 0; i < customMappers.length; i++) {
-            var startAsync = Promise.promisify(customMappers[i].start);
-            customMapperStartings.push(startAsync());
+        if (config.metrics) {
+            metricsServer = new metrics.MetricsServer(config.metrics);
+            statusServerStartings.push(metricsServer.startAsync());
         }
+        started = new Date();
 
-        Promise.all([listenerStarting, feederStarting, seisoClientStarting].concat(customMapperStartings))
-            .catch(function (err) {
-                state = 'Stopped';
-                self.emit('stopped', {
-                    Error: err
-                });
-            })
+        var startings = listenerStartings.concat(feederStartings, seisoClientStartings, customMapperStartings,
+            decommissionerStartings, statusServerStartings);
+        Promise.all(startings)
             .then(function () {
                 state = 'Started';
                 self.emit('started', null);
+            }, function (err) {
+                log.error('Failed to start', err);
+                if (state !== 'Starting') { // Stopping already
+                    return;
+                }
+                state = 'Stopping';
+
+                // Stop the components which did start, e.g. feeder timers and
+                // bound ports, once every one has finished starting
+                return Promise.all(startings.map(starting => starting.reflect()))
+                    .then(stopComponentsAsync)
+                    .catch(function (stopErr) {
+                        log.error('Failed to stop', stopErr);
+                    })
+                    .then(function () {
+                        state = 'Stopped';
+                        self.emit('stopped', {
+                            Error: err
+                        });
+                    });
             });
 
         return true;
@@ -180,39 +222,10 @@ function createOrchestrator(config) {
             return false;
         }
 
-        console.log('Shutting down');
+        log.info('Shutting down');
         state = 'Stopping';
 
-        feeder.stop();
-
-        var feederStopping = new Promise(function (resolve, reject) {
-            resolve();
-
-        });
-
-        var listenerStopping = new Promise(function (resolve, reject) {
-            listener.once('stopped', function () {
-                console.log('Listener stopped');
-                listener.removeListener('message', messageReceivedHandler);
-                listener.removeListener('instance-rotate-in', instanceRotateInHandler);
-                listener.removeListener('instance-rotate-out', instanceRotateOutHandler);
-                listener = null;
-                resolve();
-            });
-        });
-
-        listener.stop();
-
-        // TODO: Stop seiso client safely
-
-        var customMapperStoppings = [];
-        for (var i = 0; i < customMappers.length; i++) {
-            var stopAsync = Promise.promisify(customMappers[i].stop);
-            customMapperStoppings.push(stopAsync());
-        }
-
-
-        Promise.all([listenerStopping, feederStopping].concat(customMapperStoppings))
+        stopComponentsAsync()
             .catch(function (err) {
                 notified = true;
                 state = 'Unknown';
@@ -237,119 +250,728 @@ function createOrchestrator(config) {
     };
 
     /**
-     *  instanceCreatedHandler
-     *  Event handler for new instance events, triggered by AWS Listener
+     * Stop the listeners, feeders, custom mappers, decommissioner and servers
+     * @return {Promise} Resolves once all are stopped
+     **/
+    function stopComponentsAsync() {
+        var feederStoppings = routes.map(function (route) {
+            var feederStopping = new Promise(function (resolve) {
+                route.feeder.once('stopped', function () {
+                    log.info('Feeder stopped', { route: route.name });
+                    route.feeder.removeListener('reconciled', reconciledHandler);
+                    route.feeder.removeListener('plan', planHandler);
+                    Object.keys(route.circuitHandlers).forEach(function (event) {
+                        route.seisoClient.circuitBreaker.removeListener(event, route.circuitHandlers[event]);
+                    });
+                    resolve();
+                });
+            });
+            route.feeder.stop();
+            return feederStopping;
+        });
+
+        var listenerStoppings = listeners.map(function (entry) {
+            var listenerStopping = new Promise(function (resolve) {
+                entry.listener.once('stopped', function () {
+                    log.info('Listener stopped', { queue: entry.queue });
+                    Object.keys(entry.handlers).forEach(function (event) {
+                        entry.listener.removeListener(event, entry.handlers[event]);
+                    });
+                    resolve();
+                });
+            });
+            entry.listener.stop();
+            return listenerStopping;
+        });
+
+        // TODO: Stop seiso client safely
+
+        var customMapperStoppings = customMappers.map(customMapper => customMapper.stopAsync());
+
+
+        var decommissionerStoppings = [decommissioner.stopAsync()];
+
+        var statusServerStoppings = [];
+        if (statusServer) {
+            statusServerStoppings.push(statusServer.stopAsync());
+            statusServer = null;
+        }
+        if (metricsServer) {
+            statusServerStoppings.push(metricsServer.stopAsync());
+            metricsServer = null;
+        }
+
+        return Promise.all(listenerStoppings.concat(feederStoppings, customMapperStoppings, decommissionerStoppings,
+            statusServerStoppings));
+    }
+
+    /**
+     * Replay captured messages through the listener of a queue and the event
+     * handlers of its routes, one at a time and in order, e.g. to re-drive
+     * history; see replay. Only while stopped: the queue is not polled, and
+     * replayed messages are never deleted from it. Instance details are read
+     * from AWS as of now, so instances no longer existing fail their messages.
+     * Nodes of terminated instances are rotated out, but not decommissioned.
+     *
+     * Options:
+     *
+     *   - `queue` {string} queue whose listener and routes replay the messages,
+     *     default the first listener's
+     *   - `dryRun` {boolean} report the changes instead of updating Seiso;
+     *     instances are not registered either
+     *
+     * @param {Array<Object>} messages SQS messages, with `MessageId`, a
+     *   `ReceiptHandle` unique to the replay, and `Body`
+     * @param {Object} options
+     * @return {Promise} Resolves with the replay summary: `dryRun`, `started`,
+     *   `finished`, counts of `messages`, `processed`, `failed`, `discarded`
+     *   and `unchanged` rotations, `changes` (made, or planned in dry-run) and
+     *   message `errors`
+     * @api public
      **/
-    function instanceRotateInHandler(event) {
+    this.replayAsync = function replayAsync(messages, options) {
+        options = options || {};
+        var summary = {
+            dryRun: !!options.dryRun,
+            started: new Date(),
+            messages: messages.length,
+            processed: 0,
+            failed: 0,
+            discarded: 0,
+            unchanged: 0,
+            changes: [],
+            errors: []
+        };
+
+        return runWhileStoppedAsync('Replaying', function () {
+            var entry = options.queue ? listeners.find(entry => entry.queue === options.queue) : listeners[0];
+            if (!entry) {
+                throw new Error('No listener for queue ' + options.queue);
+            }
 
-        if (event.instances) {
-            
-            var rs = self.rotationStatuses.find(rs => rs.key === "enabled");
-            console.log('Instance rotation status up: ' + event.instances.map(i => i.InstanceId).join(', '));
-            var rotationPromise = event.instances.map(
-                instance => rotateInstance(instance, rs._links.self.href)
-            );
+            log.info('Replaying messages', { queue: entry.queue, messages: messages.length, dryRun: summary.dryRun });
+            replay = summary;
+            Object.keys(entry.handlers).forEach(function (event) {
+                entry.listener.on(event, entry.handlers[event]);
+            });
 
-            Promise.all(rotationPromise)
+            return Promise.mapSeries(messages, function (message) {
+                    return entry.listener.replayMessageAsync(message)
+                        .then(function (result) {
+                            summary[result.outcome]++;
+                            if (result.reason) {
+                                summary.errors.push({
+                                    messageId: message.MessageId,
+                                    outcome: result.outcome,
+                                    reason: result.reason
+                                });
+                            }
+                        });
+                })
                 .then(function () {
-                    console.log('Rotation State Updated');
-                    listener.deleteMessage(event.deletionToken);
+                    summary.finished = new Date();
+                    log.info('Replayed messages', {
+                        dryRun: summary.dryRun,
+                        messages: summary.messages,
+                        processed: summary.processed,
+                        failed: summary.failed,
+                        discarded: summary.discarded,
+                        changes: summary.changes.length
+                    });
+                    return summary;
                 })
-                .catch(function (err) {
-                    console.log('Node rotation state update failed: ', err);
+                .finally(function () {
+                    replay = null;
+                    Object.keys(entry.handlers).forEach(function (event) {
+                        entry.listener.removeListener(event, entry.handlers[event]);
+                    });
                 });
+        });
+    };
+
+    /**
+     * Run one reconciliation pass of every route, e.g. from a scheduled job,
+     * instead of polling; only while stopped
+     *
+     * Options:
+     *
+     *   - `route` {string} name of the only route to reconcile
+     *   - `dryRun` {boolean} override the `dryRun` setting of the routes' feeders
+     *
+     * @param {Object} options
+     * @return {Promise} Resolves with the reconciliation summary of each route,
+     *   as by the feeder, with the `route` name
+     * @api public
+     **/
+    this.reconcileAsync = function reconcileAsync(options) {
+        options = options || {};
+        return runWhileStoppedAsync('Reconciling', function () {
+            var selected = options.route ? routes.filter(route => route.name === options.route) : routes;
+            if (selected.length === 0) {
+                throw new Error('No route ' + options.route);
+            }
+            return Promise.mapSeries(selected, function (route) {
+                return route.feeder.reconcileAsync({ dryRun: options.dryRun })
+                    .then(summary => Object.assign({ route: route.name }, summary));
+            });
+        });
+    };
+
+    /**
+     * Compare the rotation status of an instance on AWS with the status of its
+     * node on the Seiso instance of each matching route; only while stopped
+     * @param {string} instanceId AWS EC2 instance identifier
+     * @return {Promise} Resolves with the status of each route the instance is
+     *   found for, with the `route` name; see Feeder describeInstanceStatusAsync
+     * @api public
+     **/
+    this.getInstanceStatusAsync = function getInstanceStatusAsync(instanceId) {
+        return runWhileStoppedAsync('Checking', function () {
+            return Promise.mapSeries(listeners, function (entry) {
+                    return entry.listener.getInstancesAsync([instanceId])
+                        .catch(function (err) {
+                            // Instances are only found in the account/region of their listener
+                            return err && err.code === 'InvalidInstanceID.NotFound' ? [] : Promise.reject(err);
+                        })
+                        .then(function (instances) {
+                            var instance = instances[0];
+                            if (!instance) {
+                                return [];
+                            }
+                            instance.account = AwsClients.getQueueAccount(entry.queue);
+                            instance.region = entry.connection.region;
+                            var matched = entry.routes.filter(route => Routes.matchesFilter(route.filter, instance));
+                            return Promise.mapSeries(matched, function (route) {
+                                return route.feeder.describeInstanceStatusAsync(instance)
+                                    .then(status => Object.assign({ route: route.name }, status));
+                            });
+                        });
+                })
+                .then(function (statuses) {
+                    return [].concat.apply([], statuses);
+                });
+        });
+    };
+
+    /**
+     * Get the status of orchestration: its state, the message counts of each
+     * listener, and the last reconciliation of each route
+     * @return {Object} `state`, `started`, `listeners` and `routes`
+     * @api public
+     **/
+    this.getStatus = function getStatus() {
+        return {
+            state: state,
+            started: started || null,
+            listeners: (listeners || []).map(entry => entry.listener.getStatus()),
+            pendingDecommissions: decommissioner ? decommissioner.getPending() : [],
+            routes: (routes || []).map(route => ({
+                name: route.name,
+                queue: route.listener.queue,
+                feederState: route.feeder.state,
+                seisoCircuit: route.seisoClient.circuitBreaker.state,
+                lastReconciliation: route.feeder.lastReconciliation
+            }))
+        };
+    };
+
+    /**
+     * Check that every Seiso instance and every queue can be reached
+     * @return {Promise} Resolves with `ready`, and the `checks` of each component
+     * @api public
+     **/
+    this.checkReadyAsync = function checkReadyAsync() {
+        if (state !== 'Started') {
+            return Promise.resolve({
+                ready: false,
+                state: state,
+                checks: []
+            });
+        }
+
+        var checks = routes.map(route => ({
+            component: 'seiso:' + route.name,
+            check: route.seisoClient.connectAsync()
+        })).concat(listeners.map(entry => ({
+            component: 'sqs:' + entry.queue,
+            check: entry.listener.checkAsync()
+        })));
+
+        return Promise.map(checks, function (item) {
+                return item.check
+                    .then(() => ({
+                        component: item.component,
+                        ready: true
+                    }))
+                    .catch(err => ({
+                        component: item.component,
+                        ready: false,
+                        error: String(err && err.Error || err)
+                    }));
+            })
+            .then(function (results) {
+                return {
+                    ready: results.every(result => result.ready),
+                    state: state,
+                    checks: results
+                };
+            });
+    };
+
+    /**
+     * Run a one-off task on the routes of the configuration while stopped,
+     * e.g. a replay: the routes are created, their Seiso clients connected and
+     * custom mappers started, without polling queues nor reconciling
+     * @param {string} activity State while running, e.g. Replaying
+     * @param {Function} task Called once ready, returning a promise
+     * @return {Promise} Resolves with the result of the task
+     **/
+    function runWhileStoppedAsync(activity, task) {
+        if (state !== 'Stopped') {
+            return Promise.reject(new Error(activity + ' requires the orchestrator to be stopped; it is ' + state));
+        }
+
+        try {
+            createComponents();
+        } catch (err) {
+            log.error('Invalid configuration', err);
+            return Promise.reject(err);
+        }
+        state = activity;
+
+        var seisoClientStartings = routes.map(connectSeisoClientAsync);
+        var customMapperStartings = customMappers.map(customMapper => customMapper.startAsync());
+
+        return Promise.all(seisoClientStartings.concat(customMapperStartings))
+            .then(task)
+            .finally(function () {
+                return Promise.all(customMappers.map(customMapper => customMapper.stopAsync()))
+                    .finally(function () {
+                        state = 'Stopped';
+                    });
+            });
+    }
+
+    /**
+     * Connect the Seiso client of a route, and load its rotation statuses
+     * @param {Object} route Route
+     * @return {Promise} Resolves once connected and loaded
+     **/
+    function connectSeisoClientAsync(route) {
+        return route.seisoClient.connectAsync()
+            .then(function () {
+                return route.seisoClient.getRotationStatuses();
+            })
+            .then(function (rs) {
+                route.rotationStatuses = rs;
+            });
+    }
+
+    /**
+     * Instantiate the routes, listeners and mappers of the configuration
+     * @throws {ConfigError} with every validation error, if the configuration
+     *    is not valid
+     **/
+    function createComponents() {
+        var errors = Config.validate(config);
+        if (errors.length > 0) {
+            throw new Config.ConfigError(errors);
+        }
+
+        var routeConfigs = Routes.normalizeRoutes(config);
+        try {
+            mapper = new Mapper(config.mapper);
+        } catch (err) {
+            errors.push('mapper: ' + err.message);
         }
+
+        // Custom mappers translate nodes to suit your specific infrastructure
+        // and application needs; see customMappers
+        customMappers = (config.customMappers || []).map(function (options, index) {
+            try {
+                return CustomMappers.createCustomMapper(options, index);
+            } catch (err) {
+                errors.push('customMappers[' + index + ']: ' + err.message);
+            }
+        });
+        if (errors.length > 0) {
+            throw new Config.ConfigError(errors);
+        }
+
+        // Each listener has its own AWS clients, for its queue's account and region;
+        // the feeders of its routes reconcile load balancers in the same account/region
+        listeners = [];
+        routes = routeConfigs.map(function (routeConfig) {
+            var entry = listeners.find(entry => entry.queue === routeConfig.listener.queue);
+            if (!entry) {
+                log.info('Connecting to AWS', { queue: routeConfig.listener.queue });
+                var connection = AwsClients.createConnection(config.aws || AWS, getConnectionOptions(routeConfig.listener));
+                entry = {
+                    queue: routeConfig.listener.queue,
+                    connection: connection,
+                    listener: new Listener(connection, routeConfig.listener),
+                    routes: []
+                };
+                entry.handlers = createListenerHandlers(entry);
+                listeners.push(entry);
+            }
+
+            var seisoClient = new SeisoClient(routeConfig.seisoClient);
+            var route = {
+                name: routeConfig.name,
+                listener: routeConfig.listener,
+                filter: routeConfig.filter,
+                registerInstances: routeConfig.registerInstances,
+                decommission: routeConfig.decommission,
+                seisoClient: seisoClient,
+                feeder: new Feeder(entry.connection, seisoClient, routeConfig.feeder, mapper),
+                rotationStatuses: []
+            };
+            route.circuitHandlers = createCircuitHandlers(entry, route);
+            entry.routes.push(route);
+            return route;
+        });
+    }
+
+    /**
+     * Get the AWS connection options of a listener; listeners without their
+     * own region or credentials fall back to `listenerCredentials`, then to
+     * the region of their queue and the default credential provider chain
+     * @param {Object} listenerConfig Listener configuration
+     * @return {Object} AWS connection options, see awsClients
+     **/
+    function getConnectionOptions(listenerConfig) {
+        var fallback = config.listenerCredentials || {};
+        return {
+            queue: listenerConfig.queue,
+            region: listenerConfig.region || fallback.region,
+            credentials: listenerConfig.credentials || (fallback.accessKeyId ? fallback : undefined),
+            roleArn: listenerConfig.roleArn,
+            externalId: listenerConfig.externalId,
+            roleSessionName: listenerConfig.roleSessionName
+        };
+    }
+
+    /**
+     * Create the event handlers of a listener, relaying its events to the
+     * routes of its queue
+     * @param {Object} entry Listener entry, with `listener` and `routes`
+     * @return {Object} Event name => handler
+     **/
+    function createListenerHandlers(entry) {
+        return {
+            'message': messageReceivedHandler,
+
+            /**
+             *  instanceCreatedHandler
+             *  Event handler for new instance events, triggered by AWS Listener
+             **/
+            'instance-rotate-in': function instanceRotateInHandler(event) {
+                if (event.instances) {
+                    entry.listener.messageLog(event.deletionToken).info('Instance rotation status up', {
+                        instanceIds: event.instances.map(i => i.InstanceId)
+                    });
+                    rotateInstances(entry, event, 'enabled');
+                }
+            },
+
+            /**
+             *  instance Rotation State Out Handler
+             *  Event handler for deleted instance events, triggered by AWS Listener
+             **/
+            'instance-rotate-out': function instanceRotateOutHandler(event) {
+                if (event.instances) {
+                    entry.listener.messageLog(event.deletionToken).info('Instance out of rotation', {
+                        instanceIds: event.instances.map(i => i.InstanceId)
+                    });
+                    rotateInstances(entry, event, 'disabled');
+                }
+            },
+
+            /**
+             *  Instance unavailable handler
+             *  Event handler for stopped, terminated or failing instance events,
+             *  triggered by AWS Listener
+             **/
+            'instance-unavailable': function instanceUnavailableHandler(event) {
+                if (event.instances) {
+                    entry.listener.messageLog(event.deletionToken).info('Instance unavailable', {
+                        reason: event.reason,
+                        instanceIds: event.instances.map(i => i.InstanceId)
+                    });
+                    rotateInstances(entry, event, 'disabled', event.reason === 'terminated');
+                }
+            },
+
+            /**
+             *  Instance re-evaluation handler
+             *  Event handler for started or recovered instance events, triggered by
+             *  AWS Listener; rotation status is reconciled against the load balancers
+             **/
+            'instance-reevaluate': function instanceReevaluateHandler(event) {
+                var messageLog = entry.listener.messageLog(event.deletionToken);
+                messageLog.info('Re-evaluating rotation status', { instanceIds: event.instanceIds });
+                Promise.map(entry.routes, function (route) {
+                        var instanceIds = event.instances
+                            .filter(instance => Routes.matchesFilter(route.filter, instance))
+                            .map(instance => instance.InstanceId);
+                        if (instanceIds.length === 0) {
+                            return;
+                        }
+                        if (!replay) {
+                            return route.feeder.reconcileInstancesAsync(instanceIds);
+                        }
+                        var summary = replay;
+                        return route.feeder.reconcileInstancesAsync(instanceIds, { dryRun: summary.dryRun })
+                            .then(function (reconciliation) {
+                                reconciliation.changes.forEach(function (change) {
+                                    summary.changes.push(Object.assign({ route: route.name }, change));
+                                });
+                            });
+                    })
+                    .then(function () {
+                        entry.listener.deleteMessage(event.deletionToken);
+                    })
+                    .catch(function (err) {
+                        messageLog.error('Instance re-evaluation failed', err);
+                        entry.listener.failMessage(event.deletionToken, err);
+                    });
+            }
+        };
+    }
+
+    /**
+     * Create the event handlers of a route's Seiso circuit breaker, pausing
+     * the route's listener while Seiso is unavailable, rather than failing
+     * every message; reading resumes once the circuit is half-open, so that
+     * messages test whether Seiso is available again
+     * @param {Object} entry Listener entry of the route
+     * @param {Object} route Route
+     * @return {Object} Event name => handler
+     **/
+    function createCircuitHandlers(entry, route) {
+        var reason = 'Seiso unavailable for route ' + route.name;
+        return {
+            'open': function circuitOpenHandler() {
+                entry.listener.pause(reason);
+            },
+            'half-open': function circuitHalfOpenHandler() {
+                entry.listener.resume(reason);
+            },
+            'close': function circuitCloseHandler() {
+                entry.listener.resume(reason);
+            }
+        };
+    }
+
+    /**
+     * Update the rotation status of all instances of a listener event on the
+     * Seiso instance of each matching route, and acknowledge the event's
+     * message once done
+     * @param {Object} entry Listener entry the event was received on
+     * @param {Object} event Listener event with `instances` and `deletionToken`
+     * @param {string} statusKey Seiso rotation status key, e.g. enabled
+     * @param {boolean} terminated true if the instances were terminated, to
+     *   schedule the decommission of their nodes as per the route's policy
+     **/
+    function rotateInstances(entry, event, statusKey, terminated) {
+        var messageLog = entry.listener.messageLog(event.deletionToken);
+        return Promise.try(function () {
+                var rotations = [];
+                event.instances.forEach(function (instance) {
+                    var matched = entry.routes.filter(route => Routes.matchesFilter(route.filter, instance));
+                    if (matched.length === 0) {
+                        messageLog.info('No route for instance; skipping', { instanceId: instance.InstanceId });
+                    }
+                    matched.forEach(function (route) {
+                        var rs = route.rotationStatuses.find(rs => rs.key === statusKey);
+                        var labels = { route: route.name, status: statusKey };
+                        var instanceLog = messageLog.child({ route: route.name, instanceId: instance.InstanceId });
+                        // Only instances rotating in are registered, never e.g. terminated ones
+                        var register = route.registerInstances && statusKey === 'enabled';
+                        // Replays record the change of each rotation
+                        var summary = replay;
+                        var change = summary ? {
+                            route: route.name,
+                            node: null,
+                            instanceId: instance.InstanceId,
+                            currentStatus: null,
+                            desiredStatus: statusKey,
+                            registered: false
+                        } : null;
+                        var rotation = rotateInstance(route, Object.assign({}, instance), rs._links.self.href, instanceLog, register, change)
+                            .then(function (result) {
+                                rotationUpdates.inc(Object.assign({ outcome: 'success' }, labels));
+                                return result;
+                            }, function (err) {
+                                rotationUpdates.inc(Object.assign({ outcome: 'failure' }, labels));
+                                return Promise.reject(err);
+                            });
+                        if (summary) {
+                            rotation = rotation.then(function (seisoNode) {
+                                if (terminated && route.decommission.policy !== 'rotate-out') {
+                                    change.decommission = route.decommission.policy;
+                                }
+                                if (change.registered || change.decommission || change.currentStatus !== change.desiredStatus) {
+                                    summary.changes.push(change);
+                                } else {
+                                    summary.unchanged++;
+                                }
+                                return seisoNode;
+                            });
+                        } else if (terminated && route.decommission.policy !== 'rotate-out') {
+                            rotation = rotation.then(function (seisoNode) {
+                                return decommissioner.scheduleAsync({
+                                    route: route.name,
+                                    instanceId: instance.InstanceId,
+                                    node: seisoNode._links.self.href,
+                                    removeMachine: route.decommission.policy === 'delete-node-and-machine',
+                                    gracePeriod: route.decommission.gracePeriod
+                                });
+                            });
+                        }
+                        rotations.push(rotation);
+                    });
+                });
+                return Promise.all(rotations);
+            })
+            .then(function () {
+                messageLog.info('Rotation status updated');
+                entry.listener.deleteMessage(event.deletionToken);
+            })
+            .catch(function (err) {
+                messageLog.error('Node rotation status update failed', err);
+                entry.listener.failMessage(event.deletionToken, err);
+            });
     }
 
-    function rotateInstance(instance, state) {
+    /**
+     * Update the rotation status of the Seiso node of an instance, registering
+     * the instance first if it has no node yet and `register` is set
+     * @param {Object} route Route
+     * @param {Object} instance EC2 instance details
+     * @param {string} state Seiso rotation status URL
+     * @param {Logger} instanceLog Logger of the instance
+     * @param {boolean} register true to register instances without a node
+     * @param {Object} change Change to record the node, current status and
+     *   registration in, when replaying; in dry-run, Seiso is not updated
+     * @return {Promise} Resolves with the Seiso node (null if registration was
+     *   only planned)
+     **/
+    function rotateInstance(route, instance, state, instanceLog, register, change) {
         var node;
+        var dryRun = !!(change && replay && replay.dryRun);
         instance.state = state;
         var validationErrors = mapper.validateMessage(instance);
         if (typeof validationErrors !== 'undefined' && validationErrors !== null && validationErrors.length > 0) {
-            console.log('Instance details not valid:', validationErrors);
+            instanceLog.warn('Instance details not valid', { validationErrors: validationErrors });
             return Promise.reject(validationErrors);
         }
 
         node = mapper.instanceToNode(instance);
 
         // Perform any custom mapping
-        function map(mappers, index, node, callback) {
-            if (!mappers || mappers.length <= index) {
-                // When no more mapping functions remain, call original callback
-                callback(null, node);
-            } else {
-                // Call the next mapper
-                console.log('Calling ' + mappers[index].name + ' custom mapper')
-                mappers[index].map(node, function (err, node) {
-                    if (err) {
-                        callback({
-                            mapper: mappers[index].name,
-                            error: err
-                        });
-                    } else {
-                        map(mappers, index + 1, node, callback);
-                    }
-                })
-            }
+        return CustomMappers.mapAsync(customMappers, node, instanceLog)
+            .catch(function (err) {
+                instanceLog.error('Failed to perform custom mapping', { mapper: err.mapper, err: err });
+                return Promise.reject(err);
+            })
+            .then(function (node) {
+                instanceLog.info('Updating rotation status', { node: node.name });
+                return route.seisoClient.findNodesAsync({
+                        name: node.name,
+                        filters: mapper.nodeFilters(node)
+                    })
+                    .then(function (nodeResponse) {
+                        if (nodeResponse.length > 1) throw new Error("Multiple matching Node Records found for instance");
+                        if (nodeResponse.length === 1) return nodeResponse[0];
+                        if (!register) throw new Error("No matching Node Records found for instance");
+
+                        if (change) {
+                            change.registered = true;
+                        }
+                        if (dryRun) {
+                            instanceLog.info('Would register instance in Seiso (dry run)', { node: node.name });
+                            return null;
+                        }
+                        instanceLog.info('Registering instance in Seiso', { node: node.name });
+                        return route.seisoClient.upsertNodeAsync(node);
+                    })
+                    .then(function (seisoNode) {
+                        if (!change) {
+                            return seisoNode;
+                        }
+                        change.node = (seisoNode || node).name;
+                        if (change.registered) {
+                            return seisoNode;
+                        }
+                        return route.seisoClient.getNodeAggregateRotationStatusAsync(seisoNode)
+                            .then(function (rotationStatus) {
+                                change.currentStatus = rotationStatus ? rotationStatus.key : null;
+                                return seisoNode;
+                            });
+                    })
+                    .then(function (seisoNode) {
+                        if (dryRun) {
+                            instanceLog.info('Would update rotation status (dry run)', { node: change.node });
+                            return seisoNode;
+                        }
+                        return route.seisoClient.patchNodeAggregateRotationStatus(seisoNode, state)
+                            .then(() => seisoNode);
+                    });
+            });
+    }
+
+    /**
+     * Decommission the node of a terminated instance, once its grace period
+     * has passed; see decommissioner
+     * @param {Object} entry Pending decommission
+     * @return {Promise} Resolves once the node (and machine) is removed
+     **/
+    function decommissionNode(entry) {
+        var route = routes.find(route => route.name === entry.route);
+        if (!route) {
+            log.warn('No route for pending decommission; dropping', entry);
+            return Promise.resolve();
         }
+        return route.seisoClient.removeNodeAsync({
+            node: { _links: { self: { href: entry.node } } },
+            removeMachine: entry.removeMachine
+        });
+    }
 
-        return new Promise(function (resolve, reject) {
-            map(customMappers, 0, node, function (err, node) {
-                if (err) {
-                    console.log('Failed to perform custom mapping: ', err);
-                } else {
-                    console.log('Updating Rotation Status:');
-                    console.log(node);
-                    resolve(seisoClient.findNodesAsync({
-                            name: node.name,
-                            filters: [
-                                {
-                                    type: 'Tag',
-                                    name: 'AWS Instance ID',
-                                    value: node.tags['AWS Instance ID']
-                                }
-                            ]
-                        })
-                        .then(function (nodeResponse) {
-                            if (nodeResponse.length < 1) throw new Error("No matching Node Records found for instance");
-                            if (nodeResponse.length > 1) throw new Error("Multiple matching Node Records found for instance");
-                            return nodeResponse;
-                        })
-                        .then(function(nodeResponse) {
-                            seisoClient.patchNodeAggregateRotationStatus(nodeResponse, state);
-                        })
-										);
-                }
-							});
-					});
-			}
-
-			/**
-			 *  instance Rotation State Out Handler
-			 *  Event handler for deleted instance events, triggered by AWS Listener
-			 **/
-			function instanceRotateOutHandler(event) {
-					console.log('Instance out of rotation: ' + JSON.stringify(event, null, 1));
-					if (event.instances) {
-							var rs = self.rotationStatuses.find(rs => rs.key == "disabled");
-							var rotationPromise = event.instances.map(
-									instance => rotateInstance(instance, rs._links.self.href)
-							);
-
-							Promise.all(rotationPromise)
-									.then(function () {
-											console.log('Rotation State Updated');
-											listener.deleteMessage(event.deletionToken);
-									})
-									.catch(function (err) {
-											console.log('Node rotation state update failed: ', err);
-									});
-					}
-			}
-
-			function messageReceivedHandler() {
-					console.log(JSON.stringify(arguments, null, 4));
-			}
-
-			console.log('Orchestrator bootstrapped');
+    /**
+     *  Reconciliation pass handler
+     *  Event handler for completed reconciliation, triggered by Feeder
+     **/
+    function reconciledHandler(summary) {
+        if (summary.dryRun) {
+            return;
+        }
+        summary.changes.forEach(function (change) {
+            log.info('Corrected rotation status of node', change);
+        });
+    }
+
+    /**
+     *  Reconciliation plan handler
+     *  Event handler for dry-run reconciliation, triggered by Feeder
+     **/
+    function planHandler(plan) {
+        log.info('Reconciliation plan (dry run)', {
+            started: plan.started,
+            finished: plan.finished,
+            loadBalancers: plan.loadBalancers,
+            nodes: plan.nodes,
+            changes: plan.changes,
+            errors: plan.errors.length
+        });
+        self.emit('plan', plan);
+    }
+
+    function messageReceivedHandler(message) {
+        log.debug('Message received', { messageId: message.MessageId });
+    }
+
+    log.info('Orchestrator bootstrapped');
 }
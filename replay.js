@@ -0,0 +1,182 @@
+'use strict';
+var fs = require('fs');
+var path = require('path');
+var Promise = require('bluebird');
+
+/**
+ * Reading of captured events, to replay them through the orchestrator
+ *
+ * Captured events can be raw SQS messages (with `Body`), SNS notifications
+ * (with `Message`), EventBridge/CloudWatch events, CloudWatch alarms, or the
+ * records of a dead-letter file. Files hold a JSON document (an event, or an
+ * Array of events), or one JSON event per line.
+ **/
+
+module.exports.readMessagesAsync = exports.readMessagesAsync = readMessagesAsync;
+module.exports.parseRecords = exports.parseRecords = parseRecords;
+module.exports.toMessage = exports.toMessage = toMessage;
+module.exports.getEventTime = exports.getEventTime = getEventTime;
+module.exports.sortMessages = exports.sortMessages = sortMessages;
+
+// Extensions of the files read from a directory
+var EXTENSIONS = ['.json', '.jsonl', '.ndjson', '.txt'];
+
+/**
+ * Read captured events as SQS messages, ready to be replayed
+ *
+ * Options:
+ *
+ *   - `sort` {Boolean} order messages by event time, default true; events
+ *     without a time keep their place relative to each other
+ *
+ * @param   {string|Array} input File or directory path, or an Array of paths
+ *   and/or captured events; directories are read in file name order
+ * @param   {Object} options
+ * @resolves {Array<Object>} SQS messages, with `MessageId`, `ReceiptHandle` and `Body`
+ */
+function readMessagesAsync(input, options) {
+  options = options || {};
+  var inputs = Array.isArray(input) ? input : [input];
+
+  return Promise.mapSeries(inputs, function (item) {
+      return typeof item === 'string' ? readPathAsync(item) : [item];
+    })
+    .then(function (records) {
+      var messages = [].concat.apply([], records).map(toMessage);
+      return options.sort === false ? messages : sortMessages(messages);
+    });
+}
+
+/**
+ * Read the captured events of a file, or of each file of a directory
+ * @param   {string} inputPath File or directory path
+ * @resolves {Array<Object>} Captured events
+ */
+function readPathAsync(inputPath) {
+  return Promise.fromCallback(callback => fs.stat(inputPath, callback))
+    .then(function (stats) {
+      if (!stats.isDirectory()) {
+        return readFileAsync(inputPath);
+      }
+      return Promise.fromCallback(callback => fs.readdir(inputPath, callback))
+        .then(function (names) {
+          var files = names
+            .filter(name => EXTENSIONS.indexOf(path.extname(name).toLowerCase()) !== -1)
+            .sort()
+            .map(name => path.join(inputPath, name));
+          return Promise.mapSeries(files, readFileAsync);
+        })
+        .then(function (records) {
+          return [].concat.apply([], records);
+        });
+    });
+}
+
+function readFileAsync(file) {
+  return Promise.fromCallback(callback => fs.readFile(file, 'utf8', callback))
+    .then(function (text) {
+      return parseRecords(text, file);
+    });
+}
+
+/**
+ * Parse captured events: a JSON document (an event, or an Array of events),
+ * or one JSON event per line
+ * @param   {string} text File contents
+ * @param   {string} source Name of the file, for errors
+ * @returns {Array<Object>} Captured events
+ */
+function parseRecords(text, source) {
+  try {
+    var document = JSON.parse(text);
+    return Array.isArray(document) ? document : [document];
+  } catch (err) {
+    return text.split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+      .filter(item => item.line.length > 0)
+      .map(function (item) {
+        try {
+          return JSON.parse(item.line);
+        } catch (lineErr) {
+          throw new Error('Invalid JSON in ' + (source || 'input') + ' line ' + item.number + ': ' + lineErr.message);
+        }
+      });
+  }
+}
+
+/**
+ * Convert a captured event to an SQS message, as received by the listener;
+ * its receipt handle is unique to the replay
+ * @param   {Object} record Captured event
+ * @param   {number} index Position of the event
+ * @returns {Object} SQS message with `MessageId`, `ReceiptHandle` and `Body`
+ */
+function toMessage(record, index) {
+  if (!record || typeof record !== 'object') {
+    throw new Error('Captured event ' + index + ' is not an object');
+  }
+
+  var messageId, body;
+  if (typeof record.Body === 'string') {
+    // Raw SQS message
+    messageId = record.MessageId;
+    body = record.Body;
+  } else if (typeof record.body === 'string') {
+    // Dead-letter file record
+    messageId = record.messageId;
+    body = record.body;
+  } else {
+    // SNS notification, EventBridge event or CloudWatch alarm
+    messageId = record.MessageId || record.id;
+    body = JSON.stringify(record);
+  }
+
+  return {
+    MessageId: messageId || 'replay-' + index,
+    ReceiptHandle: 'replay-' + index,
+    Body: body
+  };
+}
+
+/**
+ * Get the time of the event of an SQS message: the EventBridge event time,
+ * the CloudTrail event time, the alarm state change time, or the SNS
+ * notification time
+ * @param   {Object} message SQS message
+ * @returns {Date} Event time, or null if unknown
+ */
+function getEventTime(message) {
+  var event;
+  try {
+    event = JSON.parse(message.Body);
+    if (typeof event.Message === 'string') {
+      var notificationTime = event.Timestamp;
+      event = JSON.parse(event.Message);
+      event.Timestamp = event.Timestamp || notificationTime;
+    }
+  } catch (err) {
+    return null;
+  }
+
+  var time = event.time || (event.detail && event.detail.eventTime) || event.StateChangeTime || event.Timestamp;
+  var date = time ? new Date(time) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Order SQS messages by event time; messages without a time are kept after
+ * the message preceding them
+ * @param   {Array<Object>} messages SQS messages
+ * @returns {Array<Object>} Ordered messages
+ */
+function sortMessages(messages) {
+  var previous = 0;
+  return messages
+    .map(function (message, index) {
+      var time = getEventTime(message);
+      previous = time ? time.getTime() : previous;
+      return { message: message, time: previous, index: index };
+    })
+    .sort((a, b) => a.time - b.time || a.index - b.index)
+    .map(item => item.message);
+}
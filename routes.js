@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * Routing of rotation events to Seiso instances
+ *
+ * A route pairs a listener (queue) with the Seiso instance its events are
+ * relayed to, optionally filtered by AWS account, region and instance tags,
+ * so that one process can serve several datacenters/environments.
+ **/
+
+module.exports.normalizeRoutes = exports.normalizeRoutes = normalizeRoutes;
+module.exports.matchesFilter = exports.matchesFilter = matchesFilter;
+
+/**
+ * Get the routes of a service configuration; a configuration without
+ * `routes` has a single route, from its `listener`, `seisoClient` and
+ * `feeder` settings. Route settings not given default to these.
+ * @param   {Object} config Service configuration
+ * @returns {Array<Object>} Routes, each with `name`, `listener`, `seisoClient`,
+ *   `feeder`, `filter`, `registerInstances` and `decommission` policy
+ */
+function normalizeRoutes(config) {
+  var routes = Array.isArray(config.routes) && config.routes.length > 0 ? config.routes : [{}];
+
+  return routes.map(function (route, index) {
+    var listener = route.listener || config.listener || {};
+    if (!listener.queue) {
+      throw new Error('Route ' + (route.name || index) + ' has no listener queue');
+    }
+    if (!route.seisoClient && !config.seisoClient) {
+      throw new Error('Route ' + (route.name || index) + ' has no Seiso client configuration');
+    }
+    return {
+      name: route.name || 'route-' + index,
+      listener: listener,
+      seisoClient: route.seisoClient || config.seisoClient,
+      feeder: route.feeder || config.feeder,
+      filter: route.filter || {},
+      registerInstances: route.registerInstances !== undefined ? !!route.registerInstances : !!config.registerInstances,
+      decommission: {
+        policy: getSetting('policy', route.decommission, config.decommission) || 'rotate-out',
+        gracePeriod: getSetting('gracePeriod', route.decommission, config.decommission) || 0
+      }
+    };
+  });
+}
+
+/**
+ * Check whether an instance matches a route filter
+ *
+ * Filter values:
+ *   `account` {string|Array} AWS account identifier(s)
+ *   `region` {string|Array} AWS region(s), e.g. us-west-2
+ *   `tags` {Object} tag name => required value(s), e.g. { Environment: 'prod' }
+ *
+ * @param   {Object} filter Route filter; an empty filter matches any instance
+ * @param   {Object} instance EC2 instance description, with the `account`
+ *   and `region` of the event it was received in
+ * @returns {Boolean} true if the instance matches every filter value
+ */
+function matchesFilter(filter, instance) {
+  if (!filter) {
+    return true;
+  }
+  if (filter.account && !matchesValue(filter.account, instance.account)) {
+    return false;
+  }
+  if (filter.region && !matchesValue(filter.region, instance.region)) {
+    return false;
+  }
+  return Object.keys(filter.tags || {}).every(function (tagName) {
+    var tag = (instance.Tags || []).find(function (tag) {
+      return tag.Key === tagName;
+    });
+    return !!tag && matchesValue(filter.tags[tagName], tag.Value);
+  });
+}
+
+function getSetting(name, routeSettings, settings) {
+  if (routeSettings && routeSettings[name] !== undefined) {
+    return routeSettings[name];
+  }
+  return settings ? settings[name] : undefined;
+}
+
+function matchesValue(expected, actual) {
+  return (Array.isArray(expected) ? expected : [expected]).some(function (value) {
+    return String(value) === String(actual);
+  });
+}
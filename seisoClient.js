@@ -1,12 +1,31 @@
 'use strict';
 
+var Readable = require('stream').Readable;
 var Promise = require('bluebird');
 var requestAsync = require('request-promise');
-var endecoder = require('./endecoder');
+var seisoCredentials = require('./seisoCredentials');
+var CircuitBreaker = require('./circuitBreaker');
 var common = require('./common');
+var metrics = require('./metrics');
+var logger = require('./logger');
+
+var log = logger.getLogger('seisoClient');
 
 var ERROR_NOT_FOUND = 404,
-    ERROR_CONFLICT = 409;
+    ERROR_CONFLICT = 409,
+    ERROR_TOO_MANY_REQUESTS = 429;
+
+// Methods which may be repeated without changing their outcome; other
+// requests, e.g. a POST creating a record, are only retried if never sent
+var IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+var CONNECTION_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+var requestDuration = metrics.histogram('seiso_client_request_duration_seconds',
+    'Seiso API request latency, by method, resource and response status code',
+    ['method', 'resource', 'status_code']);
+var requestRetries = metrics.counter('seiso_client_request_retries_total',
+    'Seiso API requests retried, by method and resource',
+    ['method', 'resource']);
 
 var SeisoClient = exports = module.exports = createSeisoClient;
 
@@ -14,14 +33,32 @@ function createSeisoClient(options) {
     var self = this;
 
     self.url = options.url;
-    self.username = options.username;
-    self.password = options.password;
+    self.credentials = seisoCredentials.createProvider(options);
     self.rejectUnauthorized = options.rejectUnauthorized || false;
+    self.maxItems = options.maxItems;
+    self.timeout = options.timeout === undefined ? 30000 : options.timeout;
+
+    // Requests failing on a 5xx/429 response or network error are retried,
+    // POST requests only if they failed to connect; delays are in milliseconds
+    var retry = options.retry || {};
+    self.retries = retry.retries === undefined ? 3 : retry.retries;
+    self.minRetryDelay = retry.minDelay === undefined ? 200 : retry.minDelay;
+    self.maxRetryDelay = retry.maxDelay === undefined ? 10000 : retry.maxDelay;
+
+    // Requests fail fast once Seiso has been unavailable, see circuitBreaker
+    self.circuitBreaker = new CircuitBreaker(Object.assign({
+        name: 'Seiso ' + options.url
+    }, options.circuitBreaker));
     self.environments = options.environments || {};
     self.dataCenters = options.dataCenters || {};
+    // Upserts wait on the domain data, failing if it could not be loaded;
+    // the failure is logged here so that it is not reported as unhandled
     self.preCache = preCacheDomainData(self);
+    self.preCache.catch(function (err) {
+        log.warn('Failed to load Seiso domain data', { url: self.url, err: err });
+    });
 
-    if (self.url && self.username && self.password) {
+    if (self.url && self.credentials) {
         return self;
     } else {
         throw new Error('Invalid or incomlete configuration for seisoClient.');
@@ -32,7 +69,7 @@ function createSeisoClient(options) {
  * Smoke tests the seiso connection/config
  **/
 SeisoClient.prototype.connectAsync = function () {
-    console.log('Connecting to seiso@' + this.url);
+    log.info('Connecting to Seiso', { url: this.url });
     return seisoRequest(this, '')
         .catch(function (err) {
             return Promise.reject({
@@ -69,6 +106,8 @@ SeisoClient.prototype.connectAsync = function () {
  *   - `ports` {Array of Number} service instance ports
  *   - `tags` {Object} tags, with tag key as property name and tag
  *       value as property value, e.g. tags['source'] = 'aws'
+ *   - `machine` {Object} further machine fields, e.g. serialNumber
+ *   - `serviceInstance` {Object} further fields of a created service instance
  *
  * @param {Object} params
  * @param {Function} callback Callback function (with err, data params)
@@ -87,7 +126,11 @@ SeisoClient.prototype.upsertNodeAsync = function (params) {
         validationErrors.push('At least one port must be specified (or ports are not in correct format)');
     }
 
-    // TODO: Validate other params, e.g. name, service, etc.
+    ['name', 'machineName', 'service', 'environmentType'].forEach(function (key) {
+        if (!params[key]) {
+            validationErrors.push('Required parameter \'' + key + '\' not present');
+        }
+    });
 
     if (validationErrors.length > 0) {
         return Promise.reject({
@@ -99,6 +142,7 @@ SeisoClient.prototype.upsertNodeAsync = function (params) {
     // Get node, if it exists;
     // Also, make sure there is not already an issue with duplicates in Seiso
     var node, serviceLink, serviceInstanceId, serviceInstanceLink;
+    var ipAddresses = params.ipAddress ? [params.ipAddress] : [];
 
     return self.findNodesAsync({
             name: params.name,
@@ -107,25 +151,28 @@ SeisoClient.prototype.upsertNodeAsync = function (params) {
                     type: 'Tag',
                     name: 'AWS Instance ID',
                     value: params.tags['AWS Instance ID']
-      }
-    ]
+                }
+            ]
         })
         .then(function (matchingNodes) {
             if (matchingNodes && Array.isArray(matchingNodes) && matchingNodes.length > 1) {
-                console.log('Multiple nodes found for criteria: name ' + params.name + ', instance ' + params.tags['AWS Instance ID']);
+                log.warn('Multiple nodes found for criteria', {
+                    node: params.name,
+                    instanceId: params.tags['AWS Instance ID']
+                });
                 return Promise.reject({
                     message: 'Multiple nodes already exist with that AWS instance ID'
                 });
-            } else if (matchingNodes) {
-                console.log('Node exists; updating')
-                node = matchingNodes;
+            } else if (matchingNodes.length === 1) {
+                log.debug('Node exists; updating', { node: params.name });
+                node = matchingNodes[0];
             }
             return self.getServiceAsync(params.service);
         })
         .then(function (existingService) {
             // Create service if it does not exist
             if (existingService === null || typeof existingService === 'undefined') {
-                console.log('No service ' + params.service + '; creating')
+                log.info('No service; creating', { service: params.service });
                 return self.createServiceAsync({
                     key: params.service,
                     name: params.service
@@ -143,10 +190,13 @@ SeisoClient.prototype.upsertNodeAsync = function (params) {
         .then(function (serviceInstance) {
             // Create service instance if it does not exist
             if (serviceInstance === null || typeof serviceInstance === 'undefined') {
-                console.log('No service instance for ' + params.service + ', env category ' + params.environmentType + '; creating');
+                log.info('No service instance; creating', {
+                    service: params.service,
+                    environmentType: params.environmentType
+                });
                 return self.preCache
                     .then(function () {
-                        return self.createServiceInstanceAsync({
+                        return self.createServiceInstanceAsync(Object.assign({
                             key: params.service + '-' + params.environmentType,
                             service: serviceLink,
                             environment: (self.environments[params.environment] ? getRestRecordLink(self.environments[params.environment]) : null),
@@ -155,7 +205,7 @@ SeisoClient.prototype.upsertNodeAsync = function (params) {
                             loadBalanced: params.loadBalanced,
                             // TODO: Support looking up (and creating?) load balancer
                             loadBalancer: params.loadBalancer
-                        });
+                        }, params.serviceInstance));
                     });
             } else {
                 return Promise.resolve(serviceInstance);
@@ -165,11 +215,11 @@ SeisoClient.prototype.upsertNodeAsync = function (params) {
             serviceInstanceId = getRestRecordId(serviceInstance);
             serviceInstanceLink = getRestRecordLink(serviceInstance);
 
-            console.log('Upserting machine ' + params.machineName);
+            log.debug('Upserting machine', { machine: params.machineName });
 
             return self.preCache
                 .then(function () {
-                    return self.upsertMachineAsync({
+                    return self.upsertMachineAsync(Object.assign({
                         name: params.machineName,
                         hostname: params.hostname,
                         domain: params.domain,
@@ -177,34 +227,34 @@ SeisoClient.prototype.upsertNodeAsync = function (params) {
                         platform: params.platform,
                         ipAddress: params.ipAddress,
                         dataCenter: (self.dataCenters[params.dataCenter] ? getRestRecordLink(self.dataCenters[params.dataCenter]) : null)
-                    });
+                    }, params.machine));
                 });
         })
         .then(function (machine) {
             var nodeUpsert;
             // Create node if it does not exist
             if (!node) {
-                console.log('Node ' + params.name + ' was not found; creating');
+                log.info('Node not found; creating', { node: params.name });
                 nodeUpsert = self.createNodeAsync({
                     name: params.name,
                     version: '1.0.0',
                     serviceInstanceId: serviceInstanceId,
                     serviceInstanceLink: serviceInstanceLink,
                     machine: getRestRecordLink(machine),
-                    ipAddresses: [params.ipAddress],
-                    tage: params.tags
+                    ipAddresses: ipAddresses,
+                    tags: params.tags
                 });
             } else {
                 // Update, if necessary
                 // TODO: Consider conditionally calling update (i.e. only if data has changed)
-                console.log('Updating node ' + params.name);
+                log.info('Updating node', { node: params.name });
                 nodeUpsert = self.updateNodeAsync(node, {
                     name: params.name,
                     version: '1.0.0',
                     serviceInstanceId: serviceInstanceId,
                     serviceInstanceLink: serviceInstanceLink,
                     machine: getRestRecordLink(machine),
-                    ipAddresses: [params.ipAddress],
+                    ipAddresses: ipAddresses,
                     tags: params.tags
                 });
             }
@@ -214,18 +264,15 @@ SeisoClient.prototype.upsertNodeAsync = function (params) {
 }
 
 /**
- * Remove node from Seiso by `options`; note for MVP support will
- * be limited to removal by name
+ * Remove node from Seiso by `options`; a node which no longer exists is
+ * not an error, so a removal can be repeated
  *
  * Options:
  *
+ *   - `node` {SeisoDataResource} node record, or any object with its
+ *       `_links.self.href`; otherwise the node is found as by `findNodesAsync`:
  *   - `name` {String} node name
- *   - `filters` {Array of Object} node filter(s), where a filter has:
- *       - `type` {String} filter type; supported values include:
- *           - 'Tag'
- *       - `name` {String} filter name, e.g. 'AWS Instance ID'
- *       - `value` {String} filter value (case-senstive match),
- *           e.g. 'instance-My123'
+ *   - `filters` {Array of Object} node filter(s), see `findNodesAsync`
  *   - `removeMachine` {Boolean} remove associated machine as well
  *
  * @param {Object} options
@@ -234,24 +281,33 @@ SeisoClient.prototype.upsertNodeAsync = function (params) {
 SeisoClient.prototype.removeNodeAsync = function (options) {
     var self = this;
 
-    return seisoRequest(
-            // Find the node, if it exists
-            self,
-            'nodes/search/findByName',
-            null, {
-                ignoredErrorCodes: [ERROR_NOT_FOUND],
-                name: options.name
+    // Find the node, if it exists
+    var findNode = options.node ? Promise.resolve(options.node) : self.findNodesAsync({
+            name: options.name,
+            filters: options.filters
+        })
+        .then(function (nodes) {
+            if (nodes.length > 1) {
+                return Promise.reject({
+                    message: 'Multiple nodes match ' + options.name + '; not removing'
+                });
             }
-        )
+            return nodes[0] || null;
+        });
+
+    return findNode
         .then(function (node) {
             if (node) {
                 // Remove machine, if directed
                 if (options.removeMachine) {
                     return seisoRequest(
-                            self, ['nodes', getRestRecordId(node), 'machine'].join('/')
+                            self, ['nodes', getRestRecordId(node), 'machine'].join('/'),
+                            null, {
+                                ignoredErrorCodes: [ERROR_NOT_FOUND]
+                            }
                         )
                         .then(function (machine) {
-                            console.log('Found machine and should remove; queuing removal');
+                            log.debug('Found machine and should remove; queuing removal');
                             return Promise.resolve({
                                 node: node,
                                 machine: machine
@@ -267,11 +323,12 @@ SeisoClient.prototype.removeNodeAsync = function (options) {
         .then(function (options) {
             if (options.node) {
                 // Remove the node
-                console.log('Node was found; removing');
+                log.info('Node was found; removing');
                 return seisoRequest(
                         self,
                         'nodes/' + getRestRecordId(options.node),
                         null, {
+                            ignoredErrorCodes: [ERROR_NOT_FOUND],
                             method: 'DELETE'
                         }
                     )
@@ -284,7 +341,7 @@ SeisoClient.prototype.removeNodeAsync = function (options) {
         })
         .then(function (machine) {
             if (machine) {
-                console.log('Removing machine');
+                log.info('Removing machine');
                 return seisoRequest(
                         self,
                         'machines/' + getRestRecordId(machine),
@@ -321,72 +378,222 @@ SeisoClient.prototype.removeNodeAsync = function (options) {
         })
 };
 
+/**
+ * Get a service by key
+ * @param {String} key Service key
+ * @resolves {Service} Service record, or null if not found
+ */
 SeisoClient.prototype.getServiceAsync = function (key) {
     var self = this;
 
     return seisoRequest(
-        self,
-        'services/search/findByKey',
-        null, {
-            ignoredErrorCodes: [ERROR_NOT_FOUND],
-            key: key
-        }
-    );
+            self,
+            'services/search/findByKey',
+            null, {
+                ignoredErrorCodes: [ERROR_NOT_FOUND],
+                key: encodeURIComponent(key)
+            },
+            'services'
+        )
+        .then(function (services) {
+            return toRecords(services, 'services')[0] || null;
+        });
 }
 
+/**
+ * Get the service instance of a service in an environment
+ * @param {String} serviceKey Service key
+ * @param {String} environment Environment (type), e.g. test
+ * @resolves {ServiceInstance} Service instance record, or null if not found
+ */
 SeisoClient.prototype.getServiceInstanceAsync = function (serviceKey, environment) {
     var self = this;
 
+    return findServiceInstanceByKey(self, serviceKey + "-" + environment);
+}
+
+function findServiceInstanceByKey(seisoClient, key) {
     return seisoRequest(
-        self,
-        "serviceInstances/search/findByKey",
-        null, {
-            ignoredErrorCodes: [ERROR_NOT_FOUND],
-            key: serviceKey + "-" + environment
-        }
-    );
+            seisoClient,
+            "serviceInstances/search/findByKey",
+            null, {
+                ignoredErrorCodes: [ERROR_NOT_FOUND],
+                key: encodeURIComponent(key)
+            },
+            'serviceInstances'
+        )
+        .then(function (serviceInstances) {
+            return toRecords(serviceInstances, 'serviceInstances')[0] || null;
+        });
 }
 
 /**
- * Retrieve node(s) from Seiso by `options`; note for MVP support will
- * be limited to retrieval by tag
+ * Retrieve node(s) from Seiso by `options`. The name and filters are tried
+ * in turn, as a fallback chain: the nodes matching the first of them which
+ * matches any are returned, so a node can be found whatever it was named.
  *
  * Options:
  *
+ *   - `name` {String} node name, tried first
  *   - `filters` {Array of Object} node filter(s), where a filter has:
  *       - `type` {String} filter type; supported values include:
- *           - 'Tag'
+ *           - 'Tag' node tag `name` with the value, e.g. AWS Instance ID
+ *           - 'MachineName' name of the node's machine, e.g. its FQDN
+ *           - 'IpAddress' IP address of the node's machine
+ *             (with `instanceId`, only nodes without an AWS Instance ID
+ *             tag or with that one match: AWS reuses the names and IP
+ *             addresses of terminated instances)
+ *           - 'ServiceInstance' service instance key; with `name`, only
+ *             the node of that name in the service instance matches
+ *       - `name` {String} tag or node name, as required by the type
  *       - `value` {String} filter value (case-senstive match)
+ *       - `instanceId` {String} AWS instance ID, see above
  *
  * @param {Object} options
+ * @resolves Array<Node> An array of Node records; empty if none match
  * @api public
  **/
 SeisoClient.prototype.findNodesAsync = function (options) {
     var self = this;
+    var filters = (options.name ? [{ type: 'Name', value: options.name }] : [])
+        .concat(options.filters || [])
+        .filter(function (filter) {
+            return filter && filter.value;
+        });
 
-    // TODO: Search by TAG?
-    return seisoRequest(
-        self,
-        "nodes/search/findByName",
-        null, {
-            ignoredErrorCodes: [ERROR_NOT_FOUND],
-            name: options.name
+    return Promise.reduce(filters, function (nodes, filter) {
+        if (nodes.length > 0) {
+            return nodes;
         }
-    );
+        var findByFilter = NODE_FILTERS[filter.type];
+        if (!findByFilter) {
+            return Promise.reject(new Error('Unsupported node filter type ' + filter.type));
+        }
+        return findByFilter(self, filter)
+            .then(function (result) {
+                var found = toRecords(result, 'nodes');
+                if (found.length > 0) {
+                    log.debug('Found nodes by filter', { filter: filter.type, nodes: found.length });
+                }
+                return found;
+            });
+    }, []);
+};
+
+// Node lookups of `findNodesAsync` by filter type
+var NODE_FILTERS = {
+    Name: function (seisoClient, filter) {
+        return seisoRequest(seisoClient, 'nodes/search/findByName', null, {
+            ignoredErrorCodes: [ERROR_NOT_FOUND],
+            name: encodeURIComponent(filter.value)
+        }, 'nodes');
+    },
+    Tag: function (seisoClient, filter) {
+        return seisoRequest(seisoClient, 'nodes/search/findByTag', null, {
+            ignoredErrorCodes: [ERROR_NOT_FOUND],
+            name: encodeURIComponent(filter.name),
+            value: encodeURIComponent(filter.value)
+        }, 'nodes');
+    },
+    MachineName: function (seisoClient, filter) {
+        return findMachineNodes(seisoClient, 'machines/search/findByName', {
+            name: encodeURIComponent(filter.value)
+        }, filter.instanceId);
+    },
+    IpAddress: function (seisoClient, filter) {
+        return findMachineNodes(seisoClient, 'machines/search/findByIpAddress', {
+            ipAddress: encodeURIComponent(filter.value)
+        }, filter.instanceId);
+    },
+    ServiceInstance: function (seisoClient, filter) {
+        return seisoRequest(seisoClient, 'serviceInstances/search/findByKey', null, {
+                ignoredErrorCodes: [ERROR_NOT_FOUND],
+                key: encodeURIComponent(filter.value)
+            }, 'serviceInstances')
+            .then(function (serviceInstances) {
+                return Promise.map(toRecords(serviceInstances, 'serviceInstances'), function (serviceInstance) {
+                    return seisoClient.findNodesByServiceInstanceAsync({
+                        serviceInstance: serviceInstance
+                    });
+                });
+            })
+            .then(function (nodeSets) {
+                return [].concat.apply([], nodeSets.map(nodes => toRecords(nodes, 'nodes')))
+                    .filter(node => !filter.name || node.name === filter.name);
+            });
+    }
 };
 
+/**
+ * Find the nodes of the machines matching a machine search
+ * @param {SeisoClient} seisoClient Seiso client
+ * @param {String} search Machine search resource
+ * @param {Object} opts Search parameters
+ * @param {String} instanceId Optional AWS instance ID; nodes tagged with
+ *    another instance ID, e.g. of a terminated instance, are left out
+ * @resolves Array<Node> An array of Node records
+ */
+function findMachineNodes(seisoClient, search, opts, instanceId) {
+    return seisoRequest(seisoClient, search, null, Object.assign({
+            ignoredErrorCodes: [ERROR_NOT_FOUND]
+        }, opts), 'machines')
+        .then(function (machines) {
+            return Promise.map(toRecords(machines, 'machines'), function (machine) {
+                return seisoRequest(seisoClient, ['machines', getRestRecordId(machine), 'nodes'].join('/'), null, {
+                    ignoredErrorCodes: [ERROR_NOT_FOUND]
+                }, 'nodes');
+            });
+        })
+        .then(function (nodeSets) {
+            return [].concat.apply([], nodeSets.map(nodes => toRecords(nodes, 'nodes')))
+                .filter(function (node) {
+                    var nodeInstanceId = node.tags && node.tags['AWS Instance ID'];
+                    return !instanceId || !nodeInstanceId || nodeInstanceId === instanceId;
+                });
+        });
+}
+
+/**
+ * Get the records of a Seiso search result, whether a collection, a single
+ * record, or nothing
+ * @param {*} result Search result
+ * @param {String} embeddedResourceName Name of embedded records, e.g. nodes
+ * @returns {Array} Records
+ */
+function toRecords(result, embeddedResourceName) {
+    if (!result) {
+        return [];
+    }
+    if (Array.isArray(result)) {
+        return result;
+    }
+    if (result._embedded) {
+        return result._embedded[embeddedResourceName] || [];
+    }
+    return result._links && result._links.self ? [result] : [];
+}
+
 
+/**
+ * Get the machines of a name
+ * @param {String} name Machine name
+ * @resolves Array<Machine> An array of Machine records; empty if none match
+ */
 SeisoClient.prototype.getMachinesByNameAsync = function (name) {
     var self = this;
 
     return seisoRequest(
-        self,
-        "machines/search/findByName",
-        null, {
-            ignoredErrorCodes: [ERROR_NOT_FOUND],
-            name: options.name
-        }
-    );
+            self,
+            "machines/search/findByName",
+            null, {
+                ignoredErrorCodes: [ERROR_NOT_FOUND],
+                name: encodeURIComponent(name)
+            },
+            'machines'
+        )
+        .then(function (machines) {
+            return toRecords(machines, 'machines');
+        });
 }
 
 SeisoClient.prototype.createServiceAsync = function (params) {
@@ -420,7 +627,7 @@ SeisoClient.prototype.createServiceInstanceAsync = function (serviceInstanceRequ
         // If a conflict occurs, just get the existing service instance
         .catch(function (err) {
             if (err && err.statusCode === ERROR_CONFLICT) {
-                return self.getServiceInstanceAsync(serviceInstanceRequest.service, serviceInstanceRequest.environment)
+                return findServiceInstanceByKey(self, serviceInstanceRequest.key)
                     .then(function (serviceInstance) {
                         if (!serviceInstance) {
                             return Promise.reject({
@@ -434,15 +641,16 @@ SeisoClient.prototype.createServiceInstanceAsync = function (serviceInstanceRequ
         })
         .then(function (serviceInstance) {
             var serviceInstanceLink = getRestRecordLink(serviceInstance);
-            console.log('Created service instance ' + serviceInstanceLink);
+            log.info('Created service instance', { serviceInstance: serviceInstanceLink });
+            var ports = serviceInstanceRequest.ports || [];
             var additionalWork = [];
-            for (var i = 0; i < serviceInstanceRequest.ports.length; i++) {
+            for (var i = 0; i < ports.length; i++) {
                 additionalWork.push(seisoRequest(
                     self,
                     'serviceInstancePorts/', {
                         serviceInstance: serviceInstanceLink,
-                        number: serviceInstanceRequest.ports[i],
-                        protocol: common.getProtocolFromPort(serviceInstanceRequest.ports[i])
+                        number: ports[i],
+                        protocol: common.getProtocolFromPort(ports[i])
                     }, {
                         method: 'POST',
                         ignoredErrorCodes: [ERROR_CONFLICT]
@@ -475,7 +683,8 @@ SeisoClient.prototype.createNodeAsync = function (nodeRequest) {
             'nodes/', {
                 name: nodeRequest.name,
                 serviceInstance: nodeRequest.serviceInstanceLink,
-                machine: nodeRequest.machine
+                machine: nodeRequest.machine,
+                tags: nodeRequest.tags
             }, {
                 method: 'POST'
             }
@@ -489,24 +698,22 @@ SeisoClient.prototype.createNodeAsync = function (nodeRequest) {
                             {
                                 type: 'Tag',
                                 name: 'AWS Instance ID',
-                                value: params.tags['AWS Instance ID']
-        }
-      ]
+                                value: nodeRequest.tags && nodeRequest.tags['AWS Instance ID']
+                            }
+                        ]
                     })
                     .then(function (matchingNodes) {
-                        if (!matchingNodes) {
+                        if (matchingNodes.length === 0) {
                             return Promise.reject({
                                 message: 'Node creation failed with conflict but node does not exist'
                             });
-                        } else if (Array.isArray(matchingNodes) && matchingNodes.length > 1) {
+                        } else if (matchingNodes.length > 1) {
                             return Promise.reject({
                                 message: 'Node creation failed with conflict and node retrieval found multiple matching nodes'
                             });
-                        } else if (Array.isArray(matchingNodes)) {
-                            return Promise.resolve(matchingNodes[0]);
                         }
 
-                        return Promise.resolve(matchingNodes);
+                        return Promise.resolve(matchingNodes[0]);
                     });
             }
 
@@ -526,7 +733,8 @@ SeisoClient.prototype.updateNodeAsync = function (existingNode, params) {
             "nodes/" + getRestRecordId(existingNode), {
                 name: params.name,
                 serviceInstance: params.serviceInstanceLink,
-                machine: params.machine
+                machine: params.machine,
+                tags: params.tags
             }, {
                 method: 'PUT'
             }
@@ -535,36 +743,35 @@ SeisoClient.prototype.updateNodeAsync = function (existingNode, params) {
         .catch(function (err) {
             if (err && err.statusCode === ERROR_CONFLICT) {
                 return self.findNodesAsync({
-                        name: nodeRequest.name,
+                        name: params.name,
                         filters: [
                             {
                                 type: 'Tag',
                                 name: 'AWS Instance ID',
-                                value: params.tags['AWS Instance ID']
+                                value: params.tags && params.tags['AWS Instance ID']
                             }
-                          ]
+                        ]
                     })
                     .then(function (matchingNodes) {
-                        if (!matchingNodes) {
+                        if (matchingNodes.length === 0) {
                             return Promise.reject({
                                 message: 'Node update failed with conflict but node does not exist'
                             });
-                        } else if (Array.isArray(matchingNodes) && matchingNodes.length > 1) {
+                        } else if (matchingNodes.length > 1) {
                             return Promise.reject({
                                 message: 'Node update failed with conflict and node retrieval found multiple matching nodes'
                             });
-                        } else if (Array.isArray(matchingNodes)) {
-                            return Promise.resolve(matchingNodes[0]);
                         }
 
-                        return Promise.resolve(matchingNodes);
+                        return Promise.resolve(matchingNodes[0]);
                     });
             }
 
             return Promise.reject(err);
         })
         .then(function (node) {
-            return self.syncNodeIpAddressesAsync(params.serviceInstanceId, node, params.ipAddresses);
+            // An update may be answered without content
+            return self.syncNodeIpAddressesAsync(params.serviceInstanceId, node || existingNode, params.ipAddresses);
         });
 };
 
@@ -630,12 +837,11 @@ SeisoClient.prototype.syncNodeIpAddressesAsync = function (serviceInstanceId, no
             if (ipAddressesToAdd.length > 0) {
                 var getIpAddressRole = self.getDefaultIpAddressRole(serviceInstanceId);
 
-                for (var i = 0; i < ipAddressesToAdd.length; i++) {
-                    var ipAddressToAdd = ipAddressesToAdd[i];
+                ipAddressesToAdd.forEach(function (ipAddressToAdd) {
                     work.push(getIpAddressRole.then(function (role) {
                         return self.createNodeIpAddress(node, role, ipAddressToAdd);
                     }));
-                };
+                });
             }
 
             if (work.length > 0) {
@@ -663,7 +869,7 @@ SeisoClient.prototype.deleteNodeIpAddress = function (node, ipAddress) {
 SeisoClient.prototype.createNodeIpAddress = function (node, role, ipAddress) {
     var self = this;
 
-    console.log('Creating ip address ' + ipAddress);
+    log.info('Creating IP address', { ipAddress: ipAddress });
     return seisoRequest(
         self,
         'nodeIpAddresses', {
@@ -705,18 +911,17 @@ SeisoClient.prototype.getDefaultIpAddressRole = function (serviceInstanceId) {
 
 SeisoClient.prototype.upsertMachineAsync = function (params) {
     var self = this;
-    return seisoRequest(
-            self,
-            "machines/search/findByName",
-            null, {
-                name: params.name,
-                ignoredErrorCodes: [ERROR_NOT_FOUND]
+    return self.getMachinesByNameAsync(params.name)
+        .then(function (machines) {
+            if (machines.length > 1) {
+                return Promise.reject({
+                    message: 'Multiple machines already exist with name ' + params.name
+                });
             }
-        )
-        .then(function (machine) {
+            var machine = machines[0];
             if (machine) {
                 var id = getRestRecordId(machine);
-                console.log('Machine found with id ' + id + '; updating');
+                log.debug('Machine found; updating', { machineId: id });
                 return self.updateMachineAsync(id, params);
             } else {
                 return self.createMachineAsync(params);
@@ -725,16 +930,23 @@ SeisoClient.prototype.upsertMachineAsync = function (params) {
 };
 
 /**
- * Get LoadBalancersList
+ * Get LoadBalancersList, of all pages
+ *
+ * Options:
+ *
+ *   - `maxItems` {Number} reject if there are more load balancers
+ *
+ * @param {Object} options
  * @resolves Array<LoadBalancer> An array of LoadBalancer records
  */
-SeisoClient.prototype.getLoadBalancersAsync = function () {
+SeisoClient.prototype.getLoadBalancersAsync = function (options) {
     var self = this;
     return seisoRequest(
             self,
             'loadBalancers',
             null, {
-                method: 'GET'
+                method: 'GET',
+                maxItems: options && options.maxItems
             }
         )
         .catch(function (err) {
@@ -743,27 +955,133 @@ SeisoClient.prototype.getLoadBalancersAsync = function () {
                     message: '404 request for Load Balancers failed. Load balancers endpoint not found'
                 });
             }
+            return Promise.reject(err);
         });
 }
 
-SeisoClient.prototype.getNodesAsync = function () {
+/**
+ * Get all nodes behind a load balancer, via its service instances
+ * @param   {SeisoDataResource} loadBalancer Load balancer record
+ * @resolves Array<Node> An array of Node records
+ */
+SeisoClient.prototype.getLoadBalancerNodesAsync = function (loadBalancer) {
+    var self = this;
+    return seisoRequest(
+            self, ['loadBalancers', getRestRecordId(loadBalancer), 'serviceInstances'].join('/'),
+            null, {
+                ignoredErrorCodes: [ERROR_NOT_FOUND]
+            },
+            'serviceInstances'
+        )
+        .then(function (serviceInstances) {
+            serviceInstances = Array.isArray(serviceInstances) ? serviceInstances : [];
+            return Promise.all(serviceInstances.map(function (serviceInstance) {
+                return self.findNodesByServiceInstanceAsync({
+                    serviceInstance: serviceInstance
+                });
+            }));
+        })
+        .then(function (nodeSets) {
+            return nodeSets.reduce(function (nodes, nodeSet) {
+                return Array.isArray(nodeSet) ? nodes.concat(nodeSet) : nodes;
+            }, []);
+        });
+};
+
+/**
+ * Get all nodes of a service instance
+ *
+ * Options:
+ *
+ *   - `serviceInstance` {SeisoDataResource} service instance record
+ *
+ * @param {Object} options
+ * @resolves Array<Node> An array of Node records
+ **/
+SeisoClient.prototype.findNodesByServiceInstanceAsync = function (options) {
+    var self = this;
+    return seisoRequest(
+        self, ['serviceInstances', getRestRecordId(options.serviceInstance), 'nodes'].join('/'),
+        null, {
+            ignoredErrorCodes: [ERROR_NOT_FOUND]
+        },
+        'nodes'
+    );
+};
+
+/**
+ * Get the current aggregate rotation status of a node
+ * @param   {SeisoDataResource} node Node record
+ * @resolves {RotationStatus} Rotation status record, or null if not set
+ */
+SeisoClient.prototype.getNodeAggregateRotationStatusAsync = function (node) {
+    var self = this;
+    return seisoRequest(
+        self, ['nodes', getRestRecordId(node), 'aggregateRotationStatus'].join('/'),
+        null, {
+            ignoredErrorCodes: [ERROR_NOT_FOUND]
+        }
+    );
+};
+
+/**
+ * Get all nodes, of all pages; see `createNodeStream` to read them as they
+ * are received instead
+ *
+ * Options:
+ *
+ *   - `maxItems` {Number} reject if there are more nodes
+ *
+ * @param {Object} options
+ * @resolves Array<Node> An array of Node records
+ */
+SeisoClient.prototype.getNodesAsync = function (options) {
     var self = this;
     return seisoRequest(
             self,
             'nodes',
             null, {
-                method: 'GET'
+                method: 'GET',
+                maxItems: options && options.maxItems
             }
         )
         .catch(function (err) {
             if (err && err.statusCode === ERROR_NOT_FOUND) {
                 return Promise.reject({
-                    message: '404 request for Load Balancers failed. Load balancers endpoint not found'
+                    message: '404 request for Nodes failed. Nodes endpoint not found'
                 });
             }
+            return Promise.reject(err);
         });
 }
 
+/**
+ * Stream all nodes, reading each page as the previous page's nodes are
+ * consumed, e.g. `for await (const node of seisoClient.createNodeStream())`
+ *
+ * Options:
+ *
+ *   - `maxItems` {Number} fail the stream if there are more nodes
+ *   - `size` {Number} page size, default 500
+ *
+ * @param {Object} options
+ * @returns {stream.Readable} Object-mode stream of Node records
+ */
+SeisoClient.prototype.createNodeStream = function (options) {
+    return this.createResourceStream('nodes', options);
+};
+
+/**
+ * Stream the items of a collection resource, page by page; see `createNodeStream`
+ * @param {String} resource Seiso resource, e.g. loadBalancers
+ * @param {Object} options Query parameters, and `maxItems`
+ * @param {String} embeddedResourceName Name of the embedded items, default the resource
+ * @returns {stream.Readable} Object-mode stream of records
+ */
+SeisoClient.prototype.createResourceStream = function (resource, options, embeddedResourceName) {
+    return seisoRequestStream(this, resource, options, embeddedResourceName);
+};
+
 /**
  * Create new machine record
  * @param Object params Machine record data
@@ -783,19 +1101,17 @@ SeisoClient.prototype.createMachineAsync = function (params) {
             if (err && err.statusCode === ERROR_CONFLICT) {
                 return self.getMachinesByNameAsync(params.name)
                     .then(function (matchingMachines) {
-                        if (!matchingMachines) {
+                        if (matchingMachines.length === 0) {
                             return Promise.reject({
                                 message: 'Machine creation failed with conflict but machine does not exist'
                             });
-                        } else if (Array.isArray(matchingMachines) && matchingMachines.length > 1) {
+                        } else if (matchingMachines.length > 1) {
                             return Promise.reject({
                                 message: 'Machine creation failed with conflict and machine retrieval found multiple matching machines'
                             });
-                        } else if (Array.isArray(matchingMachines)) {
-                            return Promise.resolve(matchingMachines[0]);
                         }
 
-                        return Promise.resolve(matchingMachines);
+                        return Promise.resolve(matchingMachines[0]);
                     });
             }
 
@@ -812,24 +1128,26 @@ SeisoClient.prototype.updateMachineAsync = function (id, params) {
                 method: 'PUT'
             }
         )
+        .then(function (machine) {
+            // An update may be answered without content
+            return machine || seisoRequest(self, 'machines/' + id);
+        })
         // If a conflict occurs, try to find and return machine
         .catch(function (err) {
             if (err && err.statusCode === ERROR_CONFLICT) {
                 return self.getMachinesByNameAsync(params.name)
                     .then(function (matchingMachines) {
-                        if (!matchingMachines) {
+                        if (matchingMachines.length === 0) {
                             return Promise.reject({
                                 message: 'Machine update failed with conflict but machine does not exist'
                             });
-                        } else if (Array.isArray(matchingMachines) && matchingMachines.length > 1) {
+                        } else if (matchingMachines.length > 1) {
                             return Promise.reject({
                                 message: 'Machine update failed with conflict and machine retrieval found multiple matching machines'
                             });
-                        } else if (Array.isArray(matchingMachines)) {
-                            return Promise.resolve(matchingMachines[0]);
                         }
 
-                        return Promise.resolve(matchingMachines);
+                        return Promise.resolve(matchingMachines[0]);
                     });
             }
 
@@ -852,16 +1170,16 @@ function getRestRecordLink(record) {
 /**
  * Format a Seiso API request
  * @param Object conn Seiso Connection Configuration
- * @param resource String Resource Request
+ * @param url String Request URL
+ * @param credentials Object Current credentials of the connection
  */
-function genAPIReq(conn, resource) {
-    var password = endecoder.convert64ToStr(conn.password);
-    var auth = "Basic " + new Buffer(conn.username + ":" + password).toString("base64");
-    var url = [conn.url, resource].join('/');
+function genAPIReq(conn, url, credentials) {
+    var auth = seisoCredentials.getAuthorization(credentials);
 
     return {
         url: url,
         rejectUnauthorized: conn.rejectUnauthorized,
+        timeout: conn.timeout,
         method: 'GET',
         resolveWithFullResponse: true,
         headers: {
@@ -872,16 +1190,105 @@ function genAPIReq(conn, resource) {
 
 /**
  * API Request to Seiso
+ *
+ * Collection resources are read in full: each page of a GET request is
+ * followed by the next, from its HAL `_links.next`, unless a `page` is
+ * requested.
+ *
+ * Client-specific options, not passed on as query parameters:
+ *
+ *   - `method` {string} HTTP method, default GET
+ *   - `ignoredErrorCodes` {Array<number>} status codes resolved as null
+ *   - `maxItems` {number} reject if the collection holds more items, default
+ *       the client's `maxItems`, if any
+ *
  * @param {object}   request  Request package data. Headers and content.
  * @param {string} resource Seiso resource type name.
  * @param {object}   opts     Request parameters.
  */
 function seisoRequest(seisoClient, resource, payload, opts, embeddedResourceName) {
+    var request = buildRequest(seisoClient, resource, payload, opts, embeddedResourceName);
+    var maxItems = getMaxItems(seisoClient, opts);
+    var items = [];
+
+    function readPages(url) {
+        return requestPage(seisoClient, request, url)
+            .then(function (page) {
+                if (!page.hasOwnProperty('items')) {
+                    // Not a collection (or the first page was not found)
+                    return page.data;
+                }
+                if (!Array.isArray(page.items)) {
+                    return page.items;
+                }
+                items = items.concat(page.items);
+                checkMaxItems(resource, maxItems, items.length, page.data);
+                if (page.next && request.followPages) {
+                    return readPages(page.next);
+                }
+                return items;
+            });
+    }
+
+    return readPages(request.url);
+}
+
+/**
+ * Stream the items of a Seiso collection resource, reading each page as the
+ * previous page's items are consumed; see `seisoRequest`
+ * @param {SeisoClient} seisoClient Seiso client
+ * @param {string} resource Seiso resource
+ * @param {object} opts Request parameters
+ * @param {string} embeddedResourceName Name of the embedded items, default the resource
+ * @returns {stream.Readable} Object-mode stream of items, also async-iterable
+ */
+function seisoRequestStream(seisoClient, resource, opts, embeddedResourceName) {
+    var request = buildRequest(seisoClient, resource, null, opts, embeddedResourceName);
+    var maxItems = getMaxItems(seisoClient, opts);
+    var nextUrl = request.url;
+    var count = 0;
+
+    return new Readable({
+        objectMode: true,
+        read: function () {
+            var stream = this;
+            if (!nextUrl) {
+                return stream.push(null);
+            }
+            var url = nextUrl;
+            nextUrl = null;
+            requestPage(seisoClient, request, url)
+                .then(function (page) {
+                    var items = Array.isArray(page.items) ? page.items : [];
+                    count += items.length;
+                    checkMaxItems(resource, maxItems, count, page.data);
+                    nextUrl = request.followPages ? page.next : null;
+                    items.forEach(function (item) {
+                        stream.push(item);
+                    });
+                    if (!nextUrl) {
+                        stream.push(null);
+                    } else if (items.length === 0) {
+                        stream._read();
+                    }
+                })
+                .catch(function (err) {
+                    stream.destroy(err);
+                });
+        }
+    });
+}
+
+/**
+ * Build the first request of a Seiso resource
+ * @returns {Object} `url`, `resource`, `method`, `payload`, `opts`,
+ *   `embeddedResourceName` and `followPages`
+ */
+function buildRequest(seisoClient, resource, payload, opts, embeddedResourceName) {
     var key;
     var actualOpts = {};
     resource = resource || ""; // Allow Null or empty for 'Connect' attempt
     var method = (opts && opts.method) ? opts.method : 'GET';
-    embeddedResourceName = embeddedResourceName || resource;
 
     // Validate any client-specific options
     if (opts && opts.ignoredErrorCodes && !Array.isArray(opts.ignoredErrorCodes)) {
@@ -897,7 +1304,7 @@ function seisoRequest(seisoClient, resource, payload, opts, embeddedResourceName
     // Pass options on to request
     for (key in opts) {
         // Skip client-specific options
-        if (key === 'method' || key === 'ignoredErrorCodes') {
+        if (key === 'method' || key === 'ignoredErrorCodes' || key === 'maxItems') {
             continue;
         }
         actualOpts[key] = opts[key];
@@ -913,21 +1320,52 @@ function seisoRequest(seisoClient, resource, payload, opts, embeddedResourceName
         }
         kv_pairs.push(key + "=" + actualOpts[key]);
     }
-    console.log("context of request", resource);
-    var item_collection, seiso_request = genAPIReq(seisoClient, resource);
 
+    var url = [seisoClient.url, resource].join('/');
     if (kv_pairs.length > 0) {
-        seiso_request.url += "?" + kv_pairs.join("&");;
+        url += "?" + kv_pairs.join("&");
     }
 
-    seiso_request.method = method;
+    return {
+        url: url,
+        resource: resource,
+        method: method,
+        payload: payload,
+        opts: opts,
+        embeddedResourceName: embeddedResourceName || resource,
+        // A caller asking for a page gets that page only
+        followPages: method === 'GET' && !(opts && opts.page)
+    };
+}
 
-    if (payload) {
-        seiso_request.body = payload;
-        seiso_request.json = true;
-    }
-    console.log("calling seiso api", seiso_request);
-    return requestAsync(seiso_request)
+/**
+ * Request a page of a Seiso resource
+ * @param {SeisoClient} seisoClient Seiso client
+ * @param {Object} request Request, see `buildRequest`
+ * @param {string} url Page URL
+ * @resolves {Object} Response `data`; and the embedded `items` and `next`
+ *   page URL, if a collection
+ */
+function requestPage(seisoClient, request, url) {
+    var opts = request.opts;
+
+    // Credentials are fetched for every request, so they can be rotated
+    return seisoClient.credentials.getAsync()
+        .then(function (credentials) {
+            var seiso_request = genAPIReq(seisoClient, url, credentials);
+
+            seiso_request.method = request.method;
+
+            if (request.payload) {
+                seiso_request.body = request.payload;
+                seiso_request.json = true;
+            }
+            // Never log the request itself: its headers hold the Seiso credentials
+            log.debug('Calling Seiso API', { method: request.method, url: url });
+            return seisoClient.circuitBreaker.execute(function () {
+                return requestWithRetry(seisoClient, request, seiso_request, 0);
+            }, isUnavailable);
+        })
         .catch(function (err) {
             if (opts && err && opts.ignoredErrorCodes && opts.ignoredErrorCodes.indexOf(err.statusCode) > -1) {
                 return Promise.resolve(null);
@@ -946,20 +1384,139 @@ function seisoRequest(seisoClient, resource, payload, opts, embeddedResourceName
                     }
                 }
             }
-            return Promise.resolve(data);
-        })
-        .then(function (data) {
-            if (data && resource && data["_embedded"]) {
-                item_collection = data["_embedded"][embeddedResourceName];
-                var page_count = data["page"] ? data["page"]["totalPages"] : 1;
-                page_count = page_count ? page_count : 1;
-                return Promise.resolve(item_collection);
-            } else {
-                return Promise.resolve(data);
+
+            var page = {
+                data: data
+            };
+            if (data && request.resource && data["_embedded"]) {
+                page.items = data["_embedded"][request.embeddedResourceName];
+            } else if (data && request.resource && data["page"]) {
+                // Empty collections have no embedded items
+                page.items = [];
+            }
+            if (data && data["_links"] && data["_links"]["next"]) {
+                page.next = data["_links"]["next"]["href"];
             }
+            return page;
         });
 }
 
+/**
+ * Make a Seiso API request, retrying with jittered exponential backoff while
+ * Seiso is unavailable; a `Retry-After` response header is honoured, and the
+ * request is not retried if it asks for more than the maximum delay
+ * @param {SeisoClient} seisoClient Seiso client
+ * @param {Object} request Request, see `buildRequest`
+ * @param {Object} seiso_request request-promise options
+ * @param {number} attempt Number of previous attempts
+ * @resolves {Object} Full response
+ */
+function requestWithRetry(seisoClient, request, seiso_request, attempt) {
+    var labels = {
+        method: request.method,
+        resource: getMetricResource(request.resource)
+    };
+    var observeDuration = requestDuration.startTimer(labels);
+    return requestAsync(seiso_request)
+        .then(function (response) {
+            observeDuration({ status_code: response && response.statusCode });
+            return response;
+        }, function (err) {
+            observeDuration({ status_code: (err && err.statusCode) || 'error' });
+
+            var delay = getRetryDelay(seisoClient, err, attempt);
+            if (attempt >= seisoClient.retries || !isRetryable(request, err) || delay > seisoClient.maxRetryDelay) {
+                return Promise.reject(err);
+            }
+            log.warn('Seiso API request failed; retrying', {
+                method: request.method,
+                url: seiso_request.url,
+                statusCode: err.statusCode,
+                attempt: attempt + 1,
+                delay: delay
+            });
+            requestRetries.inc(labels);
+            return Promise.delay(delay)
+                .then(function () {
+                    return requestWithRetry(seisoClient, request, seiso_request, attempt + 1);
+                });
+        });
+}
+
+/**
+ * Whether a request error means Seiso is unavailable: a 5xx or 429 response,
+ * or no response at all, e.g. on a timeout or refused connection
+ * @param {Error} err request-promise error
+ * @returns {boolean} true if the request may succeed later
+ */
+function isUnavailable(err) {
+    if (err && err.statusCode) {
+        return err.statusCode >= 500 || err.statusCode === ERROR_TOO_MANY_REQUESTS;
+    }
+    return !!err && err.name === 'RequestError';
+}
+
+/**
+ * Whether a failed request may be retried: an idempotent request if Seiso is
+ * unavailable, any other only if it failed to connect, so was never sent
+ * @param {Object} request Request, see `buildRequest`
+ * @param {Error} err request-promise error
+ * @returns {boolean} true if the request may be retried
+ */
+function isRetryable(request, err) {
+    if (IDEMPOTENT_METHODS.indexOf(request.method) > -1) {
+        return isUnavailable(err);
+    }
+    var cause = err && err.name === 'RequestError' && err.cause;
+    return !!cause && (CONNECTION_ERRORS.indexOf(cause.code) > -1 || (cause.code === 'ETIMEDOUT' && cause.connect === true));
+}
+
+/**
+ * Get the milliseconds to wait before retrying a request: as asked by a
+ * `Retry-After` header, or else a random delay of up to the minimum delay
+ * doubled with each attempt ("full jitter")
+ * @param {SeisoClient} seisoClient Seiso client
+ * @param {Error} err request-promise error
+ * @param {number} attempt Number of previous attempts
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(seisoClient, err, attempt) {
+    var retryAfter = err && err.response && err.response.headers && err.response.headers['retry-after'];
+    if (retryAfter) {
+        var seconds = Number(retryAfter);
+        var delay = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+        if (!isNaN(delay)) {
+            return Math.max(delay, 0);
+        }
+    }
+    var ceiling = Math.min(seisoClient.maxRetryDelay, seisoClient.minRetryDelay * Math.pow(2, attempt));
+    return Math.round(Math.random() * ceiling);
+}
+
+function getMaxItems(seisoClient, opts) {
+    return (opts && opts.maxItems) || seisoClient.maxItems;
+}
+
+function checkMaxItems(resource, maxItems, count, data) {
+    var total = data && data["page"] ? data["page"]["totalElements"] : undefined;
+    if (maxItems && Math.max(count, total || 0) > maxItems) {
+        throw new Error('Seiso ' + resource + ' has more than ' + maxItems + ' items');
+    }
+}
+
+/**
+ * Get the resource of a Seiso API request as a metric label: without query,
+ * and with numeric record identifiers replaced, to bound label values
+ * @param {string} resource Seiso resource, e.g. nodes/123/aggregateRotationStatus
+ * @returns {string} Resource label, e.g. nodes/:id/aggregateRotationStatus
+ */
+function getMetricResource(resource) {
+    return resource.split('?')[0]
+        .split('/')
+        .map(segment => /^\d+$/.test(segment) ? ':id' : segment)
+        .join('/');
+}
+
 function preCacheDomainData(seisoClient) {
     // Load environments and data centers
     var loadEnvironments = seisoRequest(
@@ -978,7 +1535,10 @@ function preCacheDomainData(seisoClient) {
 
     return Promise.join(loadEnvironments, loadDataCenters, function (environments, dataCenters) {
         seisoClient.environments = {};
-        console.log('Found ' + environments.length + ' environment(s) and ' + dataCenters.length + ' data center(s)');
+        log.info('Loaded Seiso domain data', {
+            environments: environments.length,
+            dataCenters: dataCenters.length
+        });
         for (var i = 0; i < environments.length; i++) {
             seisoClient.environments[environments[i].key] = environments[i];
         };
@@ -0,0 +1,142 @@
+'use strict';
+var fs = require('fs');
+var Promise = require('bluebird');
+var endecoder = require('./endecoder');
+
+var statAsync = Promise.promisify(fs.stat);
+var readFileAsync = Promise.promisify(fs.readFile);
+
+/**
+ * Seiso API credentials
+ *
+ * A credential provider has a `getAsync()` method, resolving with the
+ * credentials to authenticate the next Seiso request with: either a
+ * `username` and `password`, for Basic authentication, or a `token`, for
+ * Bearer authentication. Providers are asked before every request, so
+ * credentials can be rotated without restarting.
+ **/
+
+var DEFAULT_VARIABLES = {
+  username: 'SEISO_USERNAME',
+  password: 'SEISO_PASSWORD',
+  token: 'SEISO_TOKEN'
+};
+
+module.exports.createProvider = exports.createProvider = createProvider;
+module.exports.getAuthorization = exports.getAuthorization = getAuthorization;
+
+/**
+ * Create the credential provider of a Seiso client
+ *
+ * Options:
+ *
+ *   - `credentials` {Object|Function} credential source, one of:
+ *     - a function returning the credentials, or a promise of them
+ *     - `{ source: 'env' }` environment variables, named by `username`,
+ *       `password` and `token`; default SEISO_USERNAME, SEISO_PASSWORD and
+ *       SEISO_TOKEN
+ *     - `{ source: 'file', path: path }` JSON file with `username` and
+ *       `password`, or `token`; read again whenever it changes
+ *     - an object with a `getAsync` method, i.e. a provider
+ *   - `token` {string} static bearer token
+ *   - `username` {string} static username
+ *   - `password` {string} static password, base-64 encoded
+ *
+ * @param   {Object} options Seiso client options
+ * @returns {Object} Credential provider, or undefined if none is configured
+ */
+function createProvider(options) {
+  var credentials = options.credentials;
+  if (typeof credentials === 'function') {
+    return functionProvider(credentials);
+  }
+  if (credentials && typeof credentials.getAsync === 'function') {
+    return credentials;
+  }
+  if (credentials && credentials.source === 'env') {
+    return envProvider(credentials);
+  }
+  if (credentials && credentials.source === 'file') {
+    if (!credentials.path) {
+      throw new Error('Seiso credentials file path is required');
+    }
+    return fileProvider(credentials.path);
+  }
+  if (credentials) {
+    throw new Error('Unknown Seiso credentials source ' + credentials.source);
+  }
+
+  if (options.token) {
+    return staticProvider({ token: options.token });
+  }
+  if (options.username && options.password) {
+    return staticProvider({
+      username: options.username,
+      password: endecoder.convert64ToStr(options.password)
+    });
+  }
+}
+
+/**
+ * Get the Authorization header value of credentials
+ * @param   {Object} credentials `token`, or `username` and `password`
+ * @returns {string} Bearer or Basic authorization
+ */
+function getAuthorization(credentials) {
+  if (credentials && credentials.token) {
+    return 'Bearer ' + credentials.token;
+  }
+  if (credentials && credentials.username && credentials.password) {
+    return 'Basic ' + Buffer.from(credentials.username + ':' + credentials.password).toString('base64');
+  }
+  throw new Error('Seiso credentials must include a token, or a username and password');
+}
+
+function staticProvider(credentials) {
+  return {
+    getAsync: function () {
+      return Promise.resolve(credentials);
+    }
+  };
+}
+
+function functionProvider(getCredentials) {
+  return {
+    getAsync: function () {
+      return Promise.try(getCredentials);
+    }
+  };
+}
+
+function envProvider(options) {
+  var variables = Object.assign({}, DEFAULT_VARIABLES, options);
+  return {
+    getAsync: function () {
+      return Promise.resolve({
+        username: process.env[variables.username],
+        password: process.env[variables.password],
+        token: process.env[variables.token]
+      });
+    }
+  };
+}
+
+function fileProvider(path) {
+  var cached, modified;
+  return {
+    getAsync: function () {
+      return statAsync(path)
+        .then(function (stats) {
+          if (cached && stats.mtime.getTime() === modified) {
+            return cached;
+          }
+          return readFileAsync(path, 'utf8')
+            .then(function (content) {
+              cached = JSON.parse(content);
+              modified = stats.mtime.getTime();
+              return cached;
+            });
+        });
+    }
+  };
+}
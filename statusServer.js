@@ -0,0 +1,157 @@
+'use strict';
+var http = require('http');
+var Promise = require('bluebird');
+var logger = require('./logger');
+
+var log = logger.getLogger('statusServer');
+
+var StatusServer = exports = module.exports = createStatusServer;
+
+/**
+ * Create an HTTP server exposing the health and status of an orchestration:
+ *
+ *   - `GET /health` liveness: 200 if started, and every listener not paused
+ *     has polled its queue successfully within `maxPollAge`; 503 otherwise
+ *   - `GET /ready` readiness: 200 if every Seiso instance and every queue can
+ *     be reached; 503 otherwise
+ *   - `GET /status` orchestration state, listener message counts and
+ *     reconciliation times
+ *
+ * Options:
+ *
+ *   - `port` {number} port to listen on, default 8080
+ *   - `host` {string} address to listen on, default all addresses
+ *   - `maxPollAge` {number} seconds since the last successful poll after which
+ *     a listener is not healthy, default 120
+ *
+ * @param   {Object} orchestrator Orchestrator, providing `getState`, `getStatus`
+ *   and `checkReadyAsync`
+ * @param   {Object} options Server options
+ * @returns {Object} Status server
+ */
+function createStatusServer(orchestrator, options) {
+  var self = this;
+  options = options || {};
+
+  self.orchestrator = orchestrator;
+  self.port = options.port === undefined ? 8080 : options.port;
+  self.host = options.host;
+  self.maxPollAge = options.maxPollAge || 120;
+  self.server = null;
+
+  return self;
+}
+
+StatusServer.prototype.startAsync = Promise.promisify(start);
+
+/**
+ * Start listening for HTTP requests
+ * @param {Function} callback Callback function (with err param)
+ */
+StatusServer.prototype.start = start;
+
+function start(callback) {
+  var self = this;
+  callback = typeof callback === 'function' ? callback : noop;
+
+  self.server = http.createServer(function (request, response) {
+    self.handleRequest(request, response);
+  });
+  self.server.once('error', callback);
+  self.server.listen(self.port, self.host, function () {
+    self.server.removeListener('error', callback);
+    log.info('Listening', { port: self.server.address().port });
+    callback(null);
+  });
+}
+
+StatusServer.prototype.stopAsync = Promise.promisify(stop);
+
+/**
+ * Stop listening for HTTP requests
+ * @param {Function} callback Callback function (with err param)
+ */
+StatusServer.prototype.stop = stop;
+
+function stop(callback) {
+  var self = this;
+  callback = typeof callback === 'function' ? callback : noop;
+
+  if (!self.server) {
+    return process.nextTick(callback, null);
+  }
+  var server = self.server;
+  self.server = null;
+  server.close(function () {
+    callback(null);
+  });
+}
+
+/**
+ * Respond to a status request
+ * @param {http.IncomingMessage} request HTTP request
+ * @param {http.ServerResponse} response HTTP response
+ */
+StatusServer.prototype.handleRequest = function handleRequest(request, response) {
+  var self = this;
+  var path = request.url.split('?')[0];
+
+  if (request.method !== 'GET') {
+    return respond(response, 405, { error: 'Method not allowed' });
+  }
+
+  if (path === '/health') {
+    var health = self.getHealth();
+    respond(response, health.healthy ? 200 : 503, health);
+  } else if (path === '/ready') {
+    self.orchestrator.checkReadyAsync()
+      .then(function (readiness) {
+        respond(response, readiness.ready ? 200 : 503, readiness);
+      })
+      .catch(function (err) {
+        respond(response, 503, { ready: false, error: String(err) });
+      });
+  } else if (path === '/status') {
+    respond(response, 200, self.orchestrator.getStatus());
+  } else {
+    respond(response, 404, { error: 'Not found' });
+  }
+};
+
+/**
+ * Get the liveness of the orchestration
+ * @returns {Object} `healthy`, `state`, and the `stalledListeners` which are not polling
+ */
+StatusServer.prototype.getHealth = function getHealth() {
+  var self = this;
+  var status = self.orchestrator.getStatus();
+  var now = Date.now();
+
+  // Listeners which have not completed a first poll are timed from the start;
+  // paused listeners are waiting on a dependency, not stalled
+  var stalled = status.listeners.filter(function (listener) {
+    if (listener.paused) {
+      return false;
+    }
+    var lastPoll = listener.lastPoll || status.started;
+    return !lastPoll || now - lastPoll.getTime() > self.maxPollAge * 1000;
+  }).map(function (listener) {
+    return {
+      queue: listener.queue,
+      lastPoll: listener.lastPoll
+    };
+  });
+
+  return {
+    healthy: status.state === 'Started' && stalled.length === 0,
+    state: status.state,
+    stalledListeners: stalled
+  };
+};
+
+function respond(response, statusCode, body) {
+  response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+function noop() {}
@@ -0,0 +1,76 @@
+var chai = require('chai');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+var expect = chai.expect;
+
+var AwsClients = require('../awsClients.js');
+
+describe('AwsClients', function () {
+  var aws;
+
+  beforeEach(function () {
+    aws = {
+      SQS: sinon.spy(function (config) { this.config = config; }),
+      Credentials: sinon.spy(function (params) { this.params = params; }),
+      ChainableTemporaryCredentials: sinon.spy(function (params) { this.params = params; })
+    };
+  });
+
+  it('builds clients in the region of the queue with the default credential chain', function () {
+    var connection = AwsClients.createConnection(aws, {
+      queue: 'https://sqs.eu-west-1.amazonaws.com/123456789012/events'
+    });
+    var sqs = new connection.SQS();
+    expect(sqs.config).to.deep.equal({ region: 'eu-west-1' });
+    expect(aws.Credentials.called).is.false;
+  });
+
+  it('builds clients with static credentials and an explicit region', function () {
+    var connection = AwsClients.createConnection(aws, {
+      queue: 'https://sqs.eu-west-1.amazonaws.com/123456789012/events',
+      region: 'us-west-2',
+      credentials: { accessKeyId: 'key', secretAccessKey: 'secret' }
+    });
+    var sqs = new connection.SQS();
+    expect(sqs.config.region).to.equal('us-west-2');
+    expect(sqs.config.credentials.params.accessKeyId).to.equal('key');
+  });
+
+  it('assumes a role with an external identifier', function () {
+    var connection = AwsClients.createConnection(aws, {
+      region: 'us-west-2',
+      roleArn: 'arn:aws:iam::123456789012:role/seiso-listener',
+      externalId: 'seiso'
+    });
+    var sqs = new connection.SQS();
+    var params = sqs.config.credentials.params;
+    expect(params.params).to.deep.equal({
+      RoleArn: 'arn:aws:iam::123456789012:role/seiso-listener',
+      RoleSessionName: 'seiso-aws-listener',
+      ExternalId: 'seiso'
+    });
+    expect(params.masterCredentials).to.be.undefined;
+    expect(params.stsConfig).to.deep.equal({ region: 'us-west-2' });
+  });
+
+  it('reads the region and account of a queue URL', function () {
+    var queue = 'https://sqs.eu-west-1.amazonaws.com/123456789012/events';
+    expect(AwsClients.getQueueRegion(queue)).to.equal('eu-west-1');
+    expect(AwsClients.getQueueAccount(queue)).to.equal('123456789012');
+    expect(AwsClients.getQueueAccount('events')).to.be.undefined;
+  });
+
+  it('describes classic load balancers page by page', function () {
+    var elb = {
+      describeLoadBalancersAsync: sinon.spy(function (params) {
+        return Promise.resolve(params.Marker ?
+          { LoadBalancerDescriptions: [{ LoadBalancerName: 'b' }] } :
+          { LoadBalancerDescriptions: [{ LoadBalancerName: 'a' }], NextMarker: 'page-2' });
+      })
+    };
+    return AwsClients.describeClassicLoadBalancersAsync(elb).then(function (loadBalancers) {
+      expect(loadBalancers.map(loadBalancer => loadBalancer.LoadBalancerName)).to.deep.equal(['a', 'b']);
+      expect(elb.describeLoadBalancersAsync.secondCall.args[0]).to.deep.equal({ Marker: 'page-2' });
+    });
+  });
+});
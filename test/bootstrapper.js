@@ -0,0 +1,65 @@
+var chai = require('chai');
+var Promise = require('bluebird');
+var expect = chai.expect;
+
+var Bootstrapper = require('../bootstrapper.js');
+var FakeAws = require('../testing/fakeAws.js');
+
+describe('Bootstrapper', function () {
+  var aws;
+
+  beforeEach(function () {
+    aws = new FakeAws();
+  });
+
+  it('creates the topic, event rules, queue and subscription', function () {
+    return Bootstrapper.execute({ aws: aws, region: 'us-west-2', queuePrefix: 'prod' })
+      .then(function (result) {
+        expect(result).to.deep.equal({
+          topicArn: 'arn:aws:sns:us-west-2:123456789012:ec2-instance-health-status-failure',
+          queueUrl: 'https://sqs.us-west-2.amazonaws.com/123456789012/prod-seiso-ec2-instance-event-processing',
+          queueArn: 'arn:aws:sqs:us-west-2:123456789012:prod-seiso-ec2-instance-event-processing'
+        });
+
+        var topic = aws.topics[result.topicArn];
+        expect(topic.subscriptions).to.deep.equal([{ Protocol: 'sqs', Endpoint: result.queueArn }]);
+        expect(JSON.parse(topic.attributes.Policy).Statement[0].Principal.Service).to.equal('events.amazonaws.com');
+
+        expect(Object.keys(aws.rules)).to.have.length(4);
+        Object.keys(aws.rules).forEach(function (name) {
+          expect(aws.rules[name].targets).to.deep.equal([{ Arn: result.topicArn, Id: 'default' }]);
+        });
+
+        var policy = JSON.parse(aws.getQueue(result.queueUrl).attributes.Policy);
+        expect(policy.Statement[0].Condition.ArnEquals['aws:SourceArn']).to.equal(result.topicArn);
+      });
+  });
+
+  it('grants the listener access to the queue with separate credentials', function () {
+    return Promise.fromCallback(callback => Bootstrapper.execute({
+        aws: aws,
+        region: 'us-west-2',
+        queueUrl: 'https://sqs.us-west-2.amazonaws.com/123456789012/events',
+        bootstrapperCredentials: { accessKeyId: 'key', secretAccessKey: 'secret' },
+        listenerCredentials: { arn: 'arn:aws:iam::123456789012:user/listener' }
+      }, callback))
+      .then(function (result) {
+        var policy = JSON.parse(aws.getQueue(result.queueUrl).attributes.Policy);
+        expect(policy.Statement[1].Principal.AWS).to.equal('arn:aws:iam::123456789012:user/listener');
+        expect(aws.calls.some(call => call.operation === 'createQueue')).is.false;
+      });
+  });
+
+  it('rejects an incomplete configuration with every error', function () {
+    return Bootstrapper.execute({ aws: aws, bootstrapperCredentials: { accessKeyId: 'key' } })
+      .catch(err => err)
+      .then(function (err) {
+        expect(err.validationErrors).to.deep.equal([
+          'region is required, unless the queue URL names it',
+          'bootstrapperCredentials require an accessKeyId and a secretAccessKey',
+          'listenerCredentials.arn is required with bootstrapperCredentials, to grant the listener access to the queue'
+        ]);
+        expect(aws.calls).to.be.empty;
+      });
+  });
+});
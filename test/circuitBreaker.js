@@ -0,0 +1,64 @@
+var chai = require('chai');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+var expect = chai.expect;
+
+var CircuitBreaker = require('../circuitBreaker.js');
+
+describe('CircuitBreaker', function () {
+  var breaker;
+
+  function fail() {
+    return breaker.execute(function () {
+      return Promise.reject(new Error('unavailable'));
+    }).catch(function (err) {
+      return err;
+    });
+  }
+
+  beforeEach(function () {
+    breaker = new CircuitBreaker({ name: 'Seiso', failureThreshold: 2, resetTimeout: 10 });
+  });
+
+  it('opens after consecutive failures, and fails fast', function () {
+    var opened = sinon.spy();
+    breaker.on('open', opened);
+    var call = sinon.spy();
+    return fail().then(fail)
+      .then(function () {
+        expect(opened.calledOnce).is.true;
+        return breaker.execute(call).catch(function (err) {
+          return err;
+        });
+      })
+      .then(function (err) {
+        expect(err.code).to.equal('ECIRCUITOPEN');
+        expect(call.called).is.false;
+      });
+  });
+
+  it('does not count errors which are not failures of the dependency', function () {
+    var notFound = Object.assign(new Error('Not found'), { statusCode: 404 });
+    function isFailure(err) {
+      return err.statusCode !== 404;
+    }
+    return fail()
+      .then(function () {
+        return breaker.execute(function () { return Promise.reject(notFound); }, isFailure).catch(function () {});
+      })
+      .then(fail)
+      .then(function () {
+        expect(breaker.state).to.equal('closed');
+      });
+  });
+
+  it('is half-open after the reset timeout, and closes on success', function (done) {
+    breaker.on('half-open', function () {
+      breaker.execute(function () { return 'ok'; }).then(function () {
+        expect(breaker.state).to.equal('closed');
+        done();
+      });
+    });
+    fail().then(fail);
+  });
+});
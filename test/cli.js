@@ -0,0 +1,62 @@
+var chai = require('chai');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var expect = chai.expect;
+
+describe('CLI', function () {
+  this.timeout(20000);
+
+  var cli = path.join(__dirname, '..', 'bin', 'cli.js');
+  var configFile;
+
+  function run(args, config) {
+    fs.writeFileSync(configFile, JSON.stringify(config || {}));
+    return childProcess.spawnSync(process.execPath, [cli].concat(args), { encoding: 'utf8', timeout: 15000 });
+  }
+
+  beforeEach(function () {
+    configFile = path.join(os.tmpdir(), 'seiso-listener-cli-' + process.pid + '.json');
+  });
+
+  afterEach(function () {
+    fs.unlinkSync(configFile);
+  });
+
+  it('validates a configuration, exiting 2 if not valid', function () {
+    var valid = run(['validate-config', '--config', configFile], {
+      listener: { queue: 'https://sqs.us-west-2.amazonaws.com/123456789012/events' },
+      seisoClient: { url: 'http://seiso/api', token: 'secret' }
+    });
+    expect(valid.status).to.equal(0);
+    expect(valid.stdout).to.match(/Configuration is valid/);
+
+    var invalid = run(['validate-config', '--json', '--config', configFile], { seisoClient: {} });
+    expect(invalid.status).to.equal(2);
+    expect(JSON.parse(invalid.stdout)).to.deep.equal({
+      valid: false,
+      errors: [
+        'seisoClient: a token, a username and password, or credentials are required',
+        'listener.queue is required',
+        'seisoClient.url is required'
+      ]
+    });
+  });
+
+  it('exits 2 on invalid usage', function () {
+    expect(run(['frobnicate', '--config', configFile]).status).to.equal(2);
+    expect(run(['status', '--config', configFile]).stderr).to.match(/An instance identifier is required/);
+    expect(run(['reconcile']).status).to.equal(2);
+    expect(run(['replay', '--config', configFile]).stderr).to.match(/At least one file or directory of events is required/);
+  });
+
+  it('exits 1 when a replay fails', function () {
+    var result = run(['replay', '--dry-run', '--config', configFile, path.join(os.tmpdir(), 'seiso-listener-no-events')], {
+      listener: { queue: 'https://sqs.us-west-2.amazonaws.com/123456789012/events' },
+      seisoClient: { url: 'http://127.0.0.1:1/api', token: 'secret', retry: { retries: 0 } }
+    });
+    expect(result.status).to.equal(1);
+    expect(result.stderr).to.match(/replay failed: /);
+  });
+});
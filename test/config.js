@@ -0,0 +1,167 @@
+var chai = require('chai');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var expect = chai.expect;
+
+var Config = require('../config.js');
+
+describe('Config', function () {
+  var queue = 'https://sqs.us-west-2.amazonaws.com/123456789012/events';
+
+  describe('resolve', function () {
+    it('applies defaults within the sections given, leaving the configuration unchanged', function () {
+      var config = {
+        listener: { queue: queue, batchSize: 5 },
+        seisoClient: { url: 'https://seiso/api', token: 'secret', retry: {} },
+        routes: [{ name: 'prod', feeder: { dryRun: true } }]
+      };
+      var resolved = Config.resolve(config, { env: {} });
+
+      expect(resolved.listener).to.include({ queue: queue, batchSize: 5, concurrency: 10, maxRetryDelay: 900 });
+      expect(resolved.seisoClient).to.include({ timeout: 30000 });
+      expect(resolved.seisoClient.retry).to.deep.equal({ retries: 3, minDelay: 200, maxDelay: 10000 });
+      expect(resolved.routes[0].feeder).to.deep.equal({ pollInterval: 300, loadBalancerType: 'aws', concurrency: 5, dryRun: true });
+      // Route sections not given keep falling back to the top-level ones
+      expect(resolved.routes[0]).to.not.have.property('listener');
+      expect(resolved.routes[0]).to.not.have.property('decommission');
+      expect(resolved).to.not.have.property('feeder');
+      expect(config.listener).to.deep.equal({ queue: queue, batchSize: 5 });
+      expect(config.seisoClient.retry).to.deep.equal({});
+    });
+
+    it('overrides settings with SEISO_* and AWS_* environment variables', function () {
+      var logger = Object.create({ debug() {}, info() {}, warn() {}, error() {} });
+      var resolved = Config.resolve({ seisoClient: { url: 'https://old/api', username: 'me' }, logger: logger }, {
+        env: {
+          SEISO_URL: 'https://seiso/api',
+          SEISO_TOKEN: 'secret',
+          SEISO_TIMEOUT: '5000',
+          SEISO_DRY_RUN: 'TRUE',
+          SEISO_LOG_LEVEL: 'debug',
+          AWS_SQS_QUEUE_URL: queue,
+          AWS_DEFAULT_REGION: 'us-east-1',
+          AWS_REGION: 'us-west-2'
+        }
+      });
+
+      expect(resolved.seisoClient).to.include({ url: 'https://seiso/api', username: 'me', token: 'secret', timeout: 5000 });
+      expect(resolved.feeder).to.include({ dryRun: true, pollInterval: 300 });
+      expect(resolved.listener.queue).to.equal(queue);
+      expect(resolved.queueUrl).to.equal(queue);
+      expect(resolved.region).to.equal('us-west-2');
+      // Logger objects, e.g. bunyan or pino, are kept as given
+      expect(resolved.logger).to.equal(logger);
+    });
+
+    it('does not make sections of overrides alone when the configuration has routes', function () {
+      var config = {
+        routes: [{
+          listener: { queue: queue },
+          seisoClient: { url: 'https://seiso/api', token: 'secret' }
+        }],
+        feeder: {}
+      };
+      var resolved = Config.resolve(config, { env: { SEISO_TIMEOUT: '5000', SEISO_DRY_RUN: 'true', SEISO_LOG_LEVEL: 'warn' } });
+
+      expect(resolved).to.not.have.property('seisoClient');
+      expect(resolved.logger).to.deep.equal({ level: 'warn' });
+      expect(resolved.feeder.dryRun).to.equal(true);
+      expect(Config.validate(resolved)).to.be.empty;
+    });
+  });
+
+  describe('validate', function () {
+    it('reports every error, naming the setting', function () {
+      var errors = Config.validate(Config.resolve({
+        listener: { queue: 'sqs/events', batchSize: 20 },
+        seisoClient: { url: 'https://seiso/api', credentials: { source: 'vault' } },
+        feeder: { pollInterval: 'often' },
+        decommission: { policy: 'shred' },
+        logger: { level: 'loud' }
+      }, { env: {} }));
+
+      expect(errors).to.deep.equal([
+        'listener.queue: not an http(s) URL',
+        'listener.batchSize must be at most 10',
+        'seisoClient: Unknown Seiso credentials source vault',
+        'feeder.pollInterval must be a number',
+        'decommission.policy must be one of rotate-out, delete-node, delete-node-and-machine',
+        'logger.level must be one of debug, info, warn, error'
+      ]);
+    });
+
+    it('requires a queue and a Seiso URL for each route, of the route or the service', function () {
+      var errors = Config.validate({
+        seisoClient: { url: 'https://seiso/api', token: 'secret' },
+        routes: [
+          { name: 'prod', listener: { queue: queue } },
+          { name: 'test', listener: { region: 'us-east-1' }, seisoClient: { token: 'secret' } },
+          { name: 'dev', mapper: {} }
+        ]
+      });
+
+      expect(errors).to.deep.equal([
+        'routes[1].listener.queue is required',
+        'routes[1].seisoClient.url is required',
+        'routes[2].listener.queue or listener.queue is required'
+      ]);
+      expect(Config.validate('config.json')).to.deep.equal(['The configuration must be an object']);
+    });
+
+    it('checks the shape of mappers without building them', function () {
+      var built = false;
+      var config = {
+        listener: { queue: queue },
+        seisoClient: { url: 'https://seiso/api', token: 'secret' },
+        customMappers: [
+          { path: '/no/such/mapper' },
+          { mapper: function () { built = true; }, timeout: 1000 }
+        ]
+      };
+      expect(Config.validate(config)).to.be.empty;
+      expect(built).to.equal(false);
+
+      config.mapper = [{ propertyName: 'tags.Team', transform: 5 }];
+      config.customMappers = [{ name: 'cmdb', timeout: 'soon' }, 'cmdb.js'];
+      expect(Config.validate(config)).to.deep.equal([
+        'mapper[0].transform must be a string or an array or a function',
+        'customMappers[0].timeout must be a number',
+        'customMappers[0]: a mapper, a path or a map method is required',
+        'customMappers[1] must be an object or a function'
+      ]);
+    });
+
+    it('checks the bootstrap settings instead, when bootstrapping', function () {
+      expect(Config.validate({ queueUrl: queue }, { bootstrap: true })).to.be.empty;
+      expect(Config.validate({ bootstrapperCredentials: { accessKeyId: 'key', secretAccessKey: 'secret' } }, { bootstrap: true }))
+        .to.deep.equal([
+          'region is required, unless the queue URL names it',
+          'listenerCredentials.arn is required with bootstrapperCredentials, to grant the listener access to the queue'
+        ]);
+    });
+  });
+
+  describe('load', function () {
+    var file = path.join(os.tmpdir(), 'seiso-listener-config-' + process.pid + '.json');
+
+    afterEach(function () {
+      fs.unlinkSync(file);
+    });
+
+    it('loads, resolves and validates a configuration file', function () {
+      fs.writeFileSync(file, JSON.stringify({ listener: { queue: queue } }));
+      var config = Config.load(file, { env: { SEISO_URL: 'https://seiso/api', SEISO_TOKEN: 'secret' } });
+      expect(config.seisoClient).to.include({ url: 'https://seiso/api', token: 'secret' });
+
+      fs.writeFileSync(file, JSON.stringify({ listener: { queue: queue, concurrency: 0 } }));
+      expect(() => Config.load(file, { env: { SEISO_TIMEOUT: 'soon' } })).to.throw(Config.ConfigError)
+        .with.property('errors').that.deep.equals([
+          'listener.concurrency must be at least 1',
+          'seisoClient.timeout must be a number',
+          'seisoClient: a token, a username and password, or credentials are required',
+          'seisoClient.url is required'
+        ]);
+    });
+  });
+});
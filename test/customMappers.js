@@ -0,0 +1,107 @@
+var chai = require('chai');
+var Promise = require('bluebird');
+var expect = chai.expect;
+
+var CustomMappers = require('../customMappers.js');
+var logger = require('../logger.js');
+
+describe('CustomMappers', function () {
+  var log = logger.getLogger('test');
+
+  it('maps nodes through mappers in turn, with callbacks or promises', function () {
+    var mappers = [
+      CustomMappers.createCustomMapper({
+        name: 'owner',
+        map: function (node, callback) {
+          callback(null, Object.assign({}, node, { owner: 'ops' }));
+        }
+      }, 0),
+      CustomMappers.createCustomMapper({
+        mapper: function (config) {
+          return {
+            map: node => Promise.resolve(Object.assign({}, node, { team: config.team }))
+          };
+        },
+        config: { team: 'payments' }
+      }, 1)
+    ];
+    return CustomMappers.mapAsync(mappers, { name: 'i-1' }, log)
+      .then(function (node) {
+        expect(node).to.deep.equal({ name: 'i-1', owner: 'ops', team: 'payments' });
+      });
+  });
+
+  it('calls synchronous methods, which take no callback', function () {
+    var stopped = false;
+    var mapper = CustomMappers.createCustomMapper({
+      start: function () {},
+      stop: function () { stopped = true; },
+      map: node => Object.assign({}, node, { owner: 'ops' })
+    }, 0);
+    return mapper.startAsync()
+      .then(function () {
+        return mapper.mapAsync({ name: 'i-1' });
+      })
+      .then(function (node) {
+        expect(node).to.deep.equal({ name: 'i-1', owner: 'ops' });
+        return mapper.stopAsync();
+      })
+      .then(function () {
+        expect(stopped).is.true;
+      });
+  });
+
+  it('constructs mappers, calling their methods bound', function () {
+    function Mapper(config) {
+      this.name = 'constructed';
+      this.suffix = config.suffix;
+      this.started = false;
+    }
+    Mapper.prototype.start = function (callback) {
+      this.started = true;
+      callback(null);
+    };
+    Mapper.prototype.map = function (node) {
+      return Promise.resolve({ name: node.name + this.suffix, started: this.started });
+    };
+    var mapper = CustomMappers.createCustomMapper({ mapper: Mapper, config: { suffix: '-mapped' } }, 0);
+    expect(mapper.name).to.equal('constructed');
+    return mapper.startAsync()
+      .then(function () {
+        return mapper.mapAsync({ name: 'i-1' });
+      })
+      .then(function (node) {
+        expect(node).to.deep.equal({ name: 'i-1-mapped', started: true });
+      });
+  });
+
+  it('fails with the mapper name on errors and timeouts', function () {
+    var failing = CustomMappers.createCustomMapper({
+      name: 'cmdb',
+      map: (node, callback) => callback(new Error('CMDB unavailable'))
+    }, 0);
+    var hanging = CustomMappers.createCustomMapper({
+      name: 'slow',
+      timeout: 10,
+      mapper: { map: function (node, callback) {} } // Never calls back
+    }, 1);
+    return failing.mapAsync({ name: 'i-1' })
+      .catch(err => err)
+      .then(function (err) {
+        expect(err).to.be.an.instanceof(CustomMappers.CustomMapperError);
+        expect(err.mapper).to.equal('cmdb');
+        expect(err.message).to.equal('Custom mapper cmdb failed to map: CMDB unavailable');
+        return hanging.mapAsync({ name: 'i-1' }).catch(err => err);
+      })
+      .then(function (err) {
+        expect(err.mapper).to.equal('slow');
+        expect(err.message).to.match(/timed out after 10ms/);
+      });
+  });
+
+  it('rejects mappers without a map method', function () {
+    expect(function () {
+      CustomMappers.createCustomMapper({ name: 'broken', mapper: {} }, 0);
+    }).to.throw('Custom mapper broken has no map method');
+  });
+});
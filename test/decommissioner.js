@@ -0,0 +1,95 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var chai = require('chai');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+var expect = chai.expect;
+
+var Decommissioner = require('../decommissioner.js');
+
+describe('Decommissioner', function () {
+  var stateFile, decommission, decommissioner;
+
+  var entry = {
+    route: 'prod',
+    instanceId: 'i-1',
+    node: 'https://seiso/api/nodes/1',
+    removeMachine: true,
+    gracePeriod: 0
+  };
+
+  beforeEach(function () {
+    stateFile = path.join(os.tmpdir(), 'decommissioner-' + process.pid + '-' + Date.now() + '.json');
+    decommission = sinon.stub().returns(Promise.resolve());
+    decommissioner = new Decommissioner({ stateFile: stateFile }, decommission);
+  });
+
+  afterEach(function () {
+    return decommissioner.stopAsync()
+      .then(function () {
+        if (fs.existsSync(stateFile)) {
+          fs.unlinkSync(stateFile);
+        }
+      });
+  });
+
+  it('validates policies', function () {
+    expect(Decommissioner.getPolicy()).to.equal('rotate-out');
+    expect(Decommissioner.getPolicy('delete-node')).to.equal('delete-node');
+    expect(function () { Decommissioner.getPolicy('delete'); }).to.throw(/Unknown decommission policy delete/);
+  });
+
+  it('decommissions nodes without a grace period at once', function () {
+    return decommissioner.startAsync()
+      .then(function () {
+        return decommissioner.scheduleAsync(entry);
+      })
+      .then(function () {
+        expect(decommission.calledOnce).is.true;
+        expect(decommission.firstCall.args[0]).to.include({ node: entry.node, removeMachine: true });
+        expect(decommissioner.getPending()).to.be.empty;
+      });
+  });
+
+  it('keeps pending decommissions across restarts', function () {
+    return decommissioner.startAsync()
+      .then(function () {
+        return decommissioner.scheduleAsync(Object.assign({}, entry, { gracePeriod: 3600 }));
+      })
+      .then(function () {
+        expect(decommission.called).is.false;
+        return decommissioner.stopAsync();
+      })
+      .then(function () {
+        decommissioner = new Decommissioner({ stateFile: stateFile }, decommission);
+        return decommissioner.startAsync();
+      })
+      .then(function () {
+        var pending = decommissioner.getPending();
+        expect(pending).to.have.length(1);
+        expect(pending[0]).to.include({ route: 'prod', instanceId: 'i-1', node: entry.node });
+        expect(decommission.called).is.false;
+      });
+  });
+
+  it('retries failed decommissions on the next check', function () {
+    decommission = sinon.spy(function () {
+      return decommission.callCount === 1 ? Promise.reject(new Error('Seiso unavailable')) : Promise.resolve();
+    });
+    decommissioner = new Decommissioner({ stateFile: stateFile }, decommission);
+    return decommissioner.startAsync()
+      .then(function () {
+        return decommissioner.scheduleAsync(entry);
+      })
+      .then(function () {
+        expect(decommissioner.getPending()).to.have.length(1);
+        return decommissioner.checkAsync();
+      })
+      .then(function () {
+        expect(decommission.calledTwice).is.true;
+        expect(decommissioner.getPending()).to.be.empty;
+        expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).pending).to.be.empty;
+      });
+  });
+});
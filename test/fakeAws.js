@@ -0,0 +1,91 @@
+var chai = require('chai');
+var Promise = require('bluebird');
+var expect = chai.expect;
+
+var FakeAws = require('../testing/fakeAws.js');
+var AwsClients = require('../awsClients.js');
+
+describe('FakeAws', function () {
+  var queue = 'https://sqs.us-west-2.amazonaws.com/123456789012/events';
+  var aws, connection;
+
+  function call(client, operation, params) {
+    return Promise.fromCallback(callback => client[operation](params, callback));
+  }
+
+  beforeEach(function () {
+    aws = new FakeAws({ maxWait: 50 });
+    connection = AwsClients.createConnection(aws, { queue: queue, credentials: { accessKeyId: 'key', secretAccessKey: 'secret' } });
+  });
+
+  it('hides received messages until deleted or visible again', function () {
+    var sqs = new connection.SQS();
+    aws.enqueue(queue, { hello: 'world' });
+    return call(sqs, 'receiveMessage', { QueueUrl: queue, VisibilityTimeout: 0 })
+      .then(function (data) {
+        expect(JSON.parse(data.Messages[0].Body)).to.deep.equal({ hello: 'world' });
+        return call(sqs, 'receiveMessage', { QueueUrl: queue, VisibilityTimeout: 60 });
+      })
+      .then(function (data) {
+        expect(data.Messages[0].Attributes.ApproximateReceiveCount).to.equal('2');
+        return Promise.join(
+          call(sqs, 'receiveMessage', { QueueUrl: queue }),
+          call(sqs, 'deleteMessageBatch', {
+            QueueUrl: queue,
+            Entries: [{ Id: '0', ReceiptHandle: data.Messages[0].ReceiptHandle }]
+          }));
+      })
+      .spread(function (data, deleted) {
+        expect(data.Messages).to.be.empty;
+        expect(deleted.Successful).to.have.length(1);
+        expect(aws.getMessages(queue)).to.be.empty;
+      });
+  });
+
+  it('wakes long polls when a message is sent', function () {
+    var sqs = new connection.SQS();
+    var receiving = call(sqs, 'receiveMessage', { QueueUrl: queue, WaitTimeSeconds: 20 });
+    setTimeout(() => aws.enqueue(queue, 'late'), 10);
+    return receiving.then(function (data) {
+      expect(data.Messages[0].Body).to.equal('late');
+    });
+  });
+
+  it('applies ELB events to the load balancers described', function () {
+    var elb = new connection.ELB();
+    aws.addInstance({ InstanceId: 'i-1' });
+    aws.addLoadBalancer({ LoadBalancerName: 'web-elb', InstanceIds: ['i-2'] });
+    aws.enqueueElbEvent(queue, 'RegisterInstancesWithLoadBalancer', 'web-elb', ['i-1']);
+    var event = JSON.parse(aws.getMessages(queue)[0].Body);
+    expect(event['detail-type']).to.equal('AWS API Call via CloudTrail');
+    expect(event.detail.requestParameters).to.deep.equal({
+      loadBalancerName: 'web-elb',
+      instances: [{ instanceId: 'i-1' }]
+    });
+    return call(elb, 'describeInstanceHealth', { LoadBalancerName: 'web-elb' })
+      .then(function (data) {
+        expect(data.InstanceStates).to.deep.equal([
+          { InstanceId: 'i-2', State: 'InService' },
+          { InstanceId: 'i-1', State: 'InService' }
+        ]);
+      });
+  });
+
+  it('fails unknown instances, and injected failures', function () {
+    var ec2 = new connection.EC2();
+    aws.addInstance({ InstanceId: 'i-1' });
+    aws.failNext('EC2', 'describeInstances', Object.assign(new Error('Throttled'), { code: 'Throttling' }));
+    return call(ec2, 'describeInstances', { InstanceIds: ['i-1'] }).catch(err => err)
+      .then(function (err) {
+        expect(err.code).to.equal('Throttling');
+        return call(ec2, 'describeInstances', { InstanceIds: ['i-1', 'i-9'] }).catch(err => err);
+      })
+      .then(function (err) {
+        expect(err.code).to.equal('InvalidInstanceID.NotFound');
+        return call(ec2, 'describeInstances', { InstanceIds: ['i-1'] });
+      })
+      .then(function (data) {
+        expect(data.Reservations[0].Instances[0].State.Name).to.equal('running');
+      });
+  });
+});
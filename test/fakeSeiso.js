@@ -0,0 +1,111 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var FakeSeiso = require('../testing/fakeSeiso.js');
+var SeisoClient = require('../seisoClient.js');
+
+describe('FakeSeiso', function () {
+  var seiso, seisoClient;
+
+  var node = {
+    name: 'i-1',
+    machineName: 'ip-10-0-0-1.us-west-2.compute.internal',
+    hostname: 'ip-10-0-0-1',
+    domain: 'us-west-2.compute.internal',
+    ipAddress: '10.0.0.1',
+    service: 'checkout',
+    environment: 'prod',
+    environmentType: 'prod',
+    ports: [80],
+    tags: { 'AWS Instance ID': 'i-1' }
+  };
+
+  beforeEach(function () {
+    seiso = new FakeSeiso({ maxPageSize: 2 });
+    return seiso.startAsync()
+      .then(function () {
+        seisoClient = new SeisoClient({ url: seiso.url, token: 'test', retry: { minDelay: 1 } });
+        return seisoClient.preCache;
+      });
+  });
+
+  afterEach(function () {
+    return seiso.stopAsync();
+  });
+
+  it('registers a node with its service, service instance, machine and IP address', function () {
+    return seisoClient.upsertNodeAsync(node)
+      .then(function (created) {
+        expect(created.name).to.equal('i-1');
+        expect(seiso.list('services')).to.have.length(1);
+        expect(seiso.list('serviceInstances')[0].key).to.equal('checkout-prod');
+        expect(seiso.get('machines', created.machine).name).to.equal(node.machineName);
+        expect(seiso.list('nodeIpAddresses', { node: created })[0].ipAddress).to.equal('10.0.0.1');
+        return seisoClient.findNodesAsync({ filters: [{ type: 'Tag', name: 'AWS Instance ID', value: 'i-1' }] });
+      })
+      .then(function (found) {
+        expect(found.map(node => node.name)).to.deep.equal(['i-1']);
+        return seisoClient.upsertNodeAsync(node);
+      })
+      .then(function () {
+        expect(seiso.list('nodes')).to.have.length(1);
+      });
+  });
+
+  it('finds nodes by machine name and IP address', function () {
+    var machine = seiso.create('machines', { name: 'web-1.example.com', ipAddress: '10.0.0.2' });
+    seiso.create('nodes', { name: 'web-1', machine: machine });
+    return seisoClient.findNodesAsync({ filters: [{ type: 'MachineName', value: 'web-1.example.com' }] })
+      .then(function (nodes) {
+        expect(nodes.map(node => node.name)).to.deep.equal(['web-1']);
+        return seisoClient.findNodesAsync({ filters: [{ type: 'IpAddress', value: '10.0.0.2' }] });
+      })
+      .then(function (nodes) {
+        expect(nodes.map(node => node.name)).to.deep.equal(['web-1']);
+      });
+  });
+
+  it('pages collections', function () {
+    ['a', 'b', 'c', 'd', 'e'].forEach(name => seiso.create('nodes', { name: name }));
+    return seisoClient.getNodesAsync()
+      .then(function (nodes) {
+        expect(nodes.map(node => node.name)).to.deep.equal(['a', 'b', 'c', 'd', 'e']);
+        expect(seiso.requests.filter(request => request.path === 'nodes')).to.have.length(3);
+      });
+  });
+
+  it('updates rotation statuses, and removes nodes with their machine', function () {
+    var machine = seiso.create('machines', { name: 'web-1.example.com' });
+    var created = seiso.create('nodes', { name: 'web-1', machine: machine });
+    var disabled = seiso.list('rotationStatuses', { key: 'disabled' })[0];
+    return seisoClient.patchNodeAggregateRotationStatus(created, disabled._links.self.href)
+      .then(function () {
+        return seisoClient.getNodeAggregateRotationStatusAsync(created);
+      })
+      .then(function (rotationStatus) {
+        expect(rotationStatus.key).to.equal('disabled');
+        return seisoClient.removeNodeAsync({ node: created, removeMachine: true });
+      })
+      .then(function () {
+        expect(seiso.list('nodes')).to.be.empty;
+        expect(seiso.list('machines')).to.be.empty;
+      });
+  });
+
+  it('rejects duplicates, and injected failures', function () {
+    seiso.failNext(503);
+    return seisoClient.createServiceAsync({ key: 'checkout', name: 'checkout' }).catch(err => err)
+      .then(function (err) {
+        // A POST which Seiso may have processed is not retried
+        expect(err.statusCode).to.equal(503);
+        expect(seiso.requests.filter(request => request.method === 'POST')).to.have.length(1);
+        return seisoClient.createServiceAsync({ key: 'checkout', name: 'checkout' });
+      })
+      .then(function () {
+        return seisoClient.createServiceAsync({ key: 'checkout', name: 'checkout' }).catch(err => err);
+      })
+      .then(function (err) {
+        expect(err.statusCode).to.equal(409);
+      });
+  });
+});
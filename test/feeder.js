@@ -0,0 +1,280 @@
+var chai = require('chai');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+var expect = chai.expect;
+
+var Feeder = require('../feeder.js');
+
+function record(href, fields) {
+  fields = fields || {};
+  fields._links = { self: { href: href } };
+  return fields;
+}
+
+function instance(id) {
+  return {
+    InstanceId: id,
+    PrivateDnsName: 'ip-' + id + '.ec2.internal'
+  };
+}
+
+describe('Feeder', function () {
+  var aws, seisoClient, elb, ec2, feeder;
+
+  var enabled = record('http://seiso/api/rotationStatuses/1', { key: 'enabled' });
+  var disabled = record('http://seiso/api/rotationStatuses/2', { key: 'disabled' });
+
+  beforeEach(function () {
+    elb = {
+      describeLoadBalancers: sinon.spy(function (params, callback) {
+        if (typeof params === 'function') {
+          callback = params;
+          params = { LoadBalancerNames: ['web-elb'] };
+        }
+        callback(null, {
+          LoadBalancerDescriptions: [{
+            LoadBalancerName: (params.LoadBalancerNames || ['web-elb'])[0],
+            Instances: [{ InstanceId: 'i-in' }, { InstanceId: 'i-sick' }]
+          }]
+        });
+      }),
+      describeInstanceHealth: sinon.spy(function (params, callback) {
+        callback(null, {
+          InstanceStates: [
+            { InstanceId: 'i-in', State: 'InService' },
+            { InstanceId: 'i-sick', State: 'OutOfService' }
+          ]
+        });
+      })
+    };
+    ec2 = {
+      describeInstances: sinon.spy(function (params, callback) {
+        callback(null, {
+          Reservations: [{ Instances: params.InstanceIds.map(instance) }]
+        });
+      }),
+      describeInstanceStatus: sinon.stub(),
+      describeTags: sinon.stub()
+    };
+    aws = {
+      EC2: function () { return ec2; },
+      ELB: function () { return elb; },
+      ELBv2: function () {
+        return { describeTargetHealth: sinon.stub() };
+      },
+      AutoScaling: function () {
+        return {
+          describeAutoScalingInstances: sinon.spy(function (params, callback) {
+            callback(null, { AutoScalingInstances: [] });
+          }),
+          describeLoadBalancers: sinon.stub(),
+          describeLoadBalancerTargetGroups: sinon.stub()
+        };
+      }
+    };
+
+    seisoClient = {
+      getRotationStatuses: sinon.stub().returns(Promise.resolve([enabled, disabled])),
+      getLoadBalancersAsync: sinon.stub().returns(Promise.resolve([
+        record('http://seiso/api/loadBalancers/1', { name: 'web-elb', type: 'AWS' }),
+        record('http://seiso/api/loadBalancers/2', { name: 'f5-pool', type: 'F5' })
+      ])),
+      getLoadBalancerNodesAsync: sinon.stub().returns(Promise.resolve([
+        record('http://seiso/api/nodes/1', { name: 'i-in', aggregateRotationStatus: { key: 'disabled' } }),
+        record('http://seiso/api/nodes/2', { name: 'i-sick', aggregateRotationStatus: { key: 'enabled' } }),
+        record('http://seiso/api/nodes/3', { name: 'i-gone', aggregateRotationStatus: { key: 'disabled' } })
+      ])),
+      getNodeAggregateRotationStatusAsync: sinon.stub().returns(Promise.resolve(null)),
+      patchNodeAggregateRotationStatus: sinon.stub().returns(Promise.resolve({}))
+    };
+
+    feeder = new Feeder(aws, seisoClient, {});
+  });
+
+  describe('reconcileAsync', function () {
+    it('only reconciles AWS load balancers', function () {
+      return feeder.reconcileAsync().then(function (summary) {
+        expect(summary.loadBalancers).to.equal(1);
+        expect(seisoClient.getLoadBalancerNodesAsync.calledOnce).is.true;
+        expect(elb.describeLoadBalancers.firstCall.args[0].LoadBalancerNames).to.deep.equal(['web-elb']);
+      });
+    });
+
+    it('patches only nodes whose rotation status drifted', function () {
+      return feeder.reconcileAsync().then(function (summary) {
+        expect(summary.nodes).to.equal(3);
+        expect(seisoClient.patchNodeAggregateRotationStatus.callCount).to.equal(2);
+
+        var patches = seisoClient.patchNodeAggregateRotationStatus.args.map(function (args) {
+          return [args[0].name, args[1]];
+        });
+        expect(patches).to.deep.include.members([
+          ['i-in', enabled._links.self.href],
+          ['i-sick', disabled._links.self.href]
+        ]);
+      });
+    });
+
+    it('reports each change with current and desired status', function () {
+      var reconciled = sinon.spy();
+      feeder.on('reconciled', reconciled);
+      return feeder.reconcileAsync().then(function (summary) {
+        expect(reconciled.calledWith(summary)).is.true;
+        expect(summary.changes).to.deep.include.members([{
+          node: 'i-in',
+          instanceId: 'i-in',
+          loadBalancer: 'web-elb',
+          currentStatus: 'disabled',
+          desiredStatus: 'enabled'
+        }, {
+          node: 'i-sick',
+          instanceId: 'i-sick',
+          loadBalancer: 'web-elb',
+          currentStatus: 'enabled',
+          desiredStatus: 'disabled'
+        }]);
+        expect(feeder.lastReconciliation).to.equal(summary.finished);
+      });
+    });
+
+    it('plans changes without patching in dry-run mode', function () {
+      var plan = sinon.spy();
+      feeder = new Feeder(aws, seisoClient, { dryRun: true });
+      feeder.on('plan', plan);
+      return feeder.reconcileAsync().then(function (summary) {
+        expect(seisoClient.patchNodeAggregateRotationStatus.called).is.false;
+        expect(summary.dryRun).is.true;
+        expect(summary.changes).to.have.length(2);
+        expect(plan.calledWith(summary)).is.true;
+      });
+    });
+
+    it('allows dry-run to be overridden per pass', function () {
+      var plan = sinon.spy();
+      feeder.on('plan', plan);
+      return feeder.reconcileAsync({ dryRun: true }).then(function () {
+        expect(seisoClient.patchNodeAggregateRotationStatus.called).is.false;
+        expect(plan.calledOnce).is.true;
+      });
+    });
+
+    it('continues past a load balancer that fails', function () {
+      seisoClient.getLoadBalancersAsync.returns(Promise.resolve([
+        record('http://seiso/api/loadBalancers/1', { name: 'web-elb', type: 'aws' }),
+        record('http://seiso/api/loadBalancers/3', { name: 'missing-elb', type: 'aws' })
+      ]));
+      elb.describeInstanceHealth = function (params, callback) {
+        if (params.LoadBalancerName === 'missing-elb') {
+          return callback(new Error('LoadBalancerNotFound'));
+        }
+        callback(null, { InstanceStates: [] });
+      };
+      feeder = new Feeder(aws, seisoClient, {});
+
+      return feeder.reconcileAsync().then(function (summary) {
+        expect(summary.errors).to.have.length(1);
+        expect(summary.errors[0].loadBalancer).to.equal('missing-elb');
+        expect(summary.changes).to.have.length(1);
+      });
+    });
+  });
+
+  describe('reconcileInstancesAsync', function () {
+    beforeEach(function () {
+      seisoClient.findNodesAsync = sinon.spy(function (params) {
+        return Promise.resolve([
+          record('http://seiso/api/nodes/' + params.name, {
+            name: params.name,
+            aggregateRotationStatus: { key: 'enabled' }
+          })
+        ]);
+      });
+    });
+
+    it('rotates out an instance no longer in service on its load balancer', function () {
+      return feeder.reconcileInstancesAsync(['i-in', 'i-sick']).then(function (summary) {
+        expect(summary.loadBalancers).to.equal(2);
+        // Both nodes are checked; only the one out of service drifted
+        expect(summary.nodes).to.equal(2);
+        expect(summary.drift).to.equal(1);
+        expect(summary.changes).to.deep.equal([{
+          node: 'i-sick',
+          instanceId: 'i-sick',
+          loadBalancer: 'web-elb',
+          currentStatus: 'enabled',
+          desiredStatus: 'disabled'
+        }]);
+        expect(seisoClient.patchNodeAggregateRotationStatus.calledOnce).is.true;
+        expect(seisoClient.patchNodeAggregateRotationStatus.firstCall.args[1]).to.equal(disabled._links.self.href);
+      });
+    });
+
+    it('leaves instances which are not load balanced unchanged', function () {
+      return feeder.reconcileInstancesAsync(['i-other']).then(function (summary) {
+        expect(summary.changes).to.be.empty;
+        expect(summary.nodes).to.equal(0);
+        expect(seisoClient.findNodesAsync.called).is.false;
+      });
+    });
+  });
+
+  describe('describeInstanceStatusAsync', function () {
+    function running(id) {
+      return Object.assign(instance(id), { State: { Name: 'running' } });
+    }
+
+    beforeEach(function () {
+      seisoClient.findNodesAsync = sinon.spy(function (params) {
+        return Promise.resolve(params.name === 'i-new' ? [] : [
+          record('http://seiso/api/nodes/' + params.name, {
+            name: params.name,
+            aggregateRotationStatus: { key: 'enabled' }
+          })
+        ]);
+      });
+    });
+
+    it('compares load balancer health with the Seiso rotation status', function () {
+      return Promise.join(
+        feeder.describeInstanceStatusAsync(running('i-in')),
+        feeder.describeInstanceStatusAsync(running('i-sick')),
+        function (inService, sick) {
+          expect(inService).to.deep.equal({
+            instanceId: 'i-in',
+            state: 'running',
+            loadBalancers: { 'web-elb': true },
+            awsStatus: 'enabled',
+            node: 'i-in',
+            seisoStatus: 'enabled',
+            inSync: true
+          });
+          expect(sick).to.include({ awsStatus: 'disabled', seisoStatus: 'enabled', inSync: false });
+          expect(seisoClient.patchNodeAggregateRotationStatus.called).is.false;
+        });
+    });
+
+    it('expects stopped instances out of rotation, and reports missing nodes', function () {
+      var stopped = Object.assign(instance('i-other'), { State: { Name: 'stopped' } });
+      return Promise.join(
+        feeder.describeInstanceStatusAsync(stopped),
+        feeder.describeInstanceStatusAsync(running('i-new')),
+        function (stoppedStatus, newStatus) {
+          expect(stoppedStatus).to.include({ awsStatus: 'disabled', seisoStatus: 'enabled', inSync: false });
+          expect(newStatus).to.include({ awsStatus: null, node: null, seisoStatus: null, inSync: false });
+        });
+    });
+  });
+
+  describe('start/stop', function () {
+    it('reconciles on start and stops cleanly', function (done) {
+      feeder.once('reconciled', function () {
+        feeder.once('stopped', function () {
+          expect(feeder.state).to.equal('Stopped');
+          done();
+        });
+        feeder.stop();
+      });
+      feeder.start();
+    });
+  });
+});
@@ -1,47 +1,226 @@
 var chai = require('chai');
-var sinon = require('sinon');
-var mockery = require('mockery');
+var net = require('net');
+var Promise = require('bluebird');
 var expect = chai.expect;
-var assert = chai.assert;
 
-var configMock;
-var RotationListener, rotationListener;
+var RotationListener = require('../index.js');
+var FakeAws = require('../testing/fakeAws.js');
+var FakeSeiso = require('../testing/fakeSeiso.js');
 
 describe('Module Seiso AWS LB Rotation State Listener', function () {
-  this.timeout(30000);
-
-  var rq, rp, sdk;
-  before(function () {
-    mockery.enable({
-      warnOnReplace: false,
-      warnOnUnregistered: false,
-      useCleanCache: true
-    });
-    rq = sinon.stub()
-    rp = sinon.stub()
-    sdk = sinon.stub()
-    mockery.registerMock('./app.config', configMock);
-    // mockery.registerMock('request', rq);
-    // mockery.registerMock('request-promise', rp);
-    //mockery.registerMock('aws-sdk', sdk);
-    RotationListener = require('../index.js');
-  });
-  after(function () {
-    mockery.disable();
-  });
-  describe('Start and watch service', function () {
-    it('empty test starts', function () {
-      rotationListener = RotationListener(configMock);
-    });
-    it('outputs expected logs to console', function (done) {
-      rotationListener.start(configMock);
-      
-      expect(rp.called).is.false;
-      expect(rq.called).is.false;
-      expect(sdk.called).is.false;
-      setTimeout(done, 30000)
+  this.timeout(10000);
+
+  var queue = 'https://sqs.us-west-2.amazonaws.com/123456789012/rotation-events';
+  var aws, seiso, rotationListener;
+
+  function waitFor(condition) {
+    return Promise.try(condition)
+      .then(function (result) {
+        return result || Promise.delay(20).then(function () {
+          return waitFor(condition);
+        });
+      });
+  }
+
+  function getRotationStatus(nodeName) {
+    var node = seiso.list('nodes', { name: nodeName })[0];
+    var rotationStatus = node && node.aggregateRotationStatus && seiso.get('rotationStatuses', node.aggregateRotationStatus);
+    return rotationStatus ? rotationStatus.key : null;
+  }
+
+  beforeEach(function () {
+    aws = new FakeAws();
+    seiso = new FakeSeiso();
+    return seiso.startAsync()
+      .then(function () {
+        aws.addInstance({ InstanceId: 'i-1', Tags: [{ Key: 'Service', Value: 'checkout' }] });
+        aws.addLoadBalancer({ LoadBalancerName: 'web-elb' });
+        seiso.create('nodes', { name: 'i-1', tags: { 'AWS Instance ID': 'i-1' } });
+
+        rotationListener = RotationListener({
+          aws: aws,
+          listener: { queue: queue, pollTimeout: 1 },
+          seisoClient: { url: seiso.url, token: 'test', retry: { minDelay: 1 } },
+          feeder: { pollInterval: 3600 }
+        });
+        return Promise.fromCallback(callback => rotationListener.start(callback));
+      });
+  });
+
+  afterEach(function () {
+    return Promise.fromCallback(callback => rotationListener.stop(callback))
+      .then(function () {
+        return seiso.stopAsync();
+      });
+  });
+
+  it('starts, polling the queue', function () {
+    expect(rotationListener.getState()).to.equal('Started');
+    return waitFor(function () {
+      return aws.calls.some(call => call.operation === 'receiveMessage');
     });
   });
+
+  it('rotates instances in and out as they are registered with load balancers', function () {
+    aws.enqueueElbEvent(queue, 'RegisterInstancesWithLoadBalancer', 'web-elb', ['i-1']);
+    return waitFor(() => getRotationStatus('i-1') === 'enabled')
+      .then(function () {
+        aws.enqueueElbEvent(queue, 'DeregisterInstancesFromLoadBalancer', 'web-elb', ['i-1']);
+        return waitFor(() => getRotationStatus('i-1') === 'disabled');
+      })
+      .then(function () {
+        return waitFor(() => aws.getMessages(queue).length === 0);
+      });
+  });
+
+  it('rotates terminated instances out', function () {
+    aws.enqueueElbEvent(queue, 'RegisterInstancesWithLoadBalancer', 'web-elb', ['i-1']);
+    return waitFor(() => getRotationStatus('i-1') === 'enabled')
+      .then(function () {
+        aws.enqueueInstanceStateEvent(queue, 'i-1', 'terminated');
+        return waitFor(() => getRotationStatus('i-1') === 'disabled');
+      });
+  });
 });
 
-configMock = require('../env.conf.js');
+describe('Module Seiso AWS LB Rotation State Listener one-off commands', function () {
+  this.timeout(10000);
+
+  var queue = 'https://sqs.us-west-2.amazonaws.com/123456789012/rotation-events';
+  var aws, seiso, rotationListener;
+
+  beforeEach(function () {
+    aws = new FakeAws();
+    seiso = new FakeSeiso();
+    return seiso.startAsync()
+      .then(function () {
+        aws.addInstance({ InstanceId: 'i-1' });
+        aws.addLoadBalancer({ LoadBalancerName: 'web-elb', InstanceIds: ['i-1'] });
+        var disabled = seiso.list('rotationStatuses', { key: 'disabled' })[0];
+        var loadBalancer = seiso.create('loadBalancers', { name: 'web-elb', type: 'AWS' });
+        var serviceInstance = seiso.create('serviceInstances', { key: 'checkout-prod', loadBalancer: loadBalancer });
+        seiso.create('nodes', { name: 'i-1', serviceInstance: serviceInstance, aggregateRotationStatus: disabled });
+
+        rotationListener = RotationListener({
+          aws: aws,
+          listener: { queue: queue },
+          seisoClient: { url: seiso.url, token: 'test', retry: { minDelay: 1 } }
+        });
+      });
+  });
+
+  afterEach(function () {
+    return seiso.stopAsync();
+  });
+
+  function getRotationStatus(nodeName) {
+    var node = seiso.list('nodes', { name: nodeName })[0];
+    return seiso.get('rotationStatuses', node.aggregateRotationStatus).key;
+  }
+
+  it('reconciles once, without polling the queue', function () {
+    return rotationListener.reconcile({ dryRun: true })
+      .then(function (summaries) {
+        expect(summaries).to.have.length(1);
+        expect(summaries[0]).to.include({ route: 'route-0', dryRun: true, drift: 1 });
+        expect(getRotationStatus('i-1')).to.equal('disabled');
+        return Promise.fromCallback(callback => rotationListener.reconcile(callback));
+      })
+      .then(function (summaries) {
+        expect(summaries[0].changes.map(change => change.desiredStatus)).to.deep.equal(['enabled']);
+        expect(getRotationStatus('i-1')).to.equal('enabled');
+        expect(aws.calls.filter(call => call.service === 'SQS')).to.be.empty;
+        expect(rotationListener.getState()).to.equal('Stopped');
+      });
+  });
+
+  it('compares the rotation status of an instance on AWS and in Seiso', function () {
+    return rotationListener.getInstanceStatus('i-1')
+      .then(function (statuses) {
+        expect(statuses).to.deep.equal([{
+          route: 'route-0',
+          instanceId: 'i-1',
+          state: 'running',
+          loadBalancers: { 'web-elb': true },
+          awsStatus: 'enabled',
+          node: 'i-1',
+          seisoStatus: 'disabled',
+          inSync: false
+        }]);
+        return rotationListener.getInstanceStatus('i-9');
+      })
+      .then(function (statuses) {
+        expect(statuses).to.be.empty;
+      });
+  });
+
+  it('stops the components started when the start fails, so that it can start again', function () {
+    var blocker = net.createServer();
+    var metricsPort;
+    return Promise.fromCallback(callback => blocker.listen(0, callback))
+      .then(function () {
+        // A port which was free, for the metrics server
+        var free = net.createServer();
+        return Promise.fromCallback(callback => free.listen(0, callback))
+          .then(function () {
+            metricsPort = free.address().port;
+            return Promise.fromCallback(callback => free.close(callback));
+          });
+      })
+      .then(function () {
+        rotationListener = RotationListener({
+          aws: aws,
+          listener: { queue: queue, pollTimeout: 1 },
+          seisoClient: { url: seiso.url, token: 'test' },
+          statusServer: { port: blocker.address().port },
+          metrics: { port: metricsPort }
+        });
+        return Promise.fromCallback(callback => rotationListener.start(callback));
+      })
+      .then(function () {
+        throw new Error('Expected a rejection');
+      }, function (err) {
+        expect(err.code).to.equal('EADDRINUSE');
+        expect(rotationListener.getState()).to.equal('Stopped');
+        return Promise.fromCallback(callback => blocker.close(callback));
+      })
+      .then(function () {
+        return Promise.fromCallback(callback => rotationListener.start(callback));
+      })
+      .then(function () {
+        expect(rotationListener.getState()).to.equal('Started');
+        return Promise.fromCallback(callback => rotationListener.stop(callback));
+      });
+  });
+
+  it('reports mappers which cannot be built once running', function () {
+    var config = {
+      aws: aws,
+      listener: { queue: queue },
+      seisoClient: { url: seiso.url, token: 'test' },
+      mapper: { mappings: [{}] },
+      customMappers: [{ name: 'cmdb', mapper: function () { return {}; } }]
+    };
+    expect(RotationListener.validateConfig(config)).to.be.empty;
+    return RotationListener(config).reconcile()
+      .then(function () {
+        throw new Error('Expected a rejection');
+      }, function (err) {
+        expect(err.errors).to.deep.equal([
+          'mapper: Mapping 0 has no propertyName',
+          'customMappers[0]: Custom mapper cmdb has no map method'
+        ]);
+      });
+  });
+
+  it('validates a configuration without connecting', function () {
+    expect(RotationListener.validateConfig({ listener: { queue: queue }, seisoClient: { url: seiso.url, token: 'test' } }))
+      .to.be.empty;
+    expect(RotationListener.validateConfig({ decommission: { policy: 'shred' }, mapper: { mappings: [{ tagName: 7 }] } })).to.deep.equal([
+      'decommission.policy must be one of rotate-out, delete-node, delete-node-and-machine',
+      'mapper.mappings[0].tagName must be a string',
+      'listener.queue is required',
+      'seisoClient.url is required'
+    ]);
+  });
+});
@@ -0,0 +1,483 @@
+var chai = require('chai');
+var sinon = require('sinon');
+var Promise = require('bluebird');
+var expect = chai.expect;
+
+var Listener = require('../listener.js');
+
+function sqsMessage(detail, detailType) {
+  return {
+    ReceiptHandle: 'receipt-1',
+    Body: JSON.stringify({
+      'detail-type': detailType || 'AWS API Call via CloudTrail',
+      region: 'us-west-2',
+      detail: detail
+    })
+  };
+}
+
+function callbackWith(data) {
+  return sinon.spy(function (params, callback) {
+    if (typeof params === 'function') {
+      callback = params;
+      params = {};
+    }
+    callback(null, typeof data === 'function' ? data(params) : data);
+  });
+}
+
+describe('Listener', function () {
+  var aws, sqs, ec2, elb, elbv2, autoScaling, listener;
+
+  beforeEach(function () {
+    sqs = {
+      receiveMessage: sinon.stub(),
+      deleteMessageBatch: callbackWith({ Successful: [], Failed: [] }),
+      changeMessageVisibility: callbackWith({}),
+      getQueueAttributes: callbackWith({ Attributes: {} }),
+      sendMessage: callbackWith({})
+    };
+    ec2 = {
+      describeInstances: callbackWith(function (params) {
+        return {
+          Reservations: [{
+            Instances: params.InstanceIds.map(function (id) {
+              return { InstanceId: id, PrivateDnsName: 'ip-' + id + '.ec2.internal' };
+            })
+          }]
+        };
+      }),
+      describeTags: sinon.stub()
+    };
+    elb = {
+      describeLoadBalancers: callbackWith({
+        LoadBalancerDescriptions: [{ LoadBalancerName: 'web-elb', Instances: [{ InstanceId: 'i-1' }] }]
+      })
+    };
+    elbv2 = {
+      describeTargetGroups: callbackWith({
+        TargetGroups: [{ LoadBalancerArns: ['arn:aws:elasticloadbalancing:us-west-2:1:loadbalancer/app/web-alb/1'] }]
+      }),
+      describeLoadBalancers: callbackWith({
+        LoadBalancers: [{ LoadBalancerName: 'web-alb' }]
+      })
+    };
+    autoScaling = {
+      describeAutoScalingInstances: callbackWith({ AutoScalingInstances: [] }),
+      describeAutoScalingGroups: callbackWith({
+        AutoScalingGroups: [{
+          Instances: [
+            { InstanceId: 'i-1', LifecycleState: 'InService' },
+            { InstanceId: 'i-2', LifecycleState: 'Pending' }
+          ]
+        }]
+      }),
+      describeLoadBalancers: callbackWith({
+        LoadBalancers: [{ LoadBalancerName: 'web-elb', State: 'InService' }]
+      }),
+      describeLoadBalancerTargetGroups: callbackWith({ LoadBalancerTargetGroups: [] })
+    };
+    aws = {
+      SQS: function () { return sqs; },
+      EC2: function () { return ec2; },
+      ELB: function () { return elb; },
+      ELBv2: function () { return elbv2; },
+      AutoScaling: function () { return autoScaling; }
+    };
+    listener = new Listener(aws, { queue: 'https://sqs.us-west-2.amazonaws.com/1/queue' });
+  });
+
+  describe('classic load balancer events', function () {
+    it('emits instance-rotate-in on RegisterInstancesWithLoadBalancer', function () {
+      var rotateIn = sinon.spy();
+      listener.on('instance-rotate-in', rotateIn);
+      return listener.processMessage(sqsMessage({
+        eventName: 'RegisterInstancesWithLoadBalancer',
+        requestParameters: { loadBalancerName: 'web-elb', instances: [{ instanceId: 'i-1' }] }
+      })).then(function () {
+        expect(rotateIn.calledOnce).is.true;
+        var event = rotateIn.firstCall.args[0];
+        expect(event.deletionToken).to.equal('receipt-1');
+        expect(event.loadBalancers).to.deep.equal(['web-elb']);
+        expect(event.instances[0].InstanceId).to.equal('i-1');
+        expect(event.instances[0].region).to.equal('us-west-2');
+      });
+    });
+
+    it('emits instance-rotate-out on DeregisterInstancesFromLoadBalancer', function () {
+      var rotateOut = sinon.spy();
+      listener.on('instance-rotate-out', rotateOut);
+      return listener.processMessage(sqsMessage({
+        eventName: 'DeregisterInstancesFromLoadBalancer',
+        requestParameters: { loadBalancerName: 'web-elb', instances: [{ instanceId: 'i-1' }] }
+      })).then(function () {
+        expect(rotateOut.calledOnce).is.true;
+      });
+    });
+
+    it('discards events without load balancer or instances', function () {
+      var rotateIn = sinon.spy();
+      listener.on('instance-rotate-in', rotateIn);
+      return Promise.all([null, { loadBalancerName: 'web-elb', instances: [] }, { loadBalancerName: 'web-elb', instances: [{}] }]
+        .map(function (requestParameters) {
+          return listener.processMessage(sqsMessage({
+            eventName: 'RegisterInstancesWithLoadBalancer',
+            requestParameters: requestParameters
+          }));
+        }))
+        .then(function () {
+          expect(rotateIn.called).is.false;
+          expect(listener.getStatus().discarded).to.equal(3);
+        });
+    });
+  });
+
+  describe('application/network load balancer events', function () {
+    it('resolves the target group and emits instance-rotate-in on RegisterTargets', function () {
+      var rotateIn = sinon.spy();
+      listener.on('instance-rotate-in', rotateIn);
+      return listener.processMessage(sqsMessage({
+        eventName: 'RegisterTargets',
+        requestParameters: {
+          targetGroupArn: 'arn:aws:elasticloadbalancing:us-west-2:1:targetgroup/web/1',
+          targets: [{ id: 'i-1', port: 80 }, { id: 'i-2', port: 80 }]
+        }
+      })).then(function () {
+        expect(elbv2.describeTargetGroups.firstCall.args[0].TargetGroupArns)
+          .to.deep.equal(['arn:aws:elasticloadbalancing:us-west-2:1:targetgroup/web/1']);
+        var event = rotateIn.firstCall.args[0];
+        expect(event.loadBalancers).to.deep.equal(['web-alb']);
+        expect(event.instances.map(function (i) { return i.InstanceId; })).to.deep.equal(['i-1', 'i-2']);
+      });
+    });
+
+    it('emits instance-rotate-out on DeregisterTargets', function () {
+      var rotateOut = sinon.spy();
+      listener.on('instance-rotate-out', rotateOut);
+      return listener.processMessage(sqsMessage({
+        eventName: 'DeregisterTargets',
+        requestParameters: {
+          targetGroupArn: 'arn:aws:elasticloadbalancing:us-west-2:1:targetgroup/web/1',
+          targets: [{ id: 'i-1' }]
+        }
+      })).then(function () {
+        expect(rotateOut.calledOnce).is.true;
+      });
+    });
+
+    it('skips and deletes events with only IP targets', function () {
+      var rotateIn = sinon.spy();
+      listener.on('instance-rotate-in', rotateIn);
+      return listener.processMessage(sqsMessage({
+        eventName: 'RegisterTargets',
+        requestParameters: {
+          targetGroupArn: 'arn:aws:elasticloadbalancing:us-west-2:1:targetgroup/web/1',
+          targets: [{ id: '10.0.0.1', port: 80 }]
+        }
+      })).then(function () {
+        expect(rotateIn.called).is.false;
+        expect(sqs.deleteMessageBatch.calledOnce).is.true;
+      });
+    });
+  });
+
+  describe('auto scaling events', function () {
+    function autoScalingCall(eventName, requestParameters) {
+      requestParameters.autoScalingGroupName = 'web-asg';
+      return sqsMessage({
+        eventSource: 'autoscaling.amazonaws.com',
+        eventName: eventName,
+        requestParameters: requestParameters
+      });
+    }
+
+    it('rotates in a successfully launched instance of a load balanced group', function () {
+      var rotateIn = sinon.spy();
+      listener.on('instance-rotate-in', rotateIn);
+      return listener.processMessage(sqsMessage({
+        AutoScalingGroupName: 'web-asg',
+        EC2InstanceId: 'i-3'
+      }, 'EC2 Instance Launch Successful')).then(function () {
+        var event = rotateIn.firstCall.args[0];
+        expect(event.loadBalancers).to.deep.equal(['web-elb']);
+        expect(event.instances[0].InstanceId).to.equal('i-3');
+      });
+    });
+
+    it('rotates out a terminated instance', function () {
+      var rotateOut = sinon.spy();
+      listener.on('instance-rotate-out', rotateOut);
+      return listener.processMessage(sqsMessage({
+        AutoScalingGroupName: 'web-asg',
+        EC2InstanceId: 'i-3'
+      }, 'EC2 Instance Terminate Successful')).then(function () {
+        expect(rotateOut.calledOnce).is.true;
+      });
+    });
+
+    it('rotates in the in-service instances of a group on AttachLoadBalancers', function () {
+      var rotateIn = sinon.spy();
+      listener.on('instance-rotate-in', rotateIn);
+      return listener.processMessage(autoScalingCall('AttachLoadBalancers', {
+        loadBalancerNames: ['web-elb']
+      })).then(function () {
+        var event = rotateIn.firstCall.args[0];
+        expect(event.instances.map(function (i) { return i.InstanceId; })).to.deep.equal(['i-1']);
+      });
+    });
+
+    it('keeps group instances in rotation while another load balancer remains', function () {
+      var rotateOut = sinon.spy();
+      listener.on('instance-rotate-out', rotateOut);
+      return listener.processMessage(autoScalingCall('DetachLoadBalancers', {
+        loadBalancerNames: ['old-elb']
+      })).then(function () {
+        expect(rotateOut.called).is.false;
+        expect(sqs.deleteMessageBatch.calledOnce).is.true;
+      });
+    });
+
+    it('rotates out instances entering standby', function () {
+      var rotateOut = sinon.spy();
+      listener.on('instance-rotate-out', rotateOut);
+      return listener.processMessage(autoScalingCall('EnterStandby', {
+        instanceIds: ['i-1']
+      })).then(function () {
+        expect(rotateOut.firstCall.args[0].instances[0].InstanceId).to.equal('i-1');
+      });
+    });
+
+    it('skips groups which are not load balanced', function () {
+      var rotateOut = sinon.spy();
+      autoScaling.describeLoadBalancers = callbackWith({ LoadBalancers: [] });
+      listener = new Listener(aws, { queue: 'https://sqs.us-west-2.amazonaws.com/1/queue' });
+      listener.on('instance-rotate-out', rotateOut);
+      return listener.processMessage(autoScalingCall('DetachInstances', {
+        instanceIds: ['i-1']
+      })).then(function () {
+        expect(rotateOut.called).is.false;
+        expect(sqs.deleteMessageBatch.calledOnce).is.true;
+      });
+    });
+
+    it('resolves load balancers of autoscaled instances', function () {
+      autoScaling.describeAutoScalingInstances = callbackWith({
+        AutoScalingInstances: [{ AutoScalingGroupName: 'web-asg' }]
+      });
+      listener = new Listener(aws, { queue: 'https://sqs.us-west-2.amazonaws.com/1/queue' });
+      return listener.resolveLoadBalancer('i-1').then(function (loadBalancers) {
+        expect(loadBalancers).to.deep.equal(['web-elb']);
+      });
+    });
+  });
+
+  describe('instance state events', function () {
+    it('reports stopped instances as unavailable', function () {
+      var unavailable = sinon.spy();
+      listener.on('instance-unavailable', unavailable);
+      return listener.processMessage(sqsMessage({
+        'instance-id': 'i-1',
+        state: 'stopped'
+      }, 'EC2 Instance State-change Notification')).then(function () {
+        var event = unavailable.firstCall.args[0];
+        expect(event.reason).to.equal('stopped');
+        expect(event.instances[0].InstanceId).to.equal('i-1');
+      });
+    });
+
+    it('re-evaluates running instances', function () {
+      var reevaluate = sinon.spy();
+      listener.on('instance-reevaluate', reevaluate);
+      return listener.processMessage(sqsMessage({
+        'instance-id': 'i-1',
+        state: 'running'
+      }, 'EC2 Instance State-change Notification')).then(function () {
+        expect(reevaluate.firstCall.args[0].instanceIds).to.deep.equal(['i-1']);
+      });
+    });
+
+    it('reports instances failing status checks as unavailable', function () {
+      var unavailable = sinon.spy();
+      listener.on('instance-unavailable', unavailable);
+      return listener.processMessage({
+        ReceiptHandle: 'receipt-1',
+        Body: JSON.stringify({
+          Message: JSON.stringify({
+            AlarmName: 'web-status-check',
+            NewStateValue: 'ALARM',
+            Trigger: {
+              MetricName: 'StatusCheckFailed',
+              Dimensions: [{ name: 'InstanceId', value: 'i-1' }]
+            }
+          })
+        })
+      }).then(function () {
+        expect(unavailable.firstCall.args[0].reason).to.equal('status-check-failed');
+      });
+    });
+  });
+
+  it('deletes unsupported events', function () {
+    return listener.processMessage(sqsMessage({ eventName: 'CreateLoadBalancer', requestParameters: {} }))
+      .then(function () {
+        expect(sqs.deleteMessageBatch.calledOnce).is.true;
+        expect(sqs.deleteMessageBatch.firstCall.args[0].Entries[0].ReceiptHandle).to.equal('receipt-1');
+      });
+  });
+
+  describe('failed messages', function () {
+    function receive(receiveCount) {
+      var message = {
+        MessageId: 'message-1',
+        ReceiptHandle: 'receipt-1',
+        Body: '{"detail-type":"AWS API Call via CloudTrail"}',
+        Attributes: { ApproximateReceiveCount: String(receiveCount) }
+      };
+      listener.inFlight[message.ReceiptHandle] = message;
+      listener.inFlightCount++;
+      return message;
+    }
+
+    beforeEach(function () {
+      listener = new Listener(aws, {
+        queue: 'https://sqs.us-west-2.amazonaws.com/1/queue',
+        maxReceiveCount: 3,
+        retryDelay: 10,
+        deadLetter: { queue: 'https://sqs.us-west-2.amazonaws.com/1/dead-letters' }
+      });
+    });
+
+    it('delays retries exponentially', function () {
+      receive(2);
+      return listener.failMessage('receipt-1', new Error('Seiso unavailable')).then(function () {
+        var params = sqs.changeMessageVisibility.firstCall.args[0];
+        expect(params.ReceiptHandle).to.equal('receipt-1');
+        expect(params.VisibilityTimeout).to.equal(20);
+        expect(listener.inFlightCount).to.equal(0);
+        expect(listener.getStatus().failed).to.equal(1);
+        expect(sqs.sendMessage.called).is.false;
+      });
+    });
+
+    it('sends the message to the dead-letter queue once retries are exhausted', function () {
+      receive(3);
+      return listener.failMessage('receipt-1', new Error('Seiso unavailable')).then(function () {
+        var params = sqs.sendMessage.firstCall.args[0];
+        expect(params.QueueUrl).to.equal('https://sqs.us-west-2.amazonaws.com/1/dead-letters');
+        expect(params.MessageBody).to.equal('{"detail-type":"AWS API Call via CloudTrail"}');
+        expect(params.MessageAttributes.FailureReason.StringValue).to.equal('Seiso unavailable');
+        expect(sqs.deleteMessageBatch.calledOnce).is.true;
+        expect(sqs.changeMessageVisibility.called).is.false;
+      });
+    });
+
+    it('retries instead of dead-lettering messages while paused', function () {
+      receive(3);
+      listener.pause('Seiso unavailable');
+      return listener.failMessage('receipt-1', new Error('Seiso unavailable')).then(function () {
+        expect(sqs.changeMessageVisibility.calledOnce).is.true;
+        expect(sqs.sendMessage.called).is.false;
+        expect(listener.getStatus().paused).is.true;
+      });
+    });
+
+    it('dead-letters invalid events on their first receive', function () {
+      var message = receive(1);
+      message.Body = sqsMessage({ eventName: 'RegisterInstancesWithLoadBalancer', requestParameters: {} }).Body;
+      return listener.processMessage(message).then(function () {
+        expect(sqs.sendMessage.firstCall.args[0].MessageAttributes.FailureReason.StringValue)
+          .to.equal('LB Registration event does not contain valid data');
+        expect(sqs.deleteMessageBatch.calledOnce).is.true;
+        expect(sqs.changeMessageVisibility.called).is.false;
+        expect(listener.getStatus().deadLettered).to.equal(1);
+      });
+    });
+
+    it('dead-letters messages which cannot be parsed', function () {
+      var message = receive(1);
+      message.Body = 'not json';
+      return listener.processMessage(message).then(function () {
+        expect(sqs.sendMessage.firstCall.args[0].MessageAttributes.FailureReason.StringValue)
+          .to.contain('Failed to parse message');
+        expect(sqs.deleteMessageBatch.calledOnce).is.true;
+      });
+    });
+  });
+
+  describe('batch processing', function () {
+    function messages(count) {
+      var batch = [];
+      for (var i = 0; i < count; i++) {
+        batch.push({
+          ReceiptHandle: 'receipt-' + i,
+          Body: JSON.stringify({ 'detail-type': 'Unsupported' })
+        });
+      }
+      return batch;
+    }
+
+    it('deletes messages in batches of up to 10', function () {
+      return Promise.all(messages(12).map(function (message) {
+        return listener.processMessage(message);
+      })).then(function () {
+        var batches = sqs.deleteMessageBatch.args.map(function (args) {
+          return args[0].Entries.length;
+        });
+        expect(batches).to.deep.equal([10, 2]);
+      });
+    });
+
+    it('receives no more messages than the concurrency limit allows', function (done) {
+      sqs.receiveMessage = sinon.spy(function (params, callback) {
+        var data = sqs.receiveMessage.callCount === 1 ? { Messages: messages(3) } : {};
+        setTimeout(callback.bind(null, null, data), 5);
+      });
+      listener = new Listener(aws, {
+        queue: 'https://sqs.us-west-2.amazonaws.com/1/queue',
+        batchSize: 10,
+        concurrency: 3
+      });
+      listener.processMessage = sinon.spy(function () {});
+
+      listener.start();
+      setTimeout(function () {
+        expect(sqs.receiveMessage.firstCall.args[0].MaxNumberOfMessages).to.equal(3);
+        expect(sqs.receiveMessage.calledOnce).is.true;
+        expect(listener.processMessage.callCount).to.equal(3);
+
+        listener.once('stopped', function () {
+          expect(sqs.receiveMessage.secondCall.args[0].MaxNumberOfMessages).to.equal(1);
+          done();
+        });
+        listener.failMessage('receipt-0', new Error('failed')).then(function () {
+          setTimeout(function () {
+            listener.stop();
+            listener.deleteMessage('receipt-1');
+            listener.deleteMessage('receipt-2');
+          }, 1);
+        });
+      }, 20);
+    });
+
+    it('does not receive messages while paused', function (done) {
+      sqs.receiveMessage = sinon.spy(function (params, callback) {
+        setTimeout(callback.bind(null, null, {}), 5);
+      });
+      listener = new Listener(aws, { queue: 'https://sqs.us-west-2.amazonaws.com/1/queue' });
+      listener.pause('Seiso unavailable');
+
+      listener.start();
+      setTimeout(function () {
+        expect(sqs.receiveMessage.called).is.false;
+        listener.resume('Seiso unavailable');
+        setTimeout(function () {
+          expect(sqs.receiveMessage.called).is.true;
+          listener.once('stopped', function () {
+            done();
+          });
+          listener.stop();
+        }, 1);
+      }, 10);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+var chai = require('chai');
+var sinon = require('sinon');
+var expect = chai.expect;
+var PassThrough = require('stream').PassThrough;
+
+var logger = require('../logger.js');
+var setup = require('./setup.js');
+
+describe('Logger', function () {
+  var stream, lines;
+
+  beforeEach(function () {
+    lines = [];
+    stream = new PassThrough();
+    stream.write = function (chunk) {
+      lines.push(JSON.parse(chunk));
+      return true;
+    };
+    logger.configure({ stream: stream });
+  });
+
+  afterEach(function () {
+    setup.silence();
+  });
+
+  it('writes JSON lines with the component, level and correlation fields', function () {
+    logger.getLogger('listener').child({ messageId: 'm-1' }).info('Message received', { instanceId: 'i-1' });
+    expect(lines).to.have.length(1);
+    expect(lines[0]).to.include({
+      level: 'info',
+      component: 'listener',
+      messageId: 'm-1',
+      instanceId: 'i-1',
+      msg: 'Message received'
+    });
+    expect(lines[0].time).to.be.a('string');
+  });
+
+  it('skips entries below the configured level', function () {
+    logger.configure({ stream: stream, level: 'warn' });
+    var log = logger.getLogger('feeder');
+    log.info('Not logged');
+    log.error('Logged', new Error('Failed'));
+    expect(lines).to.have.length(1);
+    expect(lines[0].err.message).to.equal('Failed');
+  });
+
+  it('redacts credentials at any depth', function () {
+    logger.getLogger('seisoClient').info('Connecting', {
+      config: { url: 'https://seiso/api', password: 'secret', headers: { Authorization: 'Basic abc' } },
+      credentials: { accessKeyId: 'key' }
+    });
+    expect(lines[0].config).to.deep.equal({
+      url: 'https://seiso/api',
+      password: '[REDACTED]',
+      headers: { Authorization: '[REDACTED]' }
+    });
+    expect(lines[0].credentials).to.equal('[REDACTED]');
+  });
+
+  it('passes entries to a configured logger', function () {
+    var sink = { debug: sinon.spy(), info: sinon.spy(), warn: sinon.spy(), error: sinon.spy() };
+    logger.configure(sink);
+    logger.getLogger('orchestrator').debug('Message received', { token: 'abc' });
+    expect(sink.debug.calledWith({ component: 'orchestrator', token: '[REDACTED]' }, 'Message received')).is.true;
+    expect(lines).to.have.length(0);
+  });
+});
@@ -0,0 +1,68 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var Mapper = require('../mapper.js');
+
+describe('Mapper', function () {
+  var instance = {
+    InstanceId: 'i-1',
+    PrivateDnsName: 'ip-10-0-0-1.us-west-2.compute.internal',
+    PrivateIpAddress: '10.0.0.1',
+    InstanceType: 'm5.large',
+    Placement: { AvailabilityZone: 'us-west-2a' },
+    Tags: [
+      { Key: 'Service', Value: 'checkout' },
+      { Key: 'Environment', Value: 'prod' },
+      { Key: 'Stage', Value: ' PROD ' },
+      { Key: 'Owners', Value: 'ops, payments' }
+    ]
+  };
+
+  describe('instanceToNode', function () {
+    it('maps the service, environment and ports tags', function () {
+      var node = new Mapper().instanceToNode(instance);
+      expect(node).to.include({ name: 'i-1', service: 'checkout', environment: 'prod', ipAddress: '10.0.0.1' });
+      expect(node.ports).to.deep.equal([80]);
+    });
+
+    it('still reads the misspelt seviceTagKey option', function () {
+      var node = new Mapper({ seviceTagKey: 'Stage' }).instanceToNode(instance);
+      expect(node.service).to.equal(' PROD ');
+    });
+
+    it('maps tags and attributes to node fields, with transforms, values and defaults', function () {
+      var mapper = new Mapper({
+        mappings: [
+          { tagName: 'Stage', propertyName: 'environmentType', transform: ['trim', 'lowercase'], values: { prod: 'production' } },
+          { tagName: 'Owners', propertyName: 'tags.Owners', transform: 'list' },
+          { tagName: 'Team', propertyName: 'tags.Team', default: 'unknown' },
+          { attribute: 'Placement.AvailabilityZone', propertyName: 'dataCenter' },
+          { attribute: 'InstanceType', propertyName: 'machine.instanceType', transform: value => value.split('.')[0] }
+        ]
+      });
+      var node = mapper.instanceToNode(instance);
+      expect(node.environmentType).to.equal('production');
+      expect(node.dataCenter).to.equal('us-west-2a');
+      expect(node.machine).to.deep.equal({ instanceType: 'm5' });
+      expect(node.tags).to.deep.equal({ 'AWS Instance ID': 'i-1', Owners: ['ops', 'payments'], Team: 'unknown' });
+    });
+
+    it('accepts an Array of mappings', function () {
+      var node = new Mapper([{ tagName: 'Environment', propertyName: 'environmentType', transform: 'uppercase' }])
+        .instanceToNode(instance);
+      expect(node.environmentType).to.equal('PROD');
+    });
+
+    it('rejects invalid mappings', function () {
+      expect(function () {
+        new Mapper([{ tagName: 'Stage' }]);
+      }).to.throw('Mapping 0 has no propertyName');
+      expect(function () {
+        new Mapper([{ tagName: 'Stage', attribute: 'VpcId', propertyName: 'environmentType' }]);
+      }).to.throw(/either a tagName or an attribute/);
+      expect(function () {
+        new Mapper([{ tagName: 'Stage', propertyName: 'environmentType', transform: 'reverse' }]);
+      }).to.throw(/unknown transform reverse/);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+var chai = require('chai');
+var http = require('http');
+var expect = chai.expect;
+
+var metrics = require('../metrics.js');
+
+describe('Metrics', function () {
+  var registry;
+
+  beforeEach(function () {
+    registry = new metrics.Registry();
+  });
+
+  it('renders counters by label values', function () {
+    var receives = registry.counter('sqs_receives_total', 'SQS receive requests', ['queue', 'outcome']);
+    receives.inc({ queue: 'events', outcome: 'success' });
+    receives.inc({ queue: 'events', outcome: 'success' }, 2);
+    receives.inc({ queue: 'events', outcome: 'error' });
+
+    expect(registry.render()).to.equal([
+      '# HELP sqs_receives_total SQS receive requests',
+      '# TYPE sqs_receives_total counter',
+      'sqs_receives_total{queue="events",outcome="success"} 3',
+      'sqs_receives_total{queue="events",outcome="error"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('renders cumulative histogram buckets', function () {
+    var latency = registry.histogram('request_duration_seconds', 'Request latency', ['resource'], [0.1, 1]);
+    latency.observe({ resource: 'nodes' }, 0.05);
+    latency.observe({ resource: 'nodes' }, 0.5);
+    latency.observe({ resource: 'nodes' }, 5);
+
+    var text = registry.render();
+    expect(text).to.contain('request_duration_seconds_bucket{resource="nodes",le="0.1"} 1\n');
+    expect(text).to.contain('request_duration_seconds_bucket{resource="nodes",le="1"} 2\n');
+    expect(text).to.contain('request_duration_seconds_bucket{resource="nodes",le="+Inf"} 3\n');
+    expect(text).to.contain('request_duration_seconds_count{resource="nodes"} 3\n');
+  });
+
+  it('returns the registered metric for a known name', function () {
+    var counter = registry.counter('events_total', 'Events');
+    expect(registry.counter('events_total', 'Events')).to.equal(counter);
+    expect(function () {
+      registry.gauge('events_total', 'Events');
+    }).to.throw('already registered');
+  });
+
+  it('serves metrics in the Prometheus text format', function () {
+    registry.gauge('in_flight', 'Messages in flight').set({}, 4);
+    var server = new metrics.MetricsServer({ port: 0, host: '127.0.0.1' }, registry);
+    return server.startAsync()
+      .then(function () {
+        return new Promise(function (resolve, reject) {
+          http.get({ port: server.server.address().port, path: '/metrics' }, function (response) {
+            var body = '';
+            response.on('data', function (chunk) { body += chunk; });
+            response.on('end', function () { resolve(body); });
+          }).on('error', reject);
+        });
+      })
+      .then(function (body) {
+        expect(body).to.contain('in_flight 4\n');
+        return server.stopAsync();
+      });
+  });
+});
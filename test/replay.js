@@ -0,0 +1,154 @@
+var chai = require('chai');
+var Promise = require('bluebird');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var expect = chai.expect;
+
+var Replay = require('../replay.js');
+var RotationListener = require('../index.js');
+var FakeAws = require('../testing/fakeAws.js');
+var FakeSeiso = require('../testing/fakeSeiso.js');
+
+describe('Replay', function () {
+  var aws, directory;
+
+  function elbEvent(eventName, instanceIds, time) {
+    var event = aws.createEvent('AWS API Call via CloudTrail', {
+      eventSource: 'elasticloadbalancing.amazonaws.com',
+      eventName: eventName,
+      requestParameters: {
+        loadBalancerName: 'web-elb',
+        instances: instanceIds.map(instanceId => ({ instanceId: instanceId }))
+      }
+    });
+    event.time = time;
+    return event;
+  }
+
+  function write(name, text) {
+    fs.writeFileSync(path.join(directory, name), text);
+  }
+
+  beforeEach(function () {
+    aws = new FakeAws();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+  });
+
+  afterEach(function () {
+    fs.readdirSync(directory).forEach(name => fs.unlinkSync(path.join(directory, name)));
+    fs.rmdirSync(directory);
+  });
+
+  describe('readMessagesAsync', function () {
+    it('reads SQS messages, SNS notifications, events and dead letters, as documents or lines', function () {
+      var event = elbEvent('RegisterInstancesWithLoadBalancer', ['i-1'], '2016-05-01T10:00:00Z');
+      write('a.json', JSON.stringify([
+        { MessageId: 'sqs-1', ReceiptHandle: 'old', Body: JSON.stringify(event) },
+        { Type: 'Notification', MessageId: 'sns-1', Message: JSON.stringify(event) }
+      ]));
+      write('b.jsonl', JSON.stringify(event) + '\n\n' +
+        JSON.stringify({ messageId: 'dead-1', reason: 'Timeout', body: JSON.stringify(event) }) + '\n');
+      write('ignored.log', 'not events');
+
+      return Replay.readMessagesAsync(directory, { sort: false })
+        .then(function (messages) {
+          expect(messages.map(message => message.MessageId)).to.deep.equal(['sqs-1', 'sns-1', event.id, 'dead-1']);
+          expect(messages.map(message => message.ReceiptHandle)).to.deep.equal(['replay-0', 'replay-1', 'replay-2', 'replay-3']);
+          expect(JSON.parse(messages[1].Body).Type).to.equal('Notification');
+          expect(JSON.parse(messages[3].Body)).to.deep.equal(event);
+        });
+    });
+
+    it('orders messages by event time, keeping messages without a time in place', function () {
+      var messages = [
+        { Body: JSON.stringify({ time: '2016-05-01T10:02:00Z' }) },
+        { Body: 'not JSON' },
+        { Body: JSON.stringify({ detail: { eventTime: '2016-05-01T10:01:00Z' } }) },
+        { Body: JSON.stringify({ Message: JSON.stringify({ AlarmName: 'a' }), Timestamp: '2016-05-01T10:00:00Z' }) }
+      ];
+      expect(Replay.sortMessages(messages)).to.deep.equal([messages[3], messages[2], messages[0], messages[1]]);
+    });
+
+    it('names the file and line of invalid JSON', function () {
+      write('bad.jsonl', '{"time": "2016-05-01T10:00:00Z"}\n{oops\n');
+      return Replay.readMessagesAsync(path.join(directory, 'bad.jsonl')).catch(err => err)
+        .then(function (err) {
+          expect(err.message).to.match(/bad\.jsonl line 2/);
+        });
+    });
+  });
+
+  describe('service replay', function () {
+    this.timeout(10000);
+
+    var queue = 'https://sqs.us-west-2.amazonaws.com/123456789012/rotation-events';
+    var seiso, service;
+
+    function getRotationStatus(nodeName) {
+      var node = seiso.list('nodes', { name: nodeName })[0];
+      var rotationStatus = node && node.aggregateRotationStatus && seiso.get('rotationStatuses', node.aggregateRotationStatus);
+      return rotationStatus ? rotationStatus.key : null;
+    }
+
+    beforeEach(function () {
+      seiso = new FakeSeiso();
+      return seiso.startAsync()
+        .then(function () {
+          aws.addInstance({ InstanceId: 'i-1' });
+          aws.addLoadBalancer({ LoadBalancerName: 'web-elb', InstanceIds: ['i-1'] });
+          seiso.create('nodes', { name: 'i-1', tags: { 'AWS Instance ID': 'i-1' } });
+
+          service = RotationListener({
+            aws: aws,
+            listener: { queue: queue, pollTimeout: 1 },
+            seisoClient: { url: seiso.url, token: 'test', retry: { minDelay: 1 } },
+            feeder: { pollInterval: 3600 }
+          });
+          // Captured out of order: the node ends up rotated out
+          write('events.json', JSON.stringify([
+            elbEvent('DeregisterInstancesFromLoadBalancer', ['i-1'], '2016-05-01T10:05:00Z'),
+            elbEvent('RegisterInstancesWithLoadBalancer', ['i-1'], '2016-05-01T10:00:00Z')
+          ]));
+        });
+    });
+
+    afterEach(function () {
+      return seiso.stopAsync();
+    });
+
+    it('replays events in time order, without touching the queue', function () {
+      return service.replay(directory)
+        .then(function (summary) {
+          expect(summary).to.include({ dryRun: false, messages: 2, processed: 2, failed: 0, discarded: 0 });
+          expect(summary.changes.map(change => [change.node, change.currentStatus, change.desiredStatus])).to.deep.equal([
+            ['i-1', null, 'enabled'],
+            ['i-1', 'enabled', 'disabled']
+          ]);
+          expect(getRotationStatus('i-1')).to.equal('disabled');
+          expect(aws.calls.filter(call => call.service === 'SQS')).to.be.empty;
+          expect(service.getState()).to.equal('Stopped');
+        });
+    });
+
+    it('reports changes without making them in dry-run', function () {
+      return Promise.fromCallback(callback => service.replay(path.join(directory, 'events.json'), { dryRun: true }, callback))
+        .then(function (summary) {
+          expect(summary.dryRun).to.equal(true);
+          expect(summary.changes.map(change => change.desiredStatus)).to.deep.equal(['enabled', 'disabled']);
+          expect(getRotationStatus('i-1')).to.equal(null);
+          expect(seiso.requests.filter(request => request.method === 'PATCH')).to.be.empty;
+        });
+    });
+
+    it('counts the events which fail, or cannot be parsed', function () {
+      write('more.jsonl', JSON.stringify(elbEvent('RegisterInstancesWithLoadBalancer', ['i-9'], '2016-05-01T10:10:00Z')) + '\n' +
+        JSON.stringify({ MessageId: 'garbled', Body: '{' }) + '\n');
+      return service.replay(directory)
+        .then(function (summary) {
+          expect(summary).to.include({ messages: 4, processed: 2, failed: 1, discarded: 1 });
+          expect(summary.errors.map(error => error.outcome)).to.deep.equal(['failed', 'discarded']);
+        });
+    });
+  });
+});
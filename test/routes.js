@@ -0,0 +1,76 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var Routes = require('../routes.js');
+
+describe('Routes', function () {
+  describe('normalizeRoutes', function () {
+    it('makes a single route of a configuration without routes', function () {
+      var routes = Routes.normalizeRoutes({
+        listener: { queue: 'https://sqs.us-west-2.amazonaws.com/1/queue' },
+        seisoClient: { url: 'https://seiso/api' }
+      });
+      expect(routes).to.have.length(1);
+      expect(routes[0].listener.queue).to.equal('https://sqs.us-west-2.amazonaws.com/1/queue');
+      expect(routes[0].seisoClient.url).to.equal('https://seiso/api');
+      expect(routes[0].filter).to.deep.equal({});
+    });
+
+    it('defaults route settings to the top-level configuration', function () {
+      var routes = Routes.normalizeRoutes({
+        listener: { queue: 'https://sqs.us-west-2.amazonaws.com/1/queue' },
+        feeder: { dryRun: true },
+        routes: [
+          { name: 'prod', seisoClient: { url: 'https://seiso-prod/api' }, filter: { tags: { Environment: 'prod' } } },
+          { name: 'test', seisoClient: { url: 'https://seiso-test/api' }, filter: { tags: { Environment: 'test' } } }
+        ]
+      });
+      expect(routes.map(function (route) { return route.name; })).to.deep.equal(['prod', 'test']);
+      expect(routes[1].listener.queue).to.equal('https://sqs.us-west-2.amazonaws.com/1/queue');
+      expect(routes[1].feeder.dryRun).is.true;
+    });
+
+    it('merges route decommission settings over the top-level ones', function () {
+      var routes = Routes.normalizeRoutes({
+        listener: { queue: 'https://sqs.us-west-2.amazonaws.com/1/queue' },
+        decommission: { policy: 'delete-node', gracePeriod: 600 },
+        routes: [
+          { name: 'prod', seisoClient: {} },
+          { name: 'test', seisoClient: {}, decommission: { gracePeriod: 0 } }
+        ]
+      });
+      expect(routes[0].decommission).to.deep.equal({ policy: 'delete-node', gracePeriod: 600 });
+      expect(routes[1].decommission).to.deep.equal({ policy: 'delete-node', gracePeriod: 0 });
+    });
+
+    it('rejects routes without a queue', function () {
+      expect(function () {
+        Routes.normalizeRoutes({ routes: [{ name: 'prod', seisoClient: {} }] });
+      }).to.throw('Route prod has no listener queue');
+    });
+  });
+
+  describe('matchesFilter', function () {
+    var instance = {
+      InstanceId: 'i-1',
+      account: '123456789012',
+      region: 'us-west-2',
+      Tags: [{ Key: 'Environment', Value: 'prod' }]
+    };
+
+    it('matches any instance with an empty filter', function () {
+      expect(Routes.matchesFilter({}, instance)).is.true;
+    });
+
+    it('matches on account, region and tags', function () {
+      expect(Routes.matchesFilter({
+        account: 123456789012,
+        region: ['us-east-1', 'us-west-2'],
+        tags: { Environment: 'prod' }
+      }, instance)).is.true;
+      expect(Routes.matchesFilter({ region: 'us-east-1' }, instance)).is.false;
+      expect(Routes.matchesFilter({ tags: { Environment: 'test' } }, instance)).is.false;
+      expect(Routes.matchesFilter({ tags: { Datacenter: 'dc1' } }, instance)).is.false;
+    });
+  });
+});
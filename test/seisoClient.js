@@ -0,0 +1,403 @@
+var chai = require('chai');
+var sinon = require('sinon');
+var mockery = require('mockery');
+var Promise = require('bluebird');
+var expect = chai.expect;
+
+var logger = require('../logger.js');
+
+var SEISO_URL = 'https://seiso/api';
+
+function page(resource, items, number, totalPages) {
+  var body = {
+    _embedded: {},
+    _links: { self: { href: SEISO_URL + '/' + resource + '?page=' + number } },
+    page: { size: items.length, number: number, totalPages: totalPages, totalElements: totalPages * items.length }
+  };
+  body._embedded[resource] = items;
+  if (number + 1 < totalPages) {
+    body._links.next = { href: SEISO_URL + '/' + resource + '?page=' + (number + 1) + '&size=2' };
+  }
+  return { statusCode: 200, body: JSON.stringify(body) };
+}
+
+describe('SeisoClient', function () {
+  var request, respond, SeisoClient, client;
+
+  function respondWithPages(options) {
+    var url = options.url.split('?');
+    var resource = url[0].slice(SEISO_URL.length + 1);
+    var number = Number((/page=(\d+)/.exec(url[1]) || [])[1] || 0);
+    if (resource === 'nodes') {
+      return Promise.resolve(page('nodes', [{ name: 'node' + (number * 2) }, { name: 'node' + (number * 2 + 1) }], number, 3));
+    }
+    return Promise.resolve(page(resource, [], 0, 1));
+  }
+
+  before(function () {
+    mockery.enable({ useCleanCache: true, warnOnUnregistered: false });
+  });
+
+  after(function () {
+    mockery.disable();
+  });
+
+  beforeEach(function () {
+    respond = respondWithPages;
+    request = sinon.spy(function (options) {
+      return respond(options);
+    });
+    mockery.registerMock('request-promise', request);
+    // Modules are loaded afresh, but log through the logger silenced for tests
+    mockery.registerMock('./logger', logger);
+    mockery.resetCache();
+    SeisoClient = require('../seisoClient.js');
+    client = new SeisoClient({ url: SEISO_URL, token: 'token' });
+    return client.preCache.then(function () {
+      request.reset();
+    });
+  });
+
+  afterEach(function () {
+    mockery.deregisterAll();
+  });
+
+  describe('getNodesAsync', function () {
+    it('follows the next page links', function () {
+      return client.getNodesAsync().then(function (nodes) {
+        expect(nodes.map(function (node) { return node.name; }))
+          .to.deep.equal(['node0', 'node1', 'node2', 'node3', 'node4', 'node5']);
+        expect(request.callCount).to.equal(3);
+        expect(request.getCall(1).args[0].url).to.equal(SEISO_URL + '/nodes?page=1&size=2');
+        expect(request.getCall(1).args[0].headers.Authorization).to.equal('Bearer token');
+      });
+    });
+
+    it('rejects collections of more than the maximum items', function () {
+      return client.getNodesAsync({ maxItems: 4 })
+        .then(function () {
+          throw new Error('Expected a rejection');
+        }, function (err) {
+          expect(err.message).to.equal('Seiso nodes has more than 4 items');
+          expect(request.callCount).to.equal(1);
+        });
+    });
+  });
+
+  describe('findNodesAsync', function () {
+    function record(href, fields) {
+      return Object.assign({ _links: { self: { href: SEISO_URL + '/' + href } } }, fields);
+    }
+
+    beforeEach(function () {
+      respond = function (options) {
+        var resource = options.url.slice(SEISO_URL.length + 1).split('?')[0];
+        var body = {
+          'nodes/search/findByName': null,
+          'nodes/search/findByTag': { _embedded: { nodes: [] } },
+          'machines/search/findByName': record('machines/7', { name: 'ip-10-0-0-1.ec2.internal' }),
+          'machines/7/nodes': { _embedded: { nodes: [record('nodes/3', { name: 'web-1' })] } },
+          'machines/search/findByIpAddress': record('machines/8', { name: 'ip-10-0-0-2.ec2.internal' }),
+          'machines/8/nodes': { _embedded: { nodes: [
+            record('nodes/4', { name: 'web-old', tags: { 'AWS Instance ID': 'i-0' } }),
+            record('nodes/5', { name: 'web-2', tags: { 'AWS Instance ID': 'i-2' } })
+          ] } },
+          'serviceInstances/search/findByKey': record('serviceInstances/6', { key: 'web-prod' }),
+          'serviceInstances/6/nodes': { _embedded: { nodes: [record('nodes/3', { name: 'web-1' }), record('nodes/5', { name: 'web-2' })] } }
+        }[resource];
+        if (body === null) {
+          return Promise.reject({ name: 'StatusCodeError', statusCode: 404 });
+        }
+        return Promise.resolve({ statusCode: 200, body: JSON.stringify(body) });
+      };
+    });
+
+    it('falls back through the filters until nodes are found', function () {
+      return client.findNodesAsync({
+          name: 'i-1',
+          filters: [
+            { type: 'Tag', name: 'AWS Instance ID', value: 'i-1' },
+            { type: 'MachineName', value: 'ip-10-0-0-1.ec2.internal' },
+            { type: 'IpAddress', value: '10.0.0.1' }
+          ]
+        })
+        .then(function (nodes) {
+          expect(nodes.map(function (node) { return node.name; })).to.deep.equal(['web-1']);
+          expect(request.args.map(function (args) { return args[0].url.split('?')[0]; })).to.deep.equal([
+            SEISO_URL + '/nodes/search/findByName',
+            SEISO_URL + '/nodes/search/findByTag',
+            SEISO_URL + '/machines/search/findByName',
+            SEISO_URL + '/machines/7/nodes'
+          ]);
+          expect(request.getCall(1).args[0].url).to.contain('name=AWS%20Instance%20ID&value=i-1');
+        });
+    });
+
+    it('skips nodes found by machine which are tagged with another instance', function () {
+      return client.findNodesAsync({ filters: [{ type: 'IpAddress', value: '10.0.0.2', instanceId: 'i-2' }] })
+        .then(function (nodes) {
+          expect(nodes.map(function (node) { return node.name; })).to.deep.equal(['web-2']);
+          return client.findNodesAsync({ filters: [{ type: 'IpAddress', value: '10.0.0.2', instanceId: 'i-3' }] });
+        })
+        .then(function (nodes) {
+          expect(nodes).to.deep.equal([]);
+        });
+    });
+
+    it('finds the nodes of a service instance, optionally by name', function () {
+      return client.findNodesAsync({ filters: [{ type: 'ServiceInstance', value: 'web-prod' }] })
+        .then(function (nodes) {
+          expect(nodes.map(function (node) { return node.name; })).to.deep.equal(['web-1', 'web-2']);
+          expect(request.getCall(0).args[0].url).to.match(/serviceInstances\/search\/findByKey\?.*key=web-prod/);
+          return client.findNodesAsync({ filters: [{ type: 'ServiceInstance', name: 'web-2', value: 'web-prod' }] });
+        })
+        .then(function (nodes) {
+          expect(nodes.map(function (node) { return node.name; })).to.deep.equal(['web-2']);
+        });
+    });
+
+    it('resolves an empty array when no node matches', function () {
+      return client.findNodesAsync({ name: 'i-2' }).then(function (nodes) {
+        expect(nodes).to.deep.equal([]);
+      });
+    });
+  });
+
+  describe('upsertNodeAsync', function () {
+    var records, posts;
+
+    function record(href, fields) {
+      return Object.assign({ _links: { self: { href: SEISO_URL + '/' + href } } }, fields);
+    }
+
+    var params = {
+      name: 'i-1',
+      machineName: 'ip-10-0-0-1.ec2.internal',
+      hostname: 'ip-10-0-0-1',
+      domain: 'ec2.internal',
+      ipAddress: '10.0.0.1',
+      service: 'web',
+      environment: 'test',
+      environmentType: 'test',
+      ports: [443],
+      tags: { 'AWS Instance ID': 'i-1' }
+    };
+
+    beforeEach(function () {
+      posts = {};
+      records = {
+        'nodes/search/findByTag': { _embedded: { nodes: [] } },
+        'nodes/4/ipAddresses': { _embedded: { nodeIpAddresses: [] } },
+        'serviceInstances/2/ipAddressRoles': { _embedded: { ipAddressRoles: [record('ipAddressRoles/5', { name: 'default' })] } },
+        'services/': record('services/1'),
+        'serviceInstances/': record('serviceInstances/2'),
+        'machines/': record('machines/3'),
+        'nodes/': record('nodes/4')
+      };
+      respond = function (options) {
+        var resource = options.url.slice(SEISO_URL.length + 1).split('?')[0];
+        if (options.method !== 'GET') {
+          posts[resource] = (posts[resource] || []).concat([options.body]);
+        }
+        var body = records[resource];
+        if (body === undefined && options.method === 'GET') {
+          return Promise.reject({ name: 'StatusCodeError', statusCode: 404 });
+        }
+        return Promise.resolve({ statusCode: 200, body: body === undefined ? '' : JSON.stringify(body) });
+      };
+    });
+
+    it('registers a new instance with its service, service instance, machine, node and IP address', function () {
+      return client.upsertNodeAsync(params).then(function () {
+        expect(posts['services/']).to.deep.equal([{ key: 'web', name: 'web' }]);
+        expect(posts['serviceInstances/'][0].key).to.equal('web-test');
+        expect(posts['serviceInstancePorts/'][0]).to.deep.equal({
+          serviceInstance: SEISO_URL + '/serviceInstances/2',
+          number: 443,
+          protocol: 'https'
+        });
+        expect(posts['machines/'][0].name).to.equal('ip-10-0-0-1.ec2.internal');
+        expect(posts['nodes/']).to.deep.equal([{
+          name: 'i-1',
+          serviceInstance: SEISO_URL + '/serviceInstances/2',
+          machine: SEISO_URL + '/machines/3',
+          tags: { 'AWS Instance ID': 'i-1' }
+        }]);
+        expect(posts['nodeIpAddresses']).to.deep.equal([{
+          node: SEISO_URL + '/nodes/4',
+          ipAddressRole: SEISO_URL + '/ipAddressRoles/5',
+          ipAddress: '10.0.0.1'
+        }]);
+      });
+    });
+
+    it('updates an existing node and machine', function () {
+      records['nodes/search/findByName'] = record('nodes/4', { name: 'i-1' });
+      records['services/search/findByKey'] = record('services/1', { key: 'web' });
+      records['serviceInstances/search/findByKey'] = record('serviceInstances/2', { key: 'web-test' });
+      records['machines/search/findByName'] = { _embedded: { machines: [record('machines/3')] } };
+      records['machines/3'] = record('machines/3');
+      return client.upsertNodeAsync(params).then(function () {
+        expect(posts['services/']).to.be.undefined;
+        expect(posts['serviceInstances/']).to.be.undefined;
+        expect(posts['machines/3'][0].ipAddress).to.equal('10.0.0.1');
+        expect(posts['nodes/4']).to.deep.equal([{
+          name: 'i-1',
+          serviceInstance: SEISO_URL + '/serviceInstances/2',
+          machine: SEISO_URL + '/machines/3',
+          tags: { 'AWS Instance ID': 'i-1' }
+        }]);
+        expect(posts['nodeIpAddresses']).to.have.length(1);
+      });
+    });
+
+    it('rejects incomplete parameters', function () {
+      return client.upsertNodeAsync({ name: 'i-1', tags: {} }).then(function () {
+        throw new Error('Expected a rejection');
+      }, function (err) {
+        expect(err.validationErrors).to.include('Required tag \'AWS Instance ID\' not present');
+        expect(err.validationErrors).to.include('Required parameter \'service\' not present');
+      });
+    });
+  });
+
+  describe('retries', function () {
+    function unavailable(statusCode, headers) {
+      return Promise.reject(Object.assign(new Error(statusCode + ' - unavailable'), {
+        name: 'StatusCodeError',
+        statusCode: statusCode,
+        response: { statusCode: statusCode, headers: headers || {} }
+      }));
+    }
+
+    function failFirst(count, error) {
+      var failures = 0;
+      respond = function (options) {
+        return failures++ < count ? error() : respondWithPages(options);
+      };
+    }
+
+    beforeEach(function () {
+      client = new SeisoClient({
+        url: SEISO_URL,
+        token: 'token',
+        retry: { retries: 2, minDelay: 1, maxDelay: 50 },
+        circuitBreaker: { failureThreshold: 2 }
+      });
+      return client.preCache.then(function () {
+        request.reset();
+      });
+    });
+
+    it('retries 5xx responses, with a timeout', function () {
+      failFirst(2, function () { return unavailable(502); });
+      return client.connectAsync().then(function () {
+        expect(request.callCount).to.equal(3);
+        expect(request.firstCall.args[0].timeout).to.equal(30000);
+      });
+    });
+
+    it('retries POST requests only if they failed to connect', function () {
+      failFirst(1, function () {
+        return Promise.reject(Object.assign(new Error('Error: connect ECONNREFUSED'), {
+          name: 'RequestError',
+          cause: { code: 'ECONNREFUSED' }
+        }));
+      });
+      return client.createServiceAsync({ key: 'web' })
+        .then(function () {
+          expect(request.callCount).to.equal(2);
+
+          request.reset();
+          failFirst(1, function () { return unavailable(502); });
+          return client.createServiceAsync({ key: 'web' });
+        })
+        .then(function () {
+          throw new Error('Expected a rejection');
+        }, function (err) {
+          expect(err.statusCode).to.equal(502);
+          expect(request.callCount).to.equal(1);
+          expect(request.firstCall.args[0].method).to.equal('POST');
+        });
+    });
+
+    it('does not retry when asked to retry after more than the maximum delay', function () {
+      failFirst(1, function () { return unavailable(429, { 'retry-after': '60' }); });
+      return client.connectAsync().then(function () {
+        throw new Error('Expected a rejection');
+      }, function () {
+        expect(request.callCount).to.equal(1);
+      });
+    });
+
+    it('does not retry client errors', function () {
+      failFirst(1, function () { return unavailable(400); });
+      return client.connectAsync().then(function () {
+        throw new Error('Expected a rejection');
+      }, function () {
+        expect(request.callCount).to.equal(1);
+        expect(client.circuitBreaker.state).to.equal('closed');
+      });
+    });
+
+    it('opens the circuit once retries are exhausted repeatedly', function () {
+      failFirst(6, function () { return unavailable(503); });
+      return client.connectAsync().catch(function () {})
+        .then(function () {
+          return client.connectAsync().catch(function () {});
+        })
+        .then(function () {
+          expect(client.circuitBreaker.state).to.equal('open');
+          return client.connectAsync();
+        })
+        .then(function () {
+          throw new Error('Expected a rejection');
+        }, function (err) {
+          expect(err.Error.code).to.equal('ECIRCUITOPEN');
+          expect(request.callCount).to.equal(6);
+        });
+    });
+  });
+
+  describe('preCache', function () {
+    it('handles a failure to load the domain data, failing upserts instead', function () {
+      var unhandled = sinon.spy();
+      process.on('unhandledRejection', unhandled);
+      respond = function () {
+        return Promise.reject(Object.assign(new Error('400 - bad request'), { statusCode: 400 }));
+      };
+      client = new SeisoClient({ url: SEISO_URL, token: 'token' });
+
+      return Promise.delay(20).then(function () {
+        expect(client.preCache.isRejected()).to.equal(true);
+        expect(unhandled.called).to.equal(false);
+      }).finally(function () {
+        process.removeListener('unhandledRejection', unhandled);
+      });
+    });
+  });
+
+  describe('createNodeStream', function () {
+    it('streams the nodes of every page', function (done) {
+      var names = [];
+      client.createNodeStream()
+        .on('data', function (node) {
+          names.push(node.name);
+        })
+        .on('error', done)
+        .on('end', function () {
+          expect(names).to.deep.equal(['node0', 'node1', 'node2', 'node3', 'node4', 'node5']);
+          done();
+        });
+    });
+
+    it('fails the stream past the maximum items', function (done) {
+      client.createNodeStream({ maxItems: 4 })
+        .on('data', function () {})
+        .on('error', function (err) {
+          expect(err.message).to.equal('Seiso nodes has more than 4 items');
+          done();
+        });
+    });
+  });
+});
@@ -0,0 +1,68 @@
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var SeisoCredentials = require('../seisoCredentials.js');
+
+describe('SeisoCredentials', function () {
+  it('decodes a static base-64 password for Basic authorization', function () {
+    var provider = SeisoCredentials.createProvider({
+      username: 'user',
+      password: Buffer.from('pass').toString('base64')
+    });
+    return provider.getAsync().then(function (credentials) {
+      expect(SeisoCredentials.getAuthorization(credentials))
+        .to.equal('Basic ' + Buffer.from('user:pass').toString('base64'));
+    });
+  });
+
+  it('authorizes a token with a Bearer header', function () {
+    expect(SeisoCredentials.getAuthorization({ token: 'abc' })).to.equal('Bearer abc');
+  });
+
+  it('reads credentials from the environment', function () {
+    process.env.TEST_SEISO_TOKEN = 'from-env';
+    var provider = SeisoCredentials.createProvider({ credentials: { source: 'env', token: 'TEST_SEISO_TOKEN' } });
+    return provider.getAsync().then(function (credentials) {
+      delete process.env.TEST_SEISO_TOKEN;
+      expect(credentials.token).to.equal('from-env');
+    });
+  });
+
+  it('reads a credentials file again when it changes', function () {
+    var file = path.join(os.tmpdir(), 'seiso-credentials-' + process.pid + '.json');
+    fs.writeFileSync(file, JSON.stringify({ username: 'user', password: 'first' }));
+    var provider = SeisoCredentials.createProvider({ credentials: { source: 'file', path: file } });
+    return provider.getAsync()
+      .then(function (credentials) {
+        expect(credentials.password).to.equal('first');
+        fs.writeFileSync(file, JSON.stringify({ username: 'user', password: 'second' }));
+        var later = new Date(Date.now() + 5000);
+        fs.utimesSync(file, later, later);
+        return provider.getAsync();
+      })
+      .then(function (credentials) {
+        fs.unlinkSync(file);
+        expect(credentials.password).to.equal('second');
+      });
+  });
+
+  it('asks a custom function for credentials', function () {
+    var provider = SeisoCredentials.createProvider({
+      credentials: function () {
+        return Promise.resolve({ token: 'custom' });
+      }
+    });
+    return provider.getAsync().then(function (credentials) {
+      expect(credentials.token).to.equal('custom');
+    });
+  });
+
+  it('rejects an unknown credentials source', function () {
+    expect(function () {
+      SeisoCredentials.createProvider({ credentials: { source: 'vault' } });
+    }).to.throw('Unknown Seiso credentials source vault');
+  });
+});
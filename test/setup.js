@@ -0,0 +1,21 @@
+var Writable = require('stream').Writable;
+
+var logger = require('../logger.js');
+
+/**
+ * Log to nowhere while testing, so that test results are readable; tests
+ * checking what is logged configure a stream of their own
+ */
+function silence() {
+  logger.configure({
+    stream: new Writable({
+      write: function (chunk, encoding, callback) {
+        callback();
+      }
+    })
+  });
+}
+
+silence();
+
+module.exports.silence = exports.silence = silence;
@@ -0,0 +1,71 @@
+var chai = require('chai');
+var sinon = require('sinon');
+var http = require('http');
+var Promise = require('bluebird');
+var expect = chai.expect;
+
+var StatusServer = require('../statusServer.js');
+
+function get(server, path) {
+  return new Promise(function (resolve, reject) {
+    http.get({ port: server.server.address().port, path: path }, function (response) {
+      var body = '';
+      response.on('data', function (chunk) { body += chunk; });
+      response.on('end', function () {
+        resolve({ statusCode: response.statusCode, body: JSON.parse(body) });
+      });
+    }).on('error', reject);
+  });
+}
+
+describe('StatusServer', function () {
+  var orchestrator, status, server;
+
+  beforeEach(function () {
+    status = {
+      state: 'Started',
+      started: new Date(Date.now() - 300000),
+      listeners: [{ queue: 'queue-1', lastPoll: new Date(), inFlight: 2, processed: 10, failed: 1 }],
+      routes: [{ name: 'route-0', lastReconciliation: new Date() }]
+    };
+    orchestrator = {
+      getStatus: sinon.spy(function () { return status; }),
+      checkReadyAsync: sinon.stub().returns(Promise.resolve({ ready: true, checks: [] }))
+    };
+    server = new StatusServer(orchestrator, { port: 0, host: '127.0.0.1' });
+    return server.startAsync();
+  });
+
+  afterEach(function () {
+    return server.stopAsync();
+  });
+
+  it('is healthy when started and polling', function () {
+    return get(server, '/health').then(function (response) {
+      expect(response.statusCode).to.equal(200);
+      expect(response.body.healthy).is.true;
+    });
+  });
+
+  it('is not healthy when a listener has stopped polling', function () {
+    status.listeners[0].lastPoll = new Date(Date.now() - 600000);
+    return get(server, '/health').then(function (response) {
+      expect(response.statusCode).to.equal(503);
+      expect(response.body.stalledListeners[0].queue).to.equal('queue-1');
+    });
+  });
+
+  it('is not ready when a dependency cannot be reached', function () {
+    orchestrator.checkReadyAsync.returns(Promise.resolve({ ready: false, checks: [] }));
+    return get(server, '/ready').then(function (response) {
+      expect(response.statusCode).to.equal(503);
+    });
+  });
+
+  it('serves the orchestration status', function () {
+    return get(server, '/status').then(function (response) {
+      expect(response.statusCode).to.equal(200);
+      expect(response.body.listeners[0].processed).to.equal(10);
+    });
+  });
+});
@@ -0,0 +1,626 @@
+'use strict';
+var Promise = require('bluebird');
+
+var DEFAULT_REGION = 'us-west-2';
+var DEFAULT_ACCOUNT = '123456789012';
+
+// Classic ELB and ELBv2 registration API calls, by whether they register
+var REGISTERING_EVENTS = {
+  RegisterInstancesWithLoadBalancer: true,
+  DeregisterInstancesFromLoadBalancer: false,
+  RegisterTargets: true,
+  DeregisterTargets: false
+};
+
+var FakeAws = exports = module.exports = createFakeAws;
+
+/**
+ * Create an in-memory stand-in for the AWS SDK, implementing the SQS, EC2,
+ * ELB, ELBv2, Auto Scaling, SNS, CloudWatch and CloudWatch Events calls made
+ * by the Listener, Feeder and bootstrapper, for tests without network access.
+ * Pass it where the AWS SDK module is expected, e.g. as the `aws` setting
+ * of the service configuration, or to `AwsClients.createConnection`.
+ *
+ * Instances, load balancers, target groups and Auto Scaling groups are
+ * added with `addInstance`, `addLoadBalancer`, `addTargetGroup` and
+ * `addAutoScalingGroup`. Queues are created on first use; `enqueueElbEvent`,
+ * `enqueueTargetEvent` and `enqueueInstanceStateEvent` send CloudTrail and
+ * EC2 events to them, as delivered by CloudWatch Events, also applying the
+ * change to the load balancers described. Every call is logged in `calls`.
+ *
+ * Options:
+ *
+ *   - `region` {string} region of events and ARNs, default us-west-2
+ *   - `account` {string} AWS account identifier, default 123456789012
+ *   - `maxWait` {number} milliseconds an empty receive waits for a message,
+ *     at most, whatever its WaitTimeSeconds; default 100
+ *
+ * @param   {Object} options Fake AWS options
+ * @returns {Object} Fake AWS SDK module
+ */
+function createFakeAws(options) {
+  if (!(this instanceof FakeAws)) { return new FakeAws(options); }
+  var self = this;
+  options = options || {};
+
+  self.region = options.region || DEFAULT_REGION;
+  self.account = options.account || DEFAULT_ACCOUNT;
+  self.maxWait = options.maxWait === undefined ? 100 : options.maxWait;
+  self.config = { update: noop };
+  self.reset();
+
+  // Service client constructors, and credentials, as by the AWS SDK
+  Object.keys(SERVICES).forEach(function (service) {
+    self[service] = function () {
+      return createClient(self, service, SERVICES[service]);
+    };
+  });
+  self.Credentials = function (credentials) {
+    Object.assign(this, credentials);
+  };
+  self.ChainableTemporaryCredentials = function (options) {
+    this.params = options.params;
+  };
+
+  return self;
+}
+
+/**
+ * Remove every queue, instance, load balancer and Auto Scaling group, and
+ * the call log
+ */
+FakeAws.prototype.reset = function reset() {
+  this.queues = {};
+  this.instances = {};
+  this.loadBalancers = {};
+  this.targetGroups = {};
+  this.autoScalingGroups = {};
+  this.topics = {};
+  this.alarms = {};
+  this.rules = {};
+  this.calls = [];
+  this.failures = [];
+  this.nextId = 1;
+};
+
+/**
+ * Add an EC2 instance
+ * @param   {Object} instance Instance description; `InstanceId` is required,
+ *   and its private DNS name and IP address, state and tags are defaulted
+ * @returns {Object} Instance description
+ */
+FakeAws.prototype.addInstance = function addInstance(instance) {
+  var number = this.nextId++;
+  var ipAddress = instance.PrivateIpAddress || '10.0.' + Math.floor(number / 256) + '.' + (number % 256);
+  this.instances[instance.InstanceId] = Object.assign({
+    PrivateIpAddress: ipAddress,
+    PrivateDnsName: 'ip-' + ipAddress.replace(/\./g, '-') + '.' + this.region + '.compute.internal',
+    State: { Name: 'running' },
+    Placement: { AvailabilityZone: this.region + 'a' },
+    Tags: []
+  }, instance);
+  return this.instances[instance.InstanceId];
+};
+
+/**
+ * Change the state of an EC2 instance
+ * @param {string} instanceId Instance identifier
+ * @param {string} state State name, e.g. stopped or terminated
+ */
+FakeAws.prototype.setInstanceState = function setInstanceState(instanceId, state) {
+  this.instances[instanceId].State = { Name: state };
+};
+
+/**
+ * Add a classic load balancer
+ * @param   {Object} loadBalancer `LoadBalancerName`, the `InstanceIds`
+ *   registered, in service, and any other description fields
+ * @returns {Object} Load balancer description
+ */
+FakeAws.prototype.addLoadBalancer = function addLoadBalancer(loadBalancer) {
+  var description = Object.assign({ ListenerDescriptions: [] }, loadBalancer, { Instances: [] });
+  delete description.InstanceIds;
+  this.loadBalancers[loadBalancer.LoadBalancerName] = { description: description, health: {} };
+  this.register(loadBalancer.LoadBalancerName, loadBalancer.InstanceIds || [], true);
+  return description;
+};
+
+/**
+ * Add an ELBv2 target group, and the load balancer it is attached to
+ * @param   {Object} targetGroup `TargetGroupArn`, `LoadBalancerName` and the
+ *   `InstanceIds` registered, healthy
+ * @returns {Object} Target group description
+ */
+FakeAws.prototype.addTargetGroup = function addTargetGroup(targetGroup) {
+  var loadBalancerArn = 'arn:aws:elasticloadbalancing:' + this.region + ':' + this.account +
+    ':loadbalancer/app/' + targetGroup.LoadBalancerName + '/1';
+  this.targetGroups[targetGroup.TargetGroupArn] = {
+    description: {
+      TargetGroupArn: targetGroup.TargetGroupArn,
+      LoadBalancerArns: [loadBalancerArn]
+    },
+    loadBalancer: { LoadBalancerArn: loadBalancerArn, LoadBalancerName: targetGroup.LoadBalancerName },
+    health: {}
+  };
+  this.register(targetGroup.TargetGroupArn, targetGroup.InstanceIds || [], true);
+  return this.targetGroups[targetGroup.TargetGroupArn].description;
+};
+
+/**
+ * Add an Auto Scaling group
+ * @param   {Object} group `AutoScalingGroupName`, the `InstanceIds` in
+ *   service, and the `LoadBalancerNames` and `TargetGroupARNs` attached
+ * @returns {Object} Auto Scaling group description
+ */
+FakeAws.prototype.addAutoScalingGroup = function addAutoScalingGroup(group) {
+  this.autoScalingGroups[group.AutoScalingGroupName] = {
+    AutoScalingGroupName: group.AutoScalingGroupName,
+    Instances: (group.InstanceIds || []).map(instanceId => ({ InstanceId: instanceId, LifecycleState: 'InService' })),
+    LoadBalancerNames: group.LoadBalancerNames || [],
+    TargetGroupARNs: group.TargetGroupARNs || []
+  };
+  return this.autoScalingGroups[group.AutoScalingGroupName];
+};
+
+/**
+ * Register or deregister instances with a classic load balancer or target
+ * group, setting their health accordingly
+ * @param {string} name Load balancer name, or target group ARN
+ * @param {Array<string>} instanceIds Instance identifiers
+ * @param {boolean} registering true to register, false to deregister
+ */
+FakeAws.prototype.register = function register(name, instanceIds, registering) {
+  var loadBalancer = this.loadBalancers[name];
+  var targetGroup = this.targetGroups[name];
+  instanceIds.forEach(function (instanceId) {
+    if (loadBalancer) {
+      loadBalancer.description.Instances = loadBalancer.description.Instances
+        .filter(instance => instance.InstanceId !== instanceId)
+        .concat(registering ? [{ InstanceId: instanceId }] : []);
+      loadBalancer.health[instanceId] = registering ? 'InService' : 'OutOfService';
+    }
+    if (targetGroup) {
+      if (registering) {
+        targetGroup.health[instanceId] = 'healthy';
+      } else {
+        delete targetGroup.health[instanceId];
+      }
+    }
+  });
+};
+
+/**
+ * Send a message to a queue
+ * @param   {string} queueUrl SQS queue URL
+ * @param   {Object|string} body Message body; objects are sent as JSON
+ * @returns {string} Message identifier
+ */
+FakeAws.prototype.enqueue = function enqueue(queueUrl, body) {
+  var queue = this.getQueue(queueUrl);
+  var messageId = 'message-' + this.nextId++;
+  queue.messages.push({
+    MessageId: messageId,
+    Body: typeof body === 'string' ? body : JSON.stringify(body),
+    receiveCount: 0,
+    visibleAt: 0
+  });
+  queue.waiters.splice(0).forEach(wake => wake());
+  return messageId;
+};
+
+/**
+ * Send a classic ELB registration event, as recorded by CloudTrail, and
+ * apply it to the load balancer, if added
+ * @param   {string} queueUrl SQS queue URL
+ * @param   {string} eventName RegisterInstancesWithLoadBalancer or
+ *   DeregisterInstancesFromLoadBalancer
+ * @param   {string} loadBalancerName Load balancer name
+ * @param   {Array<string>} instanceIds Instance identifiers
+ * @returns {string} Message identifier
+ */
+FakeAws.prototype.enqueueElbEvent = function enqueueElbEvent(queueUrl, eventName, loadBalancerName, instanceIds) {
+  this.register(loadBalancerName, instanceIds, REGISTERING_EVENTS[eventName]);
+  return this.enqueue(queueUrl, this.createEvent('AWS API Call via CloudTrail', {
+    eventSource: 'elasticloadbalancing.amazonaws.com',
+    eventName: eventName,
+    requestParameters: {
+      loadBalancerName: loadBalancerName,
+      instances: instanceIds.map(instanceId => ({ instanceId: instanceId }))
+    }
+  }));
+};
+
+/**
+ * Send an ELBv2 target registration event, as recorded by CloudTrail, and
+ * apply it to the target group, if added
+ * @param   {string} queueUrl SQS queue URL
+ * @param   {string} eventName RegisterTargets or DeregisterTargets
+ * @param   {string} targetGroupArn Target group ARN
+ * @param   {Array<string>} instanceIds Instance identifiers
+ * @returns {string} Message identifier
+ */
+FakeAws.prototype.enqueueTargetEvent = function enqueueTargetEvent(queueUrl, eventName, targetGroupArn, instanceIds) {
+  this.register(targetGroupArn, instanceIds, REGISTERING_EVENTS[eventName]);
+  return this.enqueue(queueUrl, this.createEvent('AWS API Call via CloudTrail', {
+    eventSource: 'elasticloadbalancing.amazonaws.com',
+    eventName: eventName,
+    requestParameters: {
+      targetGroupArn: targetGroupArn,
+      targets: instanceIds.map(instanceId => ({ id: instanceId }))
+    }
+  }));
+};
+
+/**
+ * Send an EC2 instance state-change notification, and apply it to the instance
+ * @param   {string} queueUrl SQS queue URL
+ * @param   {string} instanceId Instance identifier
+ * @param   {string} state State name, e.g. terminated
+ * @returns {string} Message identifier
+ */
+FakeAws.prototype.enqueueInstanceStateEvent = function enqueueInstanceStateEvent(queueUrl, instanceId, state) {
+  if (this.instances[instanceId]) {
+    this.setInstanceState(instanceId, state);
+  }
+  return this.enqueue(queueUrl, this.createEvent('EC2 Instance State-change Notification', {
+    'instance-id': instanceId,
+    state: state
+  }));
+};
+
+FakeAws.prototype.createEvent = function createEvent(detailType, detail) {
+  return {
+    version: '0',
+    id: 'event-' + this.nextId++,
+    'detail-type': detailType,
+    source: detailType === 'AWS API Call via CloudTrail' ? 'aws.elasticloadbalancing' : 'aws.ec2',
+    account: this.account,
+    time: new Date().toISOString(),
+    region: this.region,
+    detail: detail
+  };
+};
+
+/**
+ * Get the messages of a queue not yet deleted, e.g. to wait for a listener
+ * to process them
+ * @param   {string} queueUrl SQS queue URL
+ * @returns {Array<Object>} Messages, with their `Body` and `receiveCount`
+ */
+FakeAws.prototype.getMessages = function getMessages(queueUrl) {
+  return this.getQueue(queueUrl).messages.slice();
+};
+
+/**
+ * Fail the next call of an operation
+ * @param {string} service Service, e.g. SQS
+ * @param {string} operation Operation, e.g. receiveMessage
+ * @param {Error|Object} err Error the call fails with, e.g. with a `code`
+ */
+FakeAws.prototype.failNext = function failNext(service, operation, err) {
+  this.failures.push({ service: service, operation: operation, err: err });
+};
+
+FakeAws.prototype.getQueue = function getQueue(queueUrl) {
+  if (!this.queues[queueUrl]) {
+    this.queues[queueUrl] = {
+      url: queueUrl,
+      arn: 'arn:aws:sqs:' + this.region + ':' + this.account + ':' + queueUrl.split('/').pop(),
+      attributes: { VisibilityTimeout: '30' },
+      messages: [],
+      waiters: []
+    };
+  }
+  return this.queues[queueUrl];
+};
+
+/**
+ * Create a client of a service: each operation takes its params and a
+ * node-style callback, called asynchronously, as by the AWS SDK
+ */
+function createClient(fake, service, operations) {
+  var client = {};
+  Object.keys(operations).forEach(function (operation) {
+    client[operation] = function (params, callback) {
+      if (typeof params === 'function') {
+        callback = params;
+        params = {};
+      }
+      params = params || {};
+      fake.calls.push({ service: service, operation: operation, params: params });
+      var index = fake.failures.findIndex(failure => failure.service === service && failure.operation === operation);
+      var failure = index === -1 ? null : fake.failures.splice(index, 1)[0];
+      Promise.delay(0)
+        .then(function () {
+          if (failure) {
+            return Promise.reject(failure.err);
+          }
+          return operations[operation].call(fake, params);
+        })
+        .asCallback(callback);
+    };
+  });
+  return client;
+}
+
+function awsError(code, message) {
+  var err = new Error(message);
+  err.code = code;
+  err.statusCode = 400;
+  return err;
+}
+
+// Operations of each service, called with the fake as `this`
+var SERVICES = {
+  SQS: {
+    receiveMessage: function (params) {
+      var self = this;
+      var queue = self.getQueue(params.QueueUrl);
+      var visibilityTimeout = params.VisibilityTimeout === undefined ?
+        Number(queue.attributes.VisibilityTimeout) : params.VisibilityTimeout;
+
+      function receive() {
+        var now = Date.now();
+        return queue.messages
+          .filter(message => message.visibleAt <= now)
+          .slice(0, params.MaxNumberOfMessages || 1)
+          .map(function (message) {
+            message.receiveCount++;
+            message.visibleAt = now + visibilityTimeout * 1000;
+            message.ReceiptHandle = message.MessageId + '-' + self.nextId++;
+            return {
+              MessageId: message.MessageId,
+              ReceiptHandle: message.ReceiptHandle,
+              Body: message.Body,
+              Attributes: { ApproximateReceiveCount: String(message.receiveCount) }
+            };
+          });
+      }
+
+      var messages = receive();
+      var wait = Math.min((params.WaitTimeSeconds || 0) * 1000, self.maxWait);
+      if (messages.length > 0 || wait === 0) {
+        return { Messages: messages };
+      }
+      // Long polling: wait for a message to be sent
+      return new Promise(function (resolve) {
+        var timer = setTimeout(wake, wait);
+        function wake() {
+          clearTimeout(timer);
+          queue.waiters = queue.waiters.filter(waiter => waiter !== wake);
+          resolve({ Messages: receive() });
+        }
+        queue.waiters.push(wake);
+      });
+    },
+    deleteMessageBatch: function (params) {
+      var queue = this.getQueue(params.QueueUrl);
+      var successful = [];
+      var failed = [];
+      params.Entries.forEach(function (entry) {
+        var before = queue.messages.length;
+        queue.messages = queue.messages.filter(message => message.ReceiptHandle !== entry.ReceiptHandle);
+        if (queue.messages.length < before) {
+          successful.push({ Id: entry.Id });
+        } else {
+          failed.push({ Id: entry.Id, Code: 'ReceiptHandleIsInvalid', SenderFault: true });
+        }
+      });
+      return { Successful: successful, Failed: failed };
+    },
+    changeMessageVisibility: function (params) {
+      var message = this.getQueue(params.QueueUrl).messages.find(message => message.ReceiptHandle === params.ReceiptHandle);
+      if (!message) {
+        throw awsError('ReceiptHandleIsInvalid', 'The receipt handle is not valid');
+      }
+      message.visibleAt = Date.now() + params.VisibilityTimeout * 1000;
+      return {};
+    },
+    getQueueAttributes: function (params) {
+      var queue = this.getQueue(params.QueueUrl);
+      return {
+        Attributes: Object.assign({
+          QueueArn: queue.arn,
+          ApproximateNumberOfMessages: String(queue.messages.length)
+        }, queue.attributes)
+      };
+    },
+    setQueueAttributes: function (params) {
+      Object.assign(this.getQueue(params.QueueUrl).attributes, params.Attributes);
+      return {};
+    },
+    sendMessage: function (params) {
+      return { MessageId: this.enqueue(params.QueueUrl, params.MessageBody) };
+    },
+    createQueue: function (params) {
+      var queueUrl = 'https://sqs.' + this.region + '.amazonaws.com/' + this.account + '/' + params.QueueName;
+      Object.assign(this.getQueue(queueUrl).attributes, params.Attributes);
+      return { QueueUrl: queueUrl };
+    },
+    addPermission: function () {
+      return {};
+    }
+  },
+  EC2: {
+    describeInstances: function (params) {
+      var self = this;
+      var instanceIds = params.InstanceIds || Object.keys(self.instances);
+      var missing = instanceIds.filter(instanceId => !self.instances[instanceId]);
+      if (missing.length > 0) {
+        throw awsError('InvalidInstanceID.NotFound', 'The instance IDs \'' + missing.join(', ') + '\' do not exist');
+      }
+      return {
+        Reservations: [{ Instances: instanceIds.map(instanceId => Object.assign({}, self.instances[instanceId])) }]
+      };
+    },
+    describeInstanceStatus: function (params) {
+      var self = this;
+      return {
+        InstanceStatuses: (params.InstanceIds || Object.keys(self.instances))
+          .filter(instanceId => self.instances[instanceId])
+          .map(instanceId => ({ InstanceId: instanceId, InstanceState: self.instances[instanceId].State }))
+      };
+    },
+    describeTags: function (params) {
+      var self = this;
+      var filter = (params.Filters || []).find(filter => filter.Name === 'resource-id');
+      var instanceIds = filter ? filter.Values : Object.keys(self.instances);
+      var tags = [];
+      instanceIds.filter(instanceId => self.instances[instanceId]).forEach(function (instanceId) {
+        self.instances[instanceId].Tags.forEach(function (tag) {
+          tags.push({ ResourceId: instanceId, ResourceType: 'instance', Key: tag.Key, Value: tag.Value });
+        });
+      });
+      return { Tags: tags };
+    }
+  },
+  ELB: {
+    describeLoadBalancers: function (params) {
+      var self = this;
+      var names = params.LoadBalancerNames || Object.keys(self.loadBalancers);
+      var missing = names.filter(name => !self.loadBalancers[name]);
+      if (missing.length > 0) {
+        throw awsError('LoadBalancerNotFound', 'There is no ACTIVE Load Balancer named \'' + missing[0] + '\'');
+      }
+      return { LoadBalancerDescriptions: names.map(name => Object.assign({}, self.loadBalancers[name].description)) };
+    },
+    describeInstanceHealth: function (params) {
+      var loadBalancer = this.loadBalancers[params.LoadBalancerName];
+      if (!loadBalancer) {
+        throw awsError('LoadBalancerNotFound', 'There is no ACTIVE Load Balancer named \'' + params.LoadBalancerName + '\'');
+      }
+      var instanceIds = params.Instances ? params.Instances.map(instance => instance.InstanceId) :
+        loadBalancer.description.Instances.map(instance => instance.InstanceId);
+      return {
+        InstanceStates: instanceIds.map(instanceId => ({
+          InstanceId: instanceId,
+          State: loadBalancer.health[instanceId] || 'Unknown'
+        }))
+      };
+    }
+  },
+  ELBv2: {
+    describeTargetGroups: function (params) {
+      var self = this;
+      return {
+        TargetGroups: (params.TargetGroupArns || Object.keys(self.targetGroups))
+          .filter(arn => self.targetGroups[arn])
+          .map(arn => Object.assign({}, self.targetGroups[arn].description))
+      };
+    },
+    describeLoadBalancers: function (params) {
+      var self = this;
+      var loadBalancers = Object.keys(self.targetGroups).map(arn => self.targetGroups[arn].loadBalancer);
+      return {
+        LoadBalancers: loadBalancers.filter(function (loadBalancer, index) {
+          return (!params.LoadBalancerArns || params.LoadBalancerArns.indexOf(loadBalancer.LoadBalancerArn) !== -1) &&
+            loadBalancers.findIndex(other => other.LoadBalancerArn === loadBalancer.LoadBalancerArn) === index;
+        })
+      };
+    },
+    describeTargetHealth: function (params) {
+      var targetGroup = this.targetGroups[params.TargetGroupArn];
+      if (!targetGroup) {
+        throw awsError('TargetGroupNotFound', 'Target group \'' + params.TargetGroupArn + '\' not found');
+      }
+      var instanceIds = params.Targets ? params.Targets.map(target => target.Id) : Object.keys(targetGroup.health);
+      return {
+        TargetHealthDescriptions: instanceIds.map(instanceId => ({
+          Target: { Id: instanceId },
+          TargetHealth: { State: targetGroup.health[instanceId] || 'unused' }
+        }))
+      };
+    }
+  },
+  AutoScaling: {
+    describeAutoScalingInstances: function (params) {
+      var self = this;
+      var instances = [];
+      Object.keys(self.autoScalingGroups).forEach(function (name) {
+        self.autoScalingGroups[name].Instances.forEach(function (instance) {
+          if (!params.InstanceIds || params.InstanceIds.indexOf(instance.InstanceId) !== -1) {
+            instances.push(Object.assign({ AutoScalingGroupName: name }, instance));
+          }
+        });
+      });
+      return { AutoScalingInstances: instances };
+    },
+    describeAutoScalingGroups: function (params) {
+      var self = this;
+      return {
+        AutoScalingGroups: (params.AutoScalingGroupNames || Object.keys(self.autoScalingGroups))
+          .filter(name => self.autoScalingGroups[name])
+          .map(name => self.autoScalingGroups[name])
+      };
+    },
+    describeLoadBalancers: function (params) {
+      var group = this.autoScalingGroups[params.AutoScalingGroupName];
+      return {
+        LoadBalancers: (group ? group.LoadBalancerNames : [])
+          .map(name => ({ LoadBalancerName: name, State: 'InService' }))
+      };
+    },
+    describeLoadBalancerTargetGroups: function (params) {
+      var group = this.autoScalingGroups[params.AutoScalingGroupName];
+      return {
+        LoadBalancerTargetGroups: (group ? group.TargetGroupARNs : [])
+          .map(arn => ({ LoadBalancerTargetGroupARN: arn, State: 'InService' }))
+      };
+    }
+  },
+  SNS: {
+    createTopic: function (params) {
+      var topicArn = 'arn:aws:sns:' + this.region + ':' + this.account + ':' + params.Name;
+      this.topics[topicArn] = this.topics[topicArn] || { attributes: { TopicArn: topicArn }, subscriptions: [] };
+      return { TopicArn: topicArn };
+    },
+    subscribe: function (params) {
+      var topic = this.topics[params.TopicArn];
+      if (!topic) {
+        throw awsError('NotFound', 'Topic does not exist');
+      }
+      topic.subscriptions.push({ Protocol: params.Protocol, Endpoint: params.Endpoint });
+      return { SubscriptionArn: params.TopicArn + ':' + this.nextId++ };
+    },
+    addPermission: function () {
+      return {};
+    },
+    getTopicAttributes: function (params) {
+      var topic = this.topics[params.TopicArn];
+      if (!topic) {
+        throw awsError('NotFound', 'Topic does not exist');
+      }
+      return { Attributes: Object.assign({}, topic.attributes) };
+    },
+    setTopicAttributes: function (params) {
+      var topic = this.topics[params.TopicArn];
+      if (!topic) {
+        throw awsError('NotFound', 'Topic does not exist');
+      }
+      topic.attributes[params.AttributeName] = params.AttributeValue;
+      return {};
+    }
+  },
+  CloudWatch: {
+    putMetricAlarm: function (params) {
+      this.alarms[params.AlarmName] = params;
+      return {};
+    }
+  },
+  CloudWatchEvents: {
+    putRule: function (params) {
+      this.rules[params.Name] = Object.assign({ targets: [] }, params);
+      return { RuleArn: 'arn:aws:events:' + this.region + ':' + this.account + ':rule/' + params.Name };
+    },
+    putTargets: function (params) {
+      var rule = this.rules[params.Rule];
+      if (!rule) {
+        throw awsError('ResourceNotFoundException', 'Rule ' + params.Rule + ' does not exist');
+      }
+      rule.targets = rule.targets.concat(params.Targets);
+      return { FailedEntryCount: 0, FailedEntries: [] };
+    }
+  }
+};
+
+function noop() {}
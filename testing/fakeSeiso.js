@@ -0,0 +1,462 @@
+'use strict';
+var http = require('http');
+var Promise = require('bluebird');
+
+// Seiso resources served, and the fields unique to each record, answered
+// with 409 Conflict on duplicate creation as by Seiso
+var RESOURCES = {
+  nodes: ['name'],
+  machines: ['name'],
+  services: ['key'],
+  serviceInstances: ['key'],
+  serviceInstancePorts: ['serviceInstance', 'number'],
+  ipAddressRoles: ['serviceInstance', 'name'],
+  nodeIpAddresses: ['node', 'ipAddressRole', 'ipAddress'],
+  rotationStatuses: ['key'],
+  loadBalancers: ['name'],
+  environments: ['key'],
+  dataCenters: ['key']
+};
+
+// Searches, by resource and search name: the record fields matched by the
+// query parameters, and whether a single record is found (or 404) rather
+// than a collection
+var SEARCHES = {
+  nodes: {
+    findByName: { match: { name: 'name' }, single: true },
+    findByTag: { matches: (record, query) => !!record.tags && record.tags[query.name] === query.value }
+  },
+  machines: {
+    findByName: { match: { name: 'name' } },
+    findByIpAddress: { match: { ipAddress: 'ipAddress' } }
+  },
+  services: {
+    findByKey: { match: { key: 'key' }, single: true }
+  },
+  serviceInstances: {
+    findByKey: { match: { key: 'key' }, single: true }
+  }
+};
+
+// Collection associations not named after their resource
+var ASSOCIATIONS = {
+  ipAddresses: 'nodeIpAddresses'
+};
+
+var DEFAULT_ROTATION_STATUSES = ['enabled', 'disabled', 'excluded'];
+
+var FakeSeiso = exports = module.exports = createFakeSeiso;
+
+/**
+ * Create an in-memory stand-in for the Seiso HAL API, for fast and
+ * deterministic integration tests: point a SeisoClient at its `url` once
+ * started, e.g.
+ *
+ *   var seiso = new FakeSeiso();
+ *   seiso.startAsync().then(function () {
+ *     var seisoClient = new SeisoClient({ url: seiso.url, token: 'test' });
+ *     ...
+ *   });
+ *
+ * Records are created, read, replaced (PUT), updated (PATCH) and deleted
+ * under `/api/<resource>`, referring to other records by their `_links.self.href`.
+ * Collections are paged as by Seiso, with `page`, `size` and `_links.next`;
+ * associations such as `nodes/{id}/machine`, `machines/{id}/nodes` or
+ * `nodes/{id}/ipAddresses`, and the searches used by SeisoClient, are served.
+ * Requests without an Authorization header are answered with 401.
+ *
+ * Options:
+ *
+ *   - `port` {number} port to listen on, default any free port
+ *   - `host` {string} address to listen on, default 127.0.0.1
+ *   - `maxPageSize` {number} largest page served, whatever the size asked
+ *     for, default 1000; lower it to test paging
+ *   - `rotationStatuses` {Array<string>} rotation status keys created,
+ *     default enabled, disabled and excluded
+ *
+ * @param   {Object} options Server options
+ * @returns {Object} Fake Seiso server
+ */
+function createFakeSeiso(options) {
+  if (!(this instanceof FakeSeiso)) { return new FakeSeiso(options); }
+  var self = this;
+  options = options || {};
+
+  self.port = options.port || 0;
+  self.host = options.host || '127.0.0.1';
+  self.maxPageSize = options.maxPageSize || 1000;
+  self.rotationStatuses = options.rotationStatuses || DEFAULT_ROTATION_STATUSES;
+  self.server = null;
+  self.url = null;
+  self.reset();
+
+  return self;
+}
+
+FakeSeiso.prototype.startAsync = Promise.promisify(start);
+
+/**
+ * Start listening for Seiso API requests; `url` is then the root API URL
+ * @param {Function} callback Callback function (with err param)
+ */
+FakeSeiso.prototype.start = start;
+
+function start(callback) {
+  var self = this;
+  callback = typeof callback === 'function' ? callback : noop;
+
+  self.server = http.createServer(function (request, response) {
+    self.handleRequest(request, response);
+  });
+  self.server.once('error', callback);
+  self.server.listen(self.port, self.host, function () {
+    self.server.removeListener('error', callback);
+    self.url = 'http://' + self.host + ':' + self.server.address().port + '/api';
+    callback(null);
+  });
+}
+
+FakeSeiso.prototype.stopAsync = Promise.promisify(stop);
+
+/**
+ * Stop listening for Seiso API requests
+ * @param {Function} callback Callback function (with err param)
+ */
+FakeSeiso.prototype.stop = stop;
+
+function stop(callback) {
+  var self = this;
+  callback = typeof callback === 'function' ? callback : noop;
+
+  if (!self.server) {
+    return process.nextTick(callback, null);
+  }
+  var server = self.server;
+  self.server = null;
+  server.close(function () {
+    callback(null);
+  });
+}
+
+/**
+ * Remove every record, and the request log; the rotation statuses are
+ * created again
+ */
+FakeSeiso.prototype.reset = function reset() {
+  var self = this;
+
+  self.records = {};
+  self.nextId = 1;
+  self.requests = [];
+  self.failures = [];
+  Object.keys(RESOURCES).forEach(function (resource) {
+    self.records[resource] = {};
+  });
+  self.rotationStatuses.forEach(function (key) {
+    self.create('rotationStatuses', { key: key, name: key });
+  });
+};
+
+/**
+ * Create a record, as if POSTed
+ * @param   {string} resource Resource, e.g. nodes
+ * @param   {Object} fields Record fields; records referred to may be given
+ *   as records, or as their `_links.self.href`
+ * @returns {Object} Record, with its `_links.self.href`
+ */
+FakeSeiso.prototype.create = function create(resource, fields) {
+  var self = this;
+
+  var id = String(self.nextId++);
+  self.records[resource][id] = toFields(fields);
+  return self.get(resource, id);
+};
+
+/**
+ * Get a record
+ * @param   {string} resource Resource, e.g. nodes
+ * @param   {string} id Record identifier, or its href
+ * @returns {Object} Record, or undefined if not found
+ */
+FakeSeiso.prototype.get = function get(resource, id) {
+  id = String(id).split('/').pop();
+  var fields = this.records[resource] && this.records[resource][id];
+  return fields ? this.render(resource, id, fields) : undefined;
+};
+
+/**
+ * List the records of a resource
+ * @param   {string} resource Resource, e.g. nodes
+ * @param   {Object} match Field values the records must have, e.g. a machine href
+ * @returns {Array<Object>} Records
+ */
+FakeSeiso.prototype.list = function list(resource, match) {
+  var self = this;
+
+  return Object.keys(self.records[resource] || {})
+    .filter(function (id) {
+      var fields = self.records[resource][id];
+      return Object.keys(match || {}).every(key => fields[key] === toFields(match)[key]);
+    })
+    .map(id => self.render(resource, id, self.records[resource][id]));
+};
+
+/**
+ * Answer the next requests with an error, e.g. to test retries
+ * @param {number} statusCode Response status code, e.g. 503
+ * @param {number} count Requests failed, default 1
+ * @param {Object} headers Response headers, e.g. Retry-After
+ */
+FakeSeiso.prototype.failNext = function failNext(statusCode, count, headers) {
+  for (var i = 0; i < (count || 1); i++) {
+    this.failures.push({ statusCode: statusCode, headers: headers || {} });
+  }
+};
+
+FakeSeiso.prototype.render = function render(resource, id, fields) {
+  return Object.assign({}, fields, {
+    _links: { self: { href: this.url + '/' + resource + '/' + id } }
+  });
+};
+
+/**
+ * Respond to a Seiso API request
+ * @param {http.IncomingMessage} request HTTP request
+ * @param {http.ServerResponse} response HTTP response
+ */
+FakeSeiso.prototype.handleRequest = function handleRequest(request, response) {
+  var self = this;
+  var body = '';
+
+  request.setEncoding('utf8');
+  request.on('data', function (chunk) { body += chunk; });
+  request.on('end', function () {
+    var url = new URL(request.url, 'http://' + request.headers.host);
+    var query = {};
+    url.searchParams.forEach(function (value, key) { query[key] = value; });
+    var path = url.pathname.replace(/^\/api\/?/, '').replace(/\/$/, '');
+    var payload;
+    try {
+      payload = body ? JSON.parse(body) : null;
+    } catch (err) {
+      return respond(response, 400, { message: 'Malformed JSON' });
+    }
+    self.requests.push({ method: request.method, path: path, query: query, body: payload });
+
+    var failure = self.failures.shift();
+    if (failure) {
+      return respond(response, failure.statusCode, { message: 'Injected failure' }, failure.headers);
+    }
+    if (!request.headers.authorization) {
+      return respond(response, 401, { message: 'Full authentication is required' });
+    }
+    var result = self.route(request.method, path ? path.split('/') : [], query, payload);
+    respond(response, result.statusCode, result.body);
+  });
+};
+
+FakeSeiso.prototype.route = function route(method, segments, query, payload) {
+  var self = this;
+  var resource = segments[0];
+
+  if (!resource) {
+    return method === 'GET' ? ok(self.renderRoot()) : status(405);
+  }
+  if (!RESOURCES[resource]) {
+    return status(404);
+  }
+  if (segments.length === 1) {
+    if (method === 'GET') {
+      return ok(self.renderPage(resource, self.list(resource), query));
+    }
+    return method === 'POST' ? self.createRecord(resource, payload) : status(405);
+  }
+  if (segments[1] === 'search' && segments.length === 3) {
+    return method === 'GET' ? self.search(resource, segments[2], query) : status(405);
+  }
+
+  var id = segments[1];
+  var fields = self.records[resource][id];
+  if (!fields) {
+    return status(404);
+  }
+  if (segments.length === 3) {
+    return method === 'GET' ? self.association(resource, id, segments[2]) : status(405);
+  }
+  if (segments.length > 3) {
+    return status(404);
+  }
+
+  switch (method) {
+  case 'GET':
+    return ok(self.render(resource, id, fields));
+  case 'PUT':
+    return self.updateRecord(resource, id, toFields(payload));
+  case 'PATCH':
+    return self.updateRecord(resource, id, Object.assign({}, fields, toFields(payload)));
+  case 'DELETE':
+    return self.deleteRecord(resource, id);
+  default:
+    return status(405);
+  }
+};
+
+FakeSeiso.prototype.renderRoot = function renderRoot() {
+  var self = this;
+  var links = {};
+  Object.keys(RESOURCES).forEach(function (resource) {
+    links[resource] = { href: self.url + '/' + resource };
+  });
+  return { _links: links };
+};
+
+FakeSeiso.prototype.renderPage = function renderPage(resource, records, query) {
+  var size = Math.min(parseInt(query.size, 10) || 20, this.maxPageSize);
+  var number = parseInt(query.page, 10) || 0;
+  var totalPages = Math.ceil(records.length / size);
+  var links = { self: { href: this.url + '/' + resource + '?page=' + number + '&size=' + size } };
+  if (number + 1 < totalPages) {
+    links.next = { href: this.url + '/' + resource + '?page=' + (number + 1) + '&size=' + size };
+  }
+  var page = {
+    _links: links,
+    page: { size: size, totalElements: records.length, totalPages: totalPages, number: number }
+  };
+  // As by Seiso, empty pages have no embedded records
+  var items = records.slice(number * size, (number + 1) * size);
+  if (items.length > 0) {
+    page._embedded = {};
+    page._embedded[resource] = items;
+  }
+  return page;
+};
+
+FakeSeiso.prototype.renderCollection = function renderCollection(resource, records, href) {
+  var collection = { _embedded: {}, _links: { self: { href: href } } };
+  collection._embedded[resource] = records;
+  return collection;
+};
+
+FakeSeiso.prototype.search = function search(resource, name, query) {
+  var definition = SEARCHES[resource] && SEARCHES[resource][name];
+  if (!definition) {
+    return status(404);
+  }
+  var records = this.list(resource).filter(function (record) {
+    if (definition.matches) {
+      return definition.matches(record, query);
+    }
+    return Object.keys(definition.match).every(field => record[field] === query[definition.match[field]]);
+  });
+  if (definition.single) {
+    return records.length > 0 ? ok(records[0]) : status(404);
+  }
+  return ok(this.renderCollection(resource, records, this.url + '/' + resource + '/search/' + name));
+};
+
+/**
+ * Get a record's association: the record referred to by one of its fields,
+ * e.g. nodes/1/machine, or the records referring to it, e.g. machines/1/nodes
+ */
+FakeSeiso.prototype.association = function association(resource, id, name) {
+  var fields = this.records[resource][id];
+  var href = this.url + '/' + resource + '/' + id;
+
+  if (typeof fields[name] === 'string' && fields[name].indexOf(this.url + '/') === 0) {
+    var target = fields[name].slice(this.url.length + 1).split('/');
+    var record = this.get(target[0], target[1]);
+    return record ? ok(record) : status(404);
+  }
+  var associated = ASSOCIATIONS[name] || name;
+  if (RESOURCES[associated]) {
+    var match = {};
+    match[singular(resource)] = href;
+    return ok(this.renderCollection(associated, this.list(associated, match), href + '/' + name));
+  }
+  return status(404);
+};
+
+FakeSeiso.prototype.createRecord = function createRecord(resource, payload) {
+  var fields = toFields(payload);
+  if (this.findConflict(resource, null, fields)) {
+    return status(409);
+  }
+  return { statusCode: 201, body: this.create(resource, fields) };
+};
+
+FakeSeiso.prototype.updateRecord = function updateRecord(resource, id, fields) {
+  if (this.findConflict(resource, id, fields)) {
+    return status(409);
+  }
+  this.records[resource][id] = fields;
+  return ok(this.get(resource, id));
+};
+
+FakeSeiso.prototype.deleteRecord = function deleteRecord(resource, id) {
+  var self = this;
+  var href = self.url + '/' + resource + '/' + id;
+
+  // Records still referred to cannot be deleted, except by the records
+  // owned by them, e.g. a node's IP addresses, which are deleted with them
+  var owned = resource === 'nodes' ? ['nodeIpAddresses'] : [];
+  var referred = Object.keys(RESOURCES).some(function (other) {
+    return owned.indexOf(other) === -1 && Object.keys(self.records[other]).some(function (otherId) {
+      var fields = self.records[other][otherId];
+      return Object.keys(fields).some(key => fields[key] === href);
+    });
+  });
+  if (referred) {
+    return status(409);
+  }
+  owned.forEach(function (other) {
+    self.list(other, { node: href }).forEach(function (record) {
+      delete self.records[other][record._links.self.href.split('/').pop()];
+    });
+  });
+  delete self.records[resource][id];
+  return status(204);
+};
+
+FakeSeiso.prototype.findConflict = function findConflict(resource, id, fields) {
+  var self = this;
+  var keys = RESOURCES[resource];
+  return Object.keys(self.records[resource]).some(function (otherId) {
+    var other = self.records[resource][otherId];
+    return otherId !== id && keys.every(key => fields[key] !== undefined && other[key] === fields[key]);
+  });
+};
+
+/**
+ * Get the fields of a record to store, with records referred to replaced by
+ * their href
+ */
+function toFields(payload) {
+  var fields = {};
+  Object.keys(payload || {}).forEach(function (key) {
+    var value = payload[key];
+    if (key === '_links') {
+      return;
+    }
+    fields[key] = value && value._links && value._links.self ? value._links.self.href : value;
+  });
+  return fields;
+}
+
+function singular(resource) {
+  return resource.replace(/s$/, '');
+}
+
+function ok(body) {
+  return { statusCode: 200, body: body };
+}
+
+function status(statusCode) {
+  return { statusCode: statusCode };
+}
+
+function respond(response, statusCode, body, headers) {
+  response.writeHead(statusCode, Object.assign({ 'Content-Type': 'application/hal+json' }, headers));
+  response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function noop() {}